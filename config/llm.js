@@ -0,0 +1,74 @@
+require('dotenv').config();
+
+const parseNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+const parseJson = (value, fallback) => {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        console.warn(`⚠️ Ignoring invalid JSON in LLM configuration: ${error.message}`);
+        return fallback;
+    }
+};
+
+// LLM provider configuration
+const llmConfig = {
+    // gemini, openai (any OpenAI-compatible server: OpenAI, llama.cpp, vLLM, Ollama) or mock (offline, deterministic)
+    provider: (process.env.LLM_PROVIDER || 'gemini').toLowerCase(),
+    // Model name; each provider falls back to its own default
+    model: process.env.LLM_MODEL || null,
+    temperature: parseNumber(process.env.LLM_TEMPERATURE, 0.7),
+    topK: parseNumber(process.env.LLM_TOP_K, 40),
+    topP: parseNumber(process.env.LLM_TOP_P, 0.95),
+    maxOutputTokens: parseNumber(process.env.LLM_MAX_OUTPUT_TOKENS, 2048),
+    timeoutMs: parseNumber(process.env.LLM_TIMEOUT_MS, 60000),
+    // Models tried in order when the configured one keeps failing or its circuit is open (same provider),
+    // e.g. LLM_FALLBACK_MODELS=gemini-2.0-flash,gemini-1.5-flash
+    fallbackModels: (process.env.LLM_FALLBACK_MODELS || '')
+        .split(',')
+        .map(model => model.trim())
+        .filter(Boolean),
+    retry: {
+        // Retries per model for quota, timeout and 5xx errors, with exponential backoff
+        maxRetries: parseNumber(process.env.LLM_MAX_RETRIES, 2),
+        baseDelayMs: parseNumber(process.env.LLM_RETRY_BASE_DELAY_MS, 500),
+        maxDelayMs: parseNumber(process.env.LLM_RETRY_MAX_DELAY_MS, 8000)
+    },
+    circuitBreaker: {
+        // Consecutive failures before a model is skipped, and for how long
+        failureThreshold: parseNumber(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 5),
+        cooldownMs: parseNumber(process.env.LLM_CIRCUIT_COOLDOWN_MS, 30000)
+    },
+    // Shared by every LLM request in the process (services/llm/sharedRateLimiter.js); match these to the provider's quota
+    rateLimit: {
+        requestsPerMinute: parseNumber(process.env.LLM_REQUESTS_PER_MINUTE, 60),
+        tokensPerMinute: parseNumber(process.env.LLM_TOKENS_PER_MINUTE, 1000000),
+        // Requests waiting for a slot; more are refused with 429
+        maxQueueSize: parseNumber(process.env.LLM_MAX_QUEUE_SIZE, 100),
+        maxWaitMs: parseNumber(process.env.LLM_MAX_QUEUE_WAIT_MS, 120000)
+    },
+    gemini: {
+        apiKey: process.env.GEMINI_API_KEY || null
+    },
+    openai: {
+        // e.g. http://localhost:8080/v1 for llama.cpp, http://localhost:8000/v1 for vLLM
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        // Optional for local servers
+        apiKey: process.env.OPENAI_API_KEY || null
+    },
+    // USD per million tokens by model name (or prefix), added to the built-in table in services/llmCost.js,
+    // e.g. LLM_PRICES={"gemini-2.5-flash":{"input":0.3,"output":2.5}}
+    prices: parseJson(process.env.LLM_PRICES, {}),
+    // Price for models in neither table, so they still count against the budgets; defaults to the dearest built-in rate
+    unknownModelPrice: parseJson(process.env.LLM_UNKNOWN_MODEL_PRICE, null),
+    // Estimated spend in USD after which new optimizations are refused; unset means no limit
+    budget: {
+        dailyUsd: parseNumber(process.env.LLM_DAILY_BUDGET_USD, null),
+        monthlyUsd: parseNumber(process.env.LLM_MONTHLY_BUDGET_USD, null)
+    }
+};
+
+module.exports = llmConfig;
@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+const parseNumber = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+// Watchlist monitoring configuration
+const monitorConfig = {
+    // Set MONITOR_ENABLED=false to run the API without the background scheduler
+    enabled: process.env.MONITOR_ENABLED !== 'false',
+    // How often the scheduler looks for due watchlist entries
+    tickMs: parseNumber(process.env.MONITOR_TICK_MS, 60 * 1000),
+    // Watchlist entries checked per tick
+    batchSize: parseNumber(process.env.MONITOR_BATCH_SIZE, 5),
+    defaultIntervalMinutes: parseNumber(process.env.MONITOR_DEFAULT_INTERVAL_MINUTES, 24 * 60),
+    minIntervalMinutes: parseNumber(process.env.MONITOR_MIN_INTERVAL_MINUTES, 15),
+    // Our own merchant IDs (comma-separated); losing the buy box to anyone else raises an alert
+    ownSellerIds: (process.env.OWN_SELLER_IDS || '')
+        .split(',')
+        .map(sellerId => sellerId.trim())
+        .filter(Boolean)
+};
+
+module.exports = monitorConfig;
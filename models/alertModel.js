@@ -0,0 +1,117 @@
+const { executeQuery } = require('../config/database');
+const { parseJsonColumn } = require('./productModel');
+
+/**
+ * Store alerts raised for one check of a watched product
+ * @param {Object} context - { watchlistId, productId, asin, marketplace, fromSnapshotId, toSnapshotId }
+ * @param {Object[]} alerts - Result of evaluateRules
+ */
+const saveAlerts = async (context, alerts) => {
+    for (const alert of alerts) {
+        await executeQuery(`
+            INSERT INTO alerts (
+                watchlist_id, product_id, asin, marketplace, alert_type, severity,
+                message, details, from_snapshot_id, to_snapshot_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            context.watchlistId,
+            context.productId,
+            context.asin,
+            context.marketplace,
+            alert.type,
+            alert.severity,
+            alert.message.substring(0, 500),
+            JSON.stringify(alert.details || {}),
+            context.fromSnapshotId,
+            context.toSnapshotId
+        ]);
+    }
+};
+
+/**
+ * Query alerts, newest first
+ * @param {Object} filters - { asin, marketplace, type, severity, acknowledged, since, limit, offset }
+ * @returns {Object} { alerts, total }
+ */
+const findAlerts = async (filters = {}) => {
+    const { limit = 20, offset = 0 } = filters;
+    const whereConditions = [];
+    const queryParams = [];
+
+    if (filters.asin) {
+        whereConditions.push('asin = ?');
+        queryParams.push(filters.asin);
+    }
+
+    if (filters.marketplace) {
+        whereConditions.push('marketplace = ?');
+        queryParams.push(filters.marketplace);
+    }
+
+    if (filters.type) {
+        whereConditions.push('alert_type = ?');
+        queryParams.push(filters.type);
+    }
+
+    if (filters.severity) {
+        whereConditions.push('severity = ?');
+        queryParams.push(filters.severity);
+    }
+
+    if (filters.acknowledged !== undefined) {
+        whereConditions.push('acknowledged = ?');
+        queryParams.push(filters.acknowledged);
+    }
+
+    if (filters.since) {
+        whereConditions.push('created_at >= ?');
+        queryParams.push(filters.since);
+    }
+
+    const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+    const countResult = await executeQuery(`SELECT COUNT(*) as total FROM alerts ${whereClause}`, queryParams);
+    const rows = await executeQuery(
+        `SELECT * FROM alerts ${whereClause} ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+        queryParams
+    );
+
+    return {
+        total: countResult[0].total,
+        alerts: rows.map(formatAlert)
+    };
+};
+
+/**
+ * Mark an alert as seen
+ * @returns {boolean} False when the alert doesn't exist
+ */
+const acknowledgeAlert = async (id) => {
+    const result = await executeQuery(
+        'UPDATE alerts SET acknowledged = TRUE, acknowledged_at = COALESCE(acknowledged_at, NOW()) WHERE id = ?',
+        [id]
+    );
+    return result.affectedRows > 0;
+};
+
+const formatAlert = (row) => ({
+    id: row.id,
+    watchlistId: row.watchlist_id,
+    asin: row.asin,
+    marketplace: row.marketplace,
+    type: row.alert_type,
+    severity: row.severity,
+    message: row.message,
+    details: parseJsonColumn(row.details, {}),
+    fromSnapshotId: row.from_snapshot_id,
+    toSnapshotId: row.to_snapshot_id,
+    acknowledged: Boolean(row.acknowledged),
+    acknowledgedAt: row.acknowledged_at,
+    createdAt: row.created_at
+});
+
+module.exports = {
+    saveAlerts,
+    findAlerts,
+    acknowledgeAlert
+};
@@ -0,0 +1,148 @@
+const { executeQuery } = require('../config/database');
+const { parseJsonColumn } = require('./productModel');
+
+/**
+ * Store the Best Sellers Rank entries of one scrape. The first entry is the
+ * top-level (primary) ranking; the rest are sub-category ranks.
+ * @param {number} productId
+ * @param {number} snapshotId - Snapshot the readings were taken from
+ * @param {Object} productData - Product object returned by AmazonScraper
+ */
+const saveBsrReadings = async (productId, snapshotId, productData) => {
+    const entries = (productData.bestSellersRank || []).filter(entry => Number.isFinite(entry.rank));
+    if (entries.length === 0) return;
+
+    const placeholders = entries.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const params = entries.flatMap((entry, index) => [
+        productId,
+        snapshotId,
+        productData.asin,
+        productData.marketplace,
+        entry.rank,
+        entry.category,
+        JSON.stringify(entry.categoryPath || [entry.category]),
+        entry.nodeId || null,
+        index === 0
+    ]);
+
+    await executeQuery(`
+        INSERT INTO bsr_readings (
+            product_id, snapshot_id, asin, marketplace, sales_rank, category, category_path, node_id, is_primary
+        )
+        VALUES ${placeholders}
+    `, params);
+};
+
+/**
+ * BSR readings for a product, oldest first
+ * @param {number} productId
+ * @param {Object} [filters]
+ * @param {Date} [filters.since] - Only readings at or after this time
+ * @param {Date} [filters.until] - Only readings before this time
+ * @param {string} [filters.nodeId] - Only one browse node
+ * @returns {Object[]} Raw database rows
+ */
+const findBsrReadings = async (productId, { since, until, nodeId } = {}) => {
+    let query = 'SELECT * FROM bsr_readings WHERE product_id = ?';
+    const params = [productId];
+
+    if (since) {
+        query += ' AND recorded_at >= ?';
+        params.push(since);
+    }
+    if (until) {
+        query += ' AND recorded_at < ?';
+        params.push(until);
+    }
+    if (nodeId) {
+        query += ' AND node_id = ?';
+        params.push(nodeId);
+    }
+
+    query += ' ORDER BY recorded_at ASC, id ASC';
+    return executeQuery(query, params);
+};
+
+/**
+ * Group readings into one time series per ranking category. Sub-categories are
+ * keyed on their browse node; the top-level ranking often has none, so falls back to its name.
+ * @param {Object[]} rows - bsr_readings rows, oldest first
+ * @returns {Object[]} [{ category, nodeId, categoryPath, isPrimary, latestRank, bestRank, worstRank, readings }]
+ */
+const groupBsrSeries = (rows) => {
+    const series = new Map();
+
+    for (const row of rows) {
+        const key = row.node_id || `category:${row.category}`;
+        if (!series.has(key)) {
+            series.set(key, {
+                category: row.category,
+                nodeId: row.node_id,
+                categoryPath: parseJsonColumn(row.category_path, [row.category]),
+                isPrimary: Boolean(row.is_primary),
+                readings: []
+            });
+        }
+        series.get(key).readings.push({
+            rank: row.sales_rank,
+            recordedAt: row.recorded_at,
+            snapshotId: row.snapshot_id
+        });
+    }
+
+    return [...series.values()].map(entry => {
+        const ranks = entry.readings.map(reading => reading.rank);
+        return {
+            ...entry,
+            latestRank: ranks[ranks.length - 1],
+            bestRank: Math.min(...ranks),
+            worstRank: Math.max(...ranks)
+        };
+    });
+};
+
+const describeReadings = (readings) => {
+    if (readings.length === 0) return { readings: 0, averageRank: null, bestRank: null, worstRank: null };
+    const ranks = readings.map(reading => reading.rank);
+    return {
+        readings: readings.length,
+        averageRank: Math.round(ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length),
+        bestRank: Math.min(...ranks),
+        worstRank: Math.max(...ranks)
+    };
+};
+
+/**
+ * Split each series around a point in time (e.g. when an optimization went live)
+ * and compare the average rank on either side. A lower rank is better, so a
+ * negative change is an improvement.
+ * @param {Object[]} series - groupBsrSeries output
+ * @param {Date} pivot
+ * @returns {Object[]} [{ category, nodeId, categoryPath, isPrimary, before, after, change, changePercent, direction, readings }]
+ */
+const summarizeRankMovement = (series, pivot) => series.map(entry => {
+    const before = describeReadings(entry.readings.filter(reading => new Date(reading.recordedAt) < pivot));
+    const after = describeReadings(entry.readings.filter(reading => new Date(reading.recordedAt) >= pivot));
+    const comparable = before.averageRank !== null && after.averageRank !== null;
+    const change = comparable ? after.averageRank - before.averageRank : null;
+
+    return {
+        category: entry.category,
+        nodeId: entry.nodeId,
+        categoryPath: entry.categoryPath,
+        isPrimary: entry.isPrimary,
+        before,
+        after,
+        change,
+        changePercent: comparable ? Math.round((change / before.averageRank) * 10000) / 100 : null,
+        direction: !comparable ? 'insufficient_data' : change < 0 ? 'improved' : change > 0 ? 'declined' : 'unchanged',
+        readings: entry.readings
+    };
+});
+
+module.exports = {
+    saveBsrReadings,
+    findBsrReadings,
+    groupBsrSeries,
+    summarizeRankMovement
+};
@@ -0,0 +1,65 @@
+const { executeQuery } = require('../config/database');
+
+/**
+ * Attach competitor ASINs to one of our products; ASINs already attached are ignored
+ */
+const addCompetitors = async (product, competitorAsins) => {
+    for (const competitorAsin of competitorAsins) {
+        await executeQuery(`
+            INSERT IGNORE INTO product_competitors (product_id, competitor_asin, marketplace)
+            VALUES (?, ?, ?)
+        `, [product.id, competitorAsin, product.marketplace]);
+    }
+};
+
+/**
+ * Point a competitor link at the products row created when the competitor was scraped
+ */
+const linkCompetitorProduct = async (productId, competitorAsin, competitorProductId) => {
+    await executeQuery(
+        'UPDATE product_competitors SET competitor_product_id = ? WHERE product_id = ? AND competitor_asin = ?',
+        [competitorProductId, productId, competitorAsin]
+    );
+};
+
+const removeCompetitor = async (productId, competitorAsin) => {
+    const result = await executeQuery(
+        'DELETE FROM product_competitors WHERE product_id = ? AND competitor_asin = ?',
+        [productId, competitorAsin]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Competitors of a product with their stored listing (product columns are null until fetched)
+ * @returns {Object[]} Rows of product_competitors joined with products
+ */
+const findCompetitors = async (productId) => {
+    return executeQuery(`
+        SELECT
+            c.competitor_asin,
+            c.marketplace,
+            c.created_at as added_at,
+            p.id as competitor_product_id,
+            p.title,
+            p.bullet_points,
+            p.description,
+            p.price,
+            p.currency,
+            p.price_amount,
+            p.rating,
+            p.review_count,
+            p.updated_at
+        FROM product_competitors c
+        LEFT JOIN products p ON c.competitor_product_id = p.id
+        WHERE c.product_id = ?
+        ORDER BY c.created_at ASC
+    `, [productId]);
+};
+
+module.exports = {
+    addCompetitors,
+    linkCompetitorProduct,
+    removeCompetitor,
+    findCompetitors
+};
@@ -1,4 +1,7 @@
 const { executeQuery } = require('../config/database');
+const { getMarketplace } = require('../services/marketplaces');
+const { parsePriceDetails } = require('../services/moneyParser');
+const { PROMPT_TEMPLATE_TYPES, DEFAULT_PROMPT_TEMPLATES } = require('../services/promptTemplates');
 
 const createDatabase = async () => {
     try {
@@ -8,37 +11,113 @@ const createDatabase = async () => {
         const createProductsTable = `
             CREATE TABLE IF NOT EXISTS products (
                 id INT AUTO_INCREMENT PRIMARY KEY,
-                asin VARCHAR(20) UNIQUE NOT NULL,
+                asin VARCHAR(20) NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
+                sku VARCHAR(64),
+                status VARCHAR(20) NOT NULL DEFAULT 'live',
                 title TEXT NOT NULL,
                 bullet_points TEXT,
                 description TEXT,
                 image_url VARCHAR(500),
                 price VARCHAR(50),
+                list_price VARCHAR(50),
+                currency CHAR(3),
+                price_amount INT,
+                list_price_amount INT,
+                price_min_amount INT,
+                price_max_amount INT,
                 availability VARCHAR(100),
+                offer JSON,
                 rating DECIMAL(3,2),
                 review_count INT,
+                rating_histogram JSON,
+                reviews_scraped_at TIMESTAMP NULL,
+                category VARCHAR(255),
+                category_tree JSON,
+                best_sellers_rank JSON,
+                brand VARCHAR(255),
+                parent_asin VARCHAR(20),
+                images JSON,
+                variations JSON,
+                specifications JSON,
+                attributes JSON,
+                data_source VARCHAR(20) NOT NULL DEFAULT 'scrape',
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_asin_marketplace (asin, marketplace),
                 INDEX idx_asin (asin),
+                INDEX idx_sku (sku),
+                INDEX idx_status (status),
+                INDEX idx_parent_asin (parent_asin),
+                INDEX idx_price_amount (price_amount),
                 INDEX idx_created_at (created_at)
             ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
         `;
         
+        // Create product_snapshots table: one immutable row per scrape
+        const createSnapshotsTable = `
+            CREATE TABLE IF NOT EXISTS product_snapshots (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                product_id INT NOT NULL,
+                asin VARCHAR(20) NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
+                title TEXT NOT NULL,
+                bullet_points TEXT,
+                description TEXT,
+                image_url VARCHAR(500),
+                price VARCHAR(50),
+                list_price VARCHAR(50),
+                currency CHAR(3),
+                price_amount INT,
+                list_price_amount INT,
+                price_min_amount INT,
+                price_max_amount INT,
+                availability VARCHAR(100),
+                offer JSON,
+                rating DECIMAL(3,2),
+                review_count INT,
+                rating_histogram JSON,
+                category VARCHAR(255),
+                category_tree JSON,
+                best_sellers_rank JSON,
+                brand VARCHAR(255),
+                parent_asin VARCHAR(20),
+                images JSON,
+                variations JSON,
+                specifications JSON,
+                attributes JSON,
+                data_source VARCHAR(20) NOT NULL DEFAULT 'scrape',
+                scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                INDEX idx_product_scraped (product_id, scraped_at),
+                INDEX idx_asin (asin)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
         // Create optimizations table for storing AI-generated improvements
         const createOptimizationsTable = `
             CREATE TABLE IF NOT EXISTS optimizations (
                 id INT AUTO_INCREMENT PRIMARY KEY,
                 product_id INT NOT NULL,
-                asin VARCHAR(20) NOT NULL,
+                snapshot_id INT NULL,
+                asin VARCHAR(20) NULL,
                 optimized_title TEXT NOT NULL,
                 optimized_bullet_points TEXT,
                 optimized_description TEXT,
                 suggested_keywords JSON,
+                optimized_content JSON,
+                prompt_versions JSON,
+                current_variant_id INT NULL,
                 optimization_score DECIMAL(5,2),
-                gemini_model VARCHAR(50) DEFAULT 'gemini-2.0-flash-exp',
+                llm_provider VARCHAR(30) NOT NULL DEFAULT 'gemini',
+                gemini_model VARCHAR(100),
+                input_tokens INT NULL,
+                output_tokens INT NULL,
+                estimated_cost DECIMAL(12,6) NULL,
                 optimization_metadata JSON,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                CONSTRAINT fk_optimizations_snapshot FOREIGN KEY (snapshot_id) REFERENCES product_snapshots(id) ON DELETE SET NULL,
                 INDEX idx_asin (asin),
                 INDEX idx_product_id (product_id),
                 INDEX idx_created_at (created_at)
@@ -49,9 +128,9 @@ const createDatabase = async () => {
         const createHistoryTable = `
             CREATE TABLE IF NOT EXISTS optimization_history (
                 id INT AUTO_INCREMENT PRIMARY KEY,
-                asin VARCHAR(20) NOT NULL,
+                asin VARCHAR(20) NULL,
                 optimization_id INT NOT NULL,
-                action_type ENUM('created', 'updated', 'viewed') DEFAULT 'created',
+                action_type ENUM('created', 'updated', 'viewed', 'feedback') DEFAULT 'created',
                 user_feedback JSON,
                 performance_metrics JSON,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -67,6 +146,7 @@ const createDatabase = async () => {
             CREATE TABLE IF NOT EXISTS keyword_tracking (
                 id INT AUTO_INCREMENT PRIMARY KEY,
                 asin VARCHAR(20) NOT NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
                 keyword VARCHAR(255) NOT NULL,
                 source ENUM('original', 'suggested', 'manual') DEFAULT 'suggested',
                 search_volume INT,
@@ -77,7 +157,170 @@ const createDatabase = async () => {
                 INDEX idx_asin (asin),
                 INDEX idx_keyword (keyword),
                 INDEX idx_source (source),
-                UNIQUE KEY unique_asin_keyword (asin, keyword)
+                UNIQUE KEY unique_asin_marketplace_keyword (asin, marketplace, keyword)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create product_reviews table for scraped customer reviews
+        const createReviewsTable = `
+            CREATE TABLE IF NOT EXISTS product_reviews (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                product_id INT NOT NULL,
+                asin VARCHAR(20) NOT NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
+                review_id VARCHAR(32) NOT NULL,
+                title VARCHAR(500),
+                body TEXT,
+                rating TINYINT,
+                review_date DATE,
+                verified_purchase BOOLEAN DEFAULT FALSE,
+                author VARCHAR(255),
+                helpful_votes INT DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_marketplace_review (marketplace, review_id),
+                INDEX idx_product_id (product_id),
+                INDEX idx_rating (rating),
+                INDEX idx_review_date (review_date)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create watchlist table for ASINs re-scraped on a schedule
+        const createWatchlistTable = `
+            CREATE TABLE IF NOT EXISTS watchlist (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                asin VARCHAR(20) NOT NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
+                interval_minutes INT NOT NULL DEFAULT 1440,
+                rules JSON,
+                enabled BOOLEAN DEFAULT TRUE,
+                last_checked_at TIMESTAMP NULL,
+                next_check_at TIMESTAMP NULL,
+                last_snapshot_id INT NULL,
+                last_error VARCHAR(500),
+                consecutive_failures INT DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_watch_asin_marketplace (asin, marketplace),
+                INDEX idx_next_check (enabled, next_check_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create alerts table for changes detected on watched products
+        const createAlertsTable = `
+            CREATE TABLE IF NOT EXISTS alerts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                watchlist_id INT NULL,
+                product_id INT NOT NULL,
+                asin VARCHAR(20) NOT NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
+                alert_type VARCHAR(50) NOT NULL,
+                severity ENUM('info', 'warning', 'critical') DEFAULT 'warning',
+                message VARCHAR(500) NOT NULL,
+                details JSON,
+                from_snapshot_id INT NULL,
+                to_snapshot_id INT NULL,
+                acknowledged BOOLEAN DEFAULT FALSE,
+                acknowledged_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (watchlist_id) REFERENCES watchlist(id) ON DELETE SET NULL,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                INDEX idx_asin (asin),
+                INDEX idx_alert_type (alert_type),
+                INDEX idx_acknowledged (acknowledged),
+                INDEX idx_created_at (created_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create product_competitors table linking our products to competitor ASINs
+        const createCompetitorsTable = `
+            CREATE TABLE IF NOT EXISTS product_competitors (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                product_id INT NOT NULL,
+                competitor_asin VARCHAR(20) NOT NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
+                competitor_product_id INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (competitor_product_id) REFERENCES products(id) ON DELETE SET NULL,
+                UNIQUE KEY unique_product_competitor (product_id, competitor_asin),
+                INDEX idx_competitor_asin (competitor_asin)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create bsr_readings table: one row per Best Sellers Rank entry per scrape
+        const createBsrReadingsTable = `
+            CREATE TABLE IF NOT EXISTS bsr_readings (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                product_id INT NOT NULL,
+                snapshot_id INT NULL,
+                asin VARCHAR(20) NOT NULL,
+                marketplace VARCHAR(5) NOT NULL DEFAULT 'us',
+                sales_rank INT NOT NULL,
+                category VARCHAR(255) NOT NULL,
+                category_path JSON,
+                node_id VARCHAR(20),
+                is_primary BOOLEAN DEFAULT FALSE,
+                recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                FOREIGN KEY (snapshot_id) REFERENCES product_snapshots(id) ON DELETE SET NULL,
+                INDEX idx_product_recorded (product_id, recorded_at),
+                INDEX idx_node_id (node_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create optimization_variants table: A/B alternatives generated in one optimization run
+        const createVariantsTable = `
+            CREATE TABLE IF NOT EXISTS optimization_variants (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                optimization_id INT NOT NULL,
+                angle VARCHAR(30) NOT NULL,
+                variant_rank INT NOT NULL,
+                title TEXT NOT NULL,
+                bullet_points TEXT,
+                description TEXT,
+                suggested_keywords JSON,
+                content JSON,
+                optimization_score DECIMAL(5,2),
+                compliance JSON,
+                is_winner BOOLEAN NOT NULL DEFAULT FALSE,
+                selected_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (optimization_id) REFERENCES optimizations(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_optimization_angle (optimization_id, angle)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create prompt_templates table: versioned instructions per listing field, one active version per type
+        const createPromptTemplatesTable = `
+            CREATE TABLE IF NOT EXISTS prompt_templates (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                template_type VARCHAR(20) NOT NULL,
+                version INT NOT NULL,
+                name VARCHAR(100),
+                body TEXT NOT NULL,
+                variables JSON,
+                is_active BOOLEAN NOT NULL DEFAULT FALSE,
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_type_version (template_type, version),
+                INDEX idx_type_active (template_type, is_active)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        `;
+        
+        // Create llm_usage table: one row per LLM request, for cost reporting and budgets
+        const createLlmUsageTable = `
+            CREATE TABLE IF NOT EXISTS llm_usage (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                provider VARCHAR(30) NOT NULL,
+                model VARCHAR(100),
+                input_tokens INT NULL,
+                output_tokens INT NULL,
+                estimated_cost DECIMAL(12,6) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_created_at (created_at)
             ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
         `;
         
@@ -85,6 +328,9 @@ const createDatabase = async () => {
         await executeQuery(createProductsTable);
         console.log('✅ Products table created/verified');
         
+        await executeQuery(createSnapshotsTable);
+        console.log('✅ Product snapshots table created/verified');
+        
         await executeQuery(createOptimizationsTable);
         console.log('✅ Optimizations table created/verified');
         
@@ -94,6 +340,33 @@ const createDatabase = async () => {
         await executeQuery(createKeywordTable);
         console.log('✅ Keyword tracking table created/verified');
         
+        await migrateSchema();
+        
+        await executeQuery(createReviewsTable);
+        console.log('✅ Product reviews table created/verified');
+        
+        await executeQuery(createWatchlistTable);
+        console.log('✅ Watchlist table created/verified');
+        
+        await executeQuery(createAlertsTable);
+        console.log('✅ Alerts table created/verified');
+        
+        await executeQuery(createCompetitorsTable);
+        console.log('✅ Product competitors table created/verified');
+        
+        await executeQuery(createBsrReadingsTable);
+        console.log('✅ BSR readings table created/verified');
+        
+        await executeQuery(createVariantsTable);
+        console.log('✅ Optimization variants table created/verified');
+        
+        await executeQuery(createPromptTemplatesTable);
+        console.log('✅ Prompt templates table created/verified');
+        await seedPromptTemplates();
+        
+        await executeQuery(createLlmUsageTable);
+        console.log('✅ LLM usage table created/verified');
+        
         console.log('🎉 Database schema setup completed successfully!');
         
     } catch (error) {
@@ -102,14 +375,250 @@ const createDatabase = async () => {
     }
 };
 
+const columnExists = async (table, column) => {
+    const result = await executeQuery(
+        'SELECT COUNT(*) as count FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    return result[0].count > 0;
+};
+
+const indexExists = async (table, index) => {
+    const result = await executeQuery(
+        'SELECT COUNT(*) as count FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+        [table, index]
+    );
+    return result[0].count > 0;
+};
+
+const addColumnIfMissing = async (table, column, definition) => {
+    if (!(await columnExists(table, column))) {
+        await executeQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ Added ${table}.${column}`);
+    }
+};
+
+const makeColumnNullable = async (table, column, definition) => {
+    const result = await executeQuery(
+        'SELECT IS_NULLABLE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    if (result.length > 0 && result[0].IS_NULLABLE === 'NO') {
+        await executeQuery(`ALTER TABLE ${table} MODIFY ${column} ${definition} NULL`);
+        console.log(`✅ Made ${table}.${column} nullable`);
+    }
+};
+
+// Parse price strings stored before the amount columns existed
+const backfillPriceAmounts = async (table) => {
+    const rows = await executeQuery(
+        `SELECT id, marketplace, price, list_price FROM ${table} WHERE price IS NOT NULL AND currency IS NULL`
+    );
+
+    let parsed = 0;
+    for (const row of rows) {
+        const details = parsePriceDetails(row.price, row.list_price, getMarketplace(row.marketplace));
+        if (!details) continue;
+
+        await executeQuery(
+            `UPDATE ${table} SET currency = ?, price_amount = ?, list_price_amount = ?, price_min_amount = ?, price_max_amount = ? WHERE id = ?`,
+            [details.currency, details.amount, details.listAmount, details.minAmount, details.maxAmount, row.id]
+        );
+        parsed++;
+    }
+
+    if (parsed > 0) {
+        console.log(`✅ Parsed ${parsed} ${table} price(s) into amounts`);
+    }
+};
+
+// Bring databases created by older versions of the schema up to date
+const migrateSchema = async () => {
+    // Products are keyed on (asin, marketplace) rather than asin alone
+    await addColumnIfMissing('products', 'marketplace', "VARCHAR(5) NOT NULL DEFAULT 'us' AFTER asin");
+    await addColumnIfMissing('products', 'category', 'VARCHAR(255) AFTER review_count');
+    await addColumnIfMissing('products', 'brand', 'VARCHAR(255) AFTER category');
+
+    if (await indexExists('products', 'asin')) {
+        await executeQuery('ALTER TABLE products DROP INDEX asin');
+    }
+    if (!(await indexExists('products', 'unique_asin_marketplace'))) {
+        await executeQuery('ALTER TABLE products ADD UNIQUE KEY unique_asin_marketplace (asin, marketplace)');
+        console.log('✅ Products keyed on (asin, marketplace)');
+    }
+
+    // Gallery images, variation twister and specification tables
+    await addColumnIfMissing('products', 'parent_asin', 'VARCHAR(20) AFTER brand');
+    await addColumnIfMissing('products', 'images', 'JSON AFTER parent_asin');
+    await addColumnIfMissing('products', 'variations', 'JSON AFTER images');
+    await addColumnIfMissing('products', 'specifications', 'JSON AFTER variations');
+
+    // Star histogram from the product and review pages
+    await addColumnIfMissing('products', 'rating_histogram', 'JSON AFTER review_count');
+
+    // When reviews were last scraped, so products with no reviews are cached too
+    await addColumnIfMissing('products', 'reviews_scraped_at', 'TIMESTAMP NULL AFTER rating_histogram');
+
+    // Breadcrumb tree and Best Sellers Rank entries
+    for (const table of ['products', 'product_snapshots']) {
+        await addColumnIfMissing(table, 'category_tree', 'JSON AFTER category');
+        await addColumnIfMissing(table, 'best_sellers_rank', 'JSON AFTER category_tree');
+    }
+
+    // Buy-box seller, fulfillment and offer count
+    await addColumnIfMissing('products', 'offer', 'JSON AFTER availability');
+    await addColumnIfMissing('product_snapshots', 'offer', 'JSON AFTER availability');
+
+    // Prices parsed into currency and minor-unit amounts next to the scraped strings
+    for (const table of ['products', 'product_snapshots']) {
+        await addColumnIfMissing(table, 'list_price', 'VARCHAR(50) AFTER price');
+        await addColumnIfMissing(table, 'currency', 'CHAR(3) AFTER list_price');
+        await addColumnIfMissing(table, 'price_amount', 'INT AFTER currency');
+        await addColumnIfMissing(table, 'list_price_amount', 'INT AFTER price_amount');
+        await addColumnIfMissing(table, 'price_min_amount', 'INT AFTER list_price_amount');
+        await addColumnIfMissing(table, 'price_max_amount', 'INT AFTER price_min_amount');
+        await backfillPriceAmounts(table);
+    }
+    if (!(await indexExists('products', 'idx_price_amount'))) {
+        await executeQuery('ALTER TABLE products ADD INDEX idx_price_amount (price_amount)');
+    }
+
+    // Seller SKU and where the listing data came from (scrape or import)
+    await addColumnIfMissing('products', 'sku', 'VARCHAR(64) AFTER marketplace');
+    if (!(await indexExists('products', 'idx_sku'))) {
+        await executeQuery('ALTER TABLE products ADD INDEX idx_sku (sku)');
+    }
+    await addColumnIfMissing('products', 'data_source', "VARCHAR(20) NOT NULL DEFAULT 'scrape' AFTER specifications");
+    await addColumnIfMissing('product_snapshots', 'data_source', "VARCHAR(20) NOT NULL DEFAULT 'scrape' AFTER specifications");
+
+    // Draft products have no ASIN until Amazon assigns one
+    for (const table of ['products', 'product_snapshots', 'optimizations', 'optimization_history']) {
+        await makeColumnNullable(table, 'asin', 'VARCHAR(20)');
+    }
+    await addColumnIfMissing('products', 'status', "VARCHAR(20) NOT NULL DEFAULT 'live' AFTER sku");
+    if (!(await indexExists('products', 'idx_status'))) {
+        await executeQuery('ALTER TABLE products ADD INDEX idx_status (status)');
+    }
+    await addColumnIfMissing('products', 'attributes', 'JSON AFTER specifications');
+    await addColumnIfMissing('product_snapshots', 'attributes', 'JSON AFTER specifications');
+
+    // Optimizations record the LLM provider and the model that actually answered; gemini_model
+    // keeps its name for compatibility but holds any provider's model (rows before this were all Gemini)
+    await addColumnIfMissing('optimizations', 'llm_provider', "VARCHAR(30) NOT NULL DEFAULT 'gemini' AFTER optimization_score");
+    const modelColumn = await executeQuery(
+        'SELECT CHARACTER_MAXIMUM_LENGTH AS length FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        ['optimizations', 'gemini_model']
+    );
+    if (modelColumn.length > 0 && modelColumn[0].length < 100) {
+        await executeQuery('ALTER TABLE optimizations MODIFY gemini_model VARCHAR(100) NULL DEFAULT NULL');
+        console.log('✅ Widened optimizations.gemini_model');
+    }
+
+    // The validated { title, bullets, description, keywords, rationale } answer; older rows only have the text columns
+    await addColumnIfMissing('optimizations', 'optimized_content', 'JSON AFTER suggested_keywords');
+
+    // Template version per prompt type ({ title: 2, ... }); optimizations before templates have none
+    await addColumnIfMissing('optimizations', 'prompt_versions', 'JSON AFTER optimized_content');
+
+    // A/B runs keep their alternatives in optimization_variants; this points at the one whose copy the row holds
+    await addColumnIfMissing('optimizations', 'current_variant_id', 'INT NULL AFTER prompt_versions');
+
+    // Token usage and estimated cost of all the requests behind an optimization (repairs and variants included)
+    await addColumnIfMissing('optimizations', 'input_tokens', 'INT NULL AFTER gemini_model');
+    await addColumnIfMissing('optimizations', 'output_tokens', 'INT NULL AFTER input_tokens');
+    await addColumnIfMissing('optimizations', 'estimated_cost', 'DECIMAL(12,6) NULL AFTER output_tokens');
+
+    // POST /api/history/:optimizationId/feedback writes a 'feedback' action, which the original ENUM rejected
+    const actionColumn = await executeQuery(
+        'SELECT COLUMN_TYPE AS type FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        ['optimization_history', 'action_type']
+    );
+    if (actionColumn.length > 0 && !actionColumn[0].type.includes("'feedback'")) {
+        await executeQuery("ALTER TABLE optimization_history MODIFY action_type ENUM('created', 'updated', 'viewed', 'feedback') DEFAULT 'created'");
+        console.log('✅ Added feedback to optimization_history.action_type');
+    }
+
+    // Keywords are tracked per marketplace, like the products they were suggested for
+    await addColumnIfMissing('keyword_tracking', 'marketplace', "VARCHAR(5) NOT NULL DEFAULT 'us' AFTER asin");
+    if (await indexExists('keyword_tracking', 'unique_asin_keyword')) {
+        await executeQuery('ALTER TABLE keyword_tracking DROP INDEX unique_asin_keyword');
+    }
+    if (!(await indexExists('keyword_tracking', 'unique_asin_marketplace_keyword'))) {
+        await executeQuery('ALTER TABLE keyword_tracking ADD UNIQUE KEY unique_asin_marketplace_keyword (asin, marketplace, keyword)');
+        console.log('✅ Keywords keyed on (asin, marketplace, keyword)');
+    }
+
+    // Optimizations point at the snapshot they were generated from
+    await addColumnIfMissing('optimizations', 'snapshot_id', 'INT NULL AFTER product_id');
+    if (!(await indexExists('optimizations', 'fk_optimizations_snapshot'))) {
+        await executeQuery(
+            'ALTER TABLE optimizations ADD CONSTRAINT fk_optimizations_snapshot FOREIGN KEY (snapshot_id) REFERENCES product_snapshots(id) ON DELETE SET NULL'
+        );
+    }
+
+    // Products scraped before snapshots existed get one from their current row, and their
+    // optimizations are linked to it (the listing they were generated from is no longer known)
+    const backfilled = await executeQuery(`
+        INSERT INTO product_snapshots (
+            product_id, asin, marketplace, title, bullet_points, description, image_url, price, list_price, currency,
+            price_amount, list_price_amount, price_min_amount, price_max_amount, availability, offer,
+            rating, review_count, rating_histogram, category, category_tree, best_sellers_rank, brand, parent_asin,
+            images, variations, specifications, attributes, data_source, scraped_at
+        )
+        SELECT
+            p.id, p.asin, p.marketplace, p.title, p.bullet_points, p.description, p.image_url, p.price, p.list_price, p.currency,
+            p.price_amount, p.list_price_amount, p.price_min_amount, p.price_max_amount, p.availability, p.offer,
+            p.rating, p.review_count, p.rating_histogram, p.category, p.category_tree, p.best_sellers_rank, p.brand, p.parent_asin,
+            p.images, p.variations, p.specifications, p.attributes, p.data_source, p.updated_at
+        FROM products p
+        WHERE NOT EXISTS (SELECT 1 FROM product_snapshots s WHERE s.product_id = p.id)
+    `);
+    if (backfilled.affectedRows > 0) {
+        console.log(`✅ Backfilled ${backfilled.affectedRows} product snapshot(s)`);
+    }
+
+    await executeQuery(`
+        UPDATE optimizations o
+        JOIN (SELECT product_id, MIN(id) AS snapshot_id FROM product_snapshots GROUP BY product_id) s
+            ON s.product_id = o.product_id
+        SET o.snapshot_id = s.snapshot_id
+        WHERE o.snapshot_id IS NULL
+    `);
+};
+
+/**
+ * Store the built-in prompts as active version 1 of each template type that has no versions yet
+ */
+const seedPromptTemplates = async () => {
+    for (const type of PROMPT_TEMPLATE_TYPES) {
+        const existing = await executeQuery('SELECT id FROM prompt_templates WHERE template_type = ? LIMIT 1', [type]);
+        if (existing.length > 0) continue;
+
+        await executeQuery(
+            'INSERT INTO prompt_templates (template_type, version, name, body, variables, is_active) VALUES (?, 1, ?, ?, ?, TRUE)',
+            [type, 'Built-in default', DEFAULT_PROMPT_TEMPLATES[type], JSON.stringify([])]
+        );
+        console.log(`✅ Seeded default ${type} prompt template`);
+    }
+};
+
 const dropTables = async () => {
     try {
         console.log('🗑️ Dropping all tables...');
         
         await executeQuery('SET FOREIGN_KEY_CHECKS = 0');
+        await executeQuery('DROP TABLE IF EXISTS llm_usage');
+        await executeQuery('DROP TABLE IF EXISTS prompt_templates');
+        await executeQuery('DROP TABLE IF EXISTS bsr_readings');
+        await executeQuery('DROP TABLE IF EXISTS product_competitors');
+        await executeQuery('DROP TABLE IF EXISTS alerts');
+        await executeQuery('DROP TABLE IF EXISTS watchlist');
+        await executeQuery('DROP TABLE IF EXISTS product_reviews');
         await executeQuery('DROP TABLE IF EXISTS keyword_tracking');
+        await executeQuery('DROP TABLE IF EXISTS optimization_variants');
         await executeQuery('DROP TABLE IF EXISTS optimization_history');
         await executeQuery('DROP TABLE IF EXISTS optimizations');
+        await executeQuery('DROP TABLE IF EXISTS product_snapshots');
         await executeQuery('DROP TABLE IF EXISTS products');
         await executeQuery('SET FOREIGN_KEY_CHECKS = 1');
         
@@ -126,8 +635,11 @@ const seedTestData = async () => {
         
         // Insert sample product
         const sampleProduct = `
-            INSERT IGNORE INTO products (asin, title, bullet_points, description, price, availability, rating, review_count)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT IGNORE INTO products (
+                asin, title, bullet_points, description, price, currency, price_amount, price_min_amount, price_max_amount,
+                availability, rating, review_count
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         const productData = [
@@ -136,6 +648,10 @@ const seedTestData = async () => {
             '• Meet the all-new Echo Dot - Our most popular smart speaker with Alexa. The sleek, compact design delivers crisp vocals and balanced bass for full sound.\n• Voice control your entertainment - Stream songs from Amazon Music, Apple Music, Spotify, SiriusXM, and others.\n• Make life easier - Set timers, ask questions, play music, and control compatible smart home devices with your voice.',
             'Introducing Echo Dot - Our most compact smart speaker that fits perfectly into small spaces. Powered by Alexa, Echo Dot delivers crisp vocals and balanced bass for full sound that fills the room.',
             '$49.99',
+            'USD',
+            4999,
+            4999,
+            4999,
             'In Stock',
             4.7,
             89543
@@ -154,6 +670,7 @@ const seedTestData = async () => {
 
 module.exports = {
     createDatabase,
+    migrateSchema,
     dropTables,
     seedTestData
 };
\ No newline at end of file
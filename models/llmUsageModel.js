@@ -0,0 +1,68 @@
+const { executeQuery } = require('../config/database');
+const { budgetPeriodStart } = require('../services/llmCost');
+
+/**
+ * Record one LLM generation, including repair attempts and calls whose optimization failed.
+ * The timestamp comes from Node, like the budget periods it is compared against.
+ * @param {Object} usage - { provider, model, inputTokens, outputTokens, costUsd }
+ */
+const recordLlmUsage = async (usage) => {
+    await executeQuery(
+        'INSERT INTO llm_usage (provider, model, input_tokens, output_tokens, estimated_cost, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [usage.provider, usage.model || null, usage.inputTokens ?? null, usage.outputTokens ?? null, usage.costUsd ?? null, new Date()]
+    );
+};
+
+/**
+ * Estimated spend today and this calendar month, with the period starts of services/llmCost.js
+ * @returns {Object} { dailyUsd, monthlyUsd }
+ */
+const getLlmSpend = async (now = new Date()) => {
+    const rows = await executeQuery(`
+        SELECT
+            COALESCE(SUM(CASE WHEN created_at >= ? THEN estimated_cost END), 0) AS daily_cost,
+            COALESCE(SUM(estimated_cost), 0) AS monthly_cost
+        FROM llm_usage
+        WHERE created_at >= ?
+    `, [budgetPeriodStart('daily', now), budgetPeriodStart('monthly', now)]);
+    return {
+        dailyUsd: parseFloat(rows[0].daily_cost),
+        monthlyUsd: parseFloat(rows[0].monthly_cost)
+    };
+};
+
+/**
+ * Requests, tokens and estimated cost per provider and model over the last `days` days
+ */
+const findUsageByModel = async (days = 30) => {
+    const rows = await executeQuery(`
+        SELECT
+            provider,
+            model,
+            COUNT(*) AS requests,
+            COALESCE(SUM(input_tokens), 0) AS input_tokens,
+            COALESCE(SUM(output_tokens), 0) AS output_tokens,
+            COALESCE(SUM(estimated_cost), 0) AS estimated_cost,
+            SUM(estimated_cost IS NULL) AS unpriced_requests
+        FROM llm_usage
+        WHERE created_at >= ?
+        GROUP BY provider, model
+        ORDER BY estimated_cost DESC
+    `, [new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000)]);
+    return rows.map(row => ({
+        provider: row.provider,
+        model: row.model,
+        requests: Number(row.requests),
+        inputTokens: Number(row.input_tokens),
+        outputTokens: Number(row.output_tokens),
+        estimatedCostUsd: parseFloat(row.estimated_cost),
+        // Recorded before unknown models were charged a fallback price
+        unpricedRequests: Number(row.unpriced_requests)
+    }));
+};
+
+module.exports = {
+    recordLlmUsage,
+    getLlmSpend,
+    findUsageByModel
+};
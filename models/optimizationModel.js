@@ -0,0 +1,217 @@
+const { executeQuery } = require('../config/database');
+const { parseJsonColumn } = require('./productModel');
+const { splitBullets } = require('../services/listingText');
+
+/**
+ * Titles and bullet points we have generated for a product, used to tell our
+ * own listing edits apart from someone else's
+ * @returns {Object[]} [{ title, bulletPoints }]
+ */
+const findOptimizedListings = async (productId) => {
+    const rows = await executeQuery(
+        'SELECT optimized_title, optimized_bullet_points FROM optimizations WHERE product_id = ?',
+        [productId]
+    );
+    return rows.map(row => ({
+        title: row.optimized_title,
+        bulletPoints: row.optimized_bullet_points
+    }));
+};
+
+/**
+ * An optimizations row, with the marketplace of its product
+ */
+const findOptimization = async (id) => {
+    const rows = await executeQuery(
+        'SELECT o.*, p.marketplace FROM optimizations o LEFT JOIN products p ON p.id = o.product_id WHERE o.id = ? LIMIT 1',
+        [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Store a fresh optimization and log it in optimization_history
+ * @param {Object} result - GeminiOptimizer.optimizeProduct result
+ * @returns {number} Optimization id
+ */
+const insertOptimization = async (product, snapshotId, result, score) => {
+    const { insertId } = await executeQuery(`
+        INSERT INTO optimizations (
+            product_id, snapshot_id, asin, optimized_title, optimized_bullet_points,
+            optimized_description, suggested_keywords, optimized_content, prompt_versions, optimization_score,
+            llm_provider, gemini_model, input_tokens, output_tokens, estimated_cost, optimization_metadata
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        product.id,
+        snapshotId,
+        product.asin,
+        result.optimized.title,
+        result.optimized.bulletPoints,
+        result.optimized.description,
+        JSON.stringify(result.optimized.suggestedKeywords),
+        JSON.stringify(result.content),
+        JSON.stringify(result.metadata.promptVersions),
+        score,
+        result.metadata.provider,
+        result.metadata.modelUsed,
+        result.metadata.usage.inputTokens,
+        result.metadata.usage.outputTokens,
+        result.metadata.usage.costUsd,
+        JSON.stringify(result.metadata)
+    ]);
+
+    await executeQuery(
+        'INSERT INTO optimization_history (asin, optimization_id, action_type) VALUES (?, ?, ?)',
+        [product.asin, insertId, 'created']
+    );
+    return insertId;
+};
+
+/**
+ * Suggested keywords are tracked per ASIN and marketplace, so drafts without an ASIN are skipped
+ */
+const trackSuggestedKeywords = async (asin, marketplace, keywords) => {
+    for (const keyword of asin ? keywords : []) {
+        await executeQuery(
+            'INSERT INTO keyword_tracking (asin, marketplace, keyword, source) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP',
+            [asin, marketplace, keyword, 'suggested']
+        );
+    }
+};
+
+/**
+ * Store the A/B variants of an optimization run; the first (best ranked) is the optimization's current copy
+ * @param {Object[]} variants - Ranked variants from GeminiOptimizer.optimizeProduct
+ * @returns {number[]} Variant ids, in the same order
+ */
+const insertVariants = async (optimizationId, variants) => {
+    const ids = [];
+    for (const variant of variants) {
+        const result = await executeQuery(`
+            INSERT INTO optimization_variants (
+                optimization_id, angle, variant_rank, title, bullet_points, description,
+                suggested_keywords, content, optimization_score, compliance
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            optimizationId,
+            variant.angle,
+            variant.rank,
+            variant.optimized.title,
+            variant.optimized.bulletPoints,
+            variant.optimized.description,
+            JSON.stringify(variant.optimized.suggestedKeywords),
+            JSON.stringify(variant.content),
+            variant.score,
+            JSON.stringify(variant.compliance)
+        ]);
+        ids.push(result.insertId);
+    }
+
+    if (ids.length > 0) {
+        await executeQuery('UPDATE optimizations SET current_variant_id = ? WHERE id = ?', [ids[0], optimizationId]);
+    }
+    return ids;
+};
+
+const findVariants = async (optimizationId) => {
+    return executeQuery(
+        'SELECT * FROM optimization_variants WHERE optimization_id = ? ORDER BY variant_rank',
+        [optimizationId]
+    );
+};
+
+const findVariant = async (optimizationId, variantId) => {
+    const rows = await executeQuery(
+        'SELECT * FROM optimization_variants WHERE optimization_id = ? AND id = ? LIMIT 1',
+        [optimizationId, variantId]
+    );
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Make a variant the winner: its copy becomes the optimization's current optimized content
+ */
+const selectWinningVariant = async (optimization, variant) => {
+    await executeQuery(`
+        UPDATE optimizations
+        SET optimized_title = ?, optimized_bullet_points = ?, optimized_description = ?,
+            suggested_keywords = ?, optimized_content = ?, optimization_score = ?, current_variant_id = ?
+        WHERE id = ?
+    `, [
+        variant.title,
+        variant.bullet_points,
+        variant.description,
+        JSON.stringify(parseJsonColumn(variant.suggested_keywords, [])),
+        JSON.stringify(parseJsonColumn(variant.content, null)),
+        variant.optimization_score,
+        variant.id,
+        optimization.id
+    ]);
+
+    await executeQuery(
+        'UPDATE optimization_variants SET is_winner = (id = ?), selected_at = IF(id = ?, NOW(), NULL) WHERE optimization_id = ?',
+        [variant.id, variant.id, optimization.id]
+    );
+
+    await executeQuery(
+        'INSERT INTO optimization_history (asin, optimization_id, action_type, user_feedback) VALUES (?, ?, ?, ?)',
+        [optimization.asin, optimization.id, 'updated', JSON.stringify({ winningVariantId: variant.id, angle: variant.angle })]
+    );
+};
+
+/**
+ * Optimized listing of a stored optimization; rows from before structured output
+ * have no optimized_content, so their bullets are split from the text column
+ */
+const formatOptimizedContent = (opt, suggestedKeywords) => {
+    const content = parseJsonColumn(opt.optimized_content, null);
+    return {
+        title: opt.optimized_title,
+        bullets: content ? content.bullets : splitBullets(opt.optimized_bullet_points),
+        bulletPoints: opt.optimized_bullet_points,
+        description: opt.optimized_description,
+        suggestedKeywords: suggestedKeywords,
+        rationale: content ? content.rationale : null
+    };
+};
+
+/**
+ * @param {Object} row - optimization_variants row
+ * @param {number} [currentVariantId] - optimizations.current_variant_id
+ */
+const formatVariant = (row, currentVariantId = null) => {
+    const content = parseJsonColumn(row.content, null);
+    return {
+        id: row.id,
+        optimizationId: row.optimization_id,
+        angle: row.angle,
+        rank: row.variant_rank,
+        optimized: {
+            title: row.title,
+            bullets: content ? content.bullets : [],
+            bulletPoints: row.bullet_points,
+            description: row.description,
+            suggestedKeywords: parseJsonColumn(row.suggested_keywords, []),
+            rationale: content ? content.rationale : null
+        },
+        score: row.optimization_score === null ? null : parseFloat(row.optimization_score),
+        compliance: parseJsonColumn(row.compliance, null),
+        isWinner: Boolean(row.is_winner),
+        isCurrent: row.id === currentVariantId,
+        selectedAt: row.selected_at,
+        createdAt: row.created_at
+    };
+};
+
+module.exports = {
+    findOptimizedListings,
+    findOptimization,
+    insertOptimization,
+    trackSuggestedKeywords,
+    insertVariants,
+    findVariants,
+    findVariant,
+    selectWinningVariant,
+    formatOptimizedContent,
+    formatVariant
+};
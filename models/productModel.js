@@ -0,0 +1,278 @@
+const { executeQuery } = require('../config/database');
+const { getMarketplace } = require('../services/marketplaces');
+const { describePrice, parsePriceDetails } = require('../services/moneyParser');
+
+/**
+ * list_price, currency and the minor-unit amount columns for a product or snapshot row
+ * @param {Object} productData - Product object returned by AmazonScraper; priceDetails, when set, is used
+ *                               as it is instead of parsing the price strings with the marketplace locale
+ * @returns {Array} Values in column order
+ */
+const priceColumnValues = (productData) => {
+    const details = productData.priceDetails !== undefined
+        ? productData.priceDetails
+        : parsePriceDetails(productData.price, productData.listPrice, getMarketplace(productData.marketplace));
+    return [
+        productData.listPrice || null,
+        details ? details.currency : null,
+        details ? details.amount : null,
+        details ? details.listAmount : null,
+        details ? details.minAmount : null,
+        details ? details.maxAmount : null
+    ];
+};
+
+/**
+ * Insert or update a scraped or imported product, keyed on (asin, marketplace)
+ * @param {Object} productData - Product object returned by AmazonScraper; dataSource is 'scrape' unless set
+ * @returns {Object} Query result; insertId is the product id for inserts and updates alike
+ */
+const upsertProduct = async (productData) => {
+    const upsertQuery = `
+        INSERT INTO products (
+            asin, marketplace, sku, title, bullet_points, description, image_url, price, list_price, currency,
+            price_amount, list_price_amount, price_min_amount, price_max_amount, availability, offer,
+            rating, review_count, rating_histogram, category, category_tree, best_sellers_rank, brand, parent_asin,
+            images, variations, specifications, attributes, data_source
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+        id = LAST_INSERT_ID(id),
+        sku = COALESCE(VALUES(sku), sku),
+        title = VALUES(title),
+        bullet_points = VALUES(bullet_points),
+        description = VALUES(description),
+        image_url = VALUES(image_url),
+        price = VALUES(price),
+        list_price = VALUES(list_price),
+        currency = VALUES(currency),
+        price_amount = VALUES(price_amount),
+        list_price_amount = VALUES(list_price_amount),
+        price_min_amount = VALUES(price_min_amount),
+        price_max_amount = VALUES(price_max_amount),
+        availability = VALUES(availability),
+        offer = VALUES(offer),
+        rating = VALUES(rating),
+        review_count = VALUES(review_count),
+        rating_histogram = COALESCE(VALUES(rating_histogram), rating_histogram),
+        category = VALUES(category),
+        category_tree = VALUES(category_tree),
+        best_sellers_rank = VALUES(best_sellers_rank),
+        brand = VALUES(brand),
+        parent_asin = VALUES(parent_asin),
+        images = VALUES(images),
+        variations = VALUES(variations),
+        specifications = VALUES(specifications),
+        attributes = COALESCE(VALUES(attributes), attributes),
+        data_source = VALUES(data_source),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    return executeQuery(upsertQuery, [
+        productData.asin,
+        productData.marketplace,
+        productData.sku || null,
+        productData.title,
+        productData.bulletPoints,
+        productData.description,
+        productData.imageUrl,
+        productData.price,
+        ...priceColumnValues(productData),
+        productData.availability,
+        productData.offer ? JSON.stringify(productData.offer) : null,
+        productData.rating,
+        productData.reviewCount,
+        productData.ratingHistogram ? JSON.stringify(productData.ratingHistogram) : null,
+        productData.category || null,
+        JSON.stringify(productData.categoryTree || []),
+        JSON.stringify(productData.bestSellersRank || []),
+        productData.brand || null,
+        productData.parentAsin || null,
+        JSON.stringify(productData.images || []),
+        JSON.stringify(productData.variations || []),
+        JSON.stringify(productData.specifications || {}),
+        productData.attributes ? JSON.stringify(productData.attributes) : null,
+        productData.dataSource || 'scrape'
+    ]);
+};
+
+// Columns written by createProduct/updateProduct; the rest of a products row only comes from scrapes
+const MANUAL_COLUMNS = [
+    'asin', 'marketplace', 'sku', 'status', 'title', 'bullet_points', 'description', 'image_url', 'price',
+    'list_price', 'currency', 'price_amount', 'list_price_amount', 'price_min_amount', 'price_max_amount',
+    'category', 'brand', 'attributes'
+];
+
+const manualColumnValues = (productData) => {
+    const [listPrice, ...priceAmounts] = priceColumnValues(productData);
+    return [
+        productData.asin || null,
+        productData.marketplace,
+        productData.sku || null,
+        productData.status,
+        productData.title,
+        productData.bulletPoints || null,
+        productData.description || null,
+        productData.imageUrl || null,
+        productData.price || null,
+        listPrice,
+        ...priceAmounts,
+        productData.category || null,
+        productData.brand || null,
+        JSON.stringify(productData.attributes || {})
+    ];
+};
+
+/**
+ * Insert a hand-entered product or draft
+ * @param {Object} productData - { asin, marketplace, sku, status, title, bulletPoints, description, imageUrl,
+ *                               price, listPrice, priceDetails, category, brand, attributes }
+ * @returns {number} Product id
+ */
+const createProduct = async (productData) => {
+    const result = await executeQuery(
+        `INSERT INTO products (${MANUAL_COLUMNS.join(', ')}, data_source) VALUES (${MANUAL_COLUMNS.map(() => '?').join(', ')}, 'manual')`,
+        manualColumnValues(productData)
+    );
+    return result.insertId;
+};
+
+/**
+ * Overwrite the editable fields of a product. Its data source stays as it is, so an edited
+ * scraped product still refreshes from Amazon.
+ * @param {number} id
+ * @param {Object} productData - Same shape as createProduct, complete (merge partial edits first)
+ */
+const updateProduct = async (id, productData) => {
+    await executeQuery(
+        `UPDATE products SET ${MANUAL_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...manualColumnValues(productData), id]
+    );
+
+    // Optimizations written while the product was a draft pick up its new ASIN
+    if (productData.asin) {
+        await executeQuery(
+            'UPDATE optimizations SET asin = ? WHERE product_id = ? AND asin IS NULL',
+            [productData.asin, id]
+        );
+        await executeQuery(`
+            UPDATE optimization_history h
+            JOIN optimizations o ON o.id = h.optimization_id
+            SET h.asin = o.asin
+            WHERE o.product_id = ? AND h.asin IS NULL
+        `, [id]);
+    }
+};
+
+/**
+ * Delete a product; its snapshots, optimizations, reviews, alerts, BSR readings and competitor links go with it
+ * @returns {boolean} Whether a product was deleted
+ */
+const deleteProduct = async (id) => {
+    const result = await executeQuery('DELETE FROM products WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Find the stored product row for an ASIN in one marketplace
+ * @returns {Object|null} Raw database row
+ */
+const findProduct = async (asin, marketplace) => {
+    const rows = await executeQuery(
+        'SELECT * FROM products WHERE asin = ? AND marketplace = ? LIMIT 1',
+        [asin, marketplace]
+    );
+    return rows.length > 0 ? rows[0] : null;
+};
+
+const findProductById = async (id) => {
+    const rows = await executeQuery('SELECT * FROM products WHERE id = ? LIMIT 1', [id]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Find a product by seller SKU in one marketplace
+ * @returns {Object|null} Raw database row
+ */
+const findProductBySku = async (sku, marketplace) => {
+    const rows = await executeQuery(
+        'SELECT * FROM products WHERE sku = ? AND marketplace = ? ORDER BY id LIMIT 1',
+        [sku, marketplace]
+    );
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * JSON columns come back parsed from MySQL but as strings from MariaDB
+ */
+const parseJsonColumn = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+};
+
+/**
+ * Map a products row to the API response shape
+ */
+const formatProduct = (row) => ({
+    asin: row.asin,
+    marketplace: row.marketplace,
+    sku: row.sku || null,
+    title: row.title,
+    bulletPoints: row.bullet_points,
+    description: row.description,
+    imageUrl: row.image_url,
+    price: row.price,
+    listPrice: row.list_price || null,
+    priceDetails: row.price_amount === null || row.price_amount === undefined ? null : describePrice({
+        currency: row.currency,
+        amount: row.price_amount,
+        listAmount: row.list_price_amount,
+        minAmount: row.price_min_amount,
+        maxAmount: row.price_max_amount
+    }),
+    availability: row.availability,
+    offer: parseJsonColumn(row.offer, null),
+    rating: row.rating,
+    reviewCount: row.review_count,
+    ratingHistogram: parseJsonColumn(row.rating_histogram, null),
+    category: row.category,
+    categoryTree: parseJsonColumn(row.category_tree, []),
+    bestSellersRank: parseJsonColumn(row.best_sellers_rank, []),
+    brand: row.brand,
+    images: parseJsonColumn(row.images, []),
+    parentAsin: row.parent_asin,
+    variations: parseJsonColumn(row.variations, []),
+    specifications: parseJsonColumn(row.specifications, {}),
+    attributes: parseJsonColumn(row.attributes, {}),
+    dataSource: row.data_source || 'scrape'
+});
+
+/**
+ * A products row with its id, draft/live status and timestamps, for the product CRUD and list endpoints
+ */
+const formatProductRecord = (row) => ({
+    id: row.id,
+    ...formatProduct(row),
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+module.exports = {
+    upsertProduct,
+    priceColumnValues,
+    createProduct,
+    updateProduct,
+    deleteProduct,
+    findProduct,
+    findProductById,
+    findProductBySku,
+    formatProduct,
+    formatProductRecord,
+    parseJsonColumn
+};
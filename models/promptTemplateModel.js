@@ -0,0 +1,136 @@
+const { executeQuery } = require('../config/database');
+const { parseJsonColumn } = require('./productModel');
+const { extractVariables } = require('../services/promptTemplates');
+
+/**
+ * Save a new version of a template type; versions count up from 1 per type
+ * @returns {number} Template id
+ */
+const createTemplate = async ({ type, body, name, notes }) => {
+    const rows = await executeQuery(
+        'SELECT COALESCE(MAX(version), 0) + 1 AS next_version FROM prompt_templates WHERE template_type = ?',
+        [type]
+    );
+    const result = await executeQuery(`
+        INSERT INTO prompt_templates (template_type, version, name, body, variables, notes)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [type, rows[0].next_version, name || null, body, JSON.stringify(extractVariables(body)), notes || null]);
+    return result.insertId;
+};
+
+const findTemplate = async (id) => {
+    const rows = await executeQuery('SELECT * FROM prompt_templates WHERE id = ? LIMIT 1', [id]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * List templates, newest version first within each type
+ * @param {Object} filters - { type, active }
+ */
+const findTemplates = async ({ type, active } = {}) => {
+    const whereConditions = [];
+    const queryParams = [];
+
+    if (type) {
+        whereConditions.push('template_type = ?');
+        queryParams.push(type);
+    }
+
+    if (active !== undefined) {
+        whereConditions.push('is_active = ?');
+        queryParams.push(active);
+    }
+
+    const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+    return executeQuery(
+        `SELECT * FROM prompt_templates ${whereClause} ORDER BY template_type, version DESC`,
+        queryParams
+    );
+};
+
+/**
+ * Active template per type, in the shape the optimizer takes
+ * @returns {Object} { title: { body, version }, ... }; types without an active template are left out
+ */
+const findActiveTemplateSet = async () => {
+    const rows = await executeQuery('SELECT template_type, version, body FROM prompt_templates WHERE is_active = TRUE');
+    return Object.fromEntries(rows.map(row => [row.template_type, { body: row.body, version: row.version }]));
+};
+
+/**
+ * Make a template the active one for its type (and every other version of the type inactive)
+ */
+const activateTemplate = async (template) => {
+    await executeQuery(
+        'UPDATE prompt_templates SET is_active = (id = ?) WHERE template_type = ?',
+        [template.id, template.template_type]
+    );
+};
+
+/**
+ * Update name, notes or body. Callers must not change the body of a version optimizations already used.
+ */
+const updateTemplate = async (id, { name, notes, body }) => {
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+        updates.push('name = ?');
+        params.push(name);
+    }
+
+    if (notes !== undefined) {
+        updates.push('notes = ?');
+        params.push(notes);
+    }
+
+    if (body !== undefined) {
+        updates.push('body = ?', 'variables = ?');
+        params.push(body, JSON.stringify(extractVariables(body)));
+    }
+
+    if (updates.length === 0) return;
+
+    await executeQuery(`UPDATE prompt_templates SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+};
+
+const deleteTemplate = async (id) => {
+    const result = await executeQuery('DELETE FROM prompt_templates WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Number of optimizations generated with a template version
+ */
+const countTemplateUsage = async (template) => {
+    const rows = await executeQuery(
+        'SELECT COUNT(*) AS total FROM optimizations WHERE JSON_EXTRACT(prompt_versions, ?) = ?',
+        [`$.${template.template_type}`, template.version]
+    );
+    return rows[0].total;
+};
+
+const formatTemplate = (row) => ({
+    id: row.id,
+    type: row.template_type,
+    version: row.version,
+    name: row.name,
+    body: row.body,
+    variables: parseJsonColumn(row.variables, []),
+    isActive: Boolean(row.is_active),
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+module.exports = {
+    createTemplate,
+    findTemplate,
+    findTemplates,
+    findActiveTemplateSet,
+    activateTemplate,
+    updateTemplate,
+    deleteTemplate,
+    countTemplateUsage,
+    formatTemplate
+};
@@ -0,0 +1,148 @@
+const { executeQuery } = require('../config/database');
+
+/**
+ * Store scraped reviews for a product and refresh its star histogram
+ * @param {Object} product - products row
+ * @param {Object} reviewData - Result of AmazonScraper.fetchReviews
+ */
+const saveReviews = async (product, reviewData) => {
+    for (const review of reviewData.reviews) {
+        await executeQuery(`
+            INSERT INTO product_reviews (
+                product_id, asin, marketplace, review_id, title, body, rating,
+                review_date, verified_purchase, author, helpful_votes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+            title = VALUES(title),
+            body = VALUES(body),
+            rating = VALUES(rating),
+            helpful_votes = VALUES(helpful_votes),
+            updated_at = CURRENT_TIMESTAMP
+        `, [
+            product.id,
+            product.asin,
+            product.marketplace,
+            review.reviewId,
+            review.title,
+            review.body,
+            review.rating,
+            review.date,
+            review.verified,
+            review.author,
+            review.helpfulVotes
+        ]);
+    }
+
+    if (reviewData.histogram) {
+        await executeQuery(
+            'UPDATE products SET rating_histogram = ? WHERE id = ?',
+            [JSON.stringify(reviewData.histogram), product.id]
+        );
+    }
+
+    await executeQuery(
+        'UPDATE products SET reviews_scraped_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [product.id]
+    );
+};
+
+/**
+ * When reviews were last scraped for a product
+ * @returns {Date|null}
+ */
+const getLastScrapedAt = async (productId) => {
+    const result = await executeQuery(
+        'SELECT reviews_scraped_at FROM products WHERE id = ?',
+        [productId]
+    );
+    return result[0].reviews_scraped_at ? new Date(result[0].reviews_scraped_at) : null;
+};
+
+/**
+ * Query stored reviews with optional star and date filters
+ * @param {number} productId
+ * @param {Object} filters - { stars: number[], startDate, endDate, verified, limit, offset }
+ * @returns {Object} { reviews, total }
+ */
+const findReviews = async (productId, filters = {}) => {
+    const { stars, startDate, endDate, verified, limit = 20, offset = 0 } = filters;
+
+    const whereConditions = ['product_id = ?'];
+    const queryParams = [productId];
+
+    if (stars && stars.length > 0) {
+        whereConditions.push(`rating IN (${stars.map(() => '?').join(',')})`);
+        queryParams.push(...stars);
+    }
+
+    if (startDate) {
+        whereConditions.push('review_date >= ?');
+        queryParams.push(startDate);
+    }
+
+    if (endDate) {
+        whereConditions.push('review_date <= ?');
+        queryParams.push(endDate);
+    }
+
+    if (verified !== undefined) {
+        whereConditions.push('verified_purchase = ?');
+        queryParams.push(verified);
+    }
+
+    const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+    const countResult = await executeQuery(
+        `SELECT COUNT(*) as total FROM product_reviews ${whereClause}`,
+        queryParams
+    );
+
+    const rows = await executeQuery(`
+        SELECT * FROM product_reviews
+        ${whereClause}
+        ORDER BY helpful_votes DESC, review_date DESC
+        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+    `, queryParams);
+
+    return {
+        total: countResult[0].total,
+        reviews: rows.map(formatReview)
+    };
+};
+
+/**
+ * Most helpful positive (4-5★) and critical (1-3★) stored reviews
+ */
+const findTopReviews = async (productId) => {
+    const [topPositive] = await executeQuery(
+        'SELECT * FROM product_reviews WHERE product_id = ? AND rating >= 4 ORDER BY helpful_votes DESC LIMIT 1',
+        [productId]
+    );
+    const [topCritical] = await executeQuery(
+        'SELECT * FROM product_reviews WHERE product_id = ? AND rating <= 3 ORDER BY helpful_votes DESC LIMIT 1',
+        [productId]
+    );
+
+    return {
+        topPositive: topPositive ? formatReview(topPositive) : null,
+        topCritical: topCritical ? formatReview(topCritical) : null
+    };
+};
+
+const formatReview = (row) => ({
+    reviewId: row.review_id,
+    title: row.title,
+    body: row.body,
+    rating: row.rating,
+    date: row.review_date,
+    verified: Boolean(row.verified_purchase),
+    author: row.author,
+    helpfulVotes: row.helpful_votes
+});
+
+module.exports = {
+    saveReviews,
+    getLastScrapedAt,
+    findReviews,
+    findTopReviews
+};
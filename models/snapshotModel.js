@@ -0,0 +1,265 @@
+const { executeQuery } = require('../config/database');
+const { upsertProduct, priceColumnValues, formatProduct, parseJsonColumn } = require('./productModel');
+const { saveBsrReadings } = require('./bsrModel');
+const { describePrice } = require('../services/moneyParser');
+const { splitBullets } = require('../services/listingText');
+
+// Fields compared by the snapshot diff endpoint
+const DIFF_FIELDS = ['title', 'bulletPoints', 'price', 'rating', 'availability'];
+
+/**
+ * Store a scrape: update the current products row and append an immutable snapshot
+ * @param {Object} productData - Product object returned by AmazonScraper
+ * @returns {Object} { productId, snapshotId }
+ */
+const recordSnapshot = async (productData) => {
+    const { insertId: productId } = await upsertProduct(productData);
+    const snapshotId = await appendSnapshot(productId, productData);
+    return { productId, snapshotId };
+};
+
+/**
+ * Append a snapshot of a product as it is now stored, after a manual create or edit
+ * @returns {number} Snapshot id
+ */
+const snapshotStoredProduct = async (productId) => {
+    const rows = await executeQuery('SELECT * FROM products WHERE id = ? LIMIT 1', [productId]);
+    // An edited scraped product is still a scraped product, but this snapshot observed no new ranks
+    return appendSnapshot(productId, { ...formatProduct(rows[0]), dataSource: 'manual' });
+};
+
+/**
+ * Insert one immutable snapshot row
+ * @param {number} productId
+ * @param {Object} productData - AmazonScraper product shape; dataSource defaults to 'scrape'
+ * @returns {number} Snapshot id
+ */
+const appendSnapshot = async (productId, productData) => {
+    const result = await executeQuery(`
+        INSERT INTO product_snapshots (
+            product_id, asin, marketplace, title, bullet_points, description, image_url, price, list_price, currency,
+            price_amount, list_price_amount, price_min_amount, price_max_amount, availability, offer,
+            rating, review_count, rating_histogram, category, category_tree, best_sellers_rank, brand, parent_asin,
+            images, variations, specifications, attributes, data_source
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        productId,
+        productData.asin,
+        productData.marketplace,
+        productData.title,
+        productData.bulletPoints,
+        productData.description,
+        productData.imageUrl,
+        productData.price,
+        ...priceColumnValues(productData),
+        productData.availability,
+        productData.offer ? JSON.stringify(productData.offer) : null,
+        productData.rating,
+        productData.reviewCount,
+        productData.ratingHistogram ? JSON.stringify(productData.ratingHistogram) : null,
+        productData.category || null,
+        JSON.stringify(productData.categoryTree || []),
+        JSON.stringify(productData.bestSellersRank || []),
+        productData.brand || null,
+        productData.parentAsin || null,
+        JSON.stringify(productData.images || []),
+        JSON.stringify(productData.variations || []),
+        JSON.stringify(productData.specifications || {}),
+        productData.attributes ? JSON.stringify(productData.attributes) : null,
+        productData.dataSource || 'scrape'
+    ]);
+
+    // Imports and manual edits carry over the last scraped ranks rather than observing new ones
+    if ((productData.dataSource || 'scrape') === 'scrape') {
+        await saveBsrReadings(productId, result.insertId, productData);
+    }
+
+    return result.insertId;
+};
+
+/**
+ * Store a listing imported from a file. Fields left empty in the file keep their stored
+ * values, so importing over a scraped product doesn't wipe its rating, images or offer,
+ * and the product keeps its data source, so a scraped one still refreshes from Amazon.
+ * @param {Object} listing - { asin, marketplace, sku, title, bulletPoints, description, brand, category, price, priceDetails }
+ * @returns {Object} { productId, snapshotId, created }
+ */
+const recordImportedListing = async (listing) => {
+    const existing = await executeQuery(
+        'SELECT * FROM products WHERE asin = ? AND marketplace = ? LIMIT 1',
+        [listing.asin, listing.marketplace]
+    );
+    const current = existing.length > 0 ? formatProduct(existing[0]) : {
+        bulletPoints: null,
+        description: null,
+        imageUrl: null,
+        price: null,
+        availability: null,
+        rating: null,
+        reviewCount: null
+    };
+
+    const imported = Object.fromEntries(
+        Object.entries(listing).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+
+    // The file has no list price; keep the stored one while the currency matches
+    if (imported.priceDetails && current.priceDetails && current.priceDetails.currency === imported.priceDetails.currency) {
+        imported.priceDetails = describePrice({ ...imported.priceDetails, listAmount: current.priceDetails.listAmount });
+    }
+
+    const productData = { ...current, ...imported };
+    const { insertId: productId } = await upsertProduct({
+        ...productData,
+        dataSource: existing.length > 0 ? current.dataSource : 'import'
+    });
+    const snapshotId = await appendSnapshot(productId, { ...productData, dataSource: 'import' });
+    return { productId, snapshotId, created: existing.length === 0 };
+};
+
+/**
+ * Most recent snapshot id for a product, or null if it has never been scraped
+ */
+const getLatestSnapshotId = async (productId) => {
+    const rows = await executeQuery(
+        'SELECT id FROM product_snapshots WHERE product_id = ? ORDER BY scraped_at DESC, id DESC LIMIT 1',
+        [productId]
+    );
+    return rows.length > 0 ? rows[0].id : null;
+};
+
+/**
+ * Snapshots of a product, newest first
+ * @returns {Object} { snapshots, total }
+ */
+const findSnapshots = async (productId, { limit = 20, offset = 0 } = {}) => {
+    const countResult = await executeQuery(
+        'SELECT COUNT(*) as total FROM product_snapshots WHERE product_id = ?',
+        [productId]
+    );
+
+    const rows = await executeQuery(
+        `SELECT * FROM product_snapshots WHERE product_id = ? ORDER BY scraped_at DESC, id DESC LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+        [productId]
+    );
+
+    return {
+        total: countResult[0].total,
+        snapshots: rows.map(formatSnapshot)
+    };
+};
+
+/**
+ * One snapshot of a product; null when it doesn't exist or belongs to another product
+ */
+const findSnapshot = async (productId, snapshotId) => {
+    const rows = await executeQuery(
+        'SELECT * FROM product_snapshots WHERE id = ? AND product_id = ? LIMIT 1',
+        [snapshotId, productId]
+    );
+    return rows.length > 0 ? formatSnapshot(rows[0]) : null;
+};
+
+/**
+ * Buy-box holder per snapshot, newest first, flagging the scrapes where it changed hands
+ * @returns {Object} { history, total }
+ */
+const findOfferHistory = async (productId, { limit = 50, offset = 0 } = {}) => {
+    const countResult = await executeQuery(
+        'SELECT COUNT(*) as total FROM product_snapshots WHERE product_id = ?',
+        [productId]
+    );
+
+    // Fetch one extra row so the oldest entry on the page can be compared with its predecessor
+    const rows = await executeQuery(
+        `SELECT id, price, offer, scraped_at FROM product_snapshots WHERE product_id = ? ORDER BY scraped_at DESC, id DESC LIMIT ${parseInt(limit) + 1} OFFSET ${parseInt(offset)}`,
+        [productId]
+    );
+
+    const entries = rows.map(row => ({
+        snapshotId: row.id,
+        scrapedAt: row.scraped_at,
+        price: row.price,
+        ...(parseJsonColumn(row.offer, null) || { hasBuyBox: null, sellerId: null, soldBy: null })
+    }));
+
+    const history = entries.slice(0, parseInt(limit)).map((entry, index) => {
+        const previous = entries[index + 1];
+        return {
+            ...entry,
+            sellerChanged: previous ? previous.sellerId !== entry.sellerId || previous.hasBuyBox !== entry.hasBuyBox : null
+        };
+    });
+
+    return { history, total: countResult[0].total };
+};
+
+/**
+ * Snapshot rows share the products columns, so reuse the product shape
+ */
+const formatSnapshot = (row) => ({
+    id: row.id,
+    ...formatProduct(row),
+    scrapedAt: row.scraped_at
+});
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object} from - Older snapshot (formatSnapshot shape)
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { changed, changedFields, fields }
+ */
+const diffSnapshots = (from, to) => {
+    const fields = {};
+
+    for (const field of DIFF_FIELDS) {
+        let before = from[field] ?? null;
+        let after = to[field] ?? null;
+
+        if (field === 'rating') {
+            before = toNumber(before);
+            after = toNumber(after);
+        }
+
+        const entry = { changed: before !== after, from: before, to: after };
+
+        if (field === 'bulletPoints') {
+            const beforeBullets = splitBullets(before);
+            const afterBullets = splitBullets(after);
+            entry.added = afterBullets.filter(bullet => !beforeBullets.includes(bullet));
+            entry.removed = beforeBullets.filter(bullet => !afterBullets.includes(bullet));
+            entry.changed = entry.added.length > 0 || entry.removed.length > 0 ||
+                beforeBullets.join('\n') !== afterBullets.join('\n');
+        }
+
+        if (field === 'rating' && before !== null && after !== null) {
+            entry.delta = Math.round((after - before) * 100) / 100;
+        }
+
+        fields[field] = entry;
+    }
+
+    const changedFields = DIFF_FIELDS.filter(field => fields[field].changed);
+
+    return {
+        changed: changedFields.length > 0,
+        changedFields,
+        fields
+    };
+};
+
+module.exports = {
+    DIFF_FIELDS,
+    recordSnapshot,
+    recordImportedListing,
+    snapshotStoredProduct,
+    getLatestSnapshotId,
+    findSnapshots,
+    findSnapshot,
+    findOfferHistory,
+    formatSnapshot,
+    diffSnapshots
+};
@@ -0,0 +1,158 @@
+const { executeQuery } = require('../config/database');
+const { parseJsonColumn } = require('./productModel');
+
+/**
+ * Put an ASIN on watch; the first check is due immediately
+ * @returns {number} Watchlist entry id
+ */
+const createWatch = async ({ asin, marketplace, intervalMinutes, rules }) => {
+    const result = await executeQuery(`
+        INSERT INTO watchlist (asin, marketplace, interval_minutes, rules, next_check_at)
+        VALUES (?, ?, ?, ?, NOW())
+    `, [asin, marketplace, intervalMinutes, JSON.stringify(rules || {})]);
+    return result.insertId;
+};
+
+const findWatch = async (id) => {
+    const rows = await executeQuery('SELECT * FROM watchlist WHERE id = ? LIMIT 1', [id]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+const findWatchByAsin = async (asin, marketplace) => {
+    const rows = await executeQuery(
+        'SELECT * FROM watchlist WHERE asin = ? AND marketplace = ? LIMIT 1',
+        [asin, marketplace]
+    );
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * List watchlist entries
+ * @param {Object} filters - { marketplace, enabled, limit, offset }
+ * @returns {Object} { watches, total }
+ */
+const findWatches = async ({ marketplace, enabled, limit = 50, offset = 0 } = {}) => {
+    const whereConditions = [];
+    const queryParams = [];
+
+    if (marketplace) {
+        whereConditions.push('marketplace = ?');
+        queryParams.push(marketplace);
+    }
+
+    if (enabled !== undefined) {
+        whereConditions.push('enabled = ?');
+        queryParams.push(enabled);
+    }
+
+    const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+    const countResult = await executeQuery(`SELECT COUNT(*) as total FROM watchlist ${whereClause}`, queryParams);
+    const rows = await executeQuery(
+        `SELECT * FROM watchlist ${whereClause} ORDER BY created_at DESC LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+        queryParams
+    );
+
+    return {
+        total: countResult[0].total,
+        watches: rows.map(formatWatch)
+    };
+};
+
+/**
+ * Update interval, rules or enabled flag. Changing the interval reschedules the next check.
+ */
+const updateWatch = async (id, { intervalMinutes, rules, enabled }) => {
+    const updates = [];
+    const params = [];
+
+    if (intervalMinutes !== undefined) {
+        updates.push('interval_minutes = ?', 'next_check_at = DATE_ADD(COALESCE(last_checked_at, NOW()), INTERVAL ? MINUTE)');
+        params.push(intervalMinutes, intervalMinutes);
+    }
+
+    if (rules !== undefined) {
+        updates.push('rules = ?');
+        params.push(JSON.stringify(rules));
+    }
+
+    if (enabled !== undefined) {
+        updates.push('enabled = ?');
+        params.push(enabled);
+    }
+
+    if (updates.length === 0) return;
+
+    await executeQuery(`UPDATE watchlist SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+};
+
+const deleteWatch = async (id) => {
+    const result = await executeQuery('DELETE FROM watchlist WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Enabled entries whose next check is due, oldest first
+ */
+const findDueWatches = async (limit) => {
+    return executeQuery(
+        `SELECT * FROM watchlist WHERE enabled = TRUE AND next_check_at <= NOW() ORDER BY next_check_at ASC LIMIT ${parseInt(limit)}`
+    );
+};
+
+/**
+ * Record a successful check and schedule the next one
+ */
+const markChecked = async (watch, snapshotId) => {
+    await executeQuery(`
+        UPDATE watchlist
+        SET last_checked_at = NOW(),
+            next_check_at = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+            last_snapshot_id = ?,
+            last_error = NULL,
+            consecutive_failures = 0
+        WHERE id = ?
+    `, [watch.interval_minutes, snapshotId, watch.id]);
+};
+
+/**
+ * Record a failed check; the retry is scheduled `retryInMinutes` from now
+ */
+const markFailed = async (watch, message, retryInMinutes) => {
+    await executeQuery(`
+        UPDATE watchlist
+        SET last_checked_at = NOW(),
+            next_check_at = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+            last_error = ?,
+            consecutive_failures = consecutive_failures + 1
+        WHERE id = ?
+    `, [retryInMinutes, String(message).substring(0, 500), watch.id]);
+};
+
+const formatWatch = (row) => ({
+    id: row.id,
+    asin: row.asin,
+    marketplace: row.marketplace,
+    intervalMinutes: row.interval_minutes,
+    rules: parseJsonColumn(row.rules, {}),
+    enabled: Boolean(row.enabled),
+    lastCheckedAt: row.last_checked_at,
+    nextCheckAt: row.next_check_at,
+    lastSnapshotId: row.last_snapshot_id,
+    lastError: row.last_error,
+    consecutiveFailures: row.consecutive_failures,
+    createdAt: row.created_at
+});
+
+module.exports = {
+    createWatch,
+    findWatch,
+    findWatchByAsin,
+    findWatches,
+    updateWatch,
+    deleteWatch,
+    findDueWatches,
+    markChecked,
+    markFailed,
+    formatWatch
+};
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const scraper = require('../services/sharedScraper');
+const llmRateLimiter = require('../services/llm/sharedRateLimiter');
+const { MARKETPLACES, getMarketplace } = require('../services/marketplaces');
+
+/**
+ * GET /api/admin/scraper/health - Proxy pool, rate limiter and retry counters
+ */
+router.get('/scraper/health', (req, res) => {
+    try {
+        const health = scraper.getHealth();
+        const proxies = health.proxies || [];
+
+        res.json({
+            status: proxies.length > 0 && proxies.every(proxy => proxy.quarantined) ? 'degraded' : 'OK',
+            timestamp: new Date().toISOString(),
+            ...health,
+            summary: {
+                totalProxies: proxies.length,
+                quarantinedProxies: proxies.filter(proxy => proxy.quarantined).length,
+                direct: proxies.length === 0
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error reading scraper health:', error);
+        res.status(500).json({
+            error: 'Failed to read scraper health',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/llm/health - Shared LLM rate limiter: queue depth, wait times and remaining capacity
+ */
+router.get('/llm/health', (req, res) => {
+    try {
+        const rateLimit = llmRateLimiter.getMetrics();
+
+        res.json({
+            status: rateLimit.queueDepth >= rateLimit.limits.maxQueueSize ? 'saturated'
+                : rateLimit.queueDepth > 0 ? 'queueing' : 'OK',
+            timestamp: new Date().toISOString(),
+            rateLimit
+        });
+    } catch (error) {
+        console.error('❌ Error reading LLM health:', error);
+        res.status(500).json({
+            error: 'Failed to read LLM health',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/scraper/selectors - Selector hit rates per field over recent product pages
+ * Query: marketplace
+ */
+router.get('/scraper/selectors', (req, res) => {
+    try {
+        const { marketplace } = req.query;
+
+        if (marketplace && !getMarketplace(marketplace)) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const report = scraper.selectors.getReport({ marketplace: marketplace && getMarketplace(marketplace).code });
+
+        res.json({
+            status: report.fields.some(field => field.status === 'failing') ? 'failing'
+                : report.failing.length > 0 ? 'degraded' : 'OK',
+            timestamp: new Date().toISOString(),
+            ...report
+        });
+    } catch (error) {
+        console.error('❌ Error reading selector stats:', error);
+        res.status(500).json({
+            error: 'Failed to read selector stats',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/scraper/selectors/reload - Re-read the selector file without a restart
+ */
+router.post('/scraper/selectors/reload', (req, res) => {
+    try {
+        const result = scraper.selectors.load();
+
+        res.json({
+            success: true,
+            ...result,
+            statsReset: result.previousVersion !== result.version
+        });
+    } catch (error) {
+        // The registry logs why the file was rejected
+        res.status(400).json({
+            error: 'Invalid selector file',
+            message: `${error.message}; still using selector set ${scraper.selectors.version}`
+        });
+    }
+});
+
+module.exports = router;
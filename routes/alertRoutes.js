@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { ALERT_TYPES } = require('../services/alertRules');
+const { findAlerts, acknowledgeAlert } = require('../models/alertModel');
+
+/**
+ * GET /api/alerts - Alerts raised for watched products, newest first
+ * Query: asin, marketplace, type, severity, acknowledged, since (YYYY-MM-DD), page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const { asin, type, severity, since } = req.query;
+
+        if (type && !ALERT_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid alert type',
+                message: `Type must be one of: ${ALERT_TYPES.join(', ')}`
+            });
+        }
+
+        if (since && !/^\d{4}-\d{2}-\d{2}$/.test(since)) {
+            return res.status(400).json({
+                error: 'Invalid date filter',
+                message: 'since must be formatted as YYYY-MM-DD'
+            });
+        }
+
+        const { alerts, total } = await findAlerts({
+            asin,
+            marketplace: req.query.marketplace ? String(req.query.marketplace).toLowerCase() : undefined,
+            type,
+            severity,
+            acknowledged: req.query.acknowledged === undefined ? undefined : req.query.acknowledged === 'true',
+            since,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            alerts,
+            filters: {
+                asin,
+                marketplace: req.query.marketplace,
+                type,
+                severity,
+                acknowledged: req.query.acknowledged,
+                since
+            },
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalAlerts: total,
+                alertsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Alerts fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch alerts',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge - Mark an alert as seen
+ */
+router.post('/:id/acknowledge', async (req, res) => {
+    try {
+        const acknowledged = await acknowledgeAlert(req.params.id);
+        if (!acknowledged) {
+            return res.status(404).json({
+                error: 'Alert not found',
+                message: 'The specified alert does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Alert acknowledged'
+        });
+
+    } catch (error) {
+        console.error('Alert acknowledge error:', error.message);
+        res.status(500).json({
+            error: 'Failed to acknowledge alert',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { executeQuery } = require('../config/database');
+const { findBsrReadings, groupBsrSeries, summarizeRankMovement } = require('../models/bsrModel');
+const { parseJsonColumn } = require('../models/productModel');
+const { splitBullets } = require('../services/listingText');
 
 /**
  * GET /api/history/:asin - Get optimization history for specific ASIN
@@ -21,7 +24,7 @@ router.get('/:asin', async (req, res) => {
         );
         const totalOptimizations = countResult[0].total;
 
-        // Get optimization history with product details
+        // Get optimization history with the listing each optimization was generated from
         const history = await executeQuery(`
             SELECT 
                 o.id,
@@ -30,18 +33,23 @@ router.get('/:asin', async (req, res) => {
                 o.optimized_bullet_points,
                 o.optimized_description,
                 o.suggested_keywords,
+                o.optimized_content,
                 o.optimization_score,
+                o.llm_provider,
                 o.gemini_model,
+                o.prompt_versions,
                 o.optimization_metadata,
                 o.created_at,
-                p.title as original_title,
-                p.bullet_points as original_bullet_points,
-                p.description as original_description,
-                p.price,
-                p.rating,
-                p.review_count
+                o.snapshot_id,
+                COALESCE(s.title, p.title) as original_title,
+                COALESCE(s.bullet_points, p.bullet_points) as original_bullet_points,
+                COALESCE(s.description, p.description) as original_description,
+                COALESCE(s.price, p.price) as price,
+                COALESCE(s.rating, p.rating) as rating,
+                COALESCE(s.review_count, p.review_count) as review_count
             FROM optimizations o
             JOIN products p ON o.product_id = p.id
+            LEFT JOIN product_snapshots s ON o.snapshot_id = s.id
             WHERE o.asin = ?
             ORDER BY o.created_at DESC
             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
@@ -54,10 +62,13 @@ router.get('/:asin', async (req, res) => {
                     'SELECT action_type, user_feedback, performance_metrics, created_at FROM optimization_history WHERE optimization_id = ? ORDER BY created_at DESC',
                     [opt.id]
                 );
+                // Structured answer; older optimizations only have the text columns
+                const content = parseJsonColumn(opt.optimized_content, null);
 
                 return {
                     id: opt.id,
                     asin: opt.asin,
+                    snapshotId: opt.snapshot_id,
                     original: {
                         title: opt.original_title,
                         bulletPoints: opt.original_bullet_points,
@@ -65,8 +76,10 @@ router.get('/:asin', async (req, res) => {
                     },
                     optimized: {
                         title: opt.optimized_title,
+                        bullets: content ? content.bullets : splitBullets(opt.optimized_bullet_points),
                         bulletPoints: opt.optimized_bullet_points,
                         description: opt.optimized_description,
+                        rationale: content ? content.rationale : null,
                         suggestedKeywords: (() => {
                             try {
                                 return JSON.parse(opt.suggested_keywords || '[]');
@@ -86,7 +99,9 @@ router.get('/:asin', async (req, res) => {
                         })()
                     },
                     optimizationScore: opt.optimization_score,
+                    provider: opt.llm_provider,
                     modelUsed: opt.gemini_model,
+                    promptVersions: parseJsonColumn(opt.prompt_versions, null),
                     metadata: JSON.parse(opt.optimization_metadata || '{}'),
                     productInfo: {
                         price: opt.price,
@@ -130,6 +145,7 @@ router.get('/:asin', async (req, res) => {
 
 /**
  * GET /api/history - Get all optimization history with filters
+ * Query: startDate, endDate, minScore, maxScore, model, provider (gemini, openai, mock), page, limit
  */
 router.get('/', async (req, res) => {
     try {
@@ -142,7 +158,8 @@ router.get('/', async (req, res) => {
             endDate, 
             minScore, 
             maxScore, 
-            model 
+            model,
+            provider
         } = req.query;
 
         console.log(`📚 Fetching optimization history with filters`);
@@ -176,6 +193,11 @@ router.get('/', async (req, res) => {
             queryParams.push(model);
         }
 
+        if (provider) {
+            whereConditions.push('o.llm_provider = ?');
+            queryParams.push(provider);
+        }
+
         const whereClause = whereConditions.length > 0 
             ? 'WHERE ' + whereConditions.join(' AND ')
             : '';
@@ -200,15 +222,19 @@ router.get('/', async (req, res) => {
                 o.optimized_description,
                 o.suggested_keywords,
                 o.optimization_score,
+                o.llm_provider,
                 o.gemini_model,
+                o.prompt_versions,
                 o.optimization_metadata,
                 o.created_at,
-                p.title as original_title,
-                p.price,
-                p.rating,
-                p.review_count
+                o.snapshot_id,
+                COALESCE(s.title, p.title) as original_title,
+                COALESCE(s.price, p.price) as price,
+                COALESCE(s.rating, p.rating) as rating,
+                COALESCE(s.review_count, p.review_count) as review_count
             FROM optimizations o
             JOIN products p ON o.product_id = p.id
+            LEFT JOIN product_snapshots s ON o.snapshot_id = s.id
             ${whereClause}
             ORDER BY o.created_at DESC
             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
@@ -240,6 +266,7 @@ router.get('/', async (req, res) => {
             return {
                 id: opt.id,
                 asin: opt.asin,
+                snapshotId: opt.snapshot_id,
                 original: {
                     title: opt.original_title
                 },
@@ -248,7 +275,9 @@ router.get('/', async (req, res) => {
                     suggestedKeywords: suggestedKeywords
                 },
                 optimizationScore: opt.optimization_score,
+                provider: opt.llm_provider,
                 modelUsed: opt.gemini_model,
+                promptVersions: parseJsonColumn(opt.prompt_versions, null),
                 productInfo: {
                     price: opt.price,
                     rating: opt.rating,
@@ -411,16 +440,44 @@ router.get('/analytics/trends', async (req, res) => {
         // Model performance comparison
         const modelPerformance = await executeQuery(`
             SELECT 
+                llm_provider,
                 gemini_model,
                 COUNT(*) as usage_count,
                 AVG(optimization_score) as avg_score,
                 STDDEV(optimization_score) as score_variance
             FROM optimizations
             WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
-            GROUP BY gemini_model
+            GROUP BY llm_provider, gemini_model
             ORDER BY avg_score DESC
         `, [parseInt(days)]);
 
+        // Score and feedback per prompt template version; optimizations from before templates are left out
+        const promptVersionPerformance = await executeQuery(`
+            SELECT 
+                t.template_type,
+                t.version,
+                t.name,
+                t.is_active,
+                COUNT(o.id) as usage_count,
+                AVG(o.optimization_score) as avg_score,
+                AVG(f.avg_rating) as avg_feedback_rating,
+                COALESCE(SUM(f.feedback_count), 0) as feedback_count
+            FROM prompt_templates t
+            JOIN optimizations o ON JSON_EXTRACT(o.prompt_versions, CONCAT('$.', t.template_type)) = t.version
+            LEFT JOIN (
+                SELECT 
+                    optimization_id,
+                    AVG(JSON_EXTRACT(user_feedback, '$.rating')) as avg_rating,
+                    COUNT(*) as feedback_count
+                FROM optimization_history
+                WHERE action_type = 'feedback'
+                GROUP BY optimization_id
+            ) f ON f.optimization_id = o.id
+            WHERE o.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+            GROUP BY t.template_type, t.version, t.name, t.is_active
+            ORDER BY t.template_type, t.version DESC
+        `, [parseInt(days)]);
+
         res.json({
             period: {
                 days: parseInt(days),
@@ -431,7 +488,8 @@ router.get('/analytics/trends', async (req, res) => {
                 dailyOptimizations: dailyTrends,
                 scoreDistribution: scoreDistribution,
                 topPerformingASINs: topASINs,
-                modelPerformance: modelPerformance
+                modelPerformance: modelPerformance,
+                promptVersionPerformance: promptVersionPerformance
             },
             generatedAt: new Date().toISOString()
         });
@@ -445,4 +503,68 @@ router.get('/analytics/trends', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/history/analytics/bsr/:optimizationId - Best Sellers Rank before and after an optimization
+ * Query: days (window on each side, default 14, max 90), liveAt (ISO date the listing went live; defaults to when it was generated)
+ */
+router.get('/analytics/bsr/:optimizationId', async (req, res) => {
+    try {
+        const { optimizationId } = req.params;
+        const days = Math.min(parseInt(req.query.days) || 14, 90);
+
+        const optimizationResult = await executeQuery(
+            'SELECT id, asin, product_id, created_at FROM optimizations WHERE id = ?',
+            [optimizationId]
+        );
+
+        if (optimizationResult.length === 0) {
+            return res.status(404).json({
+                error: 'Optimization not found',
+                message: 'The specified optimization does not exist'
+            });
+        }
+
+        const optimization = optimizationResult[0];
+        const liveAt = req.query.liveAt ? new Date(req.query.liveAt) : new Date(optimization.created_at);
+
+        if (isNaN(liveAt.getTime())) {
+            return res.status(400).json({
+                error: 'Invalid liveAt',
+                message: 'liveAt must be an ISO 8601 date'
+            });
+        }
+
+        console.log(`📈 Comparing BSR around optimization ${optimizationId} (${optimization.asin}, live ${liveAt.toISOString()})`);
+
+        const windowMs = days * 24 * 60 * 60 * 1000;
+        const readings = await findBsrReadings(optimization.product_id, {
+            since: new Date(liveAt.getTime() - windowMs),
+            until: new Date(liveAt.getTime() + windowMs)
+        });
+
+        const categories = summarizeRankMovement(groupBsrSeries(readings), liveAt);
+
+        res.json({
+            optimizationId: optimization.id,
+            asin: optimization.asin,
+            liveAt: liveAt.toISOString(),
+            window: {
+                days,
+                startDate: new Date(liveAt.getTime() - windowMs).toISOString(),
+                endDate: new Date(liveAt.getTime() + windowMs).toISOString()
+            },
+            primary: categories.find(category => category.isPrimary) || null,
+            categories,
+            generatedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('BSR analytics error:', error.message);
+        res.status(500).json({
+            error: 'Failed to generate BSR analytics',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
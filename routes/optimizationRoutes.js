@@ -1,279 +1,387 @@
 const express = require('express');
 const router = express.Router();
-const GeminiOptimizer = require('../services/geminiOptimizer');
+const OptimizationService = require('../services/optimizationService');
+const { LlmError, LlmBudgetError, LLM_ERROR_CODES } = require('../services/llm/llmErrors');
+const { ScraperError } = require('../services/scraperErrors');
+const { openEventStream } = require('../services/eventStream');
 const { executeQuery } = require('../config/database');
-
-const optimizer = new GeminiOptimizer();
+const { DEFAULT_MARKETPLACE, MARKETPLACES, getMarketplace } = require('../services/marketplaces');
+const { findProduct, findProductById } = require('../models/productModel');
+const { findSnapshot } = require('../models/snapshotModel');
+const { checkCompliance } = require('../services/listingCompliance');
+const { MAX_VARIANTS } = require('../services/listingVariants');
+const { describeBudget } = require('../services/llmCost');
+const { getLlmSpend, findUsageByModel } = require('../models/llmUsageModel');
+const {
+    findOptimization,
+    trackSuggestedKeywords,
+    findVariants,
+    findVariant,
+    selectWinningVariant,
+    formatOptimizedContent,
+    formatVariant
+} = require('../models/optimizationModel');
+
+const optimizationService = new OptimizationService();
+
+const MAX_BATCH_ASINS = 5;
+
+const LLM_ERROR_LABELS = {
+    [LLM_ERROR_CODES.INVALID_RESPONSE]: 'Invalid AI response',
+    [LLM_ERROR_CODES.QUOTA_EXCEEDED]: 'AI quota exceeded',
+    [LLM_ERROR_CODES.RATE_LIMITED]: 'AI request queue full',
+    [LLM_ERROR_CODES.SAFETY_BLOCKED]: 'AI response blocked',
+    [LLM_ERROR_CODES.TIMEOUT]: 'AI service timed out'
+};
 
 /**
- * POST /api/optimize/:asin - Optimize product listing by ASIN
+ * Status and JSON body for a failed optimization; streams send the same body as an error event
  */
-router.post('/:asin', async (req, res) => {
-    try {
-        const { asin } = req.params;
-        
-        console.log(`🚀 Starting optimization for ASIN: ${asin}`);
-
-        // Get product data from database
-        const productResult = await executeQuery(
-            'SELECT * FROM products WHERE asin = ? ORDER BY updated_at DESC LIMIT 1',
-            [asin]
-        );
-
-        if (productResult.length === 0) {
-            return res.status(404).json({
-                error: 'Product not found',
-                message: 'Please fetch the product data first before optimizing'
-            });
-        }
+const describeOptimizationError = (error) => {
+    if (error instanceof LlmBudgetError) {
+        return {
+            status: error.status,
+            body: {
+                error: 'AI budget exhausted',
+                code: error.code,
+                message: error.message,
+                period: error.period,
+                limitUsd: error.limitUsd,
+                spentUsd: error.spentUsd,
+                resetsAt: error.resetsAt.toISOString(),
+                retryAfter: error.retryAfter
+            }
+        };
+    }
 
-        const product = productResult[0];
-        const productData = {
-            asin: product.asin,
-            title: product.title,
-            bulletPoints: product.bullet_points,
-            description: product.description,
-            category: product.category,
-            brand: product.brand
+    if (error instanceof LlmError) {
+        return {
+            status: error.status,
+            body: {
+                error: LLM_ERROR_LABELS[error.code] || 'AI service unavailable',
+                code: error.code,
+                message: error.message,
+                ...(error.retryAfter && { retryAfter: error.retryAfter })
+            }
         };
+    }
 
-        // Check for recent optimization (within 1 hour)
-        const recentOptimization = await executeQuery(
-            'SELECT * FROM optimizations WHERE asin = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR) ORDER BY created_at DESC LIMIT 1',
-            [asin]
-        );
-
-        if (recentOptimization.length > 0) {
-            console.log(`📋 Returning recent optimization for ${asin}`);
-            const opt = recentOptimization[0];
-            
-            // Parse suggested keywords safely
-            let suggestedKeywords = [];
-            try {
-                const keywordsString = opt.suggested_keywords ? String(opt.suggested_keywords) : '[]';
-                suggestedKeywords = JSON.parse(keywordsString);
-            } catch (e) {
-                console.warn(`JSON parse error for suggested_keywords: ${opt.suggested_keywords}`);
-                // Fallback parsing for malformed JSON
-                const keywordsString = opt.suggested_keywords ? String(opt.suggested_keywords) : '';
-                if (keywordsString) {
-                    if (keywordsString.startsWith('[') && keywordsString.endsWith(']')) {
-                        try {
-                            suggestedKeywords = JSON.parse(keywordsString);
-                        } catch (e2) {
-                            suggestedKeywords = keywordsString
-                                .slice(1, -1)
-                                .split(',')
-                                .map(k => k.trim().replace(/['"]/g, ''))
-                                .filter(k => k.length > 0);
-                        }
-                    } else if (keywordsString.includes(',')) {
-                        suggestedKeywords = keywordsString.split(',').map(k => k.trim()).filter(k => k.length > 0);
-                    } else if (keywordsString.trim()) {
-                        suggestedKeywords = [keywordsString.trim()];
-                    }
-                }
+    // Streamed optimizations scrape products that aren't stored yet
+    if (error instanceof ScraperError) {
+        return {
+            status: error.status,
+            body: {
+                error: 'Failed to fetch product data',
+                code: error.code,
+                message: error.message,
+                ...(error.retryAfter && { retryAfter: error.retryAfter })
             }
+        };
+    }
 
-            return res.json({
-                asin: opt.asin,
-                original: {
-                    title: product.title,
-                    bulletPoints: product.bullet_points,
-                    description: product.description
-                },
-                optimized: {
-                    title: opt.optimized_title,
-                    bulletPoints: opt.optimized_bullet_points,
-                    description: opt.optimized_description,
-                    suggestedKeywords: suggestedKeywords
-                },
-                optimizationScore: opt.optimization_score,
-                createdAt: opt.created_at,
-                source: 'cached'
-            });
+    return {
+        status: 500,
+        body: {
+            error: 'Optimization failed',
+            message: error.message
         }
+    };
+};
+
+const sendOptimizationError = (res, error) => {
+    console.error('Optimization error:', error.message);
+    const { status, body } = describeOptimizationError(error);
+    if (body.retryAfter) {
+        res.set('Retry-After', String(body.retryAfter));
+    }
+    res.status(status).json(body);
+};
 
-        // Perform AI optimization
-        const optimizationResult = await optimizer.optimizeProduct(productData);
-        
-        // Calculate optimization score
-        const scoreResult = optimizer.calculateOptimizationScore(
-            optimizationResult.original,
-            optimizationResult.optimized
-        );
-
-        // Store optimization in database
-        const insertOptimization = `
-            INSERT INTO optimizations (
-                product_id, asin, optimized_title, optimized_bullet_points, 
-                optimized_description, suggested_keywords, optimization_score, 
-                gemini_model, optimization_metadata
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const optimizationId = await executeQuery(insertOptimization, [
-            product.id,
-            asin,
-            optimizationResult.optimized.title,
-            optimizationResult.optimized.bulletPoints,
-            optimizationResult.optimized.description,
-            JSON.stringify(optimizationResult.optimized.suggestedKeywords),
-            scoreResult.score,
-            optimizationResult.metadata.modelUsed,
-            JSON.stringify(optimizationResult.metadata)
-        ]);
-
-        // Log optimization history
-        await executeQuery(
-            'INSERT INTO optimization_history (asin, optimization_id, action_type) VALUES (?, ?, ?)',
-            [asin, optimizationId.insertId, 'created']
-        );
-
-        // Store suggested keywords
-        for (const keyword of optimizationResult.optimized.suggestedKeywords) {
-            await executeQuery(
-                'INSERT INTO keyword_tracking (asin, keyword, source) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP',
-                [asin, keyword, 'suggested']
-            );
-        }
+/**
+ * includeCompetitors and variants from the body or query; sends a 400 and returns null when invalid
+ */
+const readOptimizeOptions = (req, res) => {
+    const includeCompetitors = req.body?.includeCompetitors === true || req.query.includeCompetitors === 'true';
+    const variants = Number(req.body?.variants ?? req.query.variants ?? 1);
+
+    if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+        res.status(400).json({
+            error: 'Invalid variants',
+            message: `variants must be a whole number from 1 to ${MAX_VARIANTS}`
+        });
+        return null;
+    }
+    return { includeCompetitors, variants };
+};
+
+/**
+ * Marketplace for a code (defaults to us); sends a 400 naming the code and returns null when unknown
+ */
+const readMarketplace = (res, code) => {
+    const marketplace = getMarketplace(code || DEFAULT_MARKETPLACE);
+    if (!marketplace) {
+        res.status(400).json({
+            error: 'Invalid marketplace',
+            message: `Unknown marketplace "${code}". Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+        });
+        return null;
+    }
+    return marketplace;
+};
+
+/**
+ * Stored products for a batch request; sends a 400/404 and returns null when there's nothing to optimize
+ */
+const findBatchProducts = async (res, asins, marketplace) => {
+    if (!Array.isArray(asins) || asins.length === 0) {
+        res.status(400).json({
+            error: 'Invalid request',
+            message: 'ASINs must be provided as a non-empty array'
+        });
+        return null;
+    }
 
-        console.log(`✅ Optimization completed and stored for ${asin}`);
+    if (asins.length > MAX_BATCH_ASINS) {
+        res.status(400).json({
+            error: 'Too many ASINs',
+            message: `Maximum ${MAX_BATCH_ASINS} ASINs per batch optimization to respect API limits`
+        });
+        return null;
+    }
+
+    const placeholders = asins.map(() => '?').join(',');
+    const products = await executeQuery(
+        `SELECT * FROM products WHERE marketplace = ? AND asin IN (${placeholders})`,
+        [marketplace, ...asins]
+    );
+
+    if (products.length === 0) {
+        res.status(404).json({
+            error: 'No products found',
+            message: 'Please fetch the product data first before optimizing'
+        });
+        return null;
+    }
+    return products;
+};
+
+/**
+ * Run an optimization over Server-Sent Events: progress events as it goes, then `completed`
+ * with the same body the POST endpoint returns, or `error` with its error body and status
+ * @param {Function} loadProduct - (onProgress) => products row
+ */
+const streamOptimization = async (req, res, loadProduct) => {
+    const options = readOptimizeOptions(req, res);
+    if (!options) return;
+
+    const stream = openEventStream(res);
+    try {
+        stream.send('started', { ...req.params, ...options, timestamp: new Date().toISOString() });
+        const product = await loadProduct(stream.send);
+
+        // Keeps going if the client disconnects, so the generated copy is still stored
+        const response = await optimizationService.optimizeStoredProduct(product, {
+            ...options,
+            onProgress: stream.send,
+            streamText: req.query.partial === 'true'
+        });
+        stream.send('completed', response);
+
+    } catch (error) {
+        console.error('Optimization stream error:', error.message);
+        const { status, body } = describeOptimizationError(error);
+        stream.send('error', { status, ...body });
+    } finally {
+        stream.close();
+    }
+};
+
+/**
+ * POST /api/optimize/batch - Optimize multiple products
+ * Body: asins (max 5), marketplace
+ */
+router.post('/batch', async (req, res) => {
+    try {
+        const { asins } = req.body;
+        const marketplace = readMarketplace(res, req.body.marketplace);
+        if (!marketplace) return;
+
+        const products = await findBatchProducts(res, asins, marketplace.code);
+        if (!products) return;
+
+        console.log(`🚀 Starting batch optimization for ${asins.length} products`);
+        const batchResult = await optimizationService.optimizeBatch(products);
 
         res.json({
-            asin,
-            original: optimizationResult.original,
-            optimized: optimizationResult.optimized,
-            optimizationScore: scoreResult.score,
-            scoreFactors: scoreResult.factors,
-            metadata: optimizationResult.metadata,
-            source: 'fresh'
+            results: batchResult,
+            summary: batchResult.summary,
+            totalRequests: batchResult.totalRequests,
+            timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        console.error('Optimization error:', error.message);
-        
-        if (error.message.includes('API')) {
-            return res.status(503).json({
-                error: 'AI service unavailable',
-                message: 'Gemini AI service is temporarily unavailable. Please try again later.'
-            });
+        if (error instanceof LlmError) {
+            return sendOptimizationError(res, error);
         }
-        
+        console.error('Batch optimization error:', error.message);
         res.status(500).json({
-            error: 'Optimization failed',
+            error: 'Batch optimization failed',
             message: error.message
         });
     }
 });
 
 /**
- * POST /api/optimize/batch - Optimize multiple products
+ * GET /api/optimize/batch/stream - Batch optimization with Server-Sent Events progress
+ * Query: asins (comma-separated, max 5), marketplace
+ * Events: batch_started, item_started, generation_started, field, scored, persisted, item_completed, item_failed,
+ *   waiting, batch_completed, then completed (the POST /batch body) or error. Disconnecting stops before the next product.
  */
-router.post('/batch', async (req, res) => {
+router.get('/batch/stream', async (req, res) => {
     try {
-        const { asins } = req.body;
-        
-        if (!Array.isArray(asins) || asins.length === 0) {
-            return res.status(400).json({
-                error: 'Invalid request',
-                message: 'ASINs must be provided as a non-empty array'
+        const asins = String(req.query.asins || '').split(',').map(asin => asin.trim()).filter(Boolean);
+        const marketplace = readMarketplace(res, req.query.marketplace);
+        if (!marketplace) return;
+
+        const products = await findBatchProducts(res, asins, marketplace.code);
+        if (!products) return;
+
+        console.log(`🚀 Starting streamed batch optimization for ${asins.length} products`);
+        const stream = openEventStream(res);
+        try {
+            const batchResult = await optimizationService.optimizeBatch(products, {
+                onProgress: stream.send,
+                signal: stream.signal
             });
-        }
-
-        if (asins.length > 5) {
-            return res.status(400).json({
-                error: 'Too many ASINs',
-                message: 'Maximum 5 ASINs per batch optimization to respect API limits'
+            stream.send('completed', {
+                results: batchResult,
+                summary: batchResult.summary,
+                totalRequests: batchResult.totalRequests,
+                timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            console.error('Batch optimization stream error:', error.message);
+            const { status, body } = describeOptimizationError(error);
+            stream.send('error', { status, ...body });
+        } finally {
+            stream.close();
         }
 
-        console.log(`🚀 Starting batch optimization for ${asins.length} products`);
+    } catch (error) {
+        console.error('Batch optimization error:', error.message);
+        res.status(500).json({
+            error: 'Batch optimization failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/optimize/:asin - Optimize product listing by ASIN
+ * Body/query: marketplace (defaults to us), includeCompetitors (pass fetched competitor listings to the prompts),
+ *   variants (2-3 A/B alternatives, one per angle: benefit, spec, use_case)
+ */
+router.post('/:asin', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = readMarketplace(res, req.body?.marketplace || req.query.marketplace);
+        if (!marketplace) return;
 
-        // Get all products from database
-        const placeholders = asins.map(() => '?').join(',');
-        const products = await executeQuery(
-            `SELECT * FROM products WHERE asin IN (${placeholders})`,
-            asins
-        );
+        console.log(`🚀 Starting optimization for ASIN: ${asin} (${marketplace.code})`);
+
+        // Get product data from database
+        const product = await findProduct(asin, marketplace.code);
 
-        if (products.length === 0) {
+        if (!product) {
             return res.status(404).json({
-                error: 'No products found',
+                error: 'Product not found',
                 message: 'Please fetch the product data first before optimizing'
             });
         }
 
-        // Convert to format expected by optimizer
-        const productsToOptimize = products.map(p => ({
-            asin: p.asin,
-            title: p.title,
-            bulletPoints: p.bullet_points,
-            description: p.description,
-            category: p.category,
-            brand: p.brand
-        }));
-
-        // Perform batch optimization
-        const batchResult = await optimizer.optimizeMultipleProducts(productsToOptimize);
-
-        // Store successful optimizations
-        for (const result of batchResult.successful) {
-            const product = products.find(p => p.asin === result.asin);
-            
-            const scoreResult = optimizer.calculateOptimizationScore(
-                result.original,
-                result.optimized
-            );
-
-            const optimizationId = await executeQuery(`
-                INSERT INTO optimizations (
-                    product_id, asin, optimized_title, optimized_bullet_points,
-                    optimized_description, suggested_keywords, optimization_score,
-                    gemini_model, optimization_metadata
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                product.id,
-                result.asin,
-                result.optimized.title,
-                result.optimized.bulletPoints,
-                result.optimized.description,
-                JSON.stringify(result.optimized.suggestedKeywords),
-                scoreResult.score,
-                result.metadata.modelUsed,
-                JSON.stringify(result.metadata)
-            ]);
-
-            // Log history
-            await executeQuery(
-                'INSERT INTO optimization_history (asin, optimization_id, action_type) VALUES (?, ?, ?)',
-                [result.asin, optimizationId.insertId, 'created']
-            );
-
-            // Store keywords
-            for (const keyword of result.optimized.suggestedKeywords) {
-                await executeQuery(
-                    'INSERT INTO keyword_tracking (asin, keyword, source) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP',
-                    [result.asin, keyword, 'suggested']
-                );
-            }
-        }
+        const options = readOptimizeOptions(req, res);
+        if (!options) return;
 
-        console.log(`✅ Batch optimization completed: ${batchResult.successful.length} successful, ${batchResult.failed.length} failed`);
+        res.json(await optimizationService.optimizeStoredProduct(product, options));
 
-        res.json({
-            results: batchResult,
-            summary: batchResult.summary,
-            totalRequests: batchResult.totalRequests,
-            timestamp: new Date().toISOString()
+    } catch (error) {
+        sendOptimizationError(res, error);
+    }
+});
+
+/**
+ * GET /api/optimize/:asin/stream - Optimize by ASIN with Server-Sent Events progress
+ * Query: marketplace, includeCompetitors, variants, refresh (re-scrape first; products not stored yet are always scraped),
+ *   partial (also send the answer text as it is generated, as delta events)
+ * Events: started, scrape_started, scrape_completed, generation_started, delta, retry, repair, field, scored, persisted,
+ *   then completed (the POST /:asin body) or error
+ */
+router.get('/:asin/stream', async (req, res) => {
+    const { asin } = req.params;
+
+    if (!optimizationService.scraper.isValidASIN(asin)) {
+        return res.status(400).json({
+            error: 'Invalid ASIN format',
+            message: 'ASIN must be a 10-character alphanumeric string'
         });
+    }
+
+    const marketplace = readMarketplace(res, req.query.marketplace);
+    if (!marketplace) return;
+
+    console.log(`🚀 Starting streamed optimization for ASIN: ${asin} (${marketplace.code})`);
+    await streamOptimization(req, res, (onProgress) => optimizationService.loadProduct(asin, marketplace.code, {
+        refresh: req.query.refresh === 'true',
+        onProgress
+    }));
+});
+
+/**
+ * POST /api/optimize/products/:productId - Optimize a product by id, including drafts without an ASIN
+ * Body/query: includeCompetitors, variants
+ */
+router.post('/products/:productId', async (req, res) => {
+    try {
+        const product = /^\d+$/.test(req.params.productId) ? await findProductById(parseInt(req.params.productId)) : null;
+
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'The specified product does not exist'
+            });
+        }
+
+        const options = readOptimizeOptions(req, res);
+        if (!options) return;
+
+        console.log(`🚀 Starting optimization for product ${product.id} (${product.asin || `${product.status}, no ASIN`})`);
+        res.json(await optimizationService.optimizeStoredProduct(product, options));
 
     } catch (error) {
-        console.error('Batch optimization error:', error.message);
-        res.status(500).json({
-            error: 'Batch optimization failed',
-            message: error.message
-        });
+        sendOptimizationError(res, error);
+    }
+});
+
+/**
+ * GET /api/optimize/products/:productId/stream - Optimize a product by id with Server-Sent Events progress
+ * Query: includeCompetitors, variants, partial; events as for GET /api/optimize/:asin/stream, without scraping
+ */
+router.get('/products/:productId/stream', async (req, res) => {
+    try {
+        const product = /^\d+$/.test(req.params.productId) ? await findProductById(parseInt(req.params.productId)) : null;
+
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'The specified product does not exist'
+            });
+        }
+
+        console.log(`🚀 Starting streamed optimization for product ${product.id} (${product.asin || `${product.status}, no ASIN`})`);
+        await streamOptimization(req, res, async () => product);
+
+    } catch (error) {
+        sendOptimizationError(res, error);
     }
 });
 
@@ -301,12 +409,17 @@ router.get('/stats', async (req, res) => {
         // Get model usage stats
         const modelStats = await executeQuery(`
             SELECT 
+                llm_provider,
                 gemini_model,
                 COUNT(*) as usage_count,
-                AVG(optimization_score) as avg_score
+                AVG(optimization_score) as avg_score,
+                SUM(input_tokens) as input_tokens,
+                SUM(output_tokens) as output_tokens,
+                SUM(estimated_cost) as estimated_cost,
+                AVG(estimated_cost) as avg_cost_per_optimization
             FROM optimizations
             WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-            GROUP BY gemini_model
+            GROUP BY llm_provider, gemini_model
         `);
 
         // Get top performing keywords
@@ -321,12 +434,19 @@ router.get('/stats', async (req, res) => {
             LIMIT 20
         `);
 
-        const aiStats = optimizer.getUsageStats();
+        // Every request, including repairs and failed optimizations, and what's left of the budgets
+        const tokenUsage = await findUsageByModel(30);
+        const budget = describeBudget(await getLlmSpend(), optimizationService.budget);
+
+        // Null until the first optimization builds the optimizer
+        const aiStats = optimizationService.optimizer ? optimizationService.optimizer.getUsageStats() : null;
 
         res.json({
             optimizationStats: stats,
             modelUsage: modelStats,
             topKeywords: keywordStats,
+            tokenUsage,
+            budget,
             aiServiceStats: aiStats,
             generatedAt: new Date().toISOString()
         });
@@ -340,4 +460,130 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/optimize/:optimizationId/compliance - Check the original and optimized copy against Amazon listing policy
+ */
+router.get('/:optimizationId/compliance', async (req, res) => {
+    try {
+        const { optimizationId } = req.params;
+        const rows = /^\d+$/.test(optimizationId) ? await executeQuery(
+            'SELECT * FROM optimizations WHERE id = ?',
+            [parseInt(optimizationId)]
+        ) : [];
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                error: 'Optimization not found',
+                message: 'The specified optimization does not exist'
+            });
+        }
+
+        const opt = rows[0];
+        const product = await findProductById(opt.product_id);
+        // The listing as it was when the optimization was generated
+        const snapshot = opt.snapshot_id ? await findSnapshot(product.id, opt.snapshot_id) : null;
+        const context = { category: product.category, brand: product.brand };
+
+        const original = {
+            title: snapshot ? snapshot.title : product.title,
+            bulletPoints: snapshot ? snapshot.bulletPoints : product.bullet_points,
+            description: snapshot ? snapshot.description : product.description
+        };
+
+        res.json({
+            optimizationId: opt.id,
+            asin: opt.asin,
+            productId: product.id,
+            snapshotId: opt.snapshot_id,
+            category: product.category,
+            original: checkCompliance(original, context),
+            optimized: checkCompliance(formatOptimizedContent(opt, []), context),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Compliance check error:', error.message);
+        res.status(500).json({
+            error: 'Failed to check compliance',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/optimize/:optimizationId/variants - A/B variants of an optimization run, best ranked first
+ */
+router.get('/:optimizationId/variants', async (req, res) => {
+    try {
+        const optimization = /^\d+$/.test(req.params.optimizationId) ? await findOptimization(parseInt(req.params.optimizationId)) : null;
+
+        if (!optimization) {
+            return res.status(404).json({
+                error: 'Optimization not found',
+                message: 'The specified optimization does not exist'
+            });
+        }
+
+        const variants = await findVariants(optimization.id);
+
+        res.json({
+            optimizationId: optimization.id,
+            asin: optimization.asin,
+            currentVariantId: optimization.current_variant_id,
+            variants: variants.map(variant => formatVariant(variant, optimization.current_variant_id))
+        });
+
+    } catch (error) {
+        console.error('Variants fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch variants',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/optimize/:optimizationId/variants/:variantId/select - Pick the winning variant (e.g. after a
+ * Manage Your Experiments test); its copy becomes the optimization's current optimized content
+ */
+router.post('/:optimizationId/variants/:variantId/select', async (req, res) => {
+    try {
+        const { optimizationId, variantId } = req.params;
+        const optimization = /^\d+$/.test(optimizationId) ? await findOptimization(parseInt(optimizationId)) : null;
+        const variant = optimization && /^\d+$/.test(variantId) ? await findVariant(optimization.id, parseInt(variantId)) : null;
+
+        if (!variant) {
+            return res.status(404).json({
+                error: optimization ? 'Variant not found' : 'Optimization not found',
+                message: optimization
+                    ? 'The specified variant does not belong to this optimization'
+                    : 'The specified optimization does not exist'
+            });
+        }
+
+        await selectWinningVariant(optimization, variant);
+
+        // The winner's keywords are the ones now in use
+        await trackSuggestedKeywords(optimization.asin, optimization.marketplace, formatVariant(variant).optimized.suggestedKeywords);
+
+        console.log(`🏆 Variant ${variant.id} (${variant.angle}) selected for optimization ${optimization.id}`);
+
+        const variants = await findVariants(optimization.id);
+        res.json({
+            optimizationId: optimization.id,
+            asin: optimization.asin,
+            currentVariantId: variant.id,
+            winner: formatVariant(variants.find(row => row.id === variant.id), variant.id),
+            variants: variants.map(row => formatVariant(row, variant.id))
+        });
+
+    } catch (error) {
+        console.error('Variant selection error:', error.message);
+        res.status(500).json({
+            error: 'Failed to select variant',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
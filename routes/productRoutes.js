@@ -1,16 +1,126 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const AmazonScraper = require('../services/amazonScraper');
+const scraper = require('../services/sharedScraper');
 const { executeQuery } = require('../config/database');
+const { DEFAULT_MARKETPLACE, MARKETPLACES, getMarketplace } = require('../services/marketplaces');
+const {
+    createProduct,
+    updateProduct,
+    deleteProduct,
+    findProduct,
+    findProductById,
+    findProductBySku,
+    formatProduct,
+    formatProductRecord,
+    parseJsonColumn
+} = require('../models/productModel');
+const { recordSnapshot, recordImportedListing, snapshotStoredProduct, findSnapshots, findSnapshot, findOfferHistory, diffSnapshots } = require('../models/snapshotModel');
+const { sendScraperError } = require('../services/scraperErrors');
+const { saveReviews, getLastScrapedAt, findReviews, findTopReviews } = require('../models/reviewModel');
+const { addCompetitors, linkCompetitorProduct, removeCompetitor, findCompetitors } = require('../models/competitorModel');
+const { findBsrReadings, groupBsrSeries } = require('../models/bsrModel');
+const { compareListings } = require('../services/listingComparison');
+const { majorUnitsSql } = require('../services/moneyParser');
+const { parseImportFile } = require('../services/listingImport');
+const { PRODUCT_STATUSES, buildProductInput } = require('../services/productInput');
+const monitorConfig = require('../config/monitor');
 
-const scraper = new AmazonScraper();
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_FILE_SIZE } });
+
+// GET /api/products sort keys
+const PRODUCT_SORT_COLUMNS = {
+    updated: 'updated_at',
+    price: majorUnitsSql('price_amount', 'currency'),
+    rating: 'rating',
+    reviews: 'review_count'
+};
+
+/**
+ * Scrape competitor ASINs, store them like any other product and link them to ours
+ * @returns {Object[]} fetchMultipleProducts results
+ */
+const fetchCompetitors = async (product, competitorAsins) => {
+    if (competitorAsins.length === 0) return [];
+
+    console.log(`🥊 Fetching ${competitorAsins.length} competitor(s) of ${product.asin} (${product.marketplace})`);
+    const results = await scraper.fetchMultipleProducts(competitorAsins, { marketplace: product.marketplace });
+
+    for (const result of results) {
+        if (result.success) {
+            const { productId } = await recordSnapshot(result.data);
+            await linkCompetitorProduct(product.id, result.asin, productId);
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Another product already using this ASIN or SKU in the marketplace
+ * @returns {string|null} Error message
+ */
+const findProductConflict = async (productData, productId = null) => {
+    if (productData.asin) {
+        const existing = await findProduct(productData.asin, productData.marketplace);
+        if (existing && existing.id !== productId) {
+            return `${productData.asin} (${productData.marketplace}) already exists as product ${existing.id}`;
+        }
+    }
+    if (productData.sku) {
+        const existing = await findProductBySku(productData.sku, productData.marketplace);
+        if (existing && existing.id !== productId) {
+            return `SKU ${productData.sku} (${productData.marketplace}) is already used by product ${existing.id}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Load the product named by the :id route parameter, or send a 400/404
+ * @returns {Object|null} Raw database row
+ */
+const loadProductParam = async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+        res.status(400).json({
+            error: 'Invalid product id',
+            message: 'Product id must be a positive integer'
+        });
+        return null;
+    }
+
+    const product = await findProductById(parseInt(req.params.id));
+    if (!product) {
+        res.status(404).json({
+            error: 'Product not found',
+            message: 'The specified product does not exist'
+        });
+        return null;
+    }
+    return product;
+};
+
+const formatCompetitor = (row) => ({
+    asin: row.competitor_asin,
+    marketplace: row.marketplace,
+    fetched: Boolean(row.competitor_product_id),
+    title: row.title || null,
+    price: row.price || null,
+    rating: row.rating,
+    reviewCount: row.review_count,
+    lastUpdated: row.updated_at || null,
+    addedAt: row.added_at
+});
 
 /**
  * GET /api/products/:asin - Fetch product data by ASIN
+ * Query: marketplace (us, uk, de, in, ca, jp) - defaults to us
  */
 router.get('/:asin', async (req, res) => {
     try {
         const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
         
         // Validate ASIN
         if (!scraper.isValidASIN(asin)) {
@@ -20,91 +130,734 @@ router.get('/:asin', async (req, res) => {
             });
         }
 
-        console.log(`📦 Fetching product data for ASIN: ${asin}`);
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        console.log(`📦 Fetching product data for ASIN: ${asin} (${marketplace.code})`);
 
         // Check if product exists in database
-        let existingProduct = await executeQuery(
-            'SELECT * FROM products WHERE asin = ? ORDER BY updated_at DESC LIMIT 1',
-            [asin]
-        );
+        const existingProduct = await findProduct(asin, marketplace.code);
 
         // If product exists and was updated recently (within 24 hours), return cached data
         const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
         
-        if (existingProduct.length > 0) {
-            const product = existingProduct[0];
-            const lastUpdated = new Date(product.updated_at);
+        if (existingProduct) {
+            const lastUpdated = new Date(existingProduct.updated_at);
             
             if (lastUpdated > twentyFourHoursAgo) {
-                console.log(`📋 Returning cached product data for ${asin}`);
+                console.log(`📋 Returning cached product data for ${asin} (${marketplace.code})`);
                 return res.json({
-                    asin: product.asin,
-                    title: product.title,
-                    bulletPoints: product.bullet_points,
-                    description: product.description,
-                    imageUrl: product.image_url,
-                    price: product.price,
-                    availability: product.availability,
-                    rating: product.rating,
-                    reviewCount: product.review_count,
-                    lastUpdated: product.updated_at,
+                    ...formatProduct(existingProduct),
+                    lastUpdated: existingProduct.updated_at,
                     source: 'cached'
                 });
             }
+
+            // Imported and hand-entered listings are often new or private, with no public page to scrape,
+            // and an implicit refresh shouldn't overwrite edits
+            if (existingProduct.data_source !== 'scrape') {
+                return res.json({
+                    ...formatProduct(existingProduct),
+                    lastUpdated: existingProduct.updated_at,
+                    source: 'stored'
+                });
+            }
         }
 
         // Fetch fresh data from Amazon
-        const productData = await scraper.fetchProductDetails(asin);
-
-        // Store/update product in database
-        const upsertQuery = `
-            INSERT INTO products (asin, title, bullet_points, description, image_url, price, availability, rating, review_count)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            ON DUPLICATE KEY UPDATE
-            title = VALUES(title),
-            bullet_points = VALUES(bullet_points),
-            description = VALUES(description),
-            image_url = VALUES(image_url),
-            price = VALUES(price),
-            availability = VALUES(availability),
-            rating = VALUES(rating),
-            review_count = VALUES(review_count),
-            updated_at = CURRENT_TIMESTAMP
-        `;
-
-        await executeQuery(upsertQuery, [
-            productData.asin,
-            productData.title,
-            productData.bulletPoints,
-            productData.description,
-            productData.imageUrl,
-            productData.price,
-            productData.availability,
-            productData.rating,
-            productData.reviewCount
-        ]);
+        const productData = await scraper.fetchProductDetails(asin, { marketplace: marketplace.code });
 
-        console.log(`✅ Product data saved to database for ${asin}`);
+        // Update the current product row and keep a snapshot of this scrape
+        const { snapshotId } = await recordSnapshot(productData);
+
+        console.log(`✅ Product data saved to database for ${asin} (${marketplace.code}), snapshot ${snapshotId}`);
 
         res.json({
             ...productData,
+            snapshotId,
             source: 'fresh',
             lastUpdated: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('Product fetch error:', error.message);
-        
-        if (error.message.includes('Invalid ASIN')) {
-            return res.status(400).json({ error: error.message });
+        sendScraperError(res, error, 'Failed to fetch product data');
+    }
+});
+
+/**
+ * GET /api/products/:asin/reviews - Customer reviews for a fetched product
+ * Query: marketplace, stars (e.g. "1,2"), startDate, endDate (YYYY-MM-DD), verified,
+ *        page, limit, refresh (re-scrape), pages (review pages to scrape, max 10)
+ */
+router.get('/:asin/reviews', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const { startDate, endDate } = req.query;
+
+        if (!scraper.isValidASIN(asin)) {
+            return res.status(400).json({
+                error: 'Invalid ASIN format',
+                message: 'ASIN must be a 10-character alphanumeric string'
+            });
         }
-        
-        if (error.message.includes('not found')) {
-            return res.status(404).json({ error: error.message });
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
         }
-        
+
+        const stars = req.query.stars
+            ? String(req.query.stars).split(',').map(star => parseInt(star)).filter(star => star >= 1 && star <= 5)
+            : [];
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if ((startDate && !datePattern.test(startDate)) || (endDate && !datePattern.test(endDate))) {
+            return res.status(400).json({
+                error: 'Invalid date filter',
+                message: 'startDate and endDate must be formatted as YYYY-MM-DD'
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first before requesting reviews'
+            });
+        }
+
+        // Scrape reviews when they have never been scraped, the last scrape is older than 24 hours, or a refresh is requested
+        const lastScrapedAt = await getLastScrapedAt(product.id);
+        const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        let source = 'cached';
+
+        if (!lastScrapedAt || lastScrapedAt < twentyFourHoursAgo || req.query.refresh === 'true') {
+            const pages = Math.min(parseInt(req.query.pages) || 1, 10);
+            const reviewData = await scraper.fetchReviews(asin, { marketplace: marketplace.code, pages });
+            await saveReviews(product, reviewData);
+            source = 'fresh';
+            console.log(`✅ Stored ${reviewData.reviews.length} reviews for ${asin} (${marketplace.code})`);
+        }
+
+        const { reviews, total } = await findReviews(product.id, {
+            stars,
+            startDate,
+            endDate,
+            verified: req.query.verified === undefined ? undefined : req.query.verified === 'true',
+            limit,
+            offset: (page - 1) * limit
+        });
+        const { topPositive, topCritical } = await findTopReviews(product.id);
+        const [{ rating_histogram: histogram }] = await executeQuery(
+            'SELECT rating_histogram FROM products WHERE id = ?',
+            [product.id]
+        );
+
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            asin,
+            marketplace: marketplace.code,
+            histogram: parseJsonColumn(histogram, null),
+            topPositive,
+            topCritical,
+            reviews,
+            filters: {
+                stars,
+                startDate,
+                endDate,
+                verified: req.query.verified
+            },
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalReviews: total,
+                reviewsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            },
+            source
+        });
+
+    } catch (error) {
+        console.error('Reviews fetch error:', error.message);
+        sendScraperError(res, error, 'Failed to fetch reviews');
+    }
+});
+
+/**
+ * GET /api/products/:asin/snapshots - Every scrape of a product, newest first
+ * Query: marketplace, page, limit
+ */
+router.get('/:asin/snapshots', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first'
+            });
+        }
+
+        const { snapshots, total } = await findSnapshots(product.id, { limit, offset: (page - 1) * limit });
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            asin,
+            marketplace: marketplace.code,
+            snapshots,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalSnapshots: total,
+                snapshotsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Snapshots fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch snapshots',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/products/:asin/snapshots/diff - Field-level changes between two snapshots
+ * Query: marketplace, from, to (snapshot ids) - defaults to the two most recent snapshots
+ */
+router.get('/:asin/snapshots/diff', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first'
+            });
+        }
+
+        let fromId = parseInt(req.query.from) || null;
+        let toId = parseInt(req.query.to) || null;
+
+        if (!fromId || !toId) {
+            const { snapshots: latest } = await findSnapshots(product.id, { limit: 2 });
+            if (latest.length < 2) {
+                return res.status(400).json({
+                    error: 'Not enough snapshots',
+                    message: 'At least two snapshots are needed; pass from and to or re-scrape the product'
+                });
+            }
+            toId = toId || latest[0].id;
+            fromId = fromId || latest[1].id;
+        }
+
+        const [from, to] = await Promise.all([
+            findSnapshot(product.id, fromId),
+            findSnapshot(product.id, toId)
+        ]);
+
+        if (!from || !to) {
+            return res.status(404).json({
+                error: 'Snapshot not found',
+                message: `Snapshot ${!from ? fromId : toId} does not exist for ${asin} (${marketplace.code})`
+            });
+        }
+
+        res.json({
+            asin,
+            marketplace: marketplace.code,
+            from: { id: from.id, scrapedAt: from.scrapedAt },
+            to: { id: to.id, scrapedAt: to.scrapedAt },
+            ...diffSnapshots(from, to)
+        });
+
+    } catch (error) {
+        console.error('Snapshot diff error:', error.message);
+        res.status(500).json({
+            error: 'Failed to diff snapshots',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/products/:asin/offers - Buy-box holder per snapshot, newest first
+ * Query: marketplace, page, limit
+ */
+router.get('/:asin/offers', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first'
+            });
+        }
+
+        const { history, total } = await findOfferHistory(product.id, { limit, offset: (page - 1) * limit });
+        const current = formatProduct(product).offer;
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            asin,
+            marketplace: marketplace.code,
+            current,
+            // Only known when OWN_SELLER_IDS is configured
+            ownBuyBox: monitorConfig.ownSellerIds.length > 0 && current
+                ? monitorConfig.ownSellerIds.includes(current.sellerId)
+                : null,
+            history,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalSnapshots: total,
+                snapshotsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Offer history error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch offer history',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/products/:asin/bsr - Best Sellers Rank over time, one series per ranking category
+ * Query: marketplace, days (default 90, max 730), nodeId
+ */
+router.get('/:asin/bsr', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+        const days = Math.min(parseInt(req.query.days) || 90, 730);
+        const { nodeId } = req.query;
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        if (nodeId && !/^\d+$/.test(nodeId)) {
+            return res.status(400).json({
+                error: 'Invalid node ID',
+                message: 'nodeId must be a numeric browse-node ID'
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first'
+            });
+        }
+
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const readings = await findBsrReadings(product.id, { since, nodeId });
+        const formatted = formatProduct(product);
+
+        res.json({
+            asin,
+            marketplace: marketplace.code,
+            period: {
+                days,
+                startDate: since.toISOString(),
+                endDate: new Date().toISOString()
+            },
+            categoryTree: formatted.categoryTree,
+            currentRank: formatted.bestSellersRank,
+            series: groupBsrSeries(readings)
+        });
+
+    } catch (error) {
+        console.error('BSR fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch Best Sellers Rank history',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/products/:asin/competitors - Competitor ASINs attached to a product
+ * Query: marketplace
+ */
+router.get('/:asin/competitors', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first'
+            });
+        }
+
+        const competitors = await findCompetitors(product.id);
+
+        res.json({
+            asin,
+            marketplace: marketplace.code,
+            competitors: competitors.map(formatCompetitor)
+        });
+
+    } catch (error) {
+        console.error('Competitors fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch competitors',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/products/:asin/competitors - Attach competitor ASINs and scrape them
+ * Body: asins (max 10 per request), marketplace, fetch (default true)
+ */
+router.post('/:asin/competitors', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const { asins } = req.body;
+        const marketplace = getMarketplace(req.body.marketplace || req.query.marketplace || DEFAULT_MARKETPLACE);
+
+        if (!Array.isArray(asins) || asins.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'Competitor ASINs must be provided as a non-empty array'
+            });
+        }
+
+        if (asins.length > 10) {
+            return res.status(400).json({
+                error: 'Too many ASINs',
+                message: 'Maximum 10 competitor ASINs per request'
+            });
+        }
+
+        const invalidASINs = asins.filter(competitorAsin => !scraper.isValidASIN(competitorAsin) || competitorAsin === asin);
+        if (invalidASINs.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid ASINs',
+                message: `Invalid competitor ASINs: ${invalidASINs.join(', ')}`
+            });
+        }
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first'
+            });
+        }
+
+        const uniqueAsins = [...new Set(asins)];
+        await addCompetitors(product, uniqueAsins);
+
+        const results = req.body.fetch === false ? [] : await fetchCompetitors(product, uniqueAsins);
+        const competitors = await findCompetitors(product.id);
+
+        res.status(201).json({
+            asin,
+            marketplace: marketplace.code,
+            competitors: competitors.map(formatCompetitor),
+            fetchResults: results.map(result => ({
+                asin: result.asin,
+                success: result.success,
+                error: result.error,
+                code: result.code
+            }))
+        });
+
+    } catch (error) {
+        console.error('Competitors add error:', error.message);
+        res.status(500).json({
+            error: 'Failed to add competitors',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/products/:asin/competitors/:competitorAsin - Detach a competitor
+ * Query: marketplace
+ */
+router.delete('/:asin/competitors/:competitorAsin', async (req, res) => {
+    try {
+        const { asin, competitorAsin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        const removed = product ? await removeCompetitor(product.id, competitorAsin) : false;
+
+        if (!removed) {
+            return res.status(404).json({
+                error: 'Competitor not found',
+                message: `${competitorAsin} is not a competitor of ${asin} (${marketplace.code})`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Competitor removed'
+        });
+
+    } catch (error) {
+        console.error('Competitor remove error:', error.message);
+        res.status(500).json({
+            error: 'Failed to remove competitor',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/products/:asin/competitors/compare - Side-by-side matrix of our listing and its competitors
+ * Query: marketplace, refresh (re-scrape every competitor; otherwise only unfetched or >24h old ones)
+ */
+router.get('/:asin/competitors/compare', async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const product = await findProduct(asin, marketplace.code);
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                message: 'Please fetch the product data first'
+            });
+        }
+
+        let competitors = await findCompetitors(product.id);
+        if (competitors.length === 0) {
+            return res.status(400).json({
+                error: 'No competitors',
+                message: `Add competitor ASINs with POST /api/products/${asin}/competitors first`
+            });
+        }
+
+        const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const stale = competitors.filter(competitor => req.query.refresh === 'true' ||
+            !competitor.competitor_product_id || new Date(competitor.updated_at) < twentyFourHoursAgo);
+
+        if (stale.length > 0) {
+            await fetchCompetitors(product, stale.map(competitor => competitor.competitor_asin));
+            competitors = await findCompetitors(product.id);
+        }
+
+        const keywordRows = await executeQuery(
+            'SELECT keyword FROM keyword_tracking WHERE asin = ? AND marketplace = ? ORDER BY keyword',
+            [asin, marketplace.code]
+        );
+
+        const toListing = (row, listingAsin) => ({
+            asin: listingAsin,
+            marketplace: marketplace.code,
+            title: row.title,
+            bulletPoints: row.bullet_points,
+            description: row.description,
+            price: row.price,
+            currency: row.currency,
+            priceAmount: row.price_amount,
+            rating: row.rating,
+            reviewCount: row.review_count
+        });
+
+        const comparison = compareListings(
+            toListing(product, asin),
+            competitors.map(competitor => toListing(competitor, competitor.competitor_asin)),
+            keywordRows.map(row => row.keyword)
+        );
+
+        res.json({
+            asin,
+            marketplace: marketplace.code,
+            ...comparison,
+            generatedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Competitor comparison error:', error.message);
+        sendScraperError(res, error, 'Failed to compare competitors');
+    }
+});
+
+/**
+ * POST /api/products/import - Import listings from a file instead of scraping them
+ * Multipart field "file": Amazon inventory flat file (tab-delimited), CSV or XLSX with
+ * asin, sku, title, bullet1..5, description, brand, category (and optional price, marketplace) columns
+ * Body: marketplace (for rows without a marketplace column), dryRun (validate only)
+ */
+router.post('/import', (req, res, next) => {
+    importUpload.single('file')(req, res, (error) => {
+        if (!error) return next();
+        res.status(400).json({
+            error: 'Invalid upload',
+            message: error.code === 'LIMIT_FILE_SIZE'
+                ? `File is larger than ${IMPORT_MAX_FILE_SIZE / (1024 * 1024)}MB`
+                : error.message
+        });
+    });
+}, async (req, res) => {
+    try {
+        const marketplace = getMarketplace(req.body.marketplace || DEFAULT_MARKETPLACE);
+        const dryRun = ['true', '1'].includes(String(req.body.dryRun ?? req.query.dryRun).toLowerCase());
+
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No file',
+                message: 'Upload the listing file as multipart field "file"'
+            });
+        }
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        let parsed;
+        try {
+            parsed = await parseImportFile(req.file.buffer, {
+                filename: req.file.originalname,
+                marketplace: marketplace.code
+            });
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid import file',
+                message: error.message
+            });
+        }
+
+        console.log(`📥 Importing ${parsed.rows.length} listing(s) from ${req.file.originalname} (${parsed.format}${dryRun ? ', dry run' : ''})`);
+
+        const results = [];
+        for (const { row, listing, errors, warnings } of parsed.rows) {
+            const result = { row, asin: listing.asin || null, marketplace: listing.marketplace, sku: listing.sku, errors, warnings };
+
+            if (errors.length > 0) {
+                results.push({ ...result, status: 'invalid' });
+                continue;
+            }
+            if (dryRun) {
+                results.push({ ...result, status: 'valid' });
+                continue;
+            }
+
+            try {
+                const { productId, snapshotId, created } = await recordImportedListing(listing);
+                results.push({ ...result, status: created ? 'created' : 'updated', productId, snapshotId });
+            } catch (error) {
+                console.error(`Import error on row ${row}:`, error.message);
+                results.push({ ...result, status: 'failed', errors: [error.message] });
+            }
+        }
+
+        const count = (status) => results.filter(result => result.status === status).length;
+
+        res.json({
+            format: parsed.format,
+            dryRun,
+            summary: {
+                total: results.length,
+                valid: results.length - count('invalid'),
+                created: count('created'),
+                updated: count('updated'),
+                invalid: count('invalid'),
+                failed: count('failed')
+            },
+            results,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Listing import error:', error.message);
         res.status(500).json({
-            error: 'Failed to fetch product data',
+            error: 'Import failed',
             message: error.message
         });
     }
@@ -116,6 +869,7 @@ router.get('/:asin', async (req, res) => {
 router.post('/batch', async (req, res) => {
     try {
         const { asins } = req.body;
+        const marketplace = getMarketplace(req.body.marketplace || DEFAULT_MARKETPLACE);
         
         if (!Array.isArray(asins) || asins.length === 0) {
             return res.status(400).json({
@@ -140,44 +894,28 @@ router.post('/batch', async (req, res) => {
             });
         }
 
-        console.log(`📦 Batch fetching ${asins.length} products`);
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        console.log(`📦 Batch fetching ${asins.length} products (${marketplace.code})`);
 
-        const results = await scraper.fetchMultipleProducts(asins);
+        const results = await scraper.fetchMultipleProducts(asins, { marketplace: marketplace.code });
         
         // Store successful results in database
         for (const result of results) {
             if (result.success) {
-                const upsertQuery = `
-                    INSERT INTO products (asin, title, bullet_points, description, image_url, price, availability, rating, review_count)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    ON DUPLICATE KEY UPDATE
-                    title = VALUES(title),
-                    bullet_points = VALUES(bullet_points),
-                    description = VALUES(description),
-                    image_url = VALUES(image_url),
-                    price = VALUES(price),
-                    availability = VALUES(availability),
-                    rating = VALUES(rating),
-                    review_count = VALUES(review_count),
-                    updated_at = CURRENT_TIMESTAMP
-                `;
-
-                await executeQuery(upsertQuery, [
-                    result.data.asin,
-                    result.data.title,
-                    result.data.bulletPoints,
-                    result.data.description,
-                    result.data.imageUrl,
-                    result.data.price,
-                    result.data.availability,
-                    result.data.rating,
-                    result.data.reviewCount
-                ]);
+                const { snapshotId } = await recordSnapshot(result.data);
+                result.snapshotId = snapshotId;
             }
         }
 
         res.json({
             results,
+            marketplace: marketplace.code,
             summary: {
                 total: asins.length,
                 successful: results.filter(r => r.success).length,
@@ -197,39 +935,111 @@ router.post('/batch', async (req, res) => {
 
 /**
  * GET /api/products - Get all products with pagination
+ * Query: marketplace, status (draft, live), sku, currency, minPrice, maxPrice (e.g. 19.99; need a currency or
+ *        marketplace, whose currency is then used), sort (updated, price, rating, reviews), order (asc, desc), page, limit
  */
 router.get('/', async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per page
         const offset = (page - 1) * limit;
+        const { marketplace, status, sku, currency, minPrice, maxPrice, sort = 'updated' } = req.query;
+
+        if (status && !PRODUCT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${PRODUCT_STATUSES.join(', ')}`
+            });
+        }
+
+        if (!Object.hasOwn(PRODUCT_SORT_COLUMNS, sort)) {
+            return res.status(400).json({
+                error: 'Invalid sort',
+                message: `sort must be one of: ${Object.keys(PRODUCT_SORT_COLUMNS).join(', ')}`
+            });
+        }
+
+        // Prices are ascending by default, everything else newest/highest first
+        const order = String(req.query.order || (sort === 'price' ? 'asc' : 'desc')).toLowerCase();
+        if (!['asc', 'desc'].includes(order)) {
+            return res.status(400).json({
+                error: 'Invalid order',
+                message: 'order must be asc or desc'
+            });
+        }
+
+        const priceBounds = { minPrice, maxPrice };
+        for (const [name, value] of Object.entries(priceBounds)) {
+            if (value !== undefined && !(Number.isFinite(Number(value)) && Number(value) >= 0)) {
+                return res.status(400).json({
+                    error: 'Invalid price filter',
+                    message: `${name} must be a non-negative number`
+                });
+            }
+        }
+
+        // Amounts are only comparable within one currency; a marketplace stands for its own
+        let priceCurrency = currency ? String(currency).toUpperCase() : null;
+        if (!priceCurrency && (minPrice !== undefined || maxPrice !== undefined)) {
+            const priceMarketplace = marketplace && getMarketplace(String(marketplace));
+            if (!priceMarketplace) {
+                return res.status(400).json({
+                    error: 'Invalid price filter',
+                    message: marketplace
+                        ? `Unknown marketplace "${marketplace}"; must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+                        : 'minPrice and maxPrice need a currency or marketplace'
+                });
+            }
+            priceCurrency = priceMarketplace.currency;
+        }
+
+        const conditions = [];
+        const queryParams = [];
+
+        if (marketplace) {
+            conditions.push('marketplace = ?');
+            queryParams.push(String(marketplace).toLowerCase());
+        }
+        if (status) {
+            conditions.push('status = ?');
+            queryParams.push(status);
+        }
+        if (sku) {
+            conditions.push('sku = ?');
+            queryParams.push(String(sku));
+        }
+        if (priceCurrency) {
+            conditions.push('currency = ?');
+            queryParams.push(priceCurrency);
+        }
+        if (minPrice !== undefined) {
+            conditions.push(`${majorUnitsSql('price_amount', 'currency')} >= ?`);
+            queryParams.push(Number(minPrice));
+        }
+        if (maxPrice !== undefined) {
+            conditions.push(`${majorUnitsSql('price_amount', 'currency')} <= ?`);
+            queryParams.push(Number(maxPrice));
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const sortColumn = PRODUCT_SORT_COLUMNS[sort];
+        // Rows without a value (e.g. unparseable prices) go last either way
+        const orderClause = `ORDER BY ${sortColumn} IS NULL, ${sortColumn} ${order.toUpperCase()}, id DESC`;
 
         // Get total count
-        const countResult = await executeQuery('SELECT COUNT(*) as total FROM products');
+        const countResult = await executeQuery(`SELECT COUNT(*) as total FROM products ${whereClause}`, queryParams);
         const totalProducts = countResult[0].total;
 
         // Get products with pagination
         const products = await executeQuery(
-            'SELECT * FROM products ORDER BY updated_at DESC LIMIT ? OFFSET ?',
-            [limit, offset]
+            `SELECT * FROM products ${whereClause} ${orderClause} LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            queryParams
         );
 
         const totalPages = Math.ceil(totalProducts / limit);
 
         res.json({
-            products: products.map(p => ({
-                asin: p.asin,
-                title: p.title,
-                bulletPoints: p.bullet_points,
-                description: p.description,
-                imageUrl: p.image_url,
-                price: p.price,
-                availability: p.availability,
-                rating: p.rating,
-                reviewCount: p.review_count,
-                createdAt: p.created_at,
-                updatedAt: p.updated_at
-            })),
+            products: products.map(formatProductRecord),
             pagination: {
                 currentPage: page,
                 totalPages,
@@ -249,4 +1059,137 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/products - Create a product by hand. Without an asin it is a draft, fetched with
+ * GET /api/products/id/:id (or found by sku) until Amazon assigns one; optimize it with POST /api/optimize/products/:id
+ * Body: asin, marketplace, sku, status (draft, live), title, bulletPoints (array or text), description,
+ *       brand, category, price, listPrice, imageUrl, attributes (structured facts for writing the listing)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { productData, errors } = buildProductInput(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid product',
+                message: errors.join('; ')
+            });
+        }
+
+        const conflict = await findProductConflict(productData);
+        if (conflict) {
+            return res.status(409).json({
+                error: 'Product already exists',
+                message: conflict
+            });
+        }
+
+        const productId = await createProduct(productData);
+        await snapshotStoredProduct(productId);
+        console.log(`📝 Created ${productData.status} product ${productId} (${productData.asin || productData.sku || 'no ASIN'}, ${productData.marketplace})`);
+
+        res.status(201).json(formatProductRecord(await findProductById(productId)));
+
+    } catch (error) {
+        console.error('Product create error:', error.message);
+        res.status(500).json({
+            error: 'Failed to create product',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/products/id/:id - One product by id, including drafts that have no ASIN yet
+ */
+router.get('/id/:id', async (req, res) => {
+    try {
+        const product = await loadProductParam(req, res);
+        if (!product) return;
+
+        res.json(formatProductRecord(product));
+
+    } catch (error) {
+        console.error('Product fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch product',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Replace (PUT) or edit (PATCH) a product's listing fields. Fields only a scrape provides
+ * (rating, reviews, offer, images, BSR) are left as they are.
+ */
+const saveProductEdit = (partial) => async (req, res) => {
+    try {
+        const product = await loadProductParam(req, res);
+        if (!product) return;
+
+        const { productData, errors } = buildProductInput(req.body, partial ? formatProductRecord(product) : null);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid product',
+                message: errors.join('; ')
+            });
+        }
+
+        const conflict = await findProductConflict(productData, product.id);
+        if (conflict) {
+            return res.status(409).json({
+                error: 'Product already exists',
+                message: conflict
+            });
+        }
+
+        await updateProduct(product.id, productData);
+        const snapshotId = await snapshotStoredProduct(product.id);
+        console.log(`📝 Updated product ${product.id} (${productData.asin || productData.sku || 'no ASIN'}), snapshot ${snapshotId}`);
+
+        res.json(formatProductRecord(await findProductById(product.id)));
+
+    } catch (error) {
+        console.error('Product update error:', error.message);
+        res.status(500).json({
+            error: 'Failed to update product',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * PUT /api/products/:id - Replace a product's listing fields (same body as POST; omitted fields are cleared)
+ */
+router.put('/:id', saveProductEdit(false));
+
+/**
+ * PATCH /api/products/:id - Change some of a product's listing fields, e.g. { asin, status: "live" } once a draft launches
+ */
+router.patch('/:id', saveProductEdit(true));
+
+/**
+ * DELETE /api/products/:id - Delete a product with its snapshots, optimizations, reviews, alerts and rank history
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const product = await loadProductParam(req, res);
+        if (!product) return;
+
+        await deleteProduct(product.id);
+        console.log(`🗑️ Deleted product ${product.id} (${product.asin || product.sku || 'draft'})`);
+
+        res.json({
+            success: true,
+            message: 'Product deleted'
+        });
+
+    } catch (error) {
+        console.error('Product delete error:', error.message);
+        res.status(500).json({
+            error: 'Failed to delete product',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
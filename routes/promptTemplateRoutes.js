@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const MockProvider = require('../services/llm/mockProvider');
+const {
+    PROMPT_TEMPLATE_TYPES,
+    PROMPT_VARIABLES,
+    validateTemplateBody,
+    renderTemplate,
+    defaultTemplateSet
+} = require('../services/promptTemplates');
+const { findProductById, parseJsonColumn } = require('../models/productModel');
+const {
+    createTemplate,
+    findTemplate,
+    findTemplates,
+    findActiveTemplateSet,
+    activateTemplate,
+    updateTemplate,
+    deleteTemplate,
+    countTemplateUsage,
+    formatTemplate
+} = require('../models/promptTemplateModel');
+
+// Only builds prompts for previews; its provider is never called
+const previewOptimizer = new GeminiOptimizer({ provider: new MockProvider() });
+
+const isValidType = (type) => PROMPT_TEMPLATE_TYPES.includes(type);
+
+/**
+ * Validate name and notes from a request body
+ * @returns {string|null} Error message
+ */
+const validateTemplateFields = ({ name, notes }) => {
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+        return 'name must be a string of at most 100 characters';
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+        return 'notes must be a string';
+    }
+    return null;
+};
+
+const loadTemplateParam = async (req, res) => {
+    const template = /^\d+$/.test(req.params.id) ? await findTemplate(parseInt(req.params.id)) : null;
+    if (!template) {
+        res.status(404).json({
+            error: 'Template not found',
+            message: 'The specified prompt template does not exist'
+        });
+    }
+    return template;
+};
+
+/**
+ * GET /api/prompt-templates - List template versions
+ * Query: type (title, bullets, description, keywords), active (true/false)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { type } = req.query;
+
+        if (type && !isValidType(type)) {
+            return res.status(400).json({
+                error: 'Invalid template type',
+                message: `type must be one of: ${PROMPT_TEMPLATE_TYPES.join(', ')}`
+            });
+        }
+
+        const templates = await findTemplates({
+            type,
+            active: req.query.active === undefined ? undefined : req.query.active === 'true'
+        });
+
+        res.json({
+            templates: templates.map(formatTemplate),
+            types: PROMPT_TEMPLATE_TYPES,
+            variables: PROMPT_VARIABLES
+        });
+
+    } catch (error) {
+        console.error('Prompt template fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch prompt templates',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/prompt-templates - Save a new version of a template type
+ * Body: type, body (may use {{variables}}), name, notes, activate (make it the version optimizations use)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { type, body, name, notes, activate = false } = req.body;
+
+        if (!isValidType(type)) {
+            return res.status(400).json({
+                error: 'Invalid template type',
+                message: `type must be one of: ${PROMPT_TEMPLATE_TYPES.join(', ')}`
+            });
+        }
+
+        const errors = validateTemplateBody(body);
+        const fieldError = validateTemplateFields({ name, notes });
+        if (fieldError) errors.push(fieldError);
+        if (typeof activate !== 'boolean') errors.push('activate must be a boolean');
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid prompt template',
+                message: errors.join('; ')
+            });
+        }
+
+        const id = await createTemplate({ type, body, name, notes });
+        const template = await findTemplate(id);
+        if (activate) {
+            await activateTemplate(template);
+        }
+
+        console.log(`📝 Saved ${type} prompt template v${template.version}${activate ? ' (active)' : ''}`);
+        res.status(201).json(formatTemplate(await findTemplate(id)));
+
+    } catch (error) {
+        console.error('Prompt template create error:', error.message);
+        res.status(500).json({
+            error: 'Failed to save prompt template',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/prompt-templates/render - Preview a template against a product or sample values
+ * Body: templateId, or type and body (an unsaved draft); productId or variables
+ * Returns the rendered instruction and the full listing prompt with it in place of the active version
+ */
+router.post('/render', async (req, res) => {
+    try {
+        const { templateId, productId, variables } = req.body;
+        let template;
+
+        if (templateId !== undefined) {
+            template = Number.isInteger(templateId) ? await findTemplate(templateId) : null;
+            if (!template) {
+                return res.status(404).json({
+                    error: 'Template not found',
+                    message: 'The specified prompt template does not exist'
+                });
+            }
+        } else {
+            const errors = isValidType(req.body.type) ? validateTemplateBody(req.body.body) : [`type must be one of: ${PROMPT_TEMPLATE_TYPES.join(', ')}`];
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid prompt template',
+                    message: errors.join('; ')
+                });
+            }
+            template = { template_type: req.body.type, body: req.body.body, version: null };
+        }
+
+        let productData;
+        if (productId !== undefined) {
+            const product = Number.isInteger(productId) ? await findProductById(productId) : null;
+            if (!product) {
+                return res.status(404).json({
+                    error: 'Product not found',
+                    message: 'The specified product does not exist'
+                });
+            }
+            productData = {
+                asin: product.asin,
+                marketplace: product.marketplace,
+                title: product.title,
+                bulletPoints: product.bullet_points,
+                description: product.description,
+                category: product.category,
+                brand: product.brand,
+                attributes: parseJsonColumn(product.attributes, {})
+            };
+        } else if (variables && typeof variables === 'object' && !Array.isArray(variables)) {
+            productData = { ...variables };
+        } else {
+            return res.status(400).json({
+                error: 'Invalid render request',
+                message: 'Provide a productId or a variables object'
+            });
+        }
+
+        const templates = { ...defaultTemplateSet(), ...(await findActiveTemplateSet()) };
+        templates[template.template_type] = { body: template.body, version: template.version };
+
+        res.json({
+            type: template.template_type,
+            version: template.version,
+            rendered: renderTemplate(template.body, previewOptimizer.createPromptVariables(productData)),
+            prompt: previewOptimizer.createListingPrompt(productData, templates)
+        });
+
+    } catch (error) {
+        console.error('Prompt template render error:', error.message);
+        res.status(500).json({
+            error: 'Failed to render prompt template',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/prompt-templates/:id - One template version and how many optimizations used it
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await loadTemplateParam(req, res);
+        if (!template) return;
+
+        res.json({
+            ...formatTemplate(template),
+            usageCount: await countTemplateUsage(template)
+        });
+
+    } catch (error) {
+        console.error('Prompt template fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch prompt template',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/prompt-templates/:id - Rename, annotate or activate a version
+ * Body: name, notes, isActive (true only; activate another version to switch), body (only while no optimization has used it)
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { name, notes, body, isActive } = req.body;
+
+        const errors = body === undefined ? [] : validateTemplateBody(body);
+        const fieldError = validateTemplateFields({ name, notes });
+        if (fieldError) errors.push(fieldError);
+        if (isActive !== undefined && isActive !== true) {
+            errors.push('isActive can only be set to true; activate another version to switch away from this one');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid prompt template',
+                message: errors.join('; ')
+            });
+        }
+
+        const template = await loadTemplateParam(req, res);
+        if (!template) return;
+
+        // Scores and feedback are compared per version, so a used version's text is frozen
+        if (body !== undefined && body !== template.body) {
+            const usageCount = await countTemplateUsage(template);
+            if (usageCount > 0) {
+                return res.status(409).json({
+                    error: 'Template in use',
+                    message: `Version ${template.version} was used by ${usageCount} optimization(s); save the change as a new version instead`
+                });
+            }
+        }
+
+        await updateTemplate(template.id, { name, notes, body });
+        if (isActive) {
+            await activateTemplate(template);
+            console.log(`📝 Activated ${template.template_type} prompt template v${template.version}`);
+        }
+
+        res.json(formatTemplate(await findTemplate(template.id)));
+
+    } catch (error) {
+        console.error('Prompt template update error:', error.message);
+        res.status(500).json({
+            error: 'Failed to update prompt template',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/prompt-templates/:id - Delete a version that is neither active nor used by an optimization
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const template = await loadTemplateParam(req, res);
+        if (!template) return;
+
+        if (template.is_active) {
+            return res.status(409).json({
+                error: 'Template is active',
+                message: 'Activate another version before deleting this one'
+            });
+        }
+
+        const usageCount = await countTemplateUsage(template);
+        if (usageCount > 0) {
+            return res.status(409).json({
+                error: 'Template in use',
+                message: `Version ${template.version} was used by ${usageCount} optimization(s) and is kept for comparison`
+            });
+        }
+
+        await deleteTemplate(template.id);
+
+        res.json({
+            success: true,
+            message: `Deleted ${template.template_type} prompt template v${template.version}`
+        });
+
+    } catch (error) {
+        console.error('Prompt template delete error:', error.message);
+        res.status(500).json({
+            error: 'Failed to delete prompt template',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const scraper = require('../services/sharedScraper');
+const { DEFAULT_MARKETPLACE, MARKETPLACES, getMarketplace } = require('../services/marketplaces');
+const { sendScraperError } = require('../services/scraperErrors');
+
+/**
+ * GET /api/search?keyword= - Ranked ASINs Amazon returns for a search term
+ * Query: keyword (required), marketplace, pages (max 5), asin (report where this ASIN ranks)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const keyword = typeof req.query.keyword === 'string' ? req.query.keyword.trim() : '';
+        const marketplace = getMarketplace(req.query.marketplace || DEFAULT_MARKETPLACE);
+        const pages = Math.min(Math.max(parseInt(req.query.pages) || 1, 1), 5);
+        const { asin } = req.query;
+
+        if (!keyword) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'A keyword query parameter is required'
+            });
+        }
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        if (asin && !scraper.isValidASIN(asin)) {
+            return res.status(400).json({
+                error: 'Invalid ASIN format',
+                message: 'ASIN must be a 10-character alphanumeric string'
+            });
+        }
+
+        console.log(`🔎 Search request for "${keyword}" (${marketplace.code})`);
+
+        const searchResult = await scraper.searchKeyword(keyword, { pages, marketplace: marketplace.code });
+
+        // Where a given ASIN surfaces, organically and through ads
+        let target;
+        if (asin) {
+            const organic = searchResult.results.find(r => r.asin === asin && !r.sponsored);
+            const sponsored = searchResult.results.find(r => r.asin === asin && r.sponsored);
+            target = {
+                asin,
+                found: Boolean(organic || sponsored),
+                organicRank: organic ? organic.organicRank : null,
+                organicPosition: organic ? organic.position : null,
+                sponsoredPosition: sponsored ? sponsored.position : null
+            };
+        }
+
+        res.json({
+            ...searchResult,
+            pagesSearched: pages,
+            summary: {
+                total: searchResult.results.length,
+                organic: searchResult.results.filter(r => !r.sponsored).length,
+                sponsored: searchResult.results.filter(r => r.sponsored).length
+            },
+            ...(target && { target }),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Search error:', error.message);
+        sendScraperError(res, error, 'Search failed');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const monitorConfig = require('../config/monitor');
+const monitor = require('../services/sharedMonitor');
+const { DEFAULT_MARKETPLACE, MARKETPLACES, getMarketplace } = require('../services/marketplaces');
+const { DEFAULT_RULES, validateRules } = require('../services/alertRules');
+const { sendScraperError } = require('../services/scraperErrors');
+const {
+    createWatch,
+    findWatch,
+    findWatchByAsin,
+    findWatches,
+    updateWatch,
+    deleteWatch,
+    formatWatch
+} = require('../models/watchlistModel');
+
+/**
+ * Validate intervalMinutes and rules from a request body
+ * @returns {string|null} Error message
+ */
+const validateWatchInput = ({ intervalMinutes, rules }) => {
+    if (intervalMinutes !== undefined &&
+        (!Number.isInteger(intervalMinutes) || intervalMinutes < monitorConfig.minIntervalMinutes)) {
+        return `intervalMinutes must be a whole number of at least ${monitorConfig.minIntervalMinutes}`;
+    }
+
+    if (rules !== undefined) {
+        if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+            return 'rules must be an object';
+        }
+        const unknown = Object.keys(rules).filter(key => !(key in DEFAULT_RULES));
+        if (unknown.length > 0) {
+            return `Unknown rules: ${unknown.join(', ')}. Valid rules: ${Object.keys(DEFAULT_RULES).join(', ')}`;
+        }
+        const invalid = validateRules(rules);
+        if (invalid.length > 0) {
+            return invalid.join('; ');
+        }
+    }
+
+    return null;
+};
+
+/**
+ * GET /api/watchlist - List watched ASINs
+ * Query: marketplace, enabled, page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const { watches, total } = await findWatches({
+            marketplace: req.query.marketplace ? String(req.query.marketplace).toLowerCase() : undefined,
+            enabled: req.query.enabled === undefined ? undefined : req.query.enabled === 'true',
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            watchlist: watches,
+            defaultRules: DEFAULT_RULES,
+            scheduler: monitor.getStatus(),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalWatches: total,
+                watchesPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Watchlist fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch watchlist',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/watchlist - Put an ASIN on watch
+ * Body: asin, marketplace, intervalMinutes, rules (overrides for the default alert thresholds)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { asin, rules } = req.body;
+        const marketplace = getMarketplace(req.body.marketplace || DEFAULT_MARKETPLACE);
+        const intervalMinutes = req.body.intervalMinutes ?? monitorConfig.defaultIntervalMinutes;
+
+        if (typeof asin !== 'string' || !/^[A-Z0-9]{10}$/.test(asin)) {
+            return res.status(400).json({
+                error: 'Invalid ASIN format',
+                message: 'ASIN must be a 10-character alphanumeric string'
+            });
+        }
+
+        if (!marketplace) {
+            return res.status(400).json({
+                error: 'Invalid marketplace',
+                message: `Marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`
+            });
+        }
+
+        const validationError = validateWatchInput({ intervalMinutes, rules });
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid watch settings',
+                message: validationError
+            });
+        }
+
+        const existing = await findWatchByAsin(asin, marketplace.code);
+        if (existing) {
+            return res.status(409).json({
+                error: 'Already watched',
+                message: `${asin} (${marketplace.code}) is already on the watchlist as entry ${existing.id}`
+            });
+        }
+
+        const id = await createWatch({ asin, marketplace: marketplace.code, intervalMinutes, rules });
+        console.log(`👀 Watching ${asin} (${marketplace.code}) every ${intervalMinutes} minutes`);
+
+        res.status(201).json(formatWatch(await findWatch(id)));
+
+    } catch (error) {
+        console.error('Watchlist create error:', error.message);
+        res.status(500).json({
+            error: 'Failed to add to watchlist',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/watchlist/:id - One watchlist entry
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const watch = await findWatch(req.params.id);
+        if (!watch) {
+            return res.status(404).json({
+                error: 'Watch not found',
+                message: 'The specified watchlist entry does not exist'
+            });
+        }
+
+        res.json(formatWatch(watch));
+
+    } catch (error) {
+        console.error('Watchlist fetch error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch watchlist entry',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/watchlist/:id - Change interval, rules or pause/resume
+ * Body: intervalMinutes, rules, enabled
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const { intervalMinutes, rules, enabled } = req.body;
+
+        const validationError = validateWatchInput({ intervalMinutes, rules });
+        if (validationError || (enabled !== undefined && typeof enabled !== 'boolean')) {
+            return res.status(400).json({
+                error: 'Invalid watch settings',
+                message: validationError || 'enabled must be a boolean'
+            });
+        }
+
+        const watch = await findWatch(req.params.id);
+        if (!watch) {
+            return res.status(404).json({
+                error: 'Watch not found',
+                message: 'The specified watchlist entry does not exist'
+            });
+        }
+
+        await updateWatch(watch.id, { intervalMinutes, rules, enabled });
+
+        res.json(formatWatch(await findWatch(watch.id)));
+
+    } catch (error) {
+        console.error('Watchlist update error:', error.message);
+        res.status(500).json({
+            error: 'Failed to update watchlist entry',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/watchlist/:id - Stop watching an ASIN (its alerts are kept)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await deleteWatch(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Watch not found',
+                message: 'The specified watchlist entry does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Removed from watchlist'
+        });
+
+    } catch (error) {
+        console.error('Watchlist delete error:', error.message);
+        res.status(500).json({
+            error: 'Failed to remove watchlist entry',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/watchlist/:id/check - Run a check now instead of waiting for the schedule
+ */
+router.post('/:id/check', async (req, res) => {
+    try {
+        const watch = await findWatch(req.params.id);
+        if (!watch) {
+            return res.status(404).json({
+                error: 'Watch not found',
+                message: 'The specified watchlist entry does not exist'
+            });
+        }
+
+        const { snapshotId, alerts } = await monitor.checkWatch(watch);
+
+        res.json({
+            watch: formatWatch(await findWatch(watch.id)),
+            snapshotId,
+            alerts
+        });
+
+    } catch (error) {
+        console.error('Watch check error:', error.message);
+        sendScraperError(res, error, 'Watch check failed');
+    }
+});
+
+module.exports = router;
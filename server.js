@@ -10,10 +10,19 @@ dotenv.config();
 const productRoutes = require('./routes/productRoutes');
 const optimizationRoutes = require('./routes/optimizationRoutes');
 const historyRoutes = require('./routes/historyRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const watchlistRoutes = require('./routes/watchlistRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const promptTemplateRoutes = require('./routes/promptTemplateRoutes');
 
 // Import database connection
 const db = require('./config/database');
 
+// Background monitoring of watched ASINs
+const monitorConfig = require('./config/monitor');
+const monitor = require('./services/sharedMonitor');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -45,6 +54,11 @@ app.get('/health', (req, res) => {
 app.use('/api/products', productRoutes);
 app.use('/api/optimize', optimizationRoutes);
 app.use('/api/history', historyRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/prompt-templates', promptTemplateRoutes);
 
 // Global error handling middleware
 app.use((err, req, res, next) => {
@@ -71,6 +85,10 @@ db.getConnection()
             console.log(`🚀 Server running on http://localhost:${PORT}`);
             console.log(`📊 Health check: http://localhost:${PORT}/health`);
             console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+            if (monitorConfig.enabled) {
+                monitor.start();
+            }
         });
     })
     .catch(err => {
@@ -81,6 +99,7 @@ db.getConnection()
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    monitor.stop();
     db.end(() => {
         console.log('Database connection closed.');
         process.exit(0);
@@ -0,0 +1,206 @@
+const { getMarketplace, isOutOfStock } = require('./marketplaces');
+const { diffSnapshots } = require('../models/snapshotModel');
+const { splitBullets } = require('./listingText');
+
+/**
+ * Default thresholds for a watched product. A watchlist entry overrides any of
+ * these through its `rules` JSON; setting a rule to false disables it.
+ */
+const DEFAULT_RULES = {
+    priceDropPercent: 5,
+    priceRisePercent: 10,
+    outOfStock: true,
+    ratingDrop: 0.1,
+    titleChanged: true,
+    bulletsChanged: true,
+    reviewCountJump: 50,
+    buyBoxLost: true,
+    buyBoxChanged: true
+};
+
+const ALERT_TYPES = [
+    'price_drop',
+    'price_rise',
+    'out_of_stock',
+    'rating_drop',
+    'title_changed',
+    'bullets_changed',
+    'review_count_jump',
+    'buy_box_lost',
+    'buy_box_changed'
+];
+
+const isEnabled = (value) => value !== false && value !== null && value !== undefined;
+
+/**
+ * Problems with a watch's rule overrides: thresholds are non-negative numbers, switches are booleans,
+ * and false or null disables either
+ * @param {Object} rules - Overrides keyed by DEFAULT_RULES names
+ * @returns {string[]} Error messages
+ */
+const validateRules = (rules) => Object.entries(rules)
+    .filter(([name, value]) => name in DEFAULT_RULES && value !== false && value !== null)
+    .filter(([name, value]) => (typeof DEFAULT_RULES[name] === 'number'
+        ? !(typeof value === 'number' && Number.isFinite(value) && value >= 0)
+        : value !== true))
+    .map(([name]) => (typeof DEFAULT_RULES[name] === 'number'
+        ? `${name} must be a non-negative number, or false to disable it`
+        : `${name} must be true or false`));
+
+// Whitespace and bullet separators differ between our stored copy and the scraped page
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+const sameBullets = (a, b) => {
+    const left = splitBullets(a).map(normalizeText);
+    const right = splitBullets(b).map(normalizeText);
+    return left.length === right.length && left.every((bullet, index) => bullet === right[index]);
+};
+
+/**
+ * Compare two snapshots of a watched product and return the alerts to raise
+ * @param {Object} previous - Earlier snapshot (formatSnapshot shape)
+ * @param {Object} current - Snapshot just scraped
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - Threshold overrides merged over DEFAULT_RULES
+ * @param {Object[]} [options.ownListings] - Titles/bullets we generated; edits matching them are ours, not someone else's
+ * @param {string[]} [options.ownSellerIds] - Our merchant IDs; without them a suppressed buy box is the only loss detected
+ * @returns {Object[]} [{ type, severity, message, details }]
+ */
+const evaluateRules = (previous, current, options = {}) => {
+    const rules = { ...DEFAULT_RULES, ...(options.rules || {}) };
+    const ownListings = options.ownListings || [];
+    const ownSellerIds = options.ownSellerIds || [];
+    const marketplace = getMarketplace(current.marketplace);
+    const alerts = [];
+
+    if (!previous) return alerts;
+
+    const diff = diffSnapshots(previous, current);
+
+    // Price moves, as a percentage of the previous price; the stored amounts don't depend on how
+    // the price text was written (an imported "19.99" against a scraped "19,99 €")
+    const oldDetails = previous.priceDetails;
+    const newDetails = current.priceDetails;
+    const comparable = oldDetails && newDetails && oldDetails.currency === newDetails.currency;
+    const oldPrice = comparable ? oldDetails.amount : null;
+    const newPrice = comparable ? newDetails.amount : null;
+    if (oldPrice && newPrice && oldPrice !== newPrice) {
+        const changePercent = Math.round(((newPrice - oldPrice) / oldPrice) * 10000) / 100;
+        const details = { from: previous.price, to: current.price, changePercent };
+
+        if (isEnabled(rules.priceDropPercent) && changePercent <= -rules.priceDropPercent) {
+            alerts.push({
+                type: 'price_drop',
+                severity: 'warning',
+                message: `Price dropped ${Math.abs(changePercent)}% from ${previous.price} to ${current.price}`,
+                details
+            });
+        }
+
+        if (isEnabled(rules.priceRisePercent) && changePercent >= rules.priceRisePercent) {
+            alerts.push({
+                type: 'price_rise',
+                severity: 'warning',
+                message: `Price rose ${changePercent}% from ${previous.price} to ${current.price}`,
+                details
+            });
+        }
+    }
+
+    // Stock going out (an unknown availability isn't treated as a change)
+    if (isEnabled(rules.outOfStock) &&
+        isOutOfStock(previous.availability, marketplace) === false &&
+        isOutOfStock(current.availability, marketplace) === true) {
+        alerts.push({
+            type: 'out_of_stock',
+            severity: 'critical',
+            message: `Product went out of stock: "${current.availability}"`,
+            details: { from: previous.availability, to: current.availability }
+        });
+    }
+
+    const ratingChange = diff.fields.rating;
+    if (isEnabled(rules.ratingDrop) && ratingChange.delta !== undefined && ratingChange.delta <= -rules.ratingDrop) {
+        alerts.push({
+            type: 'rating_drop',
+            severity: 'warning',
+            message: `Rating fell from ${ratingChange.from} to ${ratingChange.to}`,
+            details: { from: ratingChange.from, to: ratingChange.to, delta: ratingChange.delta }
+        });
+    }
+
+    // Listing edits that don't match one of our own optimizations came from someone else
+    if (isEnabled(rules.titleChanged) && diff.fields.title.changed &&
+        !ownListings.some(listing => normalizeText(listing.title) === normalizeText(current.title))) {
+        alerts.push({
+            type: 'title_changed',
+            severity: 'warning',
+            message: 'Title was edited outside of an optimization',
+            details: { from: previous.title, to: current.title }
+        });
+    }
+
+    const bulletChange = diff.fields.bulletPoints;
+    if (isEnabled(rules.bulletsChanged) && bulletChange.changed &&
+        !ownListings.some(listing => sameBullets(listing.bulletPoints, current.bulletPoints))) {
+        alerts.push({
+            type: 'bullets_changed',
+            severity: 'warning',
+            message: `Bullet points were edited outside of an optimization (${bulletChange.added.length} added, ${bulletChange.removed.length} removed)`,
+            details: { added: bulletChange.added, removed: bulletChange.removed }
+        });
+    }
+
+    const oldCount = previous.reviewCount;
+    const newCount = current.reviewCount;
+    if (isEnabled(rules.reviewCountJump) && Number.isFinite(oldCount) && Number.isFinite(newCount) &&
+        newCount - oldCount >= rules.reviewCountJump) {
+        alerts.push({
+            type: 'review_count_jump',
+            severity: 'info',
+            message: `Review count jumped by ${newCount - oldCount} (${oldCount} → ${newCount})`,
+            details: { from: oldCount, to: newCount, change: newCount - oldCount }
+        });
+    }
+
+    // Buy box: losing it (to another seller, or suppressed) vs. it changing hands between other sellers
+    const oldOffer = previous.offer;
+    const newOffer = current.offer;
+    if (oldOffer && newOffer) {
+        const details = {
+            from: { soldBy: oldOffer.soldBy, sellerId: oldOffer.sellerId, fulfillment: oldOffer.fulfillment },
+            to: { soldBy: newOffer.soldBy, sellerId: newOffer.sellerId, fulfillment: newOffer.fulfillment }
+        };
+        const heldByUs = (offer) => offer.hasBuyBox && ownSellerIds.includes(offer.sellerId);
+        const lostToSeller = ownSellerIds.length > 0 && heldByUs(oldOffer) && !heldByUs(newOffer);
+        const suppressed = oldOffer.hasBuyBox && !newOffer.hasBuyBox;
+
+        if (isEnabled(rules.buyBoxLost) && (lostToSeller || suppressed)) {
+            alerts.push({
+                type: 'buy_box_lost',
+                severity: 'critical',
+                message: newOffer.hasBuyBox
+                    ? `Buy box lost to ${newOffer.soldBy || newOffer.sellerId}`
+                    : 'Buy box is suppressed; no seller currently wins it',
+                details
+            });
+        } else if (isEnabled(rules.buyBoxChanged) && oldOffer.hasBuyBox && newOffer.hasBuyBox &&
+            oldOffer.sellerId !== newOffer.sellerId) {
+            alerts.push({
+                type: 'buy_box_changed',
+                severity: heldByUs(newOffer) ? 'info' : 'warning',
+                message: `Buy box moved from ${oldOffer.soldBy || oldOffer.sellerId} to ${newOffer.soldBy || newOffer.sellerId}`,
+                details
+            });
+        }
+    }
+
+    return alerts;
+};
+
+module.exports = {
+    DEFAULT_RULES,
+    ALERT_TYPES,
+    validateRules,
+    evaluateRules
+};
@@ -1,248 +1,961 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
+const PageFetcher = require('./pageFetcher');
+const scraperConfig = require('../config/scraper');
+const {
+    DEFAULT_MARKETPLACE,
+    getMarketplace,
+    parseLocaleNumber,
+    parseLocaleInteger,
+    parseLocaleDate
+} = require('./marketplaces');
+const {
+    InvalidAsinError,
+    InvalidMarketplaceError,
+    ProductNotFoundError,
+    BlockedError,
+    RobotCheckError,
+    RegionRedirectError,
+    LoginRequiredError,
+    UpstreamError,
+    NetworkError,
+    ScraperTimeoutError,
+    ExtractionError
+} = require('./scraperErrors');
+const { parsePriceDetails } = require('./moneyParser');
+const SelectorRegistry = require('./selectorRegistry');
+
+/**
+ * Seconds from a Retry-After header (delta-seconds or an HTTP date); undefined when there is none
+ */
+const parseRetryAfter = (headers) => {
+    const value = headers?.['retry-after'];
+    if (!value) return undefined;
+
+    const seconds = parseInt(value);
+    if (String(seconds) === String(value).trim()) return Math.max(0, seconds);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
 
 class AmazonScraper {
-    constructor() {
-        this.headers = {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'Accept-Encoding': 'gzip, deflate',
-            'Connection': 'keep-alive',
-            'Upgrade-Insecure-Requests': '1',
-        };
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.fetcher] - Page fetcher ({ fetch(url, options) }), defaults to a PageFetcher
+     * @param {string} [options.mode] - PageFetcher mode when no fetcher is given (live, record, replay)
+     * @param {string} [options.fixtureDir] - Fixture directory for record/replay
+     * @param {SelectorRegistry} [options.selectors] - Product page selector definitions and hit stats
+     * @param {string[]} [options.proxies] - Proxy URLs for the PageFetcher (defaults to SCRAPER_PROXIES)
+     * @param {number} [options.minIntervalMs] - Minimum spacing between requests to one host
+     * @param {number} [options.maxRetries] - Retries on blocks, 503s and network failures
+     * @param {number} [options.backoffBaseMs] - First retry delay, doubled on every attempt
+     * @param {number} [options.backoffMaxMs] - Upper bound for a single retry delay
+     */
+    constructor(options = {}) {
         this.timeout = 30000; // 30 seconds
+        this.maxRetries = options.maxRetries ?? scraperConfig.maxRetries;
+        this.backoffBaseMs = options.backoffBaseMs ?? scraperConfig.backoffBaseMs;
+        this.backoffMaxMs = options.backoffMaxMs ?? scraperConfig.backoffMaxMs;
+        this.stats = { retries: 0, blocked: 0 };
+        this.selectors = options.selectors || new SelectorRegistry({
+            file: scraperConfig.selectorsFile || undefined,
+            recentWindow: scraperConfig.selectorStatsWindow
+        });
+        this.fetcher = options.fetcher || new PageFetcher({
+            mode: options.mode,
+            fixtureDir: options.fixtureDir,
+            timeout: this.timeout,
+            proxies: options.proxies,
+            minIntervalMs: options.minIntervalMs
+        });
+    }
+
+    /**
+     * Proxy, rate limiter and retry counters for the admin health endpoint
+     */
+    getHealth() {
+        return {
+            retries: this.stats.retries,
+            blocked: this.stats.blocked,
+            maxRetries: this.maxRetries,
+            ...(this.fetcher.getHealth ? this.fetcher.getHealth() : {})
+        };
+    }
+
+    /**
+     * Exponential backoff with jitter: half the delay is fixed, half is random,
+     * so parallel requests that were blocked together don't retry together
+     */
+    backoffDelay(attempt) {
+        const delay = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** attempt);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Resolve a marketplace code, throwing on unknown stores
+     */
+    resolveMarketplace(code = DEFAULT_MARKETPLACE) {
+        const marketplace = getMarketplace(code);
+        if (!marketplace) {
+            throw new InvalidMarketplaceError(code);
+        }
+        return marketplace;
     }
 
     /**
      * Fetch product data from Amazon using ASIN
      * @param {string} asin - Amazon Standard Identification Number
+     * @param {Object} [options]
+     * @param {string} [options.marketplace='us'] - Marketplace code (us, uk, de, in, ca, jp)
      * @returns {Object} Product details
      */
-    async fetchProductDetails(asin) {
+    async fetchProductDetails(asin, options = {}) {
         if (!asin || typeof asin !== 'string' || asin.length !== 10) {
-            throw new Error('Invalid ASIN format. ASIN must be a 10-character string.');
+            throw new InvalidAsinError();
         }
 
+        const marketplace = this.resolveMarketplace(options.marketplace);
+
         try {
-            const url = `https://www.amazon.com/dp/${asin}`;
-            console.log(`🔍 Scraping product data for ASIN: ${asin}`);
-            console.log(`📍 URL: ${url}`);
-
-            const response = await axios.get(url, {
-                headers: this.headers,
-                timeout: this.timeout,
-                validateStatus: (status) => status < 500 // Accept 4xx errors but not 5xx
-            });
+            const url = `https://${marketplace.domain}/dp/${asin}`;
+            console.log(`🔍 Scraping product data for ASIN: ${asin} (${marketplace.code})`);
 
-            if (response.status === 404) {
-                throw new Error('Product not found. Please check the ASIN.');
-            }
+            const response = await this.fetchPage(url, marketplace, `${marketplace.code}/${asin}`);
+            const productData = this.parseProductPage(response.data, asin, marketplace);
+
+            console.log(`✅ Successfully scraped product: ${productData.title.substring(0, 50)}...`);
+            return productData;
+
+        } catch (error) {
+            console.error(`❌ Scraping failed for ASIN ${asin}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch one Amazon page through the page fetcher with the marketplace's headers,
+     * retrying blocks, 503s and network failures with exponential backoff. A block whose
+     * Retry-After is longer than backoffMaxMs is thrown rather than waited out.
+     * @param {string} url - Page URL
+     * @param {Object} marketplace - Marketplace definition
+     * @param {string} fixtureKey - Fixture key used in record/replay mode
+     * @returns {Object} Fetcher response with status 200
+     * @throws {ScraperError} For network failures and for pages Amazon serves instead of the content
+     */
+    async fetchPage(url, marketplace, fixtureKey) {
+        console.log(`📍 URL: ${url}`);
 
-            if (response.status !== 200) {
-                throw new Error(`Amazon returned status ${response.status}`);
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            try {
+                response = await this.requestPage(url, marketplace, fixtureKey);
+                this.assertUsablePage(response, url, marketplace);
+                this.fetcher.reportResult?.(response, true);
+                return response;
+            } catch (error) {
+                const blocked = error instanceof BlockedError;
+                if (blocked) this.stats.blocked++;
+
+                // A block or a page from the wrong region says something about the proxy, a 404 doesn't
+                if (response) {
+                    const proxyFault = blocked || error instanceof RegionRedirectError || response.status >= 500;
+                    this.fetcher.reportResult?.(response, !proxyFault, error.code);
+                }
+
+                const retryable = blocked || error instanceof NetworkError || error instanceof ScraperTimeoutError;
+                if (!retryable || attempt >= this.maxRetries || response?.fromFixture) {
+                    throw error;
+                }
+
+                // Never come back sooner than Amazon asked us to
+                const requestedMs = blocked ? (parseRetryAfter(response?.headers) || 0) * 1000 : 0;
+                if (requestedMs > this.backoffMaxMs) {
+                    console.warn(`⏳ ${error.code} for ${url}, Amazon asked for ${requestedMs / 1000}s; not retrying`);
+                    throw error;
+                }
+
+                const delay = Math.max(this.backoffDelay(attempt), requestedMs);
+                this.stats.retries++;
+                console.warn(`⏳ ${error.code} for ${url}, retrying in ${delay}ms (attempt ${attempt + 2}/${this.maxRetries + 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
+        }
+    }
 
-            const $ = cheerio.load(response.data);
+    /**
+     * Single request through the page fetcher, with transport errors mapped to scraper errors
+     */
+    async requestPage(url, marketplace, fixtureKey) {
+        try {
+            return await this.fetcher.fetch(url, {
+                headers: { 'Accept-Language': marketplace.acceptLanguage },
+                fixtureKey
+            });
+        } catch (error) {
+            if (['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code)) {
+                throw new NetworkError(url);
+            }
             
-            // Extract product details using multiple selectors for robustness
-            const productData = {
-                asin,
-                title: this.extractTitle($),
-                bulletPoints: this.extractBulletPoints($),
-                description: this.extractDescription($),
-                imageUrl: this.extractImageUrl($),
-                price: this.extractPrice($),
-                availability: this.extractAvailability($),
-                rating: this.extractRating($),
-                reviewCount: this.extractReviewCount($),
-                category: this.extractCategory($),
-                brand: this.extractBrand($)
-            };
-
-            // Validate that we got essential data
-            if (!productData.title || productData.title.length < 10) {
-                throw new Error('Could not extract product title. The product page may have an unusual format or be restricted.');
+            if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+                throw new ScraperTimeoutError(url);
             }
 
-            console.log(`✅ Successfully scraped product: ${productData.title.substring(0, 50)}...`);
-            return productData;
+            throw error;
+        }
+    }
+
+    /**
+     * Detect the pages Amazon serves instead of the one requested: robot checks,
+     * "Sorry, something went wrong" blocks, sign-in walls, region redirects and the 404 dog page
+     * @throws {ScraperError}
+     */
+    assertUsablePage(response, url, marketplace) {
+        const $ = cheerio.load(response.data || '');
+        const finalUrl = response.finalUrl || url;
+        const retryAfter = parseRetryAfter(response.headers);
+        const pageTitle = $('title').text().trim();
+        const bodyText = $('body').text().replace(/\s+/g, ' ');
+
+        if ($('form[action*="validateCaptcha"]').length > 0 || $('#captchacharacters').length > 0 || /robot check/i.test(pageTitle)) {
+            throw new RobotCheckError(url, retryAfter);
+        }
+
+        if (/\/ap\/signin/.test(finalUrl) || $('form[name="signIn"]').length > 0 || $('#ap_email').length > 0) {
+            throw new LoginRequiredError(url);
+        }
 
+        let finalHost = null;
+        try {
+            finalHost = new URL(finalUrl).hostname;
         } catch (error) {
-            if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-                throw new Error('Network connection failed. Please check your internet connection.');
+            finalHost = null;
+        }
+        if (finalHost && finalHost !== marketplace.domain) {
+            throw new RegionRedirectError(url, finalUrl);
+        }
+
+        // Amazon's throttling page shows the same dogs as the 404 page, so check it first
+        if (response.status === 503 || /sorry!? something went wrong/i.test(bodyText)) {
+            throw new BlockedError('Amazon is throttling requests ("Sorry, something went wrong"). Try again later.', { url, retryAfter });
+        }
+
+        const isDogPage = $('img[alt*="Dogs of Amazon"]').length > 0 ||
+            /page not found/i.test(pageTitle) ||
+            /couldn'?t find that page/i.test(bodyText);
+
+        if (response.status === 404 || isDogPage) {
+            throw new ProductNotFoundError(url);
+        }
+
+        if (response.status !== 200) {
+            throw new UpstreamError(url, response.status);
+        }
+    }
+
+    /**
+     * Fetch customer reviews, paging through the review pages sorted by helpfulness
+     * @param {string} asin - Amazon Standard Identification Number
+     * @param {Object} [options]
+     * @param {string} [options.marketplace='us'] - Marketplace code
+     * @param {number} [options.pages=1] - Maximum number of review pages to read
+     * @returns {Object} { asin, marketplace, histogram, topPositive, topCritical, reviews }
+     */
+    async fetchReviews(asin, options = {}) {
+        if (!this.isValidASIN(asin)) {
+            throw new InvalidAsinError();
+        }
+
+        const { pages = 1 } = options;
+        const marketplace = this.resolveMarketplace(options.marketplace);
+        const reviews = [];
+        const seen = new Set();
+        let histogram = null;
+
+        console.log(`💬 Scraping up to ${pages} review page(s) for ASIN: ${asin} (${marketplace.code})`);
+
+        for (let page = 1; page <= pages; page++) {
+            const url = `https://${marketplace.domain}/product-reviews/${asin}?sortBy=helpful&pageNumber=${page}`;
+            const response = await this.fetchPage(url, marketplace, `${marketplace.code}/reviews/${asin}-${page}`);
+            const result = this.parseReviewPage(response.data, marketplace);
+
+            if (page === 1) histogram = result.histogram;
+
+            for (const review of result.reviews) {
+                if (!seen.has(review.reviewId)) {
+                    seen.add(review.reviewId);
+                    reviews.push(review);
+                }
             }
-            
-            if (error.code === 'ETIMEDOUT') {
-                throw new Error('Request timeout. Amazon may be temporarily unavailable.');
+
+            if (!result.hasNextPage || result.reviews.length === 0) break;
+        }
+
+        // Amazon's "top" reviews are the most helpful positive (4-5★) and critical (1-3★) ones
+        const byHelpfulness = [...reviews].sort((a, b) => b.helpfulVotes - a.helpfulVotes);
+
+        console.log(`✅ Scraped ${reviews.length} reviews for ${asin}`);
+
+        return {
+            asin,
+            marketplace: marketplace.code,
+            histogram,
+            topPositive: byHelpfulness.find(review => review.rating >= 4) || null,
+            topCritical: byHelpfulness.find(review => review.rating !== null && review.rating <= 3) || null,
+            reviews
+        };
+    }
+
+    /**
+     * Search a marketplace for a keyword and return the ranked results
+     * @param {string} keyword - Search term as a shopper would type it
+     * @param {Object} [options]
+     * @param {number} [options.pages=1] - Number of result pages to read
+     * @param {string} [options.marketplace='us'] - Marketplace code
+     * @returns {Object} { keyword, marketplace, results }
+     */
+    async searchKeyword(keyword, options = {}) {
+        if (!keyword || typeof keyword !== 'string' || !keyword.trim()) {
+            throw new Error('Keyword must be a non-empty string');
+        }
+
+        const { pages = 1 } = options;
+        const marketplace = this.resolveMarketplace(options.marketplace);
+        const slug = keyword.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-');
+        const results = [];
+        const seen = new Set();
+        let organicRank = 0;
+        let sponsoredRank = 0;
+
+        console.log(`🔎 Searching "${keyword}" on ${marketplace.domain} (${pages} page(s))`);
+
+        for (let page = 1; page <= pages; page++) {
+            const url = `https://${marketplace.domain}/s?k=${encodeURIComponent(keyword.trim())}&page=${page}`;
+            const response = await this.fetchPage(url, marketplace, `${marketplace.code}/search/${slug}-${page}`);
+            const result = this.parseSearchPage(response.data, marketplace);
+
+            for (const entry of result.entries) {
+                // Sponsored slots can repeat an ASIN that also ranks organically
+                const key = `${entry.asin}:${entry.sponsored}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                results.push({
+                    ...entry,
+                    position: results.length + 1,
+                    page,
+                    organicRank: entry.sponsored ? null : ++organicRank,
+                    sponsoredRank: entry.sponsored ? ++sponsoredRank : null
+                });
             }
 
-            console.error(`❌ Scraping failed for ASIN ${asin}:`, error.message);
-            throw error;
+            if (!result.hasNextPage) break;
         }
+
+        console.log(`✅ Found ${results.length} results for "${keyword}"`);
+
+        return {
+            keyword: keyword.trim(),
+            marketplace: marketplace.code,
+            results
+        };
     }
 
     /**
-     * Extract product title from page
+     * Extract result entries, in page order, from a search results page
+     * @returns {Object} { entries, hasNextPage }
+     */
+    parseSearchPage(html, marketplace) {
+        const $ = cheerio.load(html);
+        const entries = [];
+        const clean = (text) => text.replace(/\s+/g, ' ').trim();
+
+        $('[data-component-type="s-search-result"][data-asin]').each((i, el) => {
+            const item = $(el);
+            const asin = item.attr('data-asin');
+            if (!this.isValidASIN(asin)) return;
+
+            const sponsored = item.hasClass('AdHolder') ||
+                item.find('.puis-sponsored-label-text, [data-component-type="sp-sponsored-result"]').length > 0 ||
+                item.find('.s-label-popover-default, .a-color-secondary').toArray()
+                    .some(label => clean($(label).text()) === marketplace.sponsoredLabel);
+
+            const ratingText = item.find('.a-icon-star-small .a-icon-alt, .a-icon-star-mini .a-icon-alt, .a-icon-alt').first().text();
+            const ratingMatch = ratingText.match(marketplace.ratingPattern);
+
+            const reviewCountText = item.find('[data-csa-c-content-id*="customer-ratings"] span, a[href*="#customerReviews"] span, .s-underline-text').first().text() ||
+                item.find('span[aria-label]').filter((j, span) => /^[\d.,\s]+$/.test($(span).attr('aria-label'))).first().attr('aria-label');
+
+            entries.push({
+                asin,
+                sponsored,
+                title: clean(item.find('h2 span').first().text() || item.find('h2').first().text()) || null,
+                price: clean(item.find('.a-price:not(.a-text-price) .a-offscreen').first().text()) || null,
+                rating: ratingMatch ? parseLocaleNumber(ratingMatch[1], marketplace) : null,
+                reviewCount: parseLocaleInteger(reviewCountText)
+            });
+        });
+
+        const nextPage = $('.s-pagination-next');
+
+        return {
+            entries,
+            hasNextPage: nextPage.length > 0 && !nextPage.hasClass('s-pagination-disabled')
+        };
+    }
+
+    /**
+     * Extract the star histogram and reviews from a review page
+     * @returns {Object} { histogram, reviews, hasNextPage }
+     */
+    parseReviewPage(html, marketplace) {
+        const $ = cheerio.load(html);
+        const reviews = [];
+
+        $('[data-hook="review"]').each((i, el) => {
+            const review = this.extractReview($, $(el), marketplace);
+            if (review.reviewId && (review.title || review.body)) {
+                reviews.push(review);
+            }
+        });
+
+        const nextPage = $('.a-pagination .a-last');
+
+        return {
+            histogram: this.extractRatingHistogram($),
+            reviews,
+            hasNextPage: nextPage.length > 0 && !nextPage.hasClass('a-disabled')
+        };
+    }
+
+    /**
+     * Extract a single review block
      */
-    extractTitle($) {
-        const selectors = [
-            '#productTitle',
-            '.product-title',
-            '#btAsinTitle',
-            '.a-size-large.product-title-word-break'
-        ];
-
-        for (const selector of selectors) {
-            const title = $(selector).text().trim();
-            if (title) return title;
+    extractReview($, el, marketplace) {
+        const clean = (text) => text.replace(/\s+/g, ' ').trim();
+
+        const ratingText = el.find('[data-hook="review-star-rating"] .a-icon-alt, [data-hook="cmps-review-star-rating"] .a-icon-alt').first().text();
+        const ratingMatch = ratingText.match(marketplace.ratingPattern);
+        const rating = ratingMatch ? Math.round(parseLocaleNumber(ratingMatch[1], marketplace)) : null;
+
+        const titleElement = el.find('[data-hook="review-title"]').first();
+        const titleSpans = titleElement.children('span').not('.a-letter-space');
+        const title = clean(titleSpans.length > 0 ? titleSpans.last().text() : titleElement.text());
+
+        const helpfulText = clean(el.find('[data-hook="helpful-vote-statement"]').first().text());
+        const helpfulVotes = helpfulText ? (parseLocaleInteger(helpfulText) || 1) : 0;
+
+        return {
+            reviewId: el.attr('id') || null,
+            title,
+            body: clean(el.find('[data-hook="review-body"]').first().text()),
+            rating,
+            date: parseLocaleDate(el.find('[data-hook="review-date"]').first().text(), marketplace),
+            verified: el.find('[data-hook="avp-badge"], [data-hook="avp-badge-linkless"]').length > 0,
+            author: clean(el.find('.a-profile-name').first().text()) || null,
+            helpfulVotes
+        };
+    }
+
+    /**
+     * Extract the star histogram as percentages keyed by star rating
+     * @returns {Object|null} e.g. { 5: 72, 4: 15, 3: 6, 2: 2, 1: 5 }
+     */
+    extractRatingHistogram($) {
+        const histogram = {};
+
+        $('#histogramTable tr, #histogramTable li').each((i, el) => {
+            const text = ($(el).find('a').attr('aria-label') || $(el).text()).replace(/\s+/g, ' ');
+            const star = text.match(/([1-5])\s*(?:star|stern|つ星)|星\s*([1-5])/i);
+            const percent = text.match(/(\d{1,3})\s*%|(\d{1,3}) percent/i);
+
+            if (star && percent) {
+                histogram[star[1] || star[2]] = parseInt(percent[1] || percent[2], 10);
+            }
+        });
+
+        return Object.keys(histogram).length > 0 ? histogram : null;
+    }
+
+    /**
+     * Extract the product object from a product page's HTML
+     * @param {string} html - Raw product page
+     * @param {string} asin - ASIN the page belongs to
+     * @param {Object} marketplace - Marketplace definition
+     * @returns {Object} Product details
+     */
+    parseProductPage(html, asin, marketplace) {
+        const $ = cheerio.load(html);
+        const categoryTree = this.extractCategoryTree($, marketplace);
+        
+        // Extract product details using multiple selectors for robustness
+        const productData = {
+            asin,
+            marketplace: marketplace.code,
+            title: this.extractTitle($, marketplace),
+            bulletPoints: this.extractBulletPoints($, marketplace),
+            description: this.extractDescription($, marketplace),
+            imageUrl: this.extractImageUrl($, marketplace),
+            price: this.extractPrice($, marketplace),
+            listPrice: this.extractListPrice($, marketplace),
+            availability: this.extractAvailability($, marketplace),
+            offer: this.extractOffer($, marketplace),
+            rating: this.extractRating($, marketplace),
+            reviewCount: this.extractReviewCount($, marketplace),
+            ratingHistogram: this.extractRatingHistogram($),
+            category: this.extractCategory(categoryTree),
+            categoryTree,
+            brand: this.extractBrand($, marketplace),
+            images: this.extractGalleryImages($),
+            ...this.extractVariations($, asin),
+            specifications: this.extractSpecifications($, marketplace)
+        };
+        productData.bestSellersRank = this.extractBestSellersRank($, marketplace, productData.categoryTree);
+        productData.priceDetails = parsePriceDetails(productData.price, productData.listPrice, marketplace);
+
+        // Validate that we got essential data
+        if (!productData.title || productData.title.length < 10) {
+            throw new ExtractionError('Could not extract product title. The product page may have an unusual format or be restricted.');
         }
-        return null;
+
+        return productData;
+    }
+
+    /**
+     * Extract product title from page
+     */
+    extractTitle($, marketplace) {
+        return this.selectValue($, 'title', marketplace);
     }
 
     /**
      * Extract bullet points/features from page
      */
-    extractBulletPoints($) {
-        const bulletPoints = [];
-        
-        // Main feature bullets
-        $('#feature-bullets ul li span').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text && !text.includes('Make sure') && text.length > 10) {
-                bulletPoints.push(text);
+    extractBulletPoints($, marketplace) {
+        // First selector yielding any real bullet wins (feature bullets, then any list items)
+        const bulletPoints = this.selectEach($, 'bulletPoints', marketplace, (elements) => elements
+            .map((i, el) => $(el).text().trim())
+            .get()
+            .filter(text => text && !text.includes('Make sure') && text.length > 10));
+
+        return bulletPoints && bulletPoints.length > 0 ? bulletPoints.join('\n• ') : null;
+    }
+
+    /**
+     * Extract product description from page
+     */
+    extractDescription($, marketplace) {
+        return this.selectValue($, 'description', marketplace, description => (description.length > 50 ? description : null));
+    }
+
+    /**
+     * Extract main product image URL
+     */
+    extractImageUrl($, marketplace) {
+        return this.selectValue($, 'imageUrl', marketplace);
+    }
+
+    /**
+     * Extract every gallery image, preferring the hi-res URLs from the image block JSON
+     * @returns {Array<{url: string, thumbnail: string|null, variant: string|null}>}
+     */
+    extractGalleryImages($) {
+        const images = [];
+        const seen = new Set();
+        const addImage = (url, thumbnail = null, variant = null) => {
+            if (url && !seen.has(url)) {
+                seen.add(url);
+                images.push({ url, thumbnail, variant });
+            }
+        };
+
+        // The image block script holds 'colorImages': { 'initial': [...] }
+        $('script').each((i, el) => {
+            const script = $(el).html() || '';
+            const match = script.match(/'colorImages'\s*:\s*\{\s*'initial'\s*:\s*/);
+            if (!match) return;
+
+            const json = this.sliceBalancedJson(script, match.index + match[0].length);
+            if (!json) return;
+
+            try {
+                for (const image of JSON.parse(json)) {
+                    addImage(image.hiRes || image.large, image.thumb || null, image.variant || null);
+                }
+            } catch (error) {
+                console.warn('Could not parse image block JSON:', error.message);
             }
         });
 
-        // Alternative selector
-        if (bulletPoints.length === 0) {
-            $('.a-unordered-list .a-list-item').each((i, el) => {
-                const text = $(el).text().trim();
-                if (text && !text.includes('Make sure') && text.length > 10) {
-                    bulletPoints.push(text);
+        // Fall back to the landing image's dynamic sizes and the thumbnail strip
+        if (images.length === 0) {
+            const hiRes = $('#landingImage').attr('data-old-hires');
+            if (hiRes) addImage(hiRes, null, 'MAIN');
+
+            const dynamicImages = $('#landingImage').attr('data-a-dynamic-image');
+            if (!hiRes && dynamicImages) {
+                try {
+                    const urls = Object.keys(JSON.parse(dynamicImages));
+                    if (urls.length > 0) addImage(urls[urls.length - 1], null, 'MAIN');
+                } catch (error) {
+                    console.warn('Could not parse dynamic image data:', error.message);
+                }
+            }
+
+            $('#altImages li.imageThumbnail img').each((i, el) => {
+                const thumbnail = $(el).attr('src');
+                if (thumbnail) {
+                    addImage(thumbnail.replace(/\._[^/]*_\./, '.'), thumbnail, null);
                 }
             });
         }
 
-        return bulletPoints.length > 0 ? bulletPoints.join('\n• ') : null;
+        return images;
     }
 
     /**
-     * Extract product description from page
+     * Return the JSON array/object literal starting at `start`, matching brackets outside strings
      */
-    extractDescription($) {
-        const selectors = [
-            '#productDescription p',
-            '#feature-bullets .a-list-item',
-            '.product-description',
-            '#aplus .aplus-p1'
-        ];
-
-        for (const selector of selectors) {
-            const description = $(selector).text().trim();
-            if (description && description.length > 50) {
-                return description;
+    sliceBalancedJson(text, start) {
+        const open = text[start];
+        if (open !== '[' && open !== '{') return null;
+
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+                if (depth === 0) return text.slice(start, i + 1);
             }
         }
         return null;
     }
 
     /**
-     * Extract main product image URL
+     * Extract the parent ASIN and child variations from the twister data
+     * @returns {{parentAsin: string|null, variations: Array<{asin: string, dimensions: Object, selected: boolean}>}}
      */
-    extractImageUrl($) {
-        const selectors = [
-            '#landingImage',
-            '.a-dynamic-image',
-            '#imgBlkFront'
-        ];
+    extractVariations($, asin) {
+        let parentAsin = null;
+        let dimensionNames = [];
+        let displayData = null;
 
-        for (const selector of selectors) {
-            const src = $(selector).attr('src') || $(selector).attr('data-src');
-            if (src) return src;
-        }
-        return null;
+        $('script').each((i, el) => {
+            const script = $(el).html() || '';
+            if (!script.includes('dimensionValuesDisplayData') && !script.includes('parentAsin')) return;
+
+            const parentMatch = script.match(/"parentAsin"\s*:\s*"([A-Z0-9]{10})"/);
+            if (parentMatch && !parentAsin) parentAsin = parentMatch[1];
+
+            const dimensionsMatch = script.match(/"dimensionsDisplay"\s*:\s*/);
+            const displayMatch = script.match(/"dimensionValuesDisplayData"\s*:\s*/);
+            const dimensionsJson = dimensionsMatch && this.sliceBalancedJson(script, dimensionsMatch.index + dimensionsMatch[0].length);
+            const displayJson = displayMatch && this.sliceBalancedJson(script, displayMatch.index + displayMatch[0].length);
+
+            try {
+                if (dimensionsJson) dimensionNames = JSON.parse(dimensionsJson);
+                if (displayJson) displayData = JSON.parse(displayJson);
+            } catch (error) {
+                console.warn('Could not parse variation data:', error.message);
+            }
+        });
+
+        const variations = Object.entries(displayData || {}).map(([childAsin, values]) => {
+            const dimensions = {};
+            [].concat(values).forEach((value, index) => {
+                dimensions[dimensionNames[index] || `dimension${index + 1}`] = value;
+            });
+            return { asin: childAsin, dimensions, selected: childAsin === asin };
+        });
+
+        return { parentAsin, variations };
+    }
+
+    /**
+     * Extract the "Technical Details" / "Product information" tables as a key/value map
+     */
+    extractSpecifications($, marketplace) {
+        const specifications = {};
+        const clean = (text) => text.replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim();
+        const addSpecification = (key, value) => {
+            key = clean(key).replace(/\s*:$/, '');
+            value = clean(value);
+            if (!key || !value || /customer reviews/i.test(key) || marketplace.bestSellersRankLabel.test(key)) return;
+            if (!(key in specifications)) specifications[key] = value;
+        };
+
+        // Every table and bullet list contributes, not just the first one found
+        this.selectEach($, 'specificationRows', marketplace, (rows) => {
+            rows.each((i, el) => {
+                addSpecification($(el).find('th').first().text(), $(el).find('td').first().text());
+            });
+            return null;
+        }, { all: true });
+
+        this.selectEach($, 'specificationBullets', marketplace, (items) => {
+            items.each((i, el) => {
+                const label = $(el).find('.a-text-bold').first().text();
+                const value = $(el).find('.a-text-bold').first().nextAll('span').text();
+                addSpecification(label, value);
+            });
+            return null;
+        }, { all: true });
+
+        return specifications;
     }
 
     /**
-     * Extract product price
+     * Extract product price, skipping fragments that hold no parseable amount
      */
-    extractPrice($) {
-        const selectors = [
-            '.a-price .a-offscreen',
-            '#priceblock_dealprice',
-            '#priceblock_ourprice',
-            '.a-price-whole',
-            '.a-price-symbol + .a-price-whole'
-        ];
+    extractPrice($, marketplace) {
+        return this.selectValue($, 'price', marketplace, price => (parseLocaleNumber(price, marketplace) !== null ? price : null));
+    }
 
-        for (const selector of selectors) {
-            const price = $(selector).first().text().trim();
-            if (price) return price;
-        }
-        return null;
+    /**
+     * Extract the list (strike-through) price shown next to a sale price
+     */
+    extractListPrice($, marketplace) {
+        return this.selectValue($, 'listPrice', marketplace, listPrice => (parseLocaleNumber(listPrice, marketplace) !== null ? listPrice : null));
     }
 
     /**
      * Extract availability status
      */
-    extractAvailability($) {
-        const selectors = [
-            '#availability span',
-            '.a-color-success',
-            '.a-color-error',
-            '#merchant-info'
-        ];
-
-        for (const selector of selectors) {
-            const availability = $(selector).text().trim();
-            if (availability && (availability.includes('stock') || availability.includes('Available'))) {
-                return availability;
-            }
-        }
-        return 'Unknown';
+    extractAvailability($, marketplace) {
+        const availability = this.selectValue($, 'availability', marketplace, text => {
+            const normalized = text.toLowerCase();
+            return marketplace.availabilityKeywords.some(keyword => normalized.includes(keyword)) ? text : null;
+        });
+        return availability || 'Unknown';
     }
 
     /**
-     * Extract product rating
+     * Extract the buy-box offer: who sells and ships it, how many other sellers there are
+     * and the lowest new price among them. Handles the offer-display and tabular buy-box layouts.
+     * @returns {Object} { hasBuyBox, soldBy, sellerId, soldByAmazon, shipsFrom, fulfillment, offerCount, otherSellersCount, lowestNewPrice }
      */
-    extractRating($) {
-        const ratingText = $('[data-hook="average-star-rating"] .a-icon-alt').text();
-        const match = ratingText.match(/(\d+\.?\d*) out of 5/);
-        return match ? parseFloat(match[1]) : null;
+    extractOffer($, marketplace) {
+        const clean = (text) => (text || '').replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim() || null;
+
+        let shipsFrom = clean($('#fulfillerInfoFeature_feature_div .offer-display-feature-text-message').first().text());
+        let soldBy = clean($('#merchantInfoFeature_feature_div .offer-display-feature-text-message').first().text());
+
+        $('#tabular-buybox .tabular-buybox-text').each((i, el) => {
+            const label = $(el).attr('tabular-attribute-name') || '';
+            const value = clean($(el).find('.tabular-buybox-text-message').first().text() || $(el).text());
+            if (!shipsFrom && marketplace.shipsFromLabel.test(label)) shipsFrom = value;
+            if (!soldBy && marketplace.soldByLabel.test(label)) soldBy = value;
+        });
+
+        const sellerLink = $('#sellerProfileTriggerId').attr('href') || '';
+        const sellerMatch = sellerLink.match(/[?&]seller=([A-Z0-9]+)/);
+        const soldByAmazon = soldBy ? /^amazon\b/i.test(soldBy) : null;
+        const sellerId = (sellerMatch && sellerMatch[1]) ||
+            $('#merchantID').attr('value') ||
+            $('input[name="merchantID"]').attr('value') ||
+            (soldByAmazon ? marketplace.amazonSellerId : null);
+
+        // "New (7) from $44.99", "Neu (4) ab 54,99 €", "新品 (3点) ￥38,500より"
+        const offerListing = $('#olpLinkWidget_feature_div .olp-text-box, #olp_feature_div').first();
+        const offerCountMatch = offerListing.text().match(/\((\d[\d.,]*)\s*\S*?\)/);
+        const offerCount = offerCountMatch ? parseLocaleInteger(offerCountMatch[1]) : null;
+        const lowestNewPrice = clean(offerListing.find('.a-offscreen').first().text());
+
+        return {
+            hasBuyBox: Boolean(soldBy || sellerId),
+            soldBy,
+            sellerId: sellerId || null,
+            soldByAmazon,
+            shipsFrom,
+            fulfillment: shipsFrom ? (/^amazon\b/i.test(shipsFrom) ? 'amazon' : 'merchant') : null,
+            offerCount,
+            // The offer count includes the buy-box offer itself
+            otherSellersCount: offerCount !== null ? Math.max(offerCount - 1, 0) : null,
+            lowestNewPrice: lowestNewPrice && parseLocaleNumber(lowestNewPrice, marketplace) !== null ? lowestNewPrice : null
+        };
+    }
+
+    /**
+     * Extract product rating ("4.5 out of 5 stars", "4,5 von 5 Sternen", "5つ星のうち4.5")
+     */
+    extractRating($, marketplace) {
+        return this.selectValue($, 'rating', marketplace, ratingText => {
+            const match = ratingText.match(marketplace.ratingPattern);
+            return match ? parseLocaleNumber(match[1], marketplace) : null;
+        });
+    }
+
+    /**
+     * Extract review count ("12,345 ratings", "1.234 Bewertungen")
+     */
+    extractReviewCount($, marketplace) {
+        return this.selectValue($, 'reviewCount', marketplace, parseLocaleInteger);
     }
 
     /**
-     * Extract review count
+     * Product category/department (the deepest breadcrumb)
      */
-    extractReviewCount($) {
-        const reviewText = $('#acrCustomerReviewText').text();
-        const match = reviewText.match(/(\d+(?:,\d+)*)/);
-        return match ? parseInt(match[1].replace(/,/g, '')) : null;
+    extractCategory(categoryTree) {
+        return categoryTree.length > 0 ? categoryTree[categoryTree.length - 1].name : null;
     }
 
     /**
-     * Extract product category/department
+     * Extract the full breadcrumb trail with browse-node IDs, root first
+     * @returns {Object[]} [{ name, nodeId, url }]
      */
-    extractCategory($) {
-        const breadcrumb = $('#wayfinding-breadcrumbs_feature_div a').last().text().trim();
-        return breadcrumb || null;
+    extractCategoryTree($, marketplace) {
+        const tree = this.selectEach($, 'breadcrumbs', marketplace, (links) => {
+            const nodes = [];
+            links.each((i, el) => {
+                const name = $(el).text().trim();
+                const href = $(el).attr('href') || null;
+                const nodeMatch = href && href.match(/[?&]node=(\d+)/);
+                if (name) nodes.push({ name, nodeId: nodeMatch ? nodeMatch[1] : null, url: href });
+            });
+            return nodes.length > 0 ? nodes : null;
+        });
+        return tree || [];
+    }
+
+    /**
+     * Extract every Best Sellers Rank entry ("#12 in Electronics", "Nr. 3 in Amazon Echo", "152位家電＆カメラ")
+     * from the product details table or detail bullets. Category paths come from the breadcrumb
+     * trail when the browse node is on it; other sub-categories hang off the top-level ranking.
+     * @returns {Object[]} [{ rank, category, categoryPath, nodeId }]
+     */
+    extractBestSellersRank($, marketplace, categoryTree = []) {
+        const label = marketplace.bestSellersRankLabel;
+        let container = $('#productDetails_detailBullets_sections1 th, #prodDetails th')
+            .filter((i, el) => label.test($(el).text()))
+            .first()
+            .next('td');
+
+        if (container.length === 0) {
+            container = $('.a-text-bold')
+                .filter((i, el) => label.test($(el).text()))
+                .first()
+                .closest('.a-list-item');
+        }
+        if (container.length === 0) {
+            container = $('#SalesRank');
+        }
+        if (container.length === 0) return [];
+
+        // Browse-node IDs from the "/gp/bestsellers/<store>/<node>/" links, by category name
+        const nodeIds = {};
+        container.find('a[href*="/bestsellers/"]').each((i, el) => {
+            const nodeMatch = ($(el).attr('href') || '').match(/\/bestsellers\/[^/]+\/(\d+)/);
+            if (nodeMatch) nodeIds[$(el).text().trim()] = nodeMatch[1];
+        });
+
+        // Drop the label and the "(See Top 100 in ...)" links before matching entries
+        const entriesElement = container.clone();
+        entriesElement.find('.a-text-bold, b').remove();
+        entriesElement.find('a').each((i, el) => {
+            if (!$(el).attr('href')?.match(/\/bestsellers\/[^/]+\/\d+/)) $(el).remove();
+        });
+        const text = entriesElement.text()
+            .replace(/[\u200e\u200f]/g, '')
+            .replace(/\(\s*\)/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const entries = [];
+        for (const match of text.matchAll(marketplace.bestSellersRankPattern)) {
+            const rank = parseLocaleInteger(match[1]);
+            const category = match[2].replace(/\s*-\s*$/, '').trim();
+            if (!rank || !category) continue;
+            entries.push({ rank, category, nodeId: nodeIds[category] || null });
+        }
+
+        const root = entries.find(entry => !entry.nodeId);
+        return entries.map(entry => {
+            const breadcrumbIndex = entry.nodeId ? categoryTree.findIndex(node => node.nodeId === entry.nodeId) : -1;
+            let categoryPath;
+            if (breadcrumbIndex !== -1) {
+                categoryPath = categoryTree.slice(0, breadcrumbIndex + 1).map(node => node.name);
+            } else if (entry === root || !root) {
+                categoryPath = [entry.category];
+            } else {
+                categoryPath = [root.category, entry.category];
+            }
+            return { ...entry, categoryPath };
+        });
     }
 
     /**
      * Extract brand name
      */
-    extractBrand($) {
-        const selectors = [
-            '#bylineInfo',
-            '.a-color-secondary .author',
-            '[data-feature-name="bylineInfo"] .author'
-        ];
+    extractBrand($, marketplace) {
+        return this.selectValue($, 'brand', marketplace, (brand) => {
+            for (const prefix of marketplace.brandPrefixes) {
+                const match = brand.match(prefix);
+                if (match) {
+                    brand = match[1] !== undefined ? match[1] : brand.replace(prefix, '');
+                    break;
+                }
+            }
+            return brand.trim() || null;
+        });
+    }
+
+    /**
+     * Try a field's configured selectors in order and return the first value `parse` accepts,
+     * recording which selector matched (or that none did) in the selector stats
+     * @param {Function} [parse] - Maps the trimmed text/attribute to a value, or null to try the next selector
+     */
+    selectValue($, field, marketplace, parse = value => value) {
+        const { selectors, match } = this.selectors.getField(field, marketplace.code);
+
+        for (const entry of selectors) {
+            const elements = $(entry.selector);
+            const element = match === 'all' ? elements : elements.first();
+            const raw = entry.attribute ? element.attr(entry.attribute) : element.text();
+            const value = raw ? parse(raw.trim()) : null;
+
+            if (value !== null && value !== undefined && value !== '') {
+                this.selectors.record(field, marketplace.code, entry);
+                return value;
+            }
+        }
+
+        this.selectors.record(field, marketplace.code, null);
+        return null;
+    }
 
-        for (const selector of selectors) {
-            const brand = $(selector).text().trim().replace('by ', '').replace('Brand: ', '');
-            if (brand) return brand;
+    /**
+     * Hand the elements matched by each of a field's selectors to `collect` until one returns a
+     * value. With `all`, every selector is visited (collect works by side effect) and the field
+     * counts as hit when any selector matched elements.
+     * @returns {*} First non-null collect result, or null
+     */
+    selectEach($, field, marketplace, collect, { all = false } = {}) {
+        const { selectors } = this.selectors.getField(field, marketplace.code);
+        let hit = null;
+
+        for (const entry of selectors) {
+            const elements = $(entry.selector);
+            if (elements.length === 0) continue;
+
+            const value = collect(elements);
+            if (all) {
+                hit = hit || entry;
+                continue;
+            }
+            if (value !== null && value !== undefined) {
+                this.selectors.record(field, marketplace.code, entry);
+                return value;
+            }
         }
+
+        this.selectors.record(field, marketplace.code, hit);
         return null;
     }
 
@@ -256,9 +969,14 @@ class AmazonScraper {
     }
 
     /**
-     * Get multiple products in parallel (with rate limiting)
+     * Get multiple products one after another (the page fetcher spaces requests per host)
+     * @param {string[]} asins
+     * @param {Object} [options]
+     * @param {string} [options.marketplace='us'] - Marketplace code for every ASIN
      */
-    async fetchMultipleProducts(asins, delayMs = 2000) {
+    async fetchMultipleProducts(asins, options = {}) {
+        const { marketplace = DEFAULT_MARKETPLACE } = options;
+
         if (!Array.isArray(asins)) {
             throw new Error('ASINs must be provided as an array');
         }
@@ -267,15 +985,10 @@ class AmazonScraper {
         
         for (let i = 0; i < asins.length; i++) {
             try {
-                const product = await this.fetchProductDetails(asins[i]);
+                const product = await this.fetchProductDetails(asins[i], { marketplace });
                 results.push({ asin: asins[i], data: product, success: true });
-                
-                // Add delay between requests to be respectful
-                if (i < asins.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, delayMs));
-                }
             } catch (error) {
-                results.push({ asin: asins[i], error: error.message, success: false });
+                results.push({ asin: asins[i], error: error.message, code: error.code || null, success: false });
             }
         }
 
@@ -0,0 +1,52 @@
+// Comment line sent while a stream is idle, so proxies don't time the connection out
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * One Server-Sent Events message: `event: <name>` and its JSON `data`
+ */
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data ?? null)}\n\n`;
+
+/**
+ * Switch a response to a text/event-stream
+ * @returns {Object} { send(event, data), close(), signal } - `signal` aborts when the client disconnects
+ */
+const openEventStream = (res, { heartbeatMs = HEARTBEAT_INTERVAL_MS } = {}) => {
+    const controller = new AbortController();
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops nginx from buffering the events
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    return {
+        send(event, data) {
+            if (!res.writableEnded && !controller.signal.aborted) {
+                res.write(formatEvent(event, data));
+            }
+        },
+        close() {
+            clearInterval(heartbeat);
+            if (!res.writableEnded) {
+                res.end();
+            }
+        },
+        signal: controller.signal
+    };
+};
+
+module.exports = {
+    formatEvent,
+    openEventStream
+};
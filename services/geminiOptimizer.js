@@ -1,152 +1,291 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmConfig = require('../config/llm');
+const { createLlmProvider } = require('./llm');
+const { LlmError, LLM_ERROR_CODES } = require('./llm/llmErrors');
+const { LISTING_SCHEMA, parseListingResponse } = require('./listingSchema');
+const { checkCompliance } = require('./listingCompliance');
+const { PROMPT_TEMPLATE_TYPES, renderTemplate, defaultTemplateSet } = require('./promptTemplates');
+const { VARIANT_ANGLES, rankVariants } = require('./listingVariants');
+const { DEFAULT_MODEL_PRICES, UNKNOWN_MODEL_PRICE, findModelPrice, estimateCost, addUsage, emptyUsage } = require('./llmCost');
 
+// Fields of a validated listing, in the order progress events report them
+const LISTING_FIELDS = ['title', 'bullets', 'description', 'keywords', 'rationale'];
+
+/**
+ * Listing optimizer. Talks to whichever LLM provider is configured (LLM_PROVIDER);
+ * the name predates the provider layer, when Gemini was the only option.
+ */
 class GeminiOptimizer {
-    constructor() {
-        this.apiKey = process.env.GEMINI_API_KEY;
-        if (!this.apiKey) {
-            throw new Error('GEMINI_API_KEY is required in environment variables');
-        }
-        
-        this.genAI = new GoogleGenerativeAI(this.apiKey);
-        this.model = this.genAI.getGenerativeModel({ 
-            model: 'gemini-2.0-flash-exp',
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 2048,
-            }
-        });
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.provider] - LLM provider; defaults to the one in config/llm.js
+     * @param {Object} [options.prices] - USD per million tokens by model, on top of the built-in table
+     * @param {Object} [options.unknownModelPrice] - { input, output } charged for models missing from the table
+     * @param {Function} [options.onUsage] - Called with { provider, model, inputTokens, outputTokens, costUsd } after every request
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || createLlmProvider();
+        // Model that answered the most recent request, as reported by the provider
+        this.lastModel = this.provider.model;
         
         this.requestCount = 0;
         this.lastRequestTime = 0;
-        this.minRequestInterval = 1000; // 1 second between requests
+        // Follow-up calls allowed when an answer fails schema validation
+        this.maxRepairAttempts = options.maxRepairAttempts ?? 1;
+
+        this.prices = { ...DEFAULT_MODEL_PRICES, ...(options.prices || llmConfig.prices) };
+        this.unknownModelPrice = options.unknownModelPrice || llmConfig.unknownModelPrice || UNKNOWN_MODEL_PRICE;
+        this.unpricedModels = new Set();
+        this.onUsage = options.onUsage || null;
+        // Tokens and estimated cost since this optimizer was built
+        this.usage = emptyUsage();
     }
 
     /**
-     * Rate limiting to respect Gemini API quotas
+     * Send one prompt to the provider; quotas are enforced by the provider's shared rate limiter
+     * @param {Object} [options] - Passed through to the provider (responseSchema, onText, onRetry)
+     * @returns {Object} { text, usage: { provider, model, inputTokens, outputTokens, costUsd }, failedAttempts } -
+     *   failedAttempts lists the retried or fallen-back requests before this answer
      */
-    async rateLimitCheck() {
-        const now = Date.now();
-        if (now - this.lastRequestTime < this.minRequestInterval) {
-            const waitTime = this.minRequestInterval - (now - this.lastRequestTime);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+    async generate(prompt, options = {}) {
         this.lastRequestTime = Date.now();
         this.requestCount++;
+        const response = await this.provider.generate(prompt, options);
+        this.lastModel = response.model || this.provider.model;
+
+        if (!findModelPrice(this.lastModel, this.prices) && !this.unpricedModels.has(this.lastModel)) {
+            this.unpricedModels.add(this.lastModel);
+            console.warn(`⚠️ No price for LLM model ${this.lastModel}; charging $${this.unknownModelPrice.input}/$${this.unknownModelPrice.output} per million tokens against the budgets. Add it to LLM_PRICES.`);
+        }
+
+        const usage = {
+            provider: this.provider.name,
+            model: this.lastModel,
+            inputTokens: response.usage?.inputTokens ?? null,
+            outputTokens: response.usage?.outputTokens ?? null,
+            costUsd: estimateCost(response.usage || {}, this.lastModel, this.prices, this.unknownModelPrice)
+        };
+        this.usage = addUsage(this.usage, usage);
+
+        if (this.onUsage) {
+            try {
+                await this.onUsage(usage);
+            } catch (error) {
+                // Losing a usage record shouldn't fail an answer that's already paid for
+                console.warn(`⚠️ Failed to record LLM usage: ${error.message}`);
+            }
+        }
+        return { text: response.text, usage, failedAttempts: response.failedAttempts || [] };
     }
 
     /**
-     * Create optimized prompts to minimize token usage while maximizing quality
+     * Values for the {{variables}} of prompt templates
      */
-    createOptimizationPrompts(productData) {
-        const { title, bulletPoints, description, category, brand } = productData;
-        
-        const baseContext = `Product: ${title}${brand ? ` by ${brand}` : ''}${category ? ` (${category})` : ''}`;
-        
+    createPromptVariables(productData) {
+        const { asin, marketplace, title, bulletPoints, description, category, brand, competitors, attributes } = productData;
         return {
-            titlePrompt: `${baseContext}\n\nOptimize this Amazon title for SEO and readability. Keep under 200 chars, include key benefits, maintain brand name:\n"${title}"\n\nOptimized title:`,
-            
-            bulletPrompt: `${baseContext}\n\nRewrite these bullet points - make them concise, benefit-focused, and scannable:\n${bulletPoints}\n\nOptimized bullets (max 5):`,
-            
-            descriptionPrompt: `${baseContext}\n\nEnhance this description - make it persuasive yet compliant, highlight key features and benefits:\n"${description}"\n\nOptimized description:`,
-            
-            keywordPrompt: `${baseContext}\n\nSuggest 5 high-impact keywords for Amazon SEO based on this product. Focus on search terms buyers actually use:\nTitle: ${title}\nFeatures: ${bulletPoints?.substring(0, 300) || 'N/A'}\n\nKeywords (comma-separated):`
+            asin,
+            marketplace,
+            title,
+            brand,
+            category,
+            bulletPoints,
+            description,
+            attributes: this.createAttributeContext(attributes).trim(),
+            competitors: this.createCompetitorContext(competitors).trim()
         };
     }
 
     /**
-     * Optimize product title
+     * Build the single prompt asking for the whole listing as JSON (see services/listingSchema.js)
+     * @param {Object} [templates] - { title, bullets, description, keywords: { body, version } }, the active prompt templates
+     * @param {Object} [angle] - Variant angle (services/listingVariants.js) the copy should take
      */
-    async optimizeTitle(productData) {
-        await this.rateLimitCheck();
+    createListingPrompt(productData, templates = defaultTemplateSet(), angle = null) {
+        const { title, bulletPoints, description, category, brand, competitors, attributes } = productData;
         
-        try {
-            const { titlePrompt } = this.createOptimizationPrompts(productData);
-            const result = await this.model.generateContent(titlePrompt);
-            const response = await result.response;
-            
-            return response.text().trim().replace(/^"|"$/g, ''); // Remove quotes if present
-        } catch (error) {
-            console.error('Title optimization error:', error.message);
-            throw new Error(`Title optimization failed: ${error.message}`);
-        }
+        const baseContext = `Product: ${title}${brand ? ` by ${brand}` : ''}${category ? ` (${category})` : ''}` +
+            this.createAttributeContext(attributes) +
+            this.createCompetitorContext(competitors);
+
+        // Draft products may have nothing written yet, only attributes
+        const currentListing = `Current title: "${title}"\n` +
+            `Current bullets:\n${bulletPoints || '(none yet - write them from the product details)'}\n` +
+            `Current description: ${description ? `"${description}"` : '(none yet - write it from the product details)'}`;
+
+        const variables = this.createPromptVariables(productData);
+        const fieldInstructions = PROMPT_TEMPLATE_TYPES
+            .map(type => `- ${type}: ${renderTemplate(templates[type].body, variables).text}\n`)
+            .join('');
+
+        return `${baseContext}\n\n${currentListing}\n\n` +
+            'Optimize this Amazon listing for SEO, readability and conversion. Don\'t claim anything the product details don\'t support.\n' +
+            fieldInstructions +
+            '- rationale: one or two sentences on what you changed and why\n' +
+            (angle ? `Angle: ${angle.instruction}\n` : '') +
+            'Follow Amazon\'s style guides: no promotional words (NEW, sale, best seller), prices or shipping claims, ' +
+            'superlatives like best or #1, ALL-CAPS words, emojis or special characters such as ! $ ? _ { } ^\n\n' +
+            'Respond with only a JSON object with the keys title, bullets, description, keywords and rationale.';
     }
 
     /**
-     * Optimize bullet points
+     * Follow-up prompt for an answer that failed validation
      */
-    async optimizeBulletPoints(productData) {
-        await this.rateLimitCheck();
-        
-        try {
-            const { bulletPrompt } = this.createOptimizationPrompts(productData);
-            const result = await this.model.generateContent(bulletPrompt);
-            const response = await result.response;
-            
-            return response.text().trim();
-        } catch (error) {
-            console.error('Bullet points optimization error:', error.message);
-            throw new Error(`Bullet points optimization failed: ${error.message}`);
-        }
+    createRepairPrompt(prompt, responseText, errors) {
+        return `${prompt}\n\nYour previous response was:\n${String(responseText).substring(0, 4000)}\n\n` +
+            `It was rejected because:\n${errors.map(error => `- ${error}`).join('\n')}\n\n` +
+            'Respond again with only the corrected JSON object.';
     }
 
     /**
-     * Optimize product description
+     * List structured product attributes (mostly for drafts) for the prompts
      */
-    async optimizeDescription(productData) {
-        await this.rateLimitCheck();
-        
-        try {
-            const { descriptionPrompt } = this.createOptimizationPrompts(productData);
-            const result = await this.model.generateContent(descriptionPrompt);
-            const response = await result.response;
-            
-            return response.text().trim();
-        } catch (error) {
-            console.error('Description optimization error:', error.message);
-            throw new Error(`Description optimization failed: ${error.message}`);
-        }
+    createAttributeContext(attributes) {
+        const entries = Object.entries(attributes || {}).slice(0, 30);
+        if (entries.length === 0) return '';
+
+        const lines = entries.map(([name, value]) => `- ${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
+        return `\n\nProduct attributes:\n${lines.join('\n')}`;
     }
 
     /**
-     * Generate keyword suggestions
+     * Summarize competitor listings for the prompts, truncated to keep token usage down
      */
-    async generateKeywords(productData) {
-        await this.rateLimitCheck();
-        
-        try {
-            const { keywordPrompt } = this.createOptimizationPrompts(productData);
-            const result = await this.model.generateContent(keywordPrompt);
-            const response = await result.response;
-            
-            const keywordText = response.text().trim();
-            const keywords = keywordText.split(',').map(k => k.trim()).filter(k => k.length > 0);
-            
-            return keywords.slice(0, 5); // Ensure max 5 keywords
-        } catch (error) {
-            console.error('Keyword generation error:', error.message);
-            throw new Error(`Keyword generation failed: ${error.message}`);
+    createCompetitorContext(competitors) {
+        if (!Array.isArray(competitors) || competitors.length === 0) return '';
+
+        const lines = competitors.slice(0, 5).map((competitor, index) => {
+            const facts = [
+                competitor.price,
+                competitor.rating ? `${competitor.rating}★` : null,
+                competitor.reviewCount ? `${competitor.reviewCount} reviews` : null
+            ].filter(Boolean).join(', ');
+
+            return `${index + 1}. ${competitor.title}${facts ? ` (${facts})` : ''}` +
+                (competitor.bulletPoints ? `\n   Features: ${competitor.bulletPoints.replace(/\s+/g, ' ').substring(0, 200)}` : '');
+        });
+
+        return `\n\nCompeting listings (differentiate from them; don't copy their wording or name their brands):\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Generate the listing JSON, sending a repair prompt while it fails validation
+     * @param {Object} [progress] - onProgress and streamText, as for optimizeProduct
+     * @returns {Object} { listing, attempts, usage, model, failedAttempts } - usage totals every attempt,
+     *   model is the one that wrote the accepted answer
+     * @throws {LlmError} LLM_INVALID_RESPONSE once the repair attempts are used up
+     */
+    async generateListing(productData, templates, angle = null, { onProgress = () => {}, streamText = false } = {}) {
+        const prompt = this.createListingPrompt(productData, templates, angle);
+        const angleId = angle ? angle.id : null;
+        let currentPrompt = prompt;
+        let errors = [];
+        let usage = emptyUsage();
+        const failedAttempts = [];
+
+        for (let attempt = 1; attempt <= this.maxRepairAttempts + 1; attempt++) {
+            const response = await this.generate(currentPrompt, {
+                responseSchema: LISTING_SCHEMA,
+                ...(streamText && { onText: (chunk) => onProgress('delta', { angle: angleId, attempt, text: chunk }) }),
+                // Text streamed before a retry or fallback belongs to a failed request
+                onRetry: (retry) => onProgress('retry', { angle: angleId, attempt, ...retry })
+            });
+            const { text } = response;
+            usage = addUsage(usage, response.usage);
+            failedAttempts.push(...response.failedAttempts);
+            const parsed = parseListingResponse(text);
+
+            if (parsed.listing) {
+                return { listing: parsed.listing, attempts: attempt, usage, model: response.usage.model, failedAttempts };
+            }
+
+            errors = parsed.errors;
+            console.warn(`⚠️ Invalid optimization response (attempt ${attempt}): ${errors.join('; ')}`);
+            // Partial text streamed so far belongs to a rejected answer
+            onProgress('repair', { angle: angleId, attempt, errors });
+            currentPrompt = this.createRepairPrompt(prompt, text, errors);
         }
+
+        throw new LlmError(`AI response failed validation after ${this.maxRepairAttempts + 1} attempts: ${errors.join('; ')}`, {
+            code: LLM_ERROR_CODES.INVALID_RESPONSE,
+            status: 502,
+            provider: this.provider.name
+        });
     }
 
     /**
-     * Complete optimization - all elements in sequence
+     * Shape one validated listing answer into an optimization variant, with its own score and compliance result
      */
-    async optimizeProduct(productData) {
+    createVariant(productData, listing, angle, model = this.lastModel) {
+        const optimized = {
+            title: listing.title,
+            bullets: listing.bullets,
+            // Same text format the scraper stores bullets in
+            bulletPoints: listing.bullets.join('\n• '),
+            description: listing.description,
+            suggestedKeywords: listing.keywords,
+            rationale: listing.rationale
+        };
+
+        return {
+            angle: angle ? angle.id : null,
+            // A fallback model when the configured one failed
+            model,
+            optimized,
+            // Validated structure as stored in optimized_content
+            content: listing,
+            score: this.calculateOptimizationScore(productData, optimized).score,
+            // Schema-valid copy can still break Amazon's style rules
+            compliance: checkCompliance(listing, { category: productData.category, brand: productData.brand })
+        };
+    }
+
+    /**
+     * Complete optimization - title, bullets, description and keywords in one structured call,
+     * or one call per angle when A/B variants are requested
+     * @param {Object} [options]
+     * @param {Object} [options.templates] - Active prompt templates by type; built-in defaults otherwise
+     * @param {number} [options.variants] - Alternative listings to generate (up to one per angle); the best ranked becomes the optimized copy
+     * @param {Function} [options.onProgress] - Called as (event, data) with generation_started, delta, retry, repair, field and scored events
+     * @param {boolean} [options.streamText] - Report the answer text as the provider produces it (delta events)
+     */
+    async optimizeProduct(productData, options = {}) {
+        const templates = { ...defaultTemplateSet(), ...(options.templates || {}) };
+        const angles = options.variants > 1 ? VARIANT_ANGLES.slice(0, options.variants) : [null];
+        const onProgress = options.onProgress || (() => {});
         try {
-            console.log(`🤖 Starting AI optimization for ASIN: ${productData.asin}`);
+            console.log(`🤖 Starting AI optimization for ${productData.asin ? `ASIN: ${productData.asin}` : `draft product ${productData.productId}`}` +
+                (angles[0] ? ` (${angles.length} variants)` : ''));
             
             const startTime = Date.now();
-            
-            // Run optimizations sequentially to respect rate limits
-            const [optimizedTitle, optimizedBulletPoints, optimizedDescription, suggestedKeywords] = await Promise.all([
-                this.optimizeTitle(productData),
-                this.optimizeBulletPoints(productData),
-                this.optimizeDescription(productData),
-                this.generateKeywords(productData)
-            ]);
+            const variants = [];
+            let requestCount = 0;
+            let usage = emptyUsage();
+            const failedAttempts = [];
+
+            // One at a time to respect rate limits
+            for (const [index, angle] of angles.entries()) {
+                const angleId = angle ? angle.id : null;
+                onProgress('generation_started', { angle: angleId, variant: index + 1, variants: angles.length });
 
+                const generated = await this.generateListing(productData, templates, angle, {
+                    onProgress,
+                    streamText: options.streamText
+                });
+                const { listing } = generated;
+                for (const field of LISTING_FIELDS) {
+                    onProgress('field', { angle: angleId, field, value: listing[field], model: generated.model });
+                }
+
+                const variant = this.createVariant(productData, listing, angle, generated.model);
+                onProgress('scored', { angle: angleId, score: variant.score, compliance: variant.compliance.summary });
+                variants.push(variant);
+                requestCount += generated.attempts;
+                usage = addUsage(usage, generated.usage);
+                failedAttempts.push(...generated.failedAttempts.map(failed => ({ angle: angleId, ...failed })));
+            }
+
+            const ranked = rankVariants(variants);
+            const best = ranked[0];
             const optimizationTime = Date.now() - startTime;
             
             const result = {
@@ -156,77 +295,43 @@ class GeminiOptimizer {
                     bulletPoints: productData.bulletPoints,
                     description: productData.description
                 },
-                optimized: {
-                    title: optimizedTitle,
-                    bulletPoints: optimizedBulletPoints,
-                    description: optimizedDescription,
-                    suggestedKeywords
-                },
+                optimized: best.optimized,
+                content: best.content,
+                compliance: best.compliance,
+                // Best first; empty for a single-listing run
+                variants: angles[0] ? ranked : [],
                 metadata: {
                     optimizationTime: optimizationTime,
-                    modelUsed: 'gemini-2.0-flash-exp',
-                    requestCount: 4, // Title, bullets, description, keywords
+                    provider: this.provider.name,
+                    modelUsed: best.model,
+                    requestCount,
+                    repairAttempts: requestCount - angles.length,
+                    // Provider errors that were retried or sent on to a fallback model
+                    failedAttempts,
+                    // Tokens and estimated USD cost of every request above
+                    usage,
+                    // null for a built-in template
+                    promptVersions: Object.fromEntries(
+                        PROMPT_TEMPLATE_TYPES.map(type => [type, templates[type].version])
+                    ),
+                    variantAngle: best.angle,
+                    competitorAsins: (productData.competitors || []).map(competitor => competitor.asin),
                     timestamp: new Date().toISOString()
                 }
             };
 
+            if (!result.compliance.compliant) {
+                console.warn(`⚠️ Optimized copy breaks ${result.compliance.summary.errors} listing policy rule(s)`);
+            }
             console.log(`✅ Optimization completed in ${optimizationTime}ms`);
             return result;
 
         } catch (error) {
             console.error(`❌ Product optimization failed:`, error.message);
-            throw new Error(`AI optimization failed: ${error.message}`);
+            throw error instanceof LlmError ? error : new Error(`AI optimization failed: ${error.message}`);
         }
     }
 
-    /**
-     * Batch optimization with intelligent rate limiting
-     */
-    async optimizeMultipleProducts(products, options = {}) {
-        const { 
-            maxConcurrent = 1, // Keep sequential for rate limiting
-            delayBetweenBatches = 5000 // 5 seconds between products
-        } = options;
-
-        const results = [];
-        const errors = [];
-
-        for (let i = 0; i < products.length; i++) {
-            try {
-                console.log(`📊 Processing product ${i + 1}/${products.length}`);
-                
-                const result = await this.optimizeProduct(products[i]);
-                results.push(result);
-                
-                // Add delay between products
-                if (i < products.length - 1) {
-                    console.log(`⏱️ Waiting ${delayBetweenBatches}ms before next optimization...`);
-                    await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
-                }
-                
-            } catch (error) {
-                const errorResult = {
-                    asin: products[i].asin,
-                    error: error.message,
-                    timestamp: new Date().toISOString()
-                };
-                errors.push(errorResult);
-                console.error(`❌ Failed to optimize ${products[i].asin}:`, error.message);
-            }
-        }
-
-        return {
-            successful: results,
-            failed: errors,
-            totalRequests: this.requestCount,
-            summary: {
-                total: products.length,
-                successful: results.length,
-                failed: errors.length
-            }
-        };
-    }
-
     /**
      * Calculate optimization score based on improvements
      */
@@ -270,9 +375,17 @@ class GeminiOptimizer {
      */
     getUsageStats() {
         return {
+            provider: this.provider.name,
+            model: this.lastModel,
             totalRequests: this.requestCount,
+            inputTokens: this.usage.inputTokens,
+            outputTokens: this.usage.outputTokens,
+            estimatedCostUsd: this.usage.costUsd,
             lastRequestTime: new Date(this.lastRequestTime).toISOString(),
-            rateLimitInterval: this.minRequestInterval
+            // Circuit breaker per model in the fallback chain
+            circuits: this.provider.getHealth ? this.provider.getHealth() : null,
+            // Queue depth, waits and remaining per-minute capacity
+            rateLimit: this.provider.rateLimiter ? this.provider.rateLimiter.getMetrics() : null
         };
     }
 }
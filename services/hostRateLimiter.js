@@ -0,0 +1,50 @@
+/**
+ * Spaces requests to the same host at least `minIntervalMs` apart.
+ *
+ * Slots are reserved synchronously, so concurrent callers queue up behind
+ * each other instead of all passing the check at once.
+ */
+class HostRateLimiter {
+    constructor(options = {}) {
+        this.minIntervalMs = options.minIntervalMs ?? 2000;
+        this.hosts = new Map();
+    }
+
+    /**
+     * Resolve when the caller may send a request to `host`
+     * @returns {number} Milliseconds waited
+     */
+    async wait(host) {
+        const now = Date.now();
+        const state = this.hosts.get(host) || { nextSlotAt: 0, requests: 0, totalWaitMs: 0 };
+
+        const slot = Math.max(now, state.nextSlotAt);
+        const waitMs = slot - now;
+        state.nextSlotAt = slot + this.minIntervalMs;
+        state.requests++;
+        state.totalWaitMs += waitMs;
+        this.hosts.set(host, state);
+
+        if (waitMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+        return waitMs;
+    }
+
+    getStats() {
+        const stats = {};
+        for (const [host, state] of this.hosts) {
+            stats[host] = {
+                requests: state.requests,
+                averageWaitMs: state.requests > 0 ? Math.round(state.totalWaitMs / state.requests) : 0,
+                nextSlotInMs: Math.max(0, state.nextSlotAt - Date.now())
+            };
+        }
+        return {
+            minIntervalMs: this.minIntervalMs,
+            hosts: stats
+        };
+    }
+}
+
+module.exports = HostRateLimiter;
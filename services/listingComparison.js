@@ -0,0 +1,103 @@
+const { fromMinorUnits } = require('./moneyParser');
+const { splitBullets } = require('./listingText');
+
+const METRICS = ['titleLength', 'bulletCount', 'descriptionLength', 'priceValue', 'rating', 'reviewCount'];
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Metrics for one listing
+ * @param {Object} listing - { asin, marketplace, title, bulletPoints, description, price, currency, priceAmount,
+ *   rating, reviewCount }; priceAmount is the stored price in minor units of currency
+ * @param {string[]} keywords - Keywords to look for in the title, bullets and description
+ * @param {string} role - 'own' or 'competitor'
+ */
+const describeListing = (listing, keywords, role) => {
+    // Competitors that haven't been scraped yet only have an ASIN
+    if (!listing.title) {
+        return { asin: listing.asin, role, fetched: false };
+    }
+
+    const hasAmount = listing.priceAmount !== null && listing.priceAmount !== undefined && Boolean(listing.currency);
+    const text = normalize([listing.title, listing.bulletPoints, listing.description].join(' '));
+    const keywordsUsed = keywords.filter(keyword => text.includes(normalize(keyword)));
+    const rating = listing.rating === null || listing.rating === undefined ? null : parseFloat(listing.rating);
+
+    return {
+        asin: listing.asin,
+        role,
+        fetched: true,
+        title: listing.title,
+        titleLength: listing.title.length,
+        bulletCount: splitBullets(listing.bulletPoints).length,
+        descriptionLength: listing.description ? listing.description.length : 0,
+        price: listing.price || null,
+        currency: hasAmount ? listing.currency : null,
+        priceValue: hasAmount ? fromMinorUnits(listing.priceAmount, listing.currency) : null,
+        rating,
+        reviewCount: listing.reviewCount ?? null,
+        keywordsUsed,
+        keywordCoverage: keywords.length > 0 ? Math.round((keywordsUsed.length / keywords.length) * 100) : null
+    };
+};
+
+const average = (values) => {
+    const numbers = values.filter(value => Number.isFinite(value));
+    if (numbers.length === 0) return null;
+    return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 100) / 100;
+};
+
+/**
+ * Side-by-side matrix of our listing against its competitors
+ * @param {Object} own - Our listing
+ * @param {Object[]} competitors - Competitor listings
+ * @param {string[]} keywords - Our tracked keywords
+ * @returns {Object} { keywords, listings, summary }
+ */
+const compareListings = (own, competitors, keywords = []) => {
+    const ownRow = describeListing(own, keywords, 'own');
+    const competitorRows = competitors.map(competitor => describeListing(competitor, keywords, 'competitor'));
+    const fetched = competitorRows.filter(row => row.fetched);
+
+    // Prices are only averaged and ranked within one currency: ours, or the first competitor's
+    const priceCurrency = ownRow.currency || fetched.map(row => row.currency).find(Boolean) || null;
+    const metricValues = (rows, metric) => rows
+        .filter(row => metric !== 'priceValue' || row.currency === priceCurrency)
+        .map(row => row[metric]);
+
+    const competitorAverage = {};
+    for (const metric of METRICS) {
+        competitorAverage[metric] = average(metricValues(fetched, metric));
+    }
+
+    // Where our listing sits for each metric among everyone compared (1 = highest)
+    const rankAmongAll = {};
+    for (const metric of METRICS) {
+        const values = metricValues([ownRow, ...fetched], metric).filter(value => Number.isFinite(value));
+        rankAmongAll[metric] = Number.isFinite(ownRow[metric])
+            ? values.filter(value => value > ownRow[metric]).length + 1
+            : null;
+    }
+
+    const ownKeywords = ownRow.keywordsUsed || [];
+
+    return {
+        keywords,
+        listings: [ownRow, ...competitorRows],
+        summary: {
+            competitorsCompared: fetched.length,
+            competitorsNotFetched: competitorRows.filter(row => !row.fetched).map(row => row.asin),
+            priceCurrency,
+            competitorAverage,
+            ownRank: rankAmongAll,
+            // Tracked keywords at least one competitor uses and we don't
+            keywordGaps: keywords.filter(keyword =>
+                !ownKeywords.includes(keyword) && fetched.some(row => row.keywordsUsed.includes(keyword))
+            )
+        }
+    };
+};
+
+module.exports = {
+    compareListings
+};
@@ -0,0 +1,203 @@
+const { splitBullets } = require('./listingText');
+
+const DEFAULT_TITLE_LIMIT = 200;
+
+// Category style guides that are stricter than the 200-character default; matched
+// against the stored category, which may be a whole breadcrumb
+const CATEGORY_TITLE_LIMITS = [
+    { pattern: /clothing|apparel|shoes|jewelry|watches/i, limit: 80 }
+];
+
+const BULLET_LIMIT = 500;
+const DESCRIPTION_LIMIT = 2000;
+
+// Articles, conjunctions and prepositions may repeat freely in a title
+const REPEATABLE_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'nor', 'but', 'for', 'with', 'without', 'of', 'in', 'on', 'to', 'from', 'by', 'at', 'as', 'into', 'per'
+]);
+
+const titleLimit = (category) => {
+    const match = CATEGORY_TITLE_LIMITS.find(entry => entry.pattern.test(category || ''));
+    return match ? match.limit : DEFAULT_TITLE_LIMIT;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Every match of a global regex as a span
+ */
+const findAll = (text, regex, message) => [...text.matchAll(regex)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    message: typeof message === 'function' ? message(match[0]) : message
+}));
+
+const lengthCheck = (limit, label) => (text) => (text.length > limit
+    ? [{ start: limit, end: text.length, message: `${label} is ${text.length} characters; the limit is ${limit}` }]
+    : []);
+
+/**
+ * Rule catalog. Each rule checks one kind of field (title, bullets, description) and
+ * returns spans into that field's text; severity 'error' is what gets listings suppressed.
+ */
+const COMPLIANCE_RULES = [
+    {
+        id: 'title_length',
+        fields: ['title'],
+        severity: 'error',
+        description: 'Title longer than its category allows',
+        check: (text, context) => lengthCheck(titleLimit(context.category), 'Title')(text)
+    },
+    {
+        id: 'bullet_length',
+        fields: ['bullets'],
+        severity: 'error',
+        description: `Bullet longer than ${BULLET_LIMIT} characters`,
+        check: lengthCheck(BULLET_LIMIT, 'Bullet')
+    },
+    {
+        id: 'description_length',
+        fields: ['description'],
+        severity: 'error',
+        description: `Description longer than ${DESCRIPTION_LIMIT} characters`,
+        check: lengthCheck(DESCRIPTION_LIMIT, 'Description')
+    },
+    {
+        id: 'prohibited_characters',
+        fields: ['title'],
+        severity: 'error',
+        description: 'Characters not allowed in titles unless part of the brand name: ! $ ? _ { } ^ ¬ ¦',
+        check: (text, context) => {
+            const brandSpans = context.brand ? findAll(text, new RegExp(escapeRegex(context.brand), 'gi'), '') : [];
+            return findAll(text, /[!$?_{}^¬¦]/g, char => `"${char}" is not allowed in titles`)
+                .filter(span => !brandSpans.some(brand => span.start >= brand.start && span.end <= brand.end));
+        }
+    },
+    {
+        id: 'emoji',
+        fields: ['title', 'bullets', 'description'],
+        severity: 'error',
+        description: 'Emojis and pictographs',
+        check: (text) => findAll(text, /(?![©®™])\p{Extended_Pictographic}/gu, 'Emojis are not allowed')
+    },
+    {
+        id: 'non_ascii',
+        fields: ['title', 'bullets'],
+        severity: 'warning',
+        description: 'Symbols outside plain ASCII (letters with accents are fine)',
+        check: (text) => findAll(
+            text,
+            /[©®™]|(?![\p{L}\p{N}\p{Extended_Pictographic}])[^\x20-\x7E]/gu,
+            char => `"${char}" is not a plain ASCII character`
+        )
+    },
+    {
+        id: 'promotional_phrases',
+        fields: ['title', 'bullets', 'description'],
+        severity: 'error',
+        description: 'Promotional language such as NEW, best seller, sale or guarantees',
+        check: (text) => [
+            ...findAll(text, /\bNEW\b/g, '"NEW" is promotional'),
+            ...findAll(
+                text,
+                /\b(?:brand new|best[- ]?sell(?:er|ing)|hot item|(?:on )?sale|clearance|limited time|buy now|order now|deals? of the (?:day|week)|(?:hot|daily|lightning|today'?s) deals?|discount(?:ed)?|satisfaction guarantee[d]?|money[- ]back(?: guarantee)?|guaranteed)\b/gi,
+                phrase => `"${phrase}" is promotional`
+            )
+        ]
+    },
+    {
+        id: 'pricing_shipping_claims',
+        fields: ['title', 'bullets', 'description'],
+        severity: 'error',
+        description: 'Prices, discounts and shipping promises',
+        check: (text) => findAll(
+            text,
+            /(?:[$€£¥￥₹]|\bRs\.)\s?\d(?:[\d.,]*\d)?|\b\d+\s?% off\b|\b(?:free|fast|quick|same[- ]day|next[- ]day|two[- ]day|2[- ]day|prime) (?:shipping|delivery)\b|\bships? (?:free|fast|today)\b|\b(?:lowest|best|great) price\b|\bcheap(?:est)?\b/gi,
+            claim => `"${claim}" is a pricing or shipping claim`
+        )
+    },
+    {
+        id: 'subjective_superlatives',
+        fields: ['title', 'bullets', 'description'],
+        severity: 'warning',
+        description: 'Unverifiable superlatives such as best, #1 or amazing',
+        check: (text) => findAll(
+            text,
+            /#1\b|\b(?:best|greatest|amazing|incredible|awesome|perfect|ultimate|unbeatable|world[- ]class|top[- ]rated|top[- ]quality|number one|revolutionary)\b/gi,
+            word => `"${word}" is a subjective claim`
+        )
+    },
+    {
+        id: 'all_caps',
+        fields: ['title', 'bullets'],
+        severity: 'warning',
+        description: 'ALL-CAPS words, including bullet lead-ins',
+        check: (text) => findAll(
+            text,
+            /\b[A-Z]{2,}(?:[\s&'-]+[A-Z]{2,})+\b|\b[A-Z]{5,}\b/g,
+            caps => `"${caps}" is in all caps`
+        )
+    },
+    {
+        id: 'repeated_words',
+        fields: ['title'],
+        severity: 'error',
+        description: 'The same word more than twice in a title',
+        check: (text) => {
+            const counts = new Map();
+            return findAll(text, /[\p{L}\p{N}]+(?:'\p{L}+)?/gu, '').filter(span => {
+                const word = text.slice(span.start, span.end).toLowerCase();
+                if (REPEATABLE_WORDS.has(word)) return false;
+                counts.set(word, (counts.get(word) || 0) + 1);
+                return counts.get(word) > 2;
+            }).map(span => ({ ...span, message: `"${text.slice(span.start, span.end)}" appears more than twice` }));
+        }
+    }
+];
+
+/**
+ * Check a listing against every rule in the catalog
+ * @param {Object} listing - { title, bullets } or { title, bulletPoints } (stored text), description
+ * @param {Object} [context] - { category, brand }
+ * @returns {Object} { compliant, summary: { errors, warnings }, violations: [{ rule, severity, field, index, message, span: { start, end }, text }] }
+ */
+const checkCompliance = (listing, context = {}) => {
+    const bullets = Array.isArray(listing.bullets) ? listing.bullets : splitBullets(listing.bulletPoints);
+    const fields = [
+        { field: 'title', index: null, text: listing.title || '' },
+        ...bullets.map((text, index) => ({ field: 'bullets', index, text })),
+        { field: 'description', index: null, text: listing.description || '' }
+    ];
+
+    const violations = [];
+    for (const { field, index, text } of fields) {
+        const fieldViolations = [];
+        for (const rule of COMPLIANCE_RULES.filter(candidate => candidate.fields.includes(field))) {
+            for (const span of rule.check(text, context)) {
+                fieldViolations.push({
+                    rule: rule.id,
+                    severity: rule.severity,
+                    field,
+                    index,
+                    message: span.message,
+                    span: { start: span.start, end: span.end },
+                    text: text.slice(span.start, span.end)
+                });
+            }
+        }
+        // In reading order within each field
+        violations.push(...fieldViolations.sort((a, b) => a.span.start - b.span.start));
+    }
+
+    const errors = violations.filter(violation => violation.severity === 'error').length;
+    return {
+        compliant: errors === 0,
+        summary: { errors, warnings: violations.length - errors },
+        violations
+    };
+};
+
+module.exports = {
+    COMPLIANCE_RULES,
+    checkCompliance
+};
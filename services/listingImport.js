@@ -0,0 +1,267 @@
+const { readSheet } = require('read-excel-file/node');
+const { getMarketplace, MARKETPLACES } = require('./marketplaces');
+const { parseDecimalMoney, describePrice } = require('./moneyParser');
+
+const MAX_ROWS = 1000;
+const BULLET_COUNT = 5;
+
+// Accepted header names per listing field, after normalizeHeader(); flat-file attribute names included
+const COLUMN_ALIASES = {
+    asin: ['asin'],
+    externalProductId: ['external_product_id', 'product_id'],
+    externalProductIdType: ['external_product_id_type', 'product_id_type'],
+    sku: ['sku', 'item_sku', 'seller_sku'],
+    title: ['title', 'item_name', 'product_name'],
+    description: ['description', 'product_description'],
+    brand: ['brand', 'brand_name'],
+    category: ['category', 'item_type', 'item_type_keyword', 'feed_product_type'],
+    price: ['price', 'standard_price'],
+    marketplace: ['marketplace']
+};
+for (let i = 1; i <= BULLET_COUNT; i++) {
+    COLUMN_ALIASES[`bullet${i}`] = [`bullet${i}`, `bullet_${i}`, `bullet_point${i}`, `bullet_point_${i}`];
+}
+
+const normalizeHeader = (header) => String(header ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+/**
+ * Split delimited text into rows of cells, honouring double-quoted cells with
+ * embedded delimiters, newlines and "" escapes
+ */
+const parseDelimited = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+/**
+ * Read an uploaded file into rows of string cells
+ * @param {Buffer} buffer
+ * @param {string} [filename]
+ * @returns {Promise<Object>} { format, rows } - format is xlsx, flat_file or csv
+ */
+const readRows = async (buffer, filename = '') => {
+    // XLSX files are zip archives
+    if (buffer.subarray(0, 4).toString('binary') === 'PK\x03\x04' || /\.xlsx$/i.test(filename)) {
+        const rows = await readSheet(buffer);
+        return {
+            format: 'xlsx',
+            rows: rows.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell))))
+        };
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = firstLine.includes('\t') || /\.(txt|tsv)$/i.test(filename) ? '\t' : ',';
+
+    return {
+        // Seller Central inventory templates start with a "TemplateType=..." settings row
+        format: /^TemplateType=/i.test(firstLine) ? 'flat_file' : 'csv',
+        rows: parseDelimited(text, delimiter)
+    };
+};
+
+/**
+ * Map header cells to listing fields
+ * @returns {Object} field -> column index
+ */
+const mapColumns = (headerRow) => {
+    const columns = {};
+    headerRow.forEach((header, index) => {
+        const normalized = normalizeHeader(header);
+        for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+            if (aliases.includes(normalized) && !(field in columns)) {
+                columns[field] = index;
+            }
+        }
+    });
+    return columns;
+};
+
+/**
+ * Find the header row. Flat files carry a settings row and a human-readable label row
+ * above the attribute-name row, so take whichever of the first rows maps the most columns.
+ * @returns {Object|null} { headerIndex, columns }
+ */
+const findHeader = (rows) => {
+    let best = null;
+    rows.slice(0, 5).forEach((row, index) => {
+        const columns = mapColumns(row);
+        const count = Object.keys(columns).length;
+        if (count > 0 && (!best || count > Object.keys(best.columns).length)) {
+            best = { headerIndex: index, columns };
+        }
+    });
+    return best && 'title' in best.columns ? best : null;
+};
+
+/**
+ * Turn one data row into a listing, validating it
+ * @returns {Object} { listing, errors, warnings }
+ */
+const validateRow = (cells, columns, defaultMarketplace) => {
+    const value = (field) => (field in columns ? String(cells[columns[field]] ?? '').trim() : '');
+    const errors = [];
+    const warnings = [];
+
+    const marketplaceCode = value('marketplace') || defaultMarketplace;
+    const marketplace = getMarketplace(marketplaceCode);
+    if (!marketplace) {
+        errors.push(`marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`);
+    }
+
+    // Flat files carry the ASIN as an external product ID of type ASIN
+    let asin = value('asin');
+    if (!asin && /^asin$/i.test(value('externalProductIdType'))) {
+        asin = value('externalProductId');
+    }
+    asin = asin.toUpperCase();
+    if (!asin) {
+        errors.push('asin is required');
+    } else if (!/^[A-Z0-9]{10}$/.test(asin)) {
+        errors.push(`asin "${asin}" must be 10 alphanumeric characters`);
+    }
+
+    const title = value('title');
+    if (!title) {
+        errors.push('title is required');
+    } else if (title.length > 500) {
+        errors.push(`title is ${title.length} characters; the maximum is 500`);
+    } else if (title.length > 200) {
+        warnings.push(`title is ${title.length} characters; most categories allow 200`);
+    }
+
+    const bullets = [];
+    for (let i = 1; i <= BULLET_COUNT; i++) {
+        const bullet = value(`bullet${i}`);
+        if (!bullet) continue;
+        if (bullet.length > 1000) {
+            errors.push(`bullet${i} is ${bullet.length} characters; the maximum is 1000`);
+        }
+        bullets.push(bullet);
+    }
+    if (bullets.length === 0) {
+        warnings.push('no bullet points');
+    }
+
+    const description = value('description');
+    if (description.length > 2000) {
+        errors.push(`description is ${description.length} characters; the maximum is 2000`);
+    }
+
+    // Flat files use dot-decimal prices on every marketplace, so "19.99" on .de is 19.99 EUR
+    const price = value('price');
+    const money = price && marketplace ? parseDecimalMoney(price, marketplace) : null;
+    if (price && marketplace && !money) {
+        errors.push(`price "${price}" is not a number`);
+    }
+
+    return {
+        listing: {
+            asin,
+            marketplace: marketplace ? marketplace.code : marketplaceCode,
+            sku: value('sku') || null,
+            title,
+            // Same shape the scraper produces
+            bulletPoints: bullets.length > 0 ? bullets.join('\n• ') : null,
+            description: description || null,
+            brand: value('brand') || null,
+            category: value('category') || null,
+            price: price || null,
+            priceDetails: money ? describePrice({ currency: money.currency, amount: money.amount, minAmount: money.min, maxAmount: money.max }) : null
+        },
+        errors,
+        warnings
+    };
+};
+
+/**
+ * Parse and validate an uploaded listing file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Original file name, used to tell XLSX/TSV from CSV
+ * @param {string} [options.marketplace] - Marketplace for rows without a marketplace column
+ * @returns {Promise<Object>} { format, rows: [{ row, listing, errors, warnings }] } - row is the 1-based line in the file
+ */
+const parseImportFile = async (buffer, { filename, marketplace = 'us' } = {}) => {
+    const { format, rows } = await readRows(buffer, filename);
+
+    const header = findHeader(rows);
+    if (!header) {
+        const error = new Error('No header row with a title column (title, item_name or product_name) found in the first 5 rows');
+        error.code = 'INVALID_IMPORT_FILE';
+        throw error;
+    }
+
+    const dataRows = rows
+        .map((cells, index) => ({ cells, row: index + 1 }))
+        .slice(header.headerIndex + 1)
+        .filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''));
+
+    if (dataRows.length > MAX_ROWS) {
+        const error = new Error(`File has ${dataRows.length} rows; import at most ${MAX_ROWS} at a time`);
+        error.code = 'INVALID_IMPORT_FILE';
+        throw error;
+    }
+
+    const seen = new Map();
+    const results = dataRows.map(({ cells, row }) => {
+        const result = { row, ...validateRow(cells, header.columns, marketplace) };
+
+        const key = `${result.listing.asin}|${result.listing.marketplace}`;
+        if (result.listing.asin && seen.has(key)) {
+            result.errors.push(`duplicate of row ${seen.get(key)}`);
+        } else {
+            seen.set(key, row);
+        }
+        return result;
+    });
+
+    return { format, rows: results };
+};
+
+module.exports = {
+    MAX_ROWS,
+    parseDelimited,
+    parseImportFile
+};
@@ -0,0 +1,133 @@
+const Ajv = require('ajv');
+
+// Plain text: no bold markers and no line breaks (several bullets run together)
+const PLAIN_LINE = '^(?!.*\\*\\*)[^\\n]*$';
+
+/**
+ * Shape of one structured optimization answer
+ */
+const LISTING_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 20, maxLength: 200, pattern: PLAIN_LINE },
+        bullets: {
+            type: 'array',
+            minItems: 5,
+            maxItems: 5,
+            items: { type: 'string', minLength: 10, maxLength: 500, pattern: PLAIN_LINE }
+        },
+        description: { type: 'string', minLength: 50, maxLength: 2000 },
+        keywords: {
+            type: 'array',
+            minItems: 3,
+            maxItems: 10,
+            items: { type: 'string', minLength: 2, maxLength: 80, pattern: PLAIN_LINE }
+        },
+        rationale: { type: 'string', minLength: 1, maxLength: 1000 }
+    },
+    required: ['title', 'bullets', 'description', 'keywords', 'rationale'],
+    additionalProperties: false
+};
+
+// Extra keys are dropped rather than sent back for repair
+const ajv = new Ajv({ allErrors: true, removeAdditional: true });
+const validate = ajv.compile(LISTING_SCHEMA);
+
+// Gemini's responseSchema is an OpenAPI subset and rejects unknown keywords
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'enum', 'nullable', 'minItems', 'maxItems', 'required'];
+
+/**
+ * Convert a JSON schema to the subset Gemini accepts as responseSchema
+ */
+const toGeminiSchema = (schema) => {
+    const converted = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema[key] !== undefined) converted[key] = schema[key];
+    }
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+        );
+    }
+    return converted;
+};
+
+const LIST_MARKER = /^(?:[-*•·]|\d+[.)])\s+/;
+
+/**
+ * Tidy what a model gets wrong without changing meaning: whitespace, list markers
+ * in front of bullets and duplicate keywords
+ */
+const normalizeListing = (listing) => {
+    for (const field of ['title', 'description', 'rationale']) {
+        if (typeof listing[field] === 'string') listing[field] = listing[field].trim();
+    }
+    if (Array.isArray(listing.bullets)) {
+        listing.bullets = listing.bullets.map(bullet => (typeof bullet === 'string' ? bullet.trim().replace(LIST_MARKER, '') : bullet));
+    }
+    if (Array.isArray(listing.keywords)) {
+        const seen = new Set();
+        listing.keywords = listing.keywords
+            .map(keyword => (typeof keyword === 'string' ? keyword.trim() : keyword))
+            .filter(keyword => {
+                if (typeof keyword !== 'string') return true;
+                const key = keyword.toLowerCase();
+                if (keyword === '' || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+    return listing;
+};
+
+// "/bullets/2" -> "bullets[2]"
+const formatPath = (instancePath) => instancePath
+    .split('/')
+    .filter(Boolean)
+    .reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part), '') || 'response';
+
+/**
+ * Parse and validate a model's JSON answer
+ * @param {string} text - Raw response; code fences or text around the object are tolerated
+ * @returns {Object} { listing: { title, bullets, description, keywords, rationale } | null, errors: string[] }
+ */
+const parseListingResponse = (text) => {
+    const raw = String(text || '');
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        return { listing: null, errors: ['response is not a JSON object'] };
+    }
+
+    let listing;
+    try {
+        listing = JSON.parse(raw.slice(start, end + 1));
+    } catch (error) {
+        return { listing: null, errors: [`response is not valid JSON: ${error.message}`] };
+    }
+    if (listing === null || typeof listing !== 'object' || Array.isArray(listing)) {
+        return { listing: null, errors: ['response is not a JSON object'] };
+    }
+
+    normalizeListing(listing);
+    if (!validate(listing)) {
+        const errors = validate.errors.map(error => {
+            const path = error.keyword === 'required'
+                ? formatPath(`${error.instancePath}/${error.params.missingProperty}`)
+                : formatPath(error.instancePath);
+            if (error.keyword === 'required') return `${path} is required`;
+            if (error.keyword === 'pattern') return `${path} must be plain text on one line, without markdown`;
+            return `${path} ${error.message}`;
+        });
+        return { listing: null, errors };
+    }
+
+    return { listing, errors: [] };
+};
+
+module.exports = {
+    LISTING_SCHEMA,
+    toGeminiSchema,
+    parseListingResponse
+};
@@ -0,0 +1,14 @@
+/**
+ * Bullet points as a list. Scraped, imported and generated listings store them as one text,
+ * a bullet per line with an optional "• " marker.
+ * @param {string|null} bulletPoints
+ * @returns {string[]}
+ */
+const splitBullets = (bulletPoints) => (bulletPoints || '')
+    .split('\n')
+    .map(bullet => bullet.replace(/^•\s*/, '').trim())
+    .filter(bullet => bullet.length > 0);
+
+module.exports = {
+    splitBullets
+};
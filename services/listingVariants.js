@@ -0,0 +1,43 @@
+/**
+ * Angles for A/B listing variants (Manage Your Experiments tests titles and bullets
+ * against each other); a run with N variants uses the first N
+ */
+const VARIANT_ANGLES = [
+    {
+        id: 'benefit',
+        label: 'Benefit-led',
+        instruction: 'benefit-led - lead the title and every bullet with what the buyer gains, then back it with the feature'
+    },
+    {
+        id: 'spec',
+        label: 'Spec-led',
+        instruction: 'spec-led - lead with concrete specifications (size, capacity, materials, compatibility, counts) for comparison shoppers'
+    },
+    {
+        id: 'use_case',
+        label: 'Use-case-led',
+        instruction: 'use-case-led - lead with who it is for and the situations it is used in'
+    }
+];
+
+const MAX_VARIANTS = VARIANT_ANGLES.length;
+
+/**
+ * Order variants best first: fewest compliance errors, then highest score, then fewest warnings;
+ * ties keep the angle order
+ * @param {Object[]} variants - [{ score, compliance: { summary: { errors, warnings } } }]
+ * @returns {Object[]} The variants with a 1-based `rank`
+ */
+const rankVariants = (variants) => variants
+    .map((variant, index) => ({ variant, index }))
+    .sort((a, b) => (a.variant.compliance.summary.errors - b.variant.compliance.summary.errors) ||
+        (b.variant.score - a.variant.score) ||
+        (a.variant.compliance.summary.warnings - b.variant.compliance.summary.warnings) ||
+        (a.index - b.index))
+    .map(({ variant }, position) => ({ ...variant, rank: position + 1 }));
+
+module.exports = {
+    VARIANT_ANGLES,
+    MAX_VARIANTS,
+    rankVariants
+};
@@ -0,0 +1,101 @@
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Per-model circuit breaker: after `failureThreshold` failed requests in a row the model is
+ * skipped for `cooldownMs`, then a single trial request decides whether it's back
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options] - failureThreshold, cooldownMs, now (clock, for tests)
+     */
+    constructor({ failureThreshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastFailure = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Whether a request could go out now, without claiming the trial request of a half-open circuit
+     */
+    isAvailable() {
+        if (this.state === CIRCUIT_STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+            this.state = CIRCUIT_STATES.HALF_OPEN;
+        }
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) return !this.probeInFlight;
+        return this.state === CIRCUIT_STATES.CLOSED;
+    }
+
+    /**
+     * Whether a request may go out now; once the cooldown is over the circuit is half open and
+     * lets one trial request through, whose result closes it again or reopens it. Callers that
+     * get true must settle with recordSuccess, recordFailure or release.
+     */
+    canRequest() {
+        if (!this.isAvailable()) return false;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) this.probeInFlight = true;
+        return true;
+    }
+
+    /**
+     * Settle a request that says nothing about the model's health (it was refused or never sent),
+     * so a half-open circuit lets the next trial through
+     */
+    release() {
+        this.probeInFlight = false;
+    }
+
+    recordSuccess() {
+        this.probeInFlight = false;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure(error) {
+        this.probeInFlight = false;
+        this.consecutiveFailures++;
+        this.lastFailure = { code: error.code || null, message: error.message, at: new Date(this.now()).toISOString() };
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== CIRCUIT_STATES.OPEN) {
+                console.warn(`🔌 Circuit opened after ${this.consecutiveFailures} failures: ${error.message}`);
+            }
+            this.state = CIRCUIT_STATES.OPEN;
+            this.openedAt = this.now();
+        }
+    }
+
+    /**
+     * Seconds until an open circuit allows a trial request; 1 while another caller's trial is in flight
+     */
+    retryAfter() {
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) return this.probeInFlight ? 1 : 0;
+        if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+        return Math.max(0, Math.ceil((this.openedAt + this.cooldownMs - this.now()) / 1000));
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            probeInFlight: this.probeInFlight,
+            retryAfter: this.retryAfter(),
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+module.exports = {
+    CIRCUIT_STATES,
+    CircuitBreaker
+};
@@ -0,0 +1,121 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LlmError, LlmConfigError, LLM_ERROR_CODES, llmErrorFromHttpStatus } = require('./llmErrors');
+const { toGeminiSchema } = require('../listingSchema');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash-exp';
+
+// Raised by response.text() (and stream chunks) for prompts or answers stopped by Gemini's filters
+const BLOCKED_PATTERN = /blocked due to/i;
+
+/**
+ * Seconds from the RetryInfo detail Gemini sends with 429s ("retryDelay": "23s")
+ */
+const parseRetryDelay = (errorDetails) => {
+    const retryInfo = (errorDetails || []).find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+    const seconds = parseFloat(retryInfo?.retryDelay);
+    return Number.isFinite(seconds) ? Math.ceil(seconds) : null;
+};
+
+/**
+ * Google Gemini through @google/generative-ai
+ */
+class GeminiProvider {
+    /**
+     * @param {Object} options - apiKey, model, temperature, topK, topP, maxOutputTokens, timeoutMs
+     */
+    constructor({ apiKey, model, temperature, topK, topP, maxOutputTokens, timeoutMs } = {}) {
+        if (!apiKey) {
+            throw new LlmConfigError('GEMINI_API_KEY is required for the gemini provider', 'gemini');
+        }
+
+        this.name = 'gemini';
+        this.model = model || DEFAULT_MODEL;
+        this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+            model: this.model,
+            generationConfig: { temperature, topK, topP, maxOutputTokens }
+        }, { timeout: timeoutMs });
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Object} [options] - responseSchema: JSON schema the answer must follow;
+     *   onText: called with each chunk of text as Gemini streams it
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async generate(prompt, { responseSchema, onText } = {}) {
+        // A per-request generationConfig replaces the model's, so merge it in
+        const request = responseSchema
+            ? {
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                generationConfig: {
+                    ...this.client.generationConfig,
+                    responseMimeType: 'application/json',
+                    responseSchema: toGeminiSchema(responseSchema)
+                }
+            }
+            : prompt;
+
+        let response;
+        try {
+            if (onText) {
+                const result = await this.client.generateContentStream(request);
+                for await (const chunk of result.stream) {
+                    const piece = chunk.text();
+                    if (piece) onText(piece);
+                }
+                // The aggregated response, with the full text and usage
+                response = await result.response;
+            } else {
+                const result = await this.client.generateContent(request);
+                response = await result.response;
+            }
+        } catch (error) {
+            throw this.classifyError(error);
+        }
+
+        let text;
+        try {
+            text = response.text();
+        } catch (error) {
+            throw this.classifyError(error);
+        }
+
+        const usage = response.usageMetadata || {};
+        return {
+            text,
+            model: response.modelVersion || this.model,
+            usage: {
+                inputTokens: usage.promptTokenCount ?? null,
+                outputTokens: usage.candidatesTokenCount ?? null
+            }
+        };
+    }
+
+    /**
+     * Typed LlmError for a failed Gemini request: quota, safety block, timeout, rejected request or upstream failure
+     */
+    classifyError(error) {
+        const options = { provider: this.name, model: this.model };
+
+        if (BLOCKED_PATTERN.test(error.message)) {
+            return new LlmError(`Gemini blocked the response: ${error.message}`, {
+                ...options,
+                code: LLM_ERROR_CODES.SAFETY_BLOCKED,
+                status: 422
+            });
+        }
+        if (error.name === 'GoogleGenerativeAIAbortError' || /abort|timeout/i.test(error.message)) {
+            return new LlmError(`Gemini API error: ${error.message}`, { ...options, code: LLM_ERROR_CODES.TIMEOUT, status: 504 });
+        }
+        if (error.name === 'GoogleGenerativeAIResponseError') {
+            // No candidates and no block reason
+            return new LlmError(`Gemini API returned no text: ${error.message}`, { ...options, code: LLM_ERROR_CODES.EMPTY_RESPONSE });
+        }
+        return llmErrorFromHttpStatus(`Gemini API error: ${error.message}`, error.status, {
+            ...options,
+            retryAfter: parseRetryDelay(error.errorDetails)
+        });
+    }
+}
+
+module.exports = GeminiProvider;
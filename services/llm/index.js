@@ -0,0 +1,54 @@
+const llmConfig = require('../../config/llm');
+const GeminiProvider = require('./geminiProvider');
+const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+const ResilientProvider = require('./resilientProvider');
+const sharedRateLimiter = require('./sharedRateLimiter');
+const { LlmConfigError } = require('./llmErrors');
+
+/**
+ * Every provider exposes:
+ *   name     - provider id recorded on optimizations (gemini, openai, mock)
+ *   model    - configured model name
+ *   generate(prompt, { responseSchema, onText }) -> Promise<{ text, model, usage: { inputTokens, outputTokens } }>
+ *     where model is the one that actually answered, when the API reports it,
+ *     responseSchema (optional) asks for JSON following that schema, and
+ *     onText (optional) streams the answer, called with each chunk as it arrives
+ *   Failures are LlmErrors classified by code (quota, safety block, timeout, rejected request, upstream error)
+ */
+const LLM_PROVIDERS = {
+    gemini: (config) => new GeminiProvider({ ...config, ...config.gemini }),
+    openai: (config) => new OpenAiCompatibleProvider({ ...config, ...config.openai }),
+    mock: (config) => new MockProvider(config)
+};
+
+/**
+ * Build the configured provider, with retries, circuit breakers, the fallback models
+ * (see services/llm/resilientProvider.js) and the process-wide rate limiter
+ * @param {Object} [config] - Defaults to config/llm.js
+ * @throws {LlmConfigError} Unknown provider or missing credentials
+ */
+const createLlmProvider = (config = llmConfig) => {
+    const factory = LLM_PROVIDERS[config.provider];
+    if (!factory) {
+        throw new LlmConfigError(
+            `Unknown LLM provider "${config.provider}". Set LLM_PROVIDER to one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`
+        );
+    }
+
+    const primary = factory(config);
+    const fallbacks = (config.fallbackModels || [])
+        .filter(model => model !== primary.model)
+        .map(model => factory({ ...config, model }));
+
+    return new ResilientProvider([primary, ...fallbacks], {
+        ...config.retry,
+        circuitBreaker: config.circuitBreaker,
+        rateLimiter: sharedRateLimiter
+    });
+};
+
+module.exports = {
+    LLM_PROVIDERS,
+    createLlmProvider
+};
@@ -0,0 +1,93 @@
+/**
+ * Typed LLM provider errors.
+ *
+ * Like the scraper errors, each carries a stable `code` and the HTTP `status`
+ * routes should answer with.
+ */
+const LLM_ERROR_CODES = {
+    NOT_CONFIGURED: 'LLM_NOT_CONFIGURED',
+    UPSTREAM_ERROR: 'LLM_UPSTREAM_ERROR',
+    TIMEOUT: 'LLM_TIMEOUT',
+    QUOTA_EXCEEDED: 'LLM_QUOTA_EXCEEDED',
+    SAFETY_BLOCKED: 'LLM_SAFETY_BLOCKED',
+    REQUEST_REJECTED: 'LLM_REQUEST_REJECTED',
+    CIRCUIT_OPEN: 'LLM_CIRCUIT_OPEN',
+    RATE_LIMITED: 'LLM_RATE_LIMITED',
+    EMPTY_RESPONSE: 'LLM_EMPTY_RESPONSE',
+    INVALID_RESPONSE: 'LLM_INVALID_RESPONSE',
+    BUDGET_EXCEEDED: 'LLM_BUDGET_EXCEEDED'
+};
+
+// Worth sending the same request again after a backoff
+const RETRYABLE_CODES = new Set([
+    LLM_ERROR_CODES.UPSTREAM_ERROR,
+    LLM_ERROR_CODES.TIMEOUT,
+    LLM_ERROR_CODES.QUOTA_EXCEEDED,
+    LLM_ERROR_CODES.EMPTY_RESPONSE
+]);
+
+class LlmError extends Error {
+    /**
+     * @param {Object} [options] - code, status, provider, model, retryAfter (seconds the provider asked us to wait)
+     */
+    constructor(message, { code = LLM_ERROR_CODES.UPSTREAM_ERROR, status = 503, provider = null, model = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.provider = provider;
+        this.model = model;
+        this.retryAfter = retryAfter;
+        this.retryable = RETRYABLE_CODES.has(code);
+    }
+}
+
+/**
+ * Classify a failed provider request by the HTTP status the API answered with
+ * @param {number} [httpStatus] - Missing for network errors, which count as upstream errors
+ */
+const llmErrorFromHttpStatus = (message, httpStatus, options = {}) => {
+    if (httpStatus === 429) {
+        return new LlmError(message, { ...options, code: LLM_ERROR_CODES.QUOTA_EXCEEDED, status: 429 });
+    }
+    if (httpStatus === 408 || httpStatus === 504) {
+        return new LlmError(message, { ...options, code: LLM_ERROR_CODES.TIMEOUT, status: 504 });
+    }
+    if (httpStatus >= 400 && httpStatus < 500) {
+        // Bad request, credentials or model name: sending it again won't help
+        return new LlmError(message, { ...options, code: LLM_ERROR_CODES.REQUEST_REJECTED, status: 502 });
+    }
+    return new LlmError(message, { ...options, code: LLM_ERROR_CODES.UPSTREAM_ERROR, status: 503 });
+};
+
+/**
+ * The selected provider is unknown or missing its API key / base URL
+ */
+class LlmConfigError extends LlmError {
+    constructor(message, provider = null) {
+        super(message, { code: LLM_ERROR_CODES.NOT_CONFIGURED, status: 503, provider });
+    }
+}
+
+/**
+ * The daily or monthly LLM budget is spent; `retryAfter` is the number of seconds until it resets
+ */
+class LlmBudgetError extends LlmError {
+    constructor({ period, limitUsd, spentUsd, resetsAt }) {
+        super(`The ${period} LLM budget of $${limitUsd.toFixed(2)} is exhausted ($${spentUsd.toFixed(2)} spent). ` +
+            `New optimizations are refused until ${resetsAt.toISOString()}.`, { code: LLM_ERROR_CODES.BUDGET_EXCEEDED, status: 402 });
+        this.period = period;
+        this.limitUsd = limitUsd;
+        this.spentUsd = spentUsd;
+        this.resetsAt = resetsAt;
+        this.retryAfter = Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 1000));
+    }
+}
+
+module.exports = {
+    LLM_ERROR_CODES,
+    LlmError,
+    llmErrorFromHttpStatus,
+    LlmConfigError,
+    LlmBudgetError
+};
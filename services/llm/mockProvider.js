@@ -0,0 +1,85 @@
+const DEFAULT_MODEL = 'mock-listing-v1';
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const TITLE_ANGLES = {
+    benefit: 'Premium Quality, Durable Everyday Design',
+    spec: 'Durable Build, Compact Everyday Size',
+    'use-case': 'Everyday Essential for Home, Office and Travel'
+};
+
+// Size of the pieces handed to onText, to mimic a streaming API
+const STREAM_CHUNK_SIZE = 64;
+
+// Rough token count, good enough for usage reporting in tests and demos
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Offline provider for tests and demos: no network, and the same prompt always gets the same answer.
+ * Asked for JSON, it answers with a valid listing built from the prompt's product line.
+ */
+class MockProvider {
+    constructor({ model } = {}) {
+        this.name = 'mock';
+        this.model = model || DEFAULT_MODEL;
+        this.calls = 0;
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Object} [options] - responseSchema: answer with the listing JSON instead of text;
+     *   onText: called with each chunk of the answer as it is "generated"
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async generate(prompt, { responseSchema, onText } = {}) {
+        this.calls++;
+        const text = responseSchema
+            ? JSON.stringify(this.listingFor(String(prompt)))
+            : `Mock response to: ${String(prompt).trim().split('\n').pop().substring(0, 100)}`;
+
+        for (let start = 0; onText && start < text.length; start += STREAM_CHUNK_SIZE) {
+            onText(text.substring(start, start + STREAM_CHUNK_SIZE));
+        }
+        return {
+            text,
+            model: this.model,
+            usage: { inputTokens: estimateTokens(String(prompt)), outputTokens: estimateTokens(text) }
+        };
+    }
+
+    /**
+     * Listing built from the "Product: <title> by <brand> (<category>)" line of the prompt
+     */
+    listingFor(prompt) {
+        const productLine = (prompt.match(/^Product: (.+)$/m) || [])[1] || 'Product';
+        const name = productLine.replace(/ \([^)]*\)$/, '').replace(/ by [^,]+$/, '').trim();
+        const shortName = name.split(/\s[-|]\s|,/)[0].trim();
+
+        const words = shortName.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+            .filter(word => word.length > 2 && !STOPWORDS.has(word));
+        const unique = [...new Set(words)];
+        const head = unique[0] || 'product';
+        const keywords = [unique.slice(0, 2).join(' '), ...unique, `best ${head}`, `${head} gift`, `${head} for home`];
+
+        // A/B variant prompts carry an "Angle: <angle>-led - ..." line
+        const angle = (prompt.match(/^Angle: ([a-z-]+)-led/m) || [])[1];
+
+        return {
+            title: `${shortName} - ${TITLE_ANGLES[angle] || TITLE_ANGLES.benefit}`.substring(0, 200),
+            bullets: [
+                `Premium quality: ${shortName} is made from durable materials for everyday use`,
+                'Easy to use: Ready out of the box with a simple, intuitive design',
+                'Versatile: Works at home, in the office and on the go',
+                'Thoughtful design: Compact and lightweight without giving up performance',
+                'Satisfaction focused: Backed by responsive customer support'
+            ],
+            description: `Meet the ${shortName}. Designed for everyday reliability, it combines durable materials with a simple, ` +
+                'intuitive design so it fits right into your routine. Compact, versatile and easy to care for, ' +
+                'it is a practical choice for home, office and travel.',
+            keywords: [...new Set(keywords.filter(keyword => keyword.length > 1))].slice(0, 5),
+            rationale: 'Led the title with the product name and main benefit, and rewrote the bullets as scannable benefit statements.'
+        };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,130 @@
+const axios = require('axios');
+const { LlmError, LlmConfigError, LLM_ERROR_CODES, llmErrorFromHttpStatus } = require('./llmErrors');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a local
+ * llama.cpp / vLLM / Ollama server
+ */
+class OpenAiCompatibleProvider {
+    /**
+     * @param {Object} options - baseUrl, apiKey (optional for local servers), model, temperature, topP, maxOutputTokens, timeoutMs
+     */
+    constructor({ baseUrl, apiKey, model, temperature, topP, maxOutputTokens, timeoutMs } = {}) {
+        if (!baseUrl) {
+            throw new LlmConfigError('OPENAI_BASE_URL is required for the openai provider', 'openai');
+        }
+
+        this.name = 'openai';
+        this.model = model || DEFAULT_MODEL;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.generationConfig = { temperature, top_p: topP, max_tokens: maxOutputTokens };
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Object} [options] - responseSchema: JSON schema the answer must follow;
+     *   onText: called with each chunk of text as the server streams it
+     * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+     */
+    async generate(prompt, { responseSchema, onText } = {}) {
+        let data;
+        try {
+            const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                ...this.generationConfig,
+                // Not strict: strict mode forbids length limits and patterns, which we validate ourselves anyway
+                ...(responseSchema && {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: 'listing_optimization', schema: responseSchema, strict: false }
+                    }
+                }),
+                ...(onText && { stream: true, stream_options: { include_usage: true } })
+            }, {
+                timeout: this.timeoutMs,
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                ...(onText && { responseType: 'stream' })
+            });
+            data = onText ? await this.readStream(response.data, onText) : response.data;
+        } catch (error) {
+            if (error instanceof LlmError) throw error;
+
+            const detail = error.response?.data?.error?.message || error.message;
+            const message = `OpenAI-compatible API error (${this.baseUrl}): ${detail}`;
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                throw new LlmError(message, { code: LLM_ERROR_CODES.TIMEOUT, status: 504, provider: this.name, model: this.model });
+            }
+            const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+            throw llmErrorFromHttpStatus(message, error.response?.status, {
+                provider: this.name,
+                model: this.model,
+                retryAfter: Number.isFinite(retryAfter) ? retryAfter : null
+            });
+        }
+
+        if (data?.choices?.[0]?.finish_reason === 'content_filter') {
+            throw new LlmError('OpenAI-compatible API withheld the response (content filter)', {
+                code: LLM_ERROR_CODES.SAFETY_BLOCKED,
+                status: 422,
+                provider: this.name,
+                model: this.model
+            });
+        }
+
+        const text = data?.choices?.[0]?.message?.content;
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new LlmError('OpenAI-compatible API returned no text', {
+                code: LLM_ERROR_CODES.EMPTY_RESPONSE,
+                provider: this.name,
+                model: this.model
+            });
+        }
+
+        return {
+            text,
+            // Local servers report the model they actually loaded
+            model: data.model || this.model,
+            usage: {
+                inputTokens: data.usage?.prompt_tokens ?? null,
+                outputTokens: data.usage?.completion_tokens ?? null
+            }
+        };
+    }
+
+    /**
+     * Collect a streamed (`data: {...}` lines) chat completion into the shape of a regular one
+     */
+    async readStream(stream, onText) {
+        const data = { model: null, usage: null, choices: [{ message: { content: '' }, finish_reason: null }] };
+        let buffered = '';
+
+        for await (const chunk of stream) {
+            const lines = (buffered + chunk.toString('utf8')).split('\n');
+            buffered = lines.pop();
+
+            for (const line of lines) {
+                const payload = line.trim().replace(/^data:\s*/, '');
+                if (!line.trim().startsWith('data:') || payload === '[DONE]') continue;
+
+                const event = JSON.parse(payload);
+                data.model = event.model || data.model;
+                // Sent in a final chunk without choices (stream_options.include_usage)
+                data.usage = event.usage || data.usage;
+                data.choices[0].finish_reason = event.choices?.[0]?.finish_reason || data.choices[0].finish_reason;
+                const piece = event.choices?.[0]?.delta?.content;
+                if (piece) {
+                    data.choices[0].message.content += piece;
+                    onText(piece);
+                }
+            }
+        }
+        return data;
+    }
+}
+
+module.exports = OpenAiCompatibleProvider;
@@ -0,0 +1,181 @@
+const { LlmError, LLM_ERROR_CODES } = require('./llmErrors');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Rough prompt size in tokens, reserved up front and corrected once the provider reports usage
+const estimateTokens = (prompt) => Math.ceil(String(prompt).length / 4);
+
+/**
+ * Token-bucket limiter for requests per minute and tokens per minute, with a FIFO queue.
+ *
+ * Capacity is taken synchronously when a caller reaches the front of the queue, so concurrent
+ * callers line up instead of all passing the check at once. Share one instance per process
+ * (services/llm/sharedRateLimiter.js) to stay within the provider's quota under load.
+ */
+class LlmRateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.requestsPerMinute]
+     * @param {number} [options.tokensPerMinute] - Prompt and answer tokens
+     * @param {number} [options.burst] - Requests that may go out at once; defaults to a full minute's worth
+     * @param {number} [options.maxQueueSize] - Callers waiting beyond this are refused
+     * @param {number} [options.maxWaitMs] - Callers still waiting after this long are refused
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ requestsPerMinute = 60, tokensPerMinute = 1000000, burst = null, maxQueueSize = 100, maxWaitMs = 120000, now = Date.now } = {}) {
+        this.now = now;
+        this.requestsPerMinute = requestsPerMinute;
+        this.tokensPerMinute = tokensPerMinute;
+        this.maxQueueSize = maxQueueSize;
+        this.maxWaitMs = maxWaitMs;
+
+        const tokenBurst = burst ? Math.ceil(tokensPerMinute * burst / requestsPerMinute) : tokensPerMinute;
+        this.requestBucket = this.createBucket(requestsPerMinute, burst || requestsPerMinute);
+        this.tokenBucket = this.createBucket(tokensPerMinute, tokenBurst);
+
+        this.queue = [];
+        this.timer = null;
+        this.stats = { acquired: 0, rejected: 0, timedOut: 0, totalWaitMs: 0, longestWaitMs: 0, lastWaitMs: 0, maxQueueDepth: 0 };
+    }
+
+    createBucket(perMinute, capacity) {
+        return { capacity, ratePerMs: perMinute / MS_PER_MINUTE, available: capacity, updatedAt: this.now() };
+    }
+
+    refill(bucket, now) {
+        bucket.available = Math.min(bucket.capacity, bucket.available + (now - bucket.updatedAt) * bucket.ratePerMs);
+        bucket.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until both buckets hold enough for a request of `tokens`
+     */
+    waitTime(tokens) {
+        const requestShortfall = Math.max(0, 1 - this.requestBucket.available);
+        const tokenShortfall = Math.max(0, tokens - this.tokenBucket.available);
+        return Math.ceil(Math.max(requestShortfall / this.requestBucket.ratePerMs, tokenShortfall / this.tokenBucket.ratePerMs));
+    }
+
+    /**
+     * Wait for a request slot
+     * @param {number} [estimatedTokens] - Reserved now; pass the real count to `settle` afterwards
+     * @returns {Promise<Object>} { waitedMs, settle(actualTokens) }
+     * @throws {LlmError} LLM_RATE_LIMITED when the queue is full or the wait exceeds maxWaitMs
+     */
+    acquire(estimatedTokens = 0) {
+        if (this.queue.length >= this.maxQueueSize) {
+            this.stats.rejected++;
+            return Promise.reject(new LlmError(`LLM request queue is full (${this.queue.length} waiting)`, {
+                code: LLM_ERROR_CODES.RATE_LIMITED,
+                status: 429,
+                retryAfter: Math.ceil(this.stats.lastWaitMs / 1000) || 1
+            }));
+        }
+
+        // A request larger than the bucket would never fit; it waits for a full bucket instead
+        const tokens = Math.min(Math.max(0, Math.ceil(estimatedTokens)), this.tokenBucket.capacity);
+        return new Promise((resolve, reject) => {
+            this.queue.push({ tokens, enqueuedAt: this.now(), resolve, reject });
+            this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+            this.drain();
+        });
+    }
+
+    /**
+     * Let queued callers through, in order, while there is capacity; otherwise wake up when there will be
+     */
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0) {
+            const now = this.now();
+            this.expire(now);
+            if (this.queue.length === 0) return;
+
+            const next = this.queue[0];
+            this.refill(this.requestBucket, now);
+            this.refill(this.tokenBucket, now);
+
+            const waitedMs = now - next.enqueuedAt;
+            const waitMs = this.waitTime(next.tokens);
+            if (waitMs > 0) {
+                // The front caller is the oldest, so it is the first to run out of time
+                this.timer = setTimeout(() => this.drain(), Math.min(waitMs, this.maxWaitMs - waitedMs));
+                return;
+            }
+
+            this.queue.shift();
+            this.requestBucket.available -= 1;
+            this.tokenBucket.available -= next.tokens;
+            this.recordWait(waitedMs);
+            next.resolve({
+                waitedMs,
+                // Actual usage replaces the estimate; the bucket may go negative and hold later callers back
+                settle: (actualTokens) => {
+                    if (Number.isFinite(actualTokens)) {
+                        this.tokenBucket.available -= actualTokens - next.tokens;
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Refuse every queued caller that has waited maxWaitMs or longer
+     */
+    expire(now) {
+        const expired = this.queue.filter(item => now - item.enqueuedAt >= this.maxWaitMs);
+        if (expired.length === 0) return;
+
+        this.queue = this.queue.filter(item => !expired.includes(item));
+        for (const item of expired) {
+            this.stats.timedOut++;
+            item.reject(new LlmError(`Waited ${Math.round((now - item.enqueuedAt) / 1000)}s for an LLM request slot`, {
+                code: LLM_ERROR_CODES.RATE_LIMITED,
+                status: 429,
+                retryAfter: Math.ceil(this.maxWaitMs / 1000)
+            }));
+        }
+    }
+
+    recordWait(waitedMs) {
+        this.stats.acquired++;
+        this.stats.totalWaitMs += waitedMs;
+        this.stats.lastWaitMs = waitedMs;
+        this.stats.longestWaitMs = Math.max(this.stats.longestWaitMs, waitedMs);
+    }
+
+    getMetrics() {
+        const now = this.now();
+        this.refill(this.requestBucket, now);
+        this.refill(this.tokenBucket, now);
+
+        return {
+            limits: {
+                requestsPerMinute: this.requestsPerMinute,
+                tokensPerMinute: this.tokensPerMinute,
+                maxQueueSize: this.maxQueueSize,
+                maxWaitMs: this.maxWaitMs
+            },
+            available: {
+                requests: Math.floor(this.requestBucket.available),
+                tokens: Math.floor(this.tokenBucket.available)
+            },
+            queueDepth: this.queue.length,
+            maxQueueDepth: this.stats.maxQueueDepth,
+            oldestWaitMs: this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0,
+            acquired: this.stats.acquired,
+            rejected: this.stats.rejected,
+            timedOut: this.stats.timedOut,
+            averageWaitMs: this.stats.acquired > 0 ? Math.round(this.stats.totalWaitMs / this.stats.acquired) : 0,
+            longestWaitMs: this.stats.longestWaitMs,
+            lastWaitMs: this.stats.lastWaitMs
+        };
+    }
+}
+
+module.exports = {
+    LlmRateLimiter,
+    estimateTokens
+};
@@ -0,0 +1,139 @@
+const { LlmError, LLM_ERROR_CODES } = require('./llmErrors');
+const { CircuitBreaker } = require('./circuitBreaker');
+const { estimateTokens } = require('./rateLimiter');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wraps a chain of providers (the configured model, then the fallback models) behind the
+ * provider interface. Retryable errors are retried with exponential backoff; when a model
+ * keeps failing, or its circuit is open, the next one in the chain answers instead.
+ * Safety blocks are returned as they are: another model would get the same prompt.
+ * Every attempt, retries included, waits for a slot from the rate limiter.
+ */
+class ResilientProvider {
+    /**
+     * @param {Object[]} providers - Primary first, then fallbacks
+     * @param {Object} [options]
+     * @param {number} [options.maxRetries] - Retries per model after the first attempt
+     * @param {number} [options.baseDelayMs] - First backoff; doubles on every retry, with jitter
+     * @param {number} [options.maxDelayMs] - Longest wait before a retry; a longer Retry-After moves on to the next model
+     * @param {Object} [options.circuitBreaker] - failureThreshold, cooldownMs
+     * @param {Object} [options.rateLimiter] - LlmRateLimiter shared by all requests; none when omitted
+     * @param {Function} [options.sleep] - For tests
+     */
+    constructor(providers, { maxRetries = 2, baseDelayMs = 500, maxDelayMs = 8000, circuitBreaker = {}, rateLimiter = null, sleep: wait = sleep } = {}) {
+        this.chain = providers.map(provider => ({ provider, breaker: new CircuitBreaker(circuitBreaker) }));
+        this.name = providers[0].name;
+        this.model = providers[0].model;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.rateLimiter = rateLimiter;
+        this.sleep = wait;
+    }
+
+    /**
+     * Backoff before retry number `retry` (1-based); null when the provider asked for a longer wait than we allow
+     */
+    retryDelay(retry, error) {
+        const backoff = Math.min(this.baseDelayMs * 2 ** (retry - 1), this.maxDelayMs);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        const requested = (error.retryAfter || 0) * 1000;
+        if (requested > this.maxDelayMs) return null;
+        return Math.max(delay, requested);
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {Object} [options] - Passed to the providers (responseSchema, onText), plus
+     *   onRetry: called with { model, code, message, retry, delayMs, fallback } before each retry or fallback;
+     *   streamed text from the failed attempt should be discarded
+     * @returns {Promise<Object>} { text, model, usage, failedAttempts: [{ model, code, message }] }
+     */
+    async generate(prompt, { onRetry = () => {}, ...options } = {}) {
+        const failedAttempts = [];
+        let lastError = null;
+
+        for (const [index, { provider, breaker }] of this.chain.entries()) {
+            if (!breaker.canRequest()) {
+                failedAttempts.push({ model: provider.model, code: LLM_ERROR_CODES.CIRCUIT_OPEN, message: 'Circuit open' });
+                continue;
+            }
+
+            for (let retry = 0; retry <= this.maxRetries; retry++) {
+                // A full queue is refused right away (LLM_RATE_LIMITED); other models share the quota
+                let slot = null;
+                try {
+                    slot = this.rateLimiter ? await this.rateLimiter.acquire(estimateTokens(prompt)) : null;
+                } catch (error) {
+                    breaker.release();
+                    throw error;
+                }
+
+                try {
+                    const result = await provider.generate(prompt, options);
+                    const { inputTokens, outputTokens } = result.usage || {};
+                    if (slot && (inputTokens != null || outputTokens != null)) {
+                        slot.settle((inputTokens || 0) + (outputTokens || 0));
+                    }
+                    breaker.recordSuccess();
+                    return { ...result, failedAttempts };
+                } catch (error) {
+                    lastError = error;
+                    failedAttempts.push({ model: provider.model, code: error.code || null, message: error.message });
+
+                    // Only provider trouble counts against the circuit, not requests it rightly refused
+                    if (error.retryable) {
+                        breaker.recordFailure(error);
+                    } else {
+                        breaker.release();
+                    }
+                    if (error.code === LLM_ERROR_CODES.SAFETY_BLOCKED) throw error;
+
+                    const delayMs = error.retryable && retry < this.maxRetries && breaker.isAvailable()
+                        ? this.retryDelay(retry + 1, error)
+                        : null;
+                    if (delayMs === null) break;
+
+                    console.warn(`🔁 ${provider.model} failed (${error.code}), retry ${retry + 1}/${this.maxRetries} in ${delayMs}ms`);
+                    onRetry({ model: provider.model, code: error.code, message: error.message, retry: retry + 1, delayMs, fallback: null });
+                    await this.sleep(delayMs);
+                }
+            }
+
+            const next = this.chain.slice(index + 1).find(entry => entry.breaker.isAvailable());
+            if (next) {
+                console.warn(`↪️ Falling back from ${provider.model} to ${next.provider.model}`);
+                onRetry({
+                    model: provider.model,
+                    code: lastError.code,
+                    message: lastError.message,
+                    retry: null,
+                    delayMs: 0,
+                    fallback: next.provider.model
+                });
+            }
+        }
+
+        if (lastError) throw lastError;
+
+        // Every model's circuit is open: fail fast
+        const retryAfter = Math.min(...this.chain.map(({ breaker }) => breaker.retryAfter()));
+        throw new LlmError(`${this.name} is unavailable (circuit open for ${this.chain.map(({ provider }) => provider.model).join(', ')}); retry in ${retryAfter}s`, {
+            code: LLM_ERROR_CODES.CIRCUIT_OPEN,
+            status: 503,
+            provider: this.name,
+            retryAfter
+        });
+    }
+
+    /**
+     * Circuit state per model in the chain
+     */
+    getHealth() {
+        return this.chain.map(({ provider, breaker }) => ({ model: provider.model, ...breaker.getStatus() }));
+    }
+}
+
+module.exports = ResilientProvider;
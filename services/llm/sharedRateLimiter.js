@@ -0,0 +1,6 @@
+const llmConfig = require('../../config/llm');
+const { LlmRateLimiter } = require('./rateLimiter');
+
+// One limiter per process so every optimizer, route and retry draws on the same
+// per-minute quota; reported by /api/admin/llm/health
+module.exports = new LlmRateLimiter(llmConfig.rateLimit);
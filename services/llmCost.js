@@ -0,0 +1,121 @@
+/**
+ * List prices in USD per million tokens. Keys match a model name exactly or as a prefix
+ * (gemini-2.0-flash covers gemini-2.0-flash-001 and -exp); the longest match wins.
+ * Extend or override them with LLM_PRICES (config/llm.js).
+ */
+const DEFAULT_MODEL_PRICES = {
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gpt-4o': { input: 2.50, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+    // The offline mock provider costs nothing
+    'mock-': { input: 0, output: 0 }
+};
+
+// Charged for models missing from the price table, so their calls still count against the budgets;
+// the dearest built-in rate unless LLM_UNKNOWN_MODEL_PRICE says otherwise
+const UNKNOWN_MODEL_PRICE = { input: 2.50, output: 10 };
+
+const BUDGET_PERIODS = ['daily', 'monthly'];
+
+/**
+ * @returns {Object|null} { input, output } USD per million tokens, or null for an unknown model
+ */
+const findModelPrice = (model, prices = DEFAULT_MODEL_PRICES) => {
+    if (!model) return null;
+    if (prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+        .filter(key => model.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+};
+
+/**
+ * Estimated cost of one generation
+ * @param {Object} usage - { inputTokens, outputTokens } as reported by the provider
+ * @param {Object} [fallbackPrice] - { input, output } for a model missing from `prices`
+ * @returns {number|null} USD, or null when the model has no known price and there is no fallback
+ */
+const estimateCost = (usage, model, prices = DEFAULT_MODEL_PRICES, fallbackPrice = null) => {
+    const price = findModelPrice(model, prices) || fallbackPrice;
+    if (!price) return null;
+
+    const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+};
+
+/**
+ * Add one generation's { inputTokens, outputTokens, costUsd } to a running total;
+ * the cost stays null until a generation with a known price is added
+ */
+const addUsage = (total, usage) => ({
+    inputTokens: total.inputTokens + (usage.inputTokens || 0),
+    outputTokens: total.outputTokens + (usage.outputTokens || 0),
+    costUsd: total.costUsd === null && (usage.costUsd ?? null) === null
+        ? null
+        : Math.round(((total.costUsd || 0) + (usage.costUsd || 0)) * 1e6) / 1e6
+});
+
+const emptyUsage = () => ({ inputTokens: 0, outputTokens: 0, costUsd: null });
+
+/**
+ * When the current budget period began, in the Node process's local time. Spend is bucketed
+ * (models/llmUsageModel.js) and resets are reported from this same clock, never the database's.
+ */
+const budgetPeriodStart = (period, now = new Date()) => period === 'daily'
+    ? new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    : new Date(now.getFullYear(), now.getMonth(), 1);
+
+/**
+ * When the current budget period ends
+ */
+const budgetResetsAt = (period, now = new Date()) => period === 'daily'
+    ? new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+    : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+/**
+ * Spend against each configured budget
+ * @param {Object} spend - { dailyUsd, monthlyUsd } spent so far
+ * @param {Object} budget - { dailyUsd, monthlyUsd } limits; null means unlimited
+ * @returns {Object} { daily, monthly: { limitUsd, spentUsd, remainingUsd, exhausted, resetsAt } }
+ */
+const describeBudget = (spend, budget, now = new Date()) => Object.fromEntries(BUDGET_PERIODS.map(period => {
+    const limitUsd = budget[`${period}Usd`] ?? null;
+    const spentUsd = spend[`${period}Usd`] || 0;
+    return [period, {
+        limitUsd,
+        spentUsd,
+        remainingUsd: limitUsd === null ? null : Math.max(0, Math.round((limitUsd - spentUsd) * 1e6) / 1e6),
+        exhausted: limitUsd !== null && spentUsd >= limitUsd,
+        resetsAt: budgetResetsAt(period, now)
+    }];
+}));
+
+/**
+ * The first exhausted budget, or null while there's budget left
+ * @returns {Object|null} { period, limitUsd, spentUsd, resetsAt }
+ */
+const findExceededBudget = (spend, budget, now = new Date()) => {
+    const status = describeBudget(spend, budget, now);
+    // A monthly block outlasts a daily one, so report it first
+    const period = ['monthly', 'daily'].find(entry => status[entry].exhausted);
+    return period ? { period, ...status[period] } : null;
+};
+
+module.exports = {
+    DEFAULT_MODEL_PRICES,
+    UNKNOWN_MODEL_PRICE,
+    findModelPrice,
+    estimateCost,
+    addUsage,
+    emptyUsage,
+    budgetPeriodStart,
+    describeBudget,
+    findExceededBudget
+};
@@ -0,0 +1,235 @@
+/**
+ * Amazon marketplace definitions.
+ *
+ * Each marketplace carries its own domain, Accept-Language header, number
+ * format and the locale-specific text the scraper needs to recognise
+ * (rating phrases, availability wording, brand prefixes, sponsored labels).
+ */
+const ENGLISH_MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const MARKETPLACES = {
+    us: {
+        code: 'us',
+        domain: 'www.amazon.com',
+        acceptLanguage: 'en-US,en;q=0.9',
+        currency: 'USD',
+        decimalSeparator: '.',
+        thousandsSeparator: ',',
+        ratingPattern: /([\d.,]+) out of 5/,
+        availabilityKeywords: ['in stock', 'available', 'unavailable', 'out of stock'],
+        outOfStockKeywords: ['currently unavailable', 'out of stock', 'unavailable'],
+        bestSellersRankLabel: /best\s*sellers\s*rank/i,
+        bestSellersRankPattern: /#([\d,.]+)\s+in\s+(.+?)(?=\s+#\d|$)/g,
+        amazonSellerId: 'ATVPDKIKX0DER',
+        shipsFromLabel: /ships from/i,
+        soldByLabel: /sold by/i,
+        brandPrefixes: [/^Visit the (.+) Store$/i, /^Brand:\s*/i, /^by\s+/i],
+        sponsoredLabel: 'Sponsored',
+        monthNames: ENGLISH_MONTHS
+    },
+    uk: {
+        code: 'uk',
+        domain: 'www.amazon.co.uk',
+        acceptLanguage: 'en-GB,en;q=0.9',
+        currency: 'GBP',
+        decimalSeparator: '.',
+        thousandsSeparator: ',',
+        ratingPattern: /([\d.,]+) out of 5/,
+        availabilityKeywords: ['in stock', 'available', 'unavailable', 'out of stock'],
+        outOfStockKeywords: ['currently unavailable', 'out of stock', 'unavailable'],
+        bestSellersRankLabel: /best\s*sellers\s*rank/i,
+        bestSellersRankPattern: /#([\d,.]+)\s+in\s+(.+?)(?=\s+#\d|$)/g,
+        amazonSellerId: 'A3P5ROKL5A1OLE',
+        shipsFromLabel: /ships from/i,
+        soldByLabel: /sold by/i,
+        brandPrefixes: [/^Visit the (.+) Store$/i, /^Brand:\s*/i, /^by\s+/i],
+        sponsoredLabel: 'Sponsored',
+        monthNames: ENGLISH_MONTHS
+    },
+    de: {
+        code: 'de',
+        domain: 'www.amazon.de',
+        acceptLanguage: 'de-DE,de;q=0.9,en;q=0.5',
+        currency: 'EUR',
+        decimalSeparator: ',',
+        thousandsSeparator: '.',
+        ratingPattern: /([\d.,]+) von 5/,
+        availabilityKeywords: ['auf lager', 'verfügbar', 'nicht verfügbar', 'derzeit nicht'],
+        outOfStockKeywords: ['nicht verfügbar', 'derzeit nicht', 'nicht auf lager'],
+        bestSellersRankLabel: /bestseller-rang/i,
+        bestSellersRankPattern: /Nr\.\s*([\d.,]+)\s+in\s+(.+?)(?=\s+Nr\.\s*\d|$)/g,
+        amazonSellerId: 'A3JWKAKR8XB7XF',
+        shipsFromLabel: /versand|ships from/i,
+        soldByLabel: /verkäufer|verkauf durch|sold by/i,
+        brandPrefixes: [/^Besuche den (.+)-Store$/i, /^Marke:\s*/i, /^von\s+/i],
+        sponsoredLabel: 'Gesponsert',
+        monthNames: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember']
+    },
+    in: {
+        code: 'in',
+        domain: 'www.amazon.in',
+        acceptLanguage: 'en-IN,en;q=0.9',
+        currency: 'INR',
+        decimalSeparator: '.',
+        thousandsSeparator: ',',
+        ratingPattern: /([\d.,]+) out of 5/,
+        availabilityKeywords: ['in stock', 'available', 'unavailable', 'out of stock'],
+        outOfStockKeywords: ['currently unavailable', 'out of stock', 'unavailable'],
+        bestSellersRankLabel: /best\s*sellers\s*rank/i,
+        bestSellersRankPattern: /#([\d,.]+)\s+in\s+(.+?)(?=\s+#\d|$)/g,
+        amazonSellerId: 'AT95IG9ONZD7S',
+        shipsFromLabel: /ships from/i,
+        soldByLabel: /sold by/i,
+        brandPrefixes: [/^Visit the (.+) Store$/i, /^Brand:\s*/i, /^by\s+/i],
+        sponsoredLabel: 'Sponsored',
+        monthNames: ENGLISH_MONTHS
+    },
+    ca: {
+        code: 'ca',
+        domain: 'www.amazon.ca',
+        acceptLanguage: 'en-CA,en;q=0.9,fr-CA;q=0.5',
+        currency: 'CAD',
+        decimalSeparator: '.',
+        thousandsSeparator: ',',
+        ratingPattern: /([\d.,]+) out of 5/,
+        availabilityKeywords: ['in stock', 'available', 'unavailable', 'out of stock'],
+        outOfStockKeywords: ['currently unavailable', 'out of stock', 'unavailable'],
+        bestSellersRankLabel: /best\s*sellers\s*rank/i,
+        bestSellersRankPattern: /#([\d,.]+)\s+in\s+(.+?)(?=\s+#\d|$)/g,
+        amazonSellerId: 'A3DWYIK6Y9EEQB',
+        shipsFromLabel: /ships from/i,
+        soldByLabel: /sold by/i,
+        brandPrefixes: [/^Visit the (.+) Store$/i, /^Brand:\s*/i, /^by\s+/i],
+        sponsoredLabel: 'Sponsored',
+        monthNames: ENGLISH_MONTHS
+    },
+    jp: {
+        code: 'jp',
+        domain: 'www.amazon.co.jp',
+        acceptLanguage: 'ja-JP,ja;q=0.9,en;q=0.5',
+        currency: 'JPY',
+        decimalSeparator: '.',
+        thousandsSeparator: ',',
+        ratingPattern: /5つ星のうち\s*([\d.,]+)/,
+        availabilityKeywords: ['在庫あり', '残り', '在庫切れ', '一時的に在庫切れ'],
+        outOfStockKeywords: ['在庫切れ', '現在お取り扱いできません'],
+        bestSellersRankLabel: /売れ筋ランキング/,
+        bestSellersRankPattern: /([\d,]+)位\s*(.+?)(?=\s*-\s*[\d,]+位|$)/g,
+        amazonSellerId: 'AN1VRQENFRJN5',
+        shipsFromLabel: /出荷元|ships from/i,
+        soldByLabel: /販売元|sold by/i,
+        brandPrefixes: [/^(.+)のストアを表示$/, /^ブランド:\s*/],
+        sponsoredLabel: 'スポンサー',
+        monthNames: []
+    }
+};
+
+const DEFAULT_MARKETPLACE = 'us';
+
+/**
+ * Look up a marketplace by code (case-insensitive)
+ * @param {string} [code] - Marketplace code, defaults to the US store
+ * @returns {Object|null} Marketplace definition or null if unknown
+ */
+const getMarketplace = (code = DEFAULT_MARKETPLACE) => {
+    if (typeof code !== 'string') return null;
+    return MARKETPLACES[code.trim().toLowerCase()] || null;
+};
+
+/**
+ * Parse a number written in the marketplace's locale ("1.234,56" on .de, "1,234.56" on .com).
+ * A thousands separator only groups digits when three follow it (two for the lakh groups of
+ * "1,29,999"); a lone one that doesn't is read as a decimal point, so "19.99" on .de is 19.99.
+ * @returns {number|null} null when the digits can't be read either way
+ */
+const parseLocaleNumber = (text, marketplace) => {
+    if (!text) return null;
+
+    const { decimalSeparator, thousandsSeparator } = marketplace;
+    const match = String(text).match(/\d[\d.,\s]*/);
+    if (!match) return null;
+
+    const numeric = match[0].replace(/\s/g, '').replace(/[.,]+$/, '');
+    const [integerPart, fraction = '', ...rest] = numeric.split(decimalSeparator);
+    if (rest.length > 0 || fraction.includes(thousandsSeparator)) return null;
+
+    const groups = integerPart.split(thousandsSeparator);
+    const grouped = groups.slice(1).every((group, index) => group.length === 3
+        || (group.length === 2 && index < groups.length - 2));
+
+    let digits;
+    if (grouped) {
+        digits = fraction ? `${groups.join('')}.${fraction}` : groups.join('');
+    } else if (groups.length === 2 && !fraction) {
+        digits = `${groups[0]}.${groups[1]}`;
+    } else {
+        return null;
+    }
+
+    const value = parseFloat(digits);
+    return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Whether an availability message means the product can't be bought right now
+ * @returns {boolean|null} null when there is no availability message
+ */
+const isOutOfStock = (availability, marketplace) => {
+    if (!availability) return null;
+    const normalized = String(availability).toLowerCase();
+    return marketplace.outOfStockKeywords.some(keyword => normalized.includes(keyword));
+};
+
+/**
+ * Parse a whole count such as "1.234 Bewertungen" or "12,345 ratings"
+ * @returns {number|null}
+ */
+const parseLocaleInteger = (text) => {
+    if (!text) return null;
+    const match = String(text).match(/\d[\d.,\s]*/);
+    if (!match) return null;
+    const value = parseInt(match[0].replace(/\D/g, ''), 10);
+    return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Parse a localized date such as "October 3, 2024", "3 October 2024",
+ * "3. Oktober 2024" or "2024年10月3日"
+ * @returns {string|null} ISO date (YYYY-MM-DD)
+ */
+const parseLocaleDate = (text, marketplace) => {
+    if (!text) return null;
+
+    const toIso = (year, month, day) => {
+        if (!year || !month || !day) return null;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    };
+    const monthIndex = (name) => {
+        const index = marketplace.monthNames.indexOf(name.toLowerCase());
+        return index >= 0 ? index + 1 : null;
+    };
+
+    const numeric = text.match(/(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日/);
+    if (numeric) return toIso(numeric[1], numeric[2], numeric[3]);
+
+    const dayFirst = text.match(/(\d{1,2})\.?\s+([^\s\d.,]+)\s+(\d{4})/);
+    if (dayFirst && monthIndex(dayFirst[2])) return toIso(dayFirst[3], monthIndex(dayFirst[2]), dayFirst[1]);
+
+    const monthFirst = text.match(/([^\s\d.,]+)\s+(\d{1,2}),\s*(\d{4})/);
+    if (monthFirst && monthIndex(monthFirst[1])) return toIso(monthFirst[3], monthIndex(monthFirst[1]), monthFirst[2]);
+
+    return null;
+};
+
+module.exports = {
+    MARKETPLACES,
+    DEFAULT_MARKETPLACE,
+    getMarketplace,
+    parseLocaleNumber,
+    parseLocaleInteger,
+    parseLocaleDate,
+    isOutOfStock
+};
@@ -0,0 +1,153 @@
+const { parseLocaleNumber } = require('./marketplaces');
+
+// Digits after the decimal point per ISO 4217 currency; anything not listed uses 2
+const MINOR_UNIT_DIGITS = {
+    JPY: 0
+};
+
+// Checked in order so "CDN$" and "US$" win over a bare "$"
+const CURRENCY_SYMBOLS = [
+    ['CDN$', 'CAD'],
+    ['C$', 'CAD'],
+    ['US$', 'USD'],
+    ['€', 'EUR'],
+    ['£', 'GBP'],
+    ['￥', 'JPY'],
+    ['¥', 'JPY'],
+    ['₹', 'INR'],
+    ['Rs.', 'INR']
+];
+
+const CURRENCY_CODE = /\b(USD|CAD|EUR|GBP|JPY|INR)\b/;
+
+// "$12.99 - $24.99", "12,99 € – 24,99 €", and a bare hyphen between two prices: "$10-$20", "10€-20€", "US$10-US$20"
+const RANGE_SEPARATOR = /\s+[-–—]\s+|\s*[–—]\s*|(?<=[\d\p{Sc}])\s*-\s*(?=(?:CDN\$|C\$|US\$|Rs\.|[A-Z]{3}\s*)?\p{Sc}?\s*\d)/u;
+
+const minorUnitDigits = (currency) => MINOR_UNIT_DIGITS[currency] ?? 2;
+
+const toMinorUnits = (value, currency) => Math.round(value * 10 ** minorUnitDigits(currency));
+
+const fromMinorUnits = (amount, currency) => amount / 10 ** minorUnitDigits(currency);
+
+/**
+ * Currency of a price string, from an ISO code or symbol in it, falling back to the marketplace currency
+ */
+const detectCurrency = (text, marketplace) => {
+    const codeMatch = String(text).match(CURRENCY_CODE);
+    if (codeMatch) return codeMatch[1];
+
+    for (const [symbol, currency] of CURRENCY_SYMBOLS) {
+        if (text.includes(symbol)) return currency;
+    }
+
+    // A bare "$" is the local dollar on .com and .ca
+    if (text.includes('$')) {
+        return ['USD', 'CAD'].includes(marketplace.currency) ? marketplace.currency : 'USD';
+    }
+
+    return marketplace.currency;
+};
+
+/**
+ * Parse a scraped price string with the marketplace's decimal conventions
+ * ("$49.99", "49.", "1.299,00 €", "￥39,800", "$12.99 - $24.99")
+ * @param {string|number} text
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {Object|null} { currency, amount, min, max, isRange } in minor units; amount is the lower bound of a range
+ */
+const parseMoney = (text, marketplace) => {
+    // A number (e.g. from a JSON body) is already in major units of the marketplace currency
+    if (typeof text === 'number') {
+        if (!Number.isFinite(text) || text < 0 || !marketplace) return null;
+        const amount = toMinorUnits(text, marketplace.currency);
+        return { currency: marketplace.currency, amount, min: amount, max: amount, isRange: false };
+    }
+    if (!text || !marketplace) return null;
+
+    const values = String(text)
+        .split(RANGE_SEPARATOR)
+        .map(part => parseLocaleNumber(part, marketplace))
+        .filter(value => value !== null);
+    if (values.length === 0) return null;
+
+    const currency = detectCurrency(String(text), marketplace);
+    const amounts = values.map(value => toMinorUnits(value, currency));
+    const min = Math.min(...amounts);
+    const max = Math.max(...amounts);
+
+    return { currency, amount: min, min, max, isRange: min !== max };
+};
+
+/**
+ * Parse a price typed into a listing file: always dot-decimal ("19.99", "1,299.00"), whatever the
+ * marketplace writes on its pages. The currency is still detected from the text.
+ * @returns {Object|null} Same shape as parseMoney
+ */
+const parseDecimalMoney = (text, marketplace) => {
+    if (!marketplace) return null;
+    return parseMoney(text, { ...marketplace, decimalSeparator: '.', thousandsSeparator: ',' });
+};
+
+/**
+ * Add the sale flags to stored price amounts
+ * @param {Object} amounts - { currency, amount, listAmount, minAmount, maxAmount } in minor units
+ * @returns {Object} amounts plus onSale and discountPercent
+ */
+const describePrice = ({ currency, amount, listAmount = null, minAmount = amount, maxAmount = amount }) => {
+    const onSale = listAmount !== null && listAmount > amount;
+    return {
+        currency,
+        amount,
+        listAmount,
+        minAmount,
+        maxAmount,
+        onSale,
+        discountPercent: onSale ? Math.round(((listAmount - amount) / listAmount) * 100) : null
+    };
+};
+
+/**
+ * Structured price fields for a listing: what it sells for, its list (strike-through) price and range bounds
+ * @param {string} price - Price to pay
+ * @param {string} [listPrice] - List / "was" price
+ * @param {Object} marketplace
+ * @returns {Object|null} { currency, amount, listAmount, minAmount, maxAmount, onSale, discountPercent }
+ */
+const parsePriceDetails = (price, listPrice, marketplace) => {
+    const sale = parseMoney(price, marketplace);
+    if (!sale) return null;
+
+    const list = parseMoney(listPrice, marketplace);
+
+    return describePrice({
+        currency: sale.currency,
+        amount: sale.amount,
+        listAmount: list && list.currency === sale.currency ? list.amount : null,
+        minAmount: sale.min,
+        maxAmount: sale.max
+    });
+};
+
+/**
+ * SQL expression converting a minor-unit amount column to major units, per row currency
+ * @param {string} amountColumn
+ * @param {string} currencyColumn
+ */
+const majorUnitsSql = (amountColumn, currencyColumn) => {
+    const cases = Object.entries(MINOR_UNIT_DIGITS)
+        .map(([currency, digits]) => `WHEN '${currency}' THEN ${10 ** digits}`)
+        .join(' ');
+    return `(${amountColumn} / CASE ${currencyColumn} ${cases} ELSE 100 END)`;
+};
+
+module.exports = {
+    minorUnitDigits,
+    toMinorUnits,
+    fromMinorUnits,
+    detectCurrency,
+    parseMoney,
+    parseDecimalMoney,
+    describePrice,
+    parsePriceDetails,
+    majorUnitsSql
+};
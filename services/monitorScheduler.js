@@ -0,0 +1,147 @@
+const monitorConfig = require('../config/monitor');
+const { evaluateRules } = require('./alertRules');
+const { findProduct, parseJsonColumn } = require('../models/productModel');
+const { recordSnapshot, getLatestSnapshotId, findSnapshot } = require('../models/snapshotModel');
+const { findOptimizedListings } = require('../models/optimizationModel');
+const { saveAlerts } = require('../models/alertModel');
+const { findDueWatches, markChecked, markFailed } = require('../models/watchlistModel');
+
+/**
+ * In-process scheduler that re-scrapes watched ASINs when their interval is up
+ * and raises alerts for the changes the rule engine picks up.
+ */
+class MonitorScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.scraper - AmazonScraper used for the checks
+     * @param {number} [options.tickMs] - How often to look for due entries
+     * @param {number} [options.batchSize] - Entries checked per tick
+     */
+    constructor(options = {}) {
+        this.scraper = options.scraper;
+        this.tickMs = options.tickMs || monitorConfig.tickMs;
+        this.batchSize = options.batchSize || monitorConfig.batchSize;
+        this.timer = null;
+        this.running = false;
+        this.stats = {
+            ticks: 0,
+            checks: 0,
+            failures: 0,
+            alertsRaised: 0,
+            lastTickAt: null
+        };
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        // Don't keep the process alive just for the scheduler
+        this.timer.unref();
+        console.log(`⏰ Monitor scheduler started (every ${Math.round(this.tickMs / 1000)}s, ${this.batchSize} per tick)`);
+
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏰ Monitor scheduler stopped');
+        }
+    }
+
+    /**
+     * Check every due entry once. Ticks never overlap: a tick that is still
+     * scraping when the next one fires makes that one a no-op.
+     */
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+        this.stats.ticks++;
+        this.stats.lastTickAt = new Date().toISOString();
+
+        try {
+            const dueWatches = await findDueWatches(this.batchSize);
+
+            for (const watch of dueWatches) {
+                try {
+                    await this.checkWatch(watch);
+                } catch (error) {
+                    // Already recorded on the entry by checkWatch
+                }
+            }
+        } catch (error) {
+            console.error('❌ Monitor tick failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Re-scrape one watched ASIN, store the snapshot and raise alerts
+     * @param {Object} watch - watchlist row
+     * @returns {Object} { snapshotId, alerts }
+     */
+    async checkWatch(watch) {
+        console.log(`👀 Checking watched ASIN ${watch.asin} (${watch.marketplace})`);
+        this.stats.checks++;
+
+        try {
+            const existing = await findProduct(watch.asin, watch.marketplace);
+            const previousSnapshotId = existing ? await getLatestSnapshotId(existing.id) : null;
+
+            const productData = await this.scraper.fetchProductDetails(watch.asin, { marketplace: watch.marketplace });
+            const { productId, snapshotId } = await recordSnapshot(productData);
+
+            const previous = previousSnapshotId ? await findSnapshot(productId, previousSnapshotId) : null;
+            const current = await findSnapshot(productId, snapshotId);
+
+            const alerts = evaluateRules(previous, current, {
+                rules: parseJsonColumn(watch.rules, {}),
+                ownListings: await findOptimizedListings(productId),
+                ownSellerIds: monitorConfig.ownSellerIds
+            });
+
+            await saveAlerts({
+                watchlistId: watch.id,
+                productId,
+                asin: watch.asin,
+                marketplace: watch.marketplace,
+                fromSnapshotId: previousSnapshotId,
+                toSnapshotId: snapshotId
+            }, alerts);
+            await markChecked(watch, snapshotId);
+
+            this.stats.alertsRaised += alerts.length;
+            if (alerts.length > 0) {
+                console.log(`🚨 ${alerts.length} alert(s) for ${watch.asin}: ${alerts.map(alert => alert.type).join(', ')}`);
+            }
+
+            return { snapshotId, alerts };
+
+        } catch (error) {
+            this.stats.failures++;
+
+            // Respect Amazon's back-off hint, otherwise retry sooner than the regular interval
+            const retryInMinutes = error.retryAfter
+                ? Math.max(1, Math.ceil(error.retryAfter / 60))
+                : Math.min(watch.interval_minutes, monitorConfig.minIntervalMinutes);
+
+            console.error(`❌ Watch check failed for ${watch.asin}: ${error.message} (retry in ${retryInMinutes}m)`);
+            await markFailed(watch, error.message, retryInMinutes);
+            throw error;
+        }
+    }
+
+    getStatus() {
+        return {
+            running: Boolean(this.timer),
+            tickMs: this.tickMs,
+            batchSize: this.batchSize,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = MonitorScheduler;
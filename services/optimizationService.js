@@ -0,0 +1,298 @@
+const GeminiOptimizer = require('./geminiOptimizer');
+const sharedScraper = require('./sharedScraper');
+const llmConfig = require('../config/llm');
+const { LlmBudgetError } = require('./llm/llmErrors');
+const { findExceededBudget } = require('./llmCost');
+const { executeQuery } = require('../config/database');
+const { findProduct, parseJsonColumn } = require('../models/productModel');
+const { recordSnapshot, getLatestSnapshotId, findSnapshot } = require('../models/snapshotModel');
+const { findCompetitors } = require('../models/competitorModel');
+const { findActiveTemplateSet } = require('../models/promptTemplateModel');
+const { recordLlmUsage, getLlmSpend } = require('../models/llmUsageModel');
+const { insertOptimization, trackSuggestedKeywords, insertVariants, formatOptimizedContent } = require('../models/optimizationModel');
+
+/**
+ * Suggested keywords of a stored optimization; older rows hold malformed JSON
+ */
+const parseSuggestedKeywords = (value) => {
+    const keywordsString = value ? String(value) : '';
+    try {
+        return JSON.parse(keywordsString || '[]');
+    } catch (e) {
+        console.warn(`JSON parse error for suggested_keywords: ${value}`);
+    }
+
+    if (keywordsString.startsWith('[') && keywordsString.endsWith(']')) {
+        return keywordsString
+            .slice(1, -1)
+            .split(',')
+            .map(k => k.trim().replace(/['"]/g, ''))
+            .filter(k => k.length > 0);
+    }
+    if (keywordsString.includes(',')) {
+        return keywordsString.split(',').map(k => k.trim()).filter(k => k.length > 0);
+    }
+    return keywordsString.trim() ? [keywordsString.trim()] : [];
+};
+
+/**
+ * Runs optimizations end to end (product data, AI generation, scoring, storage) for the
+ * optimize routes. Every step can be reported through an `onProgress(event, data)` callback,
+ * which the Server-Sent Events endpoints forward to the client.
+ */
+class OptimizationService {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.optimizer] - GeminiOptimizer; built on first use, so the server boots without LLM credentials
+     * @param {Object} [options.scraper] - Used when a streamed optimization has to fetch the product first
+     * @param {Object} [options.budget] - { dailyUsd, monthlyUsd } spending limits; defaults to config/llm.js
+     */
+    constructor(options = {}) {
+        this.optimizer = options.optimizer || null;
+        this.scraper = options.scraper || sharedScraper;
+        this.budget = options.budget || llmConfig.budget;
+    }
+
+    getOptimizer() {
+        if (!this.optimizer) {
+            // Every request is recorded, so budgets count repairs and failed optimizations too
+            this.optimizer = new GeminiOptimizer({ onUsage: recordLlmUsage });
+            console.log(`🤖 Optimizer using ${this.optimizer.provider.name} (${this.optimizer.provider.model})`);
+        }
+        return this.optimizer;
+    }
+
+    /**
+     * Refuse new work once the daily or monthly budget is spent; checked before each optimization,
+     * so the one that crosses the limit still finishes
+     * @throws {LlmBudgetError}
+     */
+    async checkBudget() {
+        if (this.budget.dailyUsd === null && this.budget.monthlyUsd === null) return;
+
+        const exceeded = findExceededBudget(await getLlmSpend(), this.budget);
+        if (exceeded) {
+            console.warn(`💸 ${exceeded.period} LLM budget exhausted: $${exceeded.spentUsd.toFixed(2)} of $${exceeded.limitUsd.toFixed(2)}`);
+            throw new LlmBudgetError(exceeded);
+        }
+    }
+
+    /**
+     * Stored product for an ASIN, scraped first when it isn't stored yet or `refresh` is set
+     * (imported and hand-entered listings are never re-scraped)
+     * @returns {Object} products row
+     */
+    async loadProduct(asin, marketplace, { refresh = false, onProgress = () => {} } = {}) {
+        const product = await findProduct(asin, marketplace);
+        if (product && !(refresh && product.data_source === 'scrape')) {
+            return product;
+        }
+
+        onProgress('scrape_started', { asin, marketplace });
+        const productData = await this.scraper.fetchProductDetails(asin, { marketplace });
+        const { snapshotId } = await recordSnapshot(productData);
+        console.log(`✅ Product data saved to database for ${asin} (${marketplace}), snapshot ${snapshotId}`);
+        onProgress('scrape_completed', { asin, marketplace, snapshotId, title: productData.title });
+
+        return findProduct(asin, marketplace);
+    }
+
+    /**
+     * Optimizer input for a products row, with fetched competitor listings when asked for
+     */
+    async createProductData(product, includeCompetitors = false) {
+        const productData = {
+            productId: product.id,
+            asin: product.asin,
+            marketplace: product.marketplace,
+            title: product.title,
+            bulletPoints: product.bullet_points,
+            description: product.description,
+            category: product.category,
+            brand: product.brand,
+            attributes: parseJsonColumn(product.attributes, {})
+        };
+
+        if (includeCompetitors) {
+            const competitors = await findCompetitors(product.id);
+            productData.competitors = competitors
+                .filter(competitor => competitor.competitor_product_id)
+                .map(competitor => ({
+                    asin: competitor.competitor_asin,
+                    title: competitor.title,
+                    bulletPoints: competitor.bullet_points,
+                    price: competitor.price,
+                    rating: competitor.rating,
+                    reviewCount: competitor.review_count
+                }));
+        }
+        return productData;
+    }
+
+    /**
+     * Response for an optimization of the product from the last hour, or null
+     */
+    async findRecentOptimization(product) {
+        const rows = await executeQuery(
+            'SELECT * FROM optimizations WHERE product_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR) ORDER BY created_at DESC LIMIT 1',
+            [product.id]
+        );
+        if (rows.length === 0) return null;
+
+        const opt = rows[0];
+        // Show the listing as it was when this optimization was generated
+        const snapshot = opt.snapshot_id ? await findSnapshot(product.id, opt.snapshot_id) : null;
+
+        return {
+            optimizationId: opt.id,
+            asin: opt.asin,
+            productId: product.id,
+            marketplace: product.marketplace,
+            snapshotId: opt.snapshot_id,
+            original: {
+                title: snapshot ? snapshot.title : product.title,
+                bulletPoints: snapshot ? snapshot.bulletPoints : product.bullet_points,
+                description: snapshot ? snapshot.description : product.description
+            },
+            optimized: formatOptimizedContent(opt, parseSuggestedKeywords(opt.suggested_keywords)),
+            optimizationScore: opt.optimization_score,
+            promptVersions: parseJsonColumn(opt.prompt_versions, null),
+            createdAt: opt.created_at,
+            source: 'cached'
+        };
+    }
+
+    /**
+     * Generate, score and store an optimization of a stored product (scraped, imported or hand-entered)
+     * @param {Object} [options] - templates (active set by default), variants, includeCompetitors, onProgress, streamText
+     * @returns {Object} The stored optimization, with its score, compliance result and variant ids
+     */
+    async generateOptimization(product, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const optimizer = this.getOptimizer();
+        await this.checkBudget();
+        const productData = await this.createProductData(product, options.includeCompetitors);
+
+        // The products row matches the latest snapshot, so that's the one being optimized
+        const snapshotId = await getLatestSnapshotId(product.id);
+
+        const result = await optimizer.optimizeProduct(productData, {
+            templates: options.templates || await findActiveTemplateSet(),
+            variants: options.variants,
+            onProgress,
+            streamText: options.streamText
+        });
+        const scoreResult = optimizer.calculateOptimizationScore(result.original, result.optimized);
+
+        const optimizationId = await insertOptimization(product, snapshotId, result, scoreResult.score);
+        // A/B alternatives; the best ranked one is the copy stored above until a winner is picked
+        const variantIds = await insertVariants(optimizationId, result.variants);
+        await trackSuggestedKeywords(product.asin, product.marketplace, result.optimized.suggestedKeywords);
+        onProgress('persisted', { asin: product.asin, productId: product.id, optimizationId, variantIds });
+
+        return {
+            optimizationId,
+            asin: product.asin,
+            productId: product.id,
+            marketplace: product.marketplace,
+            snapshotId,
+            original: result.original,
+            optimized: result.optimized,
+            optimizationScore: scoreResult.score,
+            scoreFactors: scoreResult.factors,
+            compliance: result.compliance,
+            variants: result.variants.map((variant, index) => ({ id: variantIds[index], ...variant })),
+            metadata: result.metadata,
+            source: 'fresh'
+        };
+    }
+
+    /**
+     * Optimize a stored product, reusing an optimization from the last hour unless competitors or variants are requested
+     * @param {Object} [options] - includeCompetitors, variants, onProgress, streamText
+     */
+    async optimizeStoredProduct(product, options = {}) {
+        const label = product.asin || `draft product ${product.id}`;
+
+        // Competitor-aware and A/B runs always generate a new one
+        const recent = options.includeCompetitors || options.variants > 1 ? null : await this.findRecentOptimization(product);
+        if (recent) {
+            console.log(`📋 Returning recent optimization for ${label}`);
+            return recent;
+        }
+
+        const response = await this.generateOptimization(product, options);
+        console.log(`✅ Optimization completed and stored for ${label}`);
+        return response;
+    }
+
+    /**
+     * Optimize products one at a time, storing each as soon as it's done; a failure doesn't stop the batch.
+     * Requests are paced by the shared LLM rate limiter, not by pauses between products.
+     * @param {Object[]} products - products rows
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - (event, data); item events carry the ASIN
+     * @param {AbortSignal} [options.signal] - Stops before the next product, e.g. when the client went away
+     * @returns {Object} { successful, failed, totalRequests, summary }
+     */
+    async optimizeBatch(products, { onProgress = () => {}, signal } = {}) {
+        const optimizer = this.getOptimizer();
+        // Refuse the whole batch up front rather than failing every product
+        await this.checkBudget();
+        const templates = await findActiveTemplateSet();
+        const successful = [];
+        const failed = [];
+
+        onProgress('batch_started', { total: products.length, asins: products.map(product => product.asin) });
+
+        for (let i = 0; i < products.length && !signal?.aborted; i++) {
+            const product = products[i];
+            const itemProgress = (event, data) => onProgress(event, { asin: product.asin, ...data });
+
+            try {
+                console.log(`📊 Processing product ${i + 1}/${products.length}`);
+                itemProgress('item_started', { index: i + 1, total: products.length });
+
+                const result = await this.generateOptimization(product, { templates, onProgress: itemProgress });
+                successful.push(result);
+                itemProgress('item_completed', {
+                    index: i + 1,
+                    optimizationId: result.optimizationId,
+                    optimizationScore: result.optimizationScore,
+                    compliant: result.compliance.compliant
+                });
+            } catch (error) {
+                failed.push({
+                    asin: product.asin,
+                    error: error.message,
+                    ...(error.code && { code: error.code }),
+                    timestamp: new Date().toISOString()
+                });
+                console.error(`❌ Failed to optimize ${product.asin}:`, error.message);
+                itemProgress('item_failed', { index: i + 1, error: error.message, code: error.code || null });
+
+                // The rest would be refused too
+                if (error instanceof LlmBudgetError) break;
+            }
+        }
+
+        const batchResult = {
+            successful,
+            failed,
+            totalRequests: optimizer.requestCount,
+            summary: {
+                total: products.length,
+                successful: successful.length,
+                failed: failed.length,
+                // Products never started because the batch was stopped
+                skipped: products.length - successful.length - failed.length
+            }
+        };
+
+        console.log(`✅ Batch optimization completed: ${successful.length} successful, ${failed.length} failed`);
+        onProgress('batch_completed', batchResult.summary);
+        return batchResult;
+    }
+}
+
+module.exports = OptimizationService;
@@ -0,0 +1,188 @@
+const axios = require('axios');
+const fs = require('fs/promises');
+const path = require('path');
+const scraperConfig = require('../config/scraper');
+const ProxyPool = require('./proxyPool');
+const HostRateLimiter = require('./hostRateLimiter');
+const { HeaderRotator } = require('./headerProfiles');
+
+const MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'pages');
+
+/**
+ * Fetches raw pages for the scraper.
+ *
+ * - live:   request the page from Amazon
+ * - record: request the page and save the HTML plus response metadata as a fixture
+ * - replay: serve pages from fixtures only, never touching the network
+ *
+ * Fixtures live at `<fixtureDir>/<key>.html` with metadata in `<key>.json`,
+ * where the key is built by the scraper (e.g. `us/B08N5WRWNW`).
+ *
+ * Network requests (live and record) go through a proxy pool, rotate browser
+ * header profiles and are spaced per host by a rate limiter.
+ */
+class PageFetcher {
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.SCRAPER_MODE || 'live';
+        this.fixtureDir = options.fixtureDir || process.env.SCRAPER_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+        this.timeout = options.timeout || 30000;
+        this.proxyPool = options.proxyPool || new ProxyPool(options.proxies || scraperConfig.proxies, {
+            maxFailures: scraperConfig.proxyMaxFailures,
+            quarantineMs: scraperConfig.proxyQuarantineMs
+        });
+        this.rateLimiter = options.rateLimiter || new HostRateLimiter({
+            minIntervalMs: options.minIntervalMs ?? scraperConfig.minIntervalMs
+        });
+        this.headerRotator = options.headerRotator || new HeaderRotator();
+        this.stats = { requests: 0, networkErrors: 0, unhealthyResponses: 0 };
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Invalid scraper mode "${this.mode}". Expected one of: ${MODES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Fetch a page
+     * @param {string} url - Page URL
+     * @param {Object} options
+     * @param {Object} options.headers - Request headers
+     * @param {string} options.fixtureKey - Fixture path relative to the fixture directory
+     * @returns {Object} { url, finalUrl, status, headers, data, fromFixture, proxy, headerProfile }
+     */
+    async fetch(url, { headers = {}, fixtureKey } = {}) {
+        if (this.mode === 'replay') {
+            return this.readFixture(fixtureKey, url);
+        }
+
+        await this.rateLimiter.wait(new URL(url).hostname);
+
+        const proxy = this.proxyPool.next();
+        const profile = this.headerRotator.next();
+        this.stats.requests++;
+
+        let response;
+        try {
+            response = await axios.get(url, {
+                // Caller headers (e.g. the marketplace's Accept-Language) win over the profile
+                headers: { ...profile.headers, ...headers },
+                timeout: this.timeout,
+                ...(proxy && { proxy: proxy.config }),
+                validateStatus: () => true // Error pages (404 dog page, 503 robot check) are classified by the scraper
+            });
+        } catch (error) {
+            this.stats.networkErrors++;
+            this.proxyPool.reportFailure(proxy, error.code || error.message);
+            throw error;
+        }
+
+        const page = {
+            url,
+            finalUrl: response.request?.res?.responseUrl || url,
+            status: response.status,
+            headers: {
+                'content-type': response.headers['content-type'] || null,
+                'retry-after': response.headers['retry-after'] || null
+            },
+            data: response.data,
+            fromFixture: false,
+            proxy: proxy ? proxy.id : null,
+            headerProfile: profile.name
+        };
+
+        if (this.mode === 'record' && fixtureKey) {
+            await this.writeFixture(fixtureKey, page);
+        }
+
+        return page;
+    }
+
+    /**
+     * Feed the scraper's verdict on a fetched page back into the proxy's health counters
+     * @param {Object} page - Page returned by fetch()
+     * @param {boolean} healthy - False when the page was a block, robot check or server error
+     * @param {string} [reason] - Failure reason shown in the health report
+     */
+    reportResult(page, healthy, reason) {
+        if (!page || page.fromFixture) return;
+
+        const proxy = this.proxyPool.proxies.find(candidate => candidate.id === page.proxy);
+        if (healthy) {
+            this.proxyPool.reportSuccess(proxy);
+        } else {
+            this.stats.unhealthyResponses++;
+            this.proxyPool.reportFailure(proxy, reason);
+        }
+    }
+
+    getHealth() {
+        return {
+            mode: this.mode,
+            ...this.stats,
+            proxies: this.proxyPool.getStats(),
+            rateLimiter: this.rateLimiter.getStats(),
+            headerProfiles: this.headerRotator.profiles.map(profile => profile.name)
+        };
+    }
+
+    fixturePaths(fixtureKey) {
+        const base = path.join(this.fixtureDir, fixtureKey);
+        return { htmlPath: `${base}.html`, metaPath: `${base}.json` };
+    }
+
+    async writeFixture(fixtureKey, page) {
+        const { htmlPath, metaPath } = this.fixturePaths(fixtureKey);
+        await fs.mkdir(path.dirname(htmlPath), { recursive: true });
+
+        const metadata = {
+            url: page.url,
+            finalUrl: page.finalUrl,
+            status: page.status,
+            headers: page.headers,
+            recordedAt: new Date().toISOString()
+        };
+
+        await fs.writeFile(htmlPath, page.data, 'utf8');
+        await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2) + '\n', 'utf8');
+        console.log(`💾 Recorded fixture: ${fixtureKey}`);
+    }
+
+    async readFixture(fixtureKey, url) {
+        if (!fixtureKey) {
+            throw new Error(`Replay mode requires a fixture key for ${url}`);
+        }
+
+        const { htmlPath, metaPath } = this.fixturePaths(fixtureKey);
+
+        let data;
+        try {
+            data = await fs.readFile(htmlPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`No fixture recorded for ${fixtureKey}. Run the scraper in record mode first.`);
+            }
+            throw error;
+        }
+
+        let metadata = {};
+        try {
+            metadata = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        return {
+            url: metadata.url || url,
+            finalUrl: metadata.finalUrl || metadata.url || url,
+            status: metadata.status || 200,
+            headers: metadata.headers || {},
+            data,
+            fromFixture: true
+        };
+    }
+}
+
+PageFetcher.MODES = MODES;
+
+module.exports = PageFetcher;
@@ -0,0 +1,177 @@
+const { DEFAULT_MARKETPLACE, MARKETPLACES, getMarketplace } = require('./marketplaces');
+const { parseMoney, parsePriceDetails } = require('./moneyParser');
+
+const PRODUCT_STATUSES = ['draft', 'live'];
+
+const PRICE_FIELDS = ['price', 'listPrice'];
+
+// Editable fields with their maximum lengths (null = TEXT)
+const TEXT_FIELDS = {
+    sku: 64,
+    title: 500,
+    description: null,
+    imageUrl: 500,
+    price: 50,
+    listPrice: 50,
+    category: 255,
+    brand: 255
+};
+
+const EDITABLE_FIELDS = ['asin', 'marketplace', 'status', 'bulletPoints', 'attributes', ...Object.keys(TEXT_FIELDS)];
+
+const EMPTY_PRODUCT = {
+    asin: null,
+    marketplace: DEFAULT_MARKETPLACE,
+    sku: null,
+    status: null,
+    title: null,
+    bulletPoints: null,
+    description: null,
+    imageUrl: null,
+    price: null,
+    listPrice: null,
+    category: null,
+    brand: null,
+    attributes: {}
+};
+
+const isAttributeValue = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Build the stored fields of a hand-entered product from a request body
+ * @param {Object} body - Request body
+ * @param {Object} [current] - formatProductRecord of the product being patched; omit for create and replace
+ * @returns {Object} { productData, errors } - productData is complete and ready for createProduct/updateProduct,
+ *   with priceDetails holding the parsed price amounts
+ */
+const buildProductInput = (body, current = null) => {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { productData: null, errors: ['Request body must be a JSON object'] };
+    }
+
+    const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`Unknown fields: ${unknown.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    const base = current
+        ? Object.fromEntries(Object.keys(EMPTY_PRODUCT).map(field => [field, current[field] ?? EMPTY_PRODUCT[field]]))
+        : { ...EMPTY_PRODUCT };
+    const productData = { ...base };
+    // Numeric prices are parsed as numbers; only strings follow the marketplace's decimal conventions
+    const numericPrices = {};
+
+    for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+        if (!(field in body)) continue;
+        let value = body[field];
+        if (typeof value === 'number' && PRICE_FIELDS.includes(field)) {
+            numericPrices[field] = value;
+            value = String(value);
+        }
+
+        if (value === null || value === '') {
+            productData[field] = null;
+        } else if (typeof value !== 'string') {
+            errors.push(`${field} must be a string`);
+        } else if (maxLength && value.trim().length > maxLength) {
+            errors.push(`${field} must be at most ${maxLength} characters`);
+        } else {
+            productData[field] = value.trim();
+        }
+    }
+
+    if ('asin' in body) {
+        const asin = typeof body.asin === 'string' ? body.asin.trim().toUpperCase() : body.asin;
+        if (asin === null || asin === '') {
+            productData.asin = null;
+        } else if (typeof asin !== 'string' || !/^[A-Z0-9]{10}$/.test(asin)) {
+            errors.push('asin must be a 10-character alphanumeric string');
+        } else {
+            productData.asin = asin;
+        }
+    }
+
+    if ('marketplace' in body) {
+        const marketplace = getMarketplace(String(body.marketplace));
+        if (!marketplace) {
+            errors.push(`marketplace must be one of: ${Object.keys(MARKETPLACES).join(', ')}`);
+        } else {
+            productData.marketplace = marketplace.code;
+        }
+    }
+
+    // Accept a list of bullets or text already in the scraped "• "-separated form
+    if ('bulletPoints' in body) {
+        const { bulletPoints } = body;
+        if (bulletPoints === null || bulletPoints === '') {
+            productData.bulletPoints = null;
+        } else if (Array.isArray(bulletPoints) && bulletPoints.every(bullet => typeof bullet === 'string')) {
+            const bullets = bulletPoints.map(bullet => bullet.trim()).filter(bullet => bullet.length > 0);
+            productData.bulletPoints = bullets.length > 0 ? bullets.join('\n• ') : null;
+        } else if (typeof bulletPoints === 'string') {
+            productData.bulletPoints = bulletPoints.trim();
+        } else {
+            errors.push('bulletPoints must be an array of strings or a string');
+        }
+    }
+
+    // Structured facts a draft listing is written from: { material: "steel", capacityMl: 500, colors: ["red", "blue"] }
+    if ('attributes' in body) {
+        const { attributes } = body;
+        if (attributes === null) {
+            productData.attributes = {};
+        } else if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+            errors.push('attributes must be an object');
+        } else {
+            const invalid = Object.entries(attributes)
+                .filter(([, value]) => !(isAttributeValue(value) || (Array.isArray(value) && value.every(isAttributeValue))))
+                .map(([key]) => key);
+            if (invalid.length > 0) {
+                errors.push(`attributes must be strings, numbers, booleans or lists of them (invalid: ${invalid.join(', ')})`);
+            } else {
+                productData.attributes = attributes;
+            }
+        }
+    }
+
+    if ('status' in body && !PRODUCT_STATUSES.includes(body.status)) {
+        errors.push(`status must be one of: ${PRODUCT_STATUSES.join(', ')}`);
+    } else if ('status' in body) {
+        productData.status = body.status;
+    }
+    // A new product without an explicit status is live if it has an ASIN; patches keep the current status
+    if (!productData.status) {
+        productData.status = productData.asin ? 'live' : 'draft';
+    }
+
+    if (!productData.title) {
+        errors.push('title is required');
+    }
+    if (productData.status === 'live' && !productData.asin) {
+        errors.push('A live product needs an asin; keep it as a draft until Amazon assigns one');
+    }
+
+    const marketplace = getMarketplace(productData.marketplace);
+    const prices = Object.fromEntries(PRICE_FIELDS.map(field => [field, numericPrices[field] ?? productData[field]]));
+    for (const field of PRICE_FIELDS) {
+        if (prices[field] !== null && marketplace && !parseMoney(prices[field], marketplace)) {
+            errors.push(`${field} "${productData[field]}" is not a price`);
+        }
+    }
+
+    // A patch that leaves the prices and marketplace alone keeps the stored amounts
+    const pricesEdited = [...PRICE_FIELDS, 'marketplace'].some(field => field in body);
+    productData.priceDetails = current && !pricesEdited
+        ? current.priceDetails ?? null
+        : parsePriceDetails(prices.price, prices.listPrice, marketplace);
+
+    return { productData: errors.length > 0 ? null : productData, errors };
+};
+
+module.exports = {
+    PRODUCT_STATUSES,
+    EDITABLE_FIELDS,
+    buildProductInput
+};
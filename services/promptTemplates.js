@@ -0,0 +1,93 @@
+/**
+ * Prompt templates for the structured listing prompt. Each type is the instruction line
+ * for one field of the JSON answer; the frame around them (product context, current copy,
+ * style rules, JSON format) stays in GeminiOptimizer.createListingPrompt.
+ */
+const PROMPT_TEMPLATE_TYPES = ['title', 'bullets', 'description', 'keywords'];
+
+const MAX_TEMPLATE_LENGTH = 5000;
+
+// Variables a template body may use as {{name}}; missing values render as empty text
+const PROMPT_VARIABLES = {
+    asin: 'ASIN, empty for drafts',
+    marketplace: 'Marketplace code, e.g. us',
+    title: 'Current title',
+    brand: 'Brand',
+    category: 'Category (may be a breadcrumb)',
+    bulletPoints: 'Current bullets, one per line',
+    description: 'Current description',
+    attributes: 'Structured attributes, as listed in the prompt',
+    competitors: 'Competing listings, as listed in the prompt (empty unless competitors were requested)'
+};
+
+// Version 1 of every type, seeded into prompt_templates and used when none is active
+const DEFAULT_PROMPT_TEMPLATES = {
+    title: 'under 200 chars, include key benefits, maintain brand name',
+    bullets: 'exactly 5 concise, benefit-focused, scannable bullets; plain text, no bullet characters or markdown',
+    description: 'persuasive yet compliant, 50 to 2000 chars, highlighting key features and benefits',
+    keywords: '5 high-impact search terms buyers actually use'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Variable names used by a template body, in order of first use
+ */
+const extractVariables = (body) => [...new Set([...String(body).matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+/**
+ * Validate a template body before it is saved
+ * @returns {string[]} Errors
+ */
+const validateTemplateBody = (body) => {
+    if (typeof body !== 'string' || body.trim() === '') {
+        return ['body must be a non-empty string'];
+    }
+
+    const errors = [];
+    if (body.length > MAX_TEMPLATE_LENGTH) {
+        errors.push(`body must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+    const unknown = extractVariables(body).filter(name => !(name in PROMPT_VARIABLES));
+    if (unknown.length > 0) {
+        errors.push(`Unknown variables: ${unknown.join(', ')}. Valid variables: ${Object.keys(PROMPT_VARIABLES).join(', ')}`);
+    }
+    return errors;
+};
+
+/**
+ * Fill in a template body
+ * @param {string} body
+ * @param {Object} variables - Values by name (see PROMPT_VARIABLES)
+ * @returns {Object} { text, variables: names used, missing: names used but empty }
+ */
+const renderTemplate = (body, variables = {}) => {
+    const used = extractVariables(body);
+    const valueOf = (name) => {
+        const value = variables[name];
+        return value === null || value === undefined ? '' : String(value);
+    };
+
+    return {
+        text: String(body).replace(VARIABLE_PATTERN, (match, name) => valueOf(name)).trim(),
+        variables: used,
+        missing: used.filter(name => valueOf(name).trim() === '')
+    };
+};
+
+/**
+ * Built-in templates in the shape the optimizer takes: { type: { body, version } }
+ */
+const defaultTemplateSet = () => Object.fromEntries(
+    PROMPT_TEMPLATE_TYPES.map(type => [type, { body: DEFAULT_PROMPT_TEMPLATES[type], version: null }])
+);
+
+module.exports = {
+    PROMPT_TEMPLATE_TYPES,
+    PROMPT_VARIABLES,
+    DEFAULT_PROMPT_TEMPLATES,
+    extractVariables,
+    validateTemplateBody,
+    renderTemplate,
+    defaultTemplateSet
+};
@@ -0,0 +1,162 @@
+/**
+ * Typed scraper errors.
+ *
+ * Every error carries a stable `code` that API clients can rely on and the
+ * HTTP `status` the routes should answer with, so callers never have to
+ * inspect `error.message`.
+ */
+const SCRAPER_ERROR_CODES = {
+    INVALID_ASIN: 'INVALID_ASIN',
+    INVALID_MARKETPLACE: 'INVALID_MARKETPLACE',
+    PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
+    ROBOT_CHECK: 'ROBOT_CHECK',
+    SOFT_BLOCK: 'SOFT_BLOCK',
+    REGION_REDIRECT: 'REGION_REDIRECT',
+    LOGIN_REQUIRED: 'LOGIN_REQUIRED',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+    TIMEOUT: 'TIMEOUT',
+    EXTRACTION_FAILED: 'EXTRACTION_FAILED'
+};
+
+const DEFAULT_RETRY_AFTER_SECONDS = 300;
+
+class ScraperError extends Error {
+    constructor(message, { code = SCRAPER_ERROR_CODES.UPSTREAM_ERROR, status = 502, url = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.url = url;
+    }
+}
+
+class InvalidAsinError extends ScraperError {
+    constructor(message = 'Invalid ASIN format. ASIN must be a 10-character string.') {
+        super(message, { code: SCRAPER_ERROR_CODES.INVALID_ASIN, status: 400 });
+    }
+}
+
+class InvalidMarketplaceError extends ScraperError {
+    constructor(marketplace) {
+        super(`Unsupported marketplace: ${marketplace}`, { code: SCRAPER_ERROR_CODES.INVALID_MARKETPLACE, status: 400 });
+    }
+}
+
+/**
+ * 404 responses and Amazon's "dog page"
+ */
+class ProductNotFoundError extends ScraperError {
+    constructor(url, message = 'Product not found. Please check the ASIN.') {
+        super(message, { code: SCRAPER_ERROR_CODES.PRODUCT_NOT_FOUND, status: 404, url });
+    }
+}
+
+/**
+ * Amazon is refusing to serve us; callers should back off for `retryAfter` seconds
+ */
+class BlockedError extends ScraperError {
+    constructor(message, { code = SCRAPER_ERROR_CODES.SOFT_BLOCK, url = null, retryAfter = DEFAULT_RETRY_AFTER_SECONDS } = {}) {
+        super(message, { code, status: 429, url });
+        this.retryAfter = retryAfter;
+    }
+}
+
+class RobotCheckError extends BlockedError {
+    constructor(url, retryAfter) {
+        super('Amazon served a robot check (CAPTCHA) page. Try again later.', {
+            code: SCRAPER_ERROR_CODES.ROBOT_CHECK,
+            url,
+            retryAfter
+        });
+    }
+}
+
+class RegionRedirectError extends ScraperError {
+    constructor(url, finalUrl) {
+        super(`Amazon redirected the request to another region (${finalUrl}).`, {
+            code: SCRAPER_ERROR_CODES.REGION_REDIRECT,
+            status: 502,
+            url
+        });
+        this.finalUrl = finalUrl;
+    }
+}
+
+class LoginRequiredError extends ScraperError {
+    constructor(url) {
+        super('Amazon requires a sign-in to view this page.', { code: SCRAPER_ERROR_CODES.LOGIN_REQUIRED, status: 502, url });
+    }
+}
+
+class UpstreamError extends ScraperError {
+    constructor(url, upstreamStatus) {
+        super(`Amazon returned status ${upstreamStatus}`, { code: SCRAPER_ERROR_CODES.UPSTREAM_ERROR, status: 502, url });
+        this.upstreamStatus = upstreamStatus;
+    }
+}
+
+class NetworkError extends ScraperError {
+    constructor(url) {
+        super('Network connection failed. Please check your internet connection.', {
+            code: SCRAPER_ERROR_CODES.NETWORK_ERROR,
+            status: 503,
+            url
+        });
+    }
+}
+
+class ScraperTimeoutError extends ScraperError {
+    constructor(url) {
+        super('Request timeout. Amazon may be temporarily unavailable.', { code: SCRAPER_ERROR_CODES.TIMEOUT, status: 504, url });
+    }
+}
+
+class ExtractionError extends ScraperError {
+    constructor(message, url = null) {
+        super(message, { code: SCRAPER_ERROR_CODES.EXTRACTION_FAILED, status: 502, url });
+    }
+}
+
+/**
+ * Send a scraper error as a JSON response, or a generic 500 for anything else
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @param {string} fallbackError - `error` field for unexpected failures
+ */
+const sendScraperError = (res, error, fallbackError) => {
+    if (!(error instanceof ScraperError)) {
+        return res.status(500).json({
+            error: fallbackError,
+            message: error.message
+        });
+    }
+
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    return res.status(error.status).json({
+        error: fallbackError,
+        code: error.code,
+        message: error.message,
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+    });
+};
+
+module.exports = {
+    SCRAPER_ERROR_CODES,
+    ScraperError,
+    InvalidAsinError,
+    InvalidMarketplaceError,
+    ProductNotFoundError,
+    BlockedError,
+    RobotCheckError,
+    RegionRedirectError,
+    LoginRequiredError,
+    UpstreamError,
+    NetworkError,
+    ScraperTimeoutError,
+    ExtractionError,
+    sendScraperError
+};
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'selectors.json');
+
+/**
+ * Normalize a selector entry: either "css selector" or { selector, attribute }
+ */
+const toEntry = (entry) => (typeof entry === 'string' ? { selector: entry, attribute: null } : {
+    selector: entry.selector,
+    attribute: entry.attribute || null
+});
+
+const entryKey = ({ selector, attribute }) => (attribute ? `${selector} @${attribute}` : selector);
+
+/**
+ * Check a selector file and throw on anything the scraper couldn't use
+ */
+const validateDefinitions = (definitions) => {
+    if (!definitions || typeof definitions !== 'object') {
+        throw new Error('Selector file must contain a JSON object');
+    }
+    if (!definitions.version) {
+        throw new Error('Selector file is missing a version');
+    }
+
+    const checkFields = (fields, where) => {
+        if (!fields || typeof fields !== 'object') {
+            throw new Error(`${where}.fields must be an object`);
+        }
+        for (const [field, definition] of Object.entries(fields)) {
+            const selectors = definition && definition.selectors;
+            if (!Array.isArray(selectors) || selectors.length === 0) {
+                throw new Error(`${where}.fields.${field}.selectors must be a non-empty array`);
+            }
+            for (const entry of selectors) {
+                const selector = typeof entry === 'string' ? entry : entry && entry.selector;
+                if (typeof selector !== 'string' || selector.trim() === '') {
+                    throw new Error(`${where}.fields.${field} has an invalid selector: ${JSON.stringify(entry)}`);
+                }
+            }
+            if (definition.match && !['first', 'all', 'each'].includes(definition.match)) {
+                throw new Error(`${where}.fields.${field}.match must be first, all or each`);
+            }
+        }
+    };
+
+    checkFields(definitions.fields, 'selectors');
+    for (const [code, override] of Object.entries(definitions.marketplaces || {})) {
+        checkFields(override.fields || {}, `selectors.marketplaces.${code}`);
+    }
+};
+
+/**
+ * CSS selector sets for product page extraction, loaded from a versioned JSON file
+ * (config/selectors.json or SCRAPER_SELECTORS_FILE) with per-marketplace overrides.
+ * Tracks which selector matched each field on every scraped page.
+ *
+ * File format: { version, fields: { <field>: { selectors, match, required } },
+ * marketplaces: { <code>: { fields: { <field>: { selectors } } } } }. A marketplace
+ * override replaces the selector list of the fields it names.
+ */
+class SelectorRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - Selector definitions file
+     * @param {number} [options.recentWindow] - Pages per field/marketplace kept for the recent hit rate
+     */
+    constructor(options = {}) {
+        this.file = options.file || DEFAULT_FILE;
+        this.recentWindow = options.recentWindow || 50;
+        this.stats = new Map();
+        this.load();
+    }
+
+    /**
+     * (Re)read the selector file. A broken file throws and leaves the current definitions in place.
+     * Logs only when a reload changes the selectors, or the file can't be used.
+     * @returns {Object} { version, previousVersion, fields }
+     */
+    load() {
+        let source;
+        let definitions;
+        try {
+            try {
+                source = fs.readFileSync(this.file, 'utf8');
+            } catch (error) {
+                // Keep the server's path out of error messages the admin API passes on
+                throw new Error(`Cannot read selector file ${path.basename(this.file)} (${error.code})`);
+            }
+            definitions = JSON.parse(source);
+            validateDefinitions(definitions);
+        } catch (error) {
+            console.error(`❌ Could not load selectors: ${error.message}`);
+            throw error;
+        }
+
+        const previousVersion = this.definitions ? this.definitions.version : null;
+        const changed = this.definitions && source !== this.source;
+        this.definitions = definitions;
+        this.source = source;
+        this.loadedAt = new Date();
+
+        // Hit rates of an older selector set say nothing about the new one
+        if (previousVersion !== definitions.version) {
+            this.stats.clear();
+        }
+
+        if (changed) {
+            console.log(`🧭 Loaded selector set ${definitions.version} (${Object.keys(definitions.fields).length} fields)`);
+        }
+        return { version: definitions.version, previousVersion, fields: Object.keys(definitions.fields) };
+    }
+
+    get version() {
+        return this.definitions.version;
+    }
+
+    /**
+     * Field definition for a marketplace, with its override applied
+     * @returns {Object} { selectors: [{ selector, attribute }], match, required }
+     */
+    getField(field, marketplaceCode) {
+        const base = this.definitions.fields[field];
+        const override = this.definitions.marketplaces?.[marketplaceCode]?.fields?.[field];
+        if (!base && !override) {
+            throw new Error(`No selectors defined for field "${field}"`);
+        }
+
+        const definition = { ...(base || {}), ...(override || {}) };
+        return {
+            selectors: definition.selectors.map(toEntry),
+            match: definition.match || 'first',
+            required: definition.required !== false
+        };
+    }
+
+    hasField(field, marketplaceCode) {
+        return Boolean(this.definitions.fields[field] || this.definitions.marketplaces?.[marketplaceCode]?.fields?.[field]);
+    }
+
+    getStatsEntry(field, marketplaceCode) {
+        const key = `${field}|${marketplaceCode}`;
+        if (!this.stats.has(key)) {
+            this.stats.set(key, { field, marketplace: marketplaceCode, pages: 0, misses: 0, selectorHits: {}, recent: [] });
+        }
+        return this.stats.get(key);
+    }
+
+    /**
+     * Record the outcome of one field on one page
+     * @param {string} field
+     * @param {string} marketplaceCode
+     * @param {Object|null} entry - Selector entry that matched, or null for a miss
+     */
+    record(field, marketplaceCode, entry) {
+        const stats = this.getStatsEntry(field, marketplaceCode);
+        stats.pages++;
+        if (entry) {
+            const key = entryKey(entry);
+            stats.selectorHits[key] = (stats.selectorHits[key] || 0) + 1;
+        } else {
+            stats.misses++;
+        }
+
+        stats.recent.push(Boolean(entry));
+        if (stats.recent.length > this.recentWindow) stats.recent.shift();
+    }
+
+    /**
+     * Hit rates per field and marketplace, flagging fields whose recent pages extract worse than before
+     * @param {Object} [filters]
+     * @param {string} [filters.marketplace]
+     * @returns {Object} { version, loadedAt, recentWindow, fields, failing }
+     */
+    getReport({ marketplace } = {}) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const fields = [];
+
+        for (const stats of this.stats.values()) {
+            if (marketplace && stats.marketplace !== marketplace) continue;
+            // Fields dropped from the file without a version bump
+            if (!this.hasField(stats.field, stats.marketplace)) continue;
+
+            const { selectors, required } = this.getField(stats.field, stats.marketplace);
+            const hitRate = stats.pages > 0 ? round((stats.pages - stats.misses) / stats.pages) : null;
+            const recentHits = stats.recent.filter(Boolean).length;
+            const recentHitRate = stats.recent.length > 0 ? round(recentHits / stats.recent.length) : null;
+
+            let status = 'ok';
+            if (!required) {
+                status = 'optional';
+            } else if (recentHitRate < 0.5) {
+                status = 'failing';
+            } else if (recentHitRate < 0.9 || recentHitRate < hitRate - 0.2) {
+                status = 'degrading';
+            }
+
+            fields.push({
+                field: stats.field,
+                marketplace: stats.marketplace,
+                required,
+                status,
+                pages: stats.pages,
+                misses: stats.misses,
+                hitRate,
+                recentPages: stats.recent.length,
+                recentHitRate,
+                // Pages matched by a fallback selector are an early sign the primary one broke
+                selectors: selectors.map(entry => ({
+                    selector: entryKey(entry),
+                    hits: stats.selectorHits[entryKey(entry)] || 0
+                }))
+            });
+        }
+
+        fields.sort((a, b) => a.field.localeCompare(b.field) || a.marketplace.localeCompare(b.marketplace));
+
+        return {
+            version: this.version,
+            loadedAt: this.loadedAt.toISOString(),
+            recentWindow: this.recentWindow,
+            fields,
+            failing: fields.filter(entry => entry.status === 'failing' || entry.status === 'degrading')
+        };
+    }
+}
+
+module.exports = SelectorRegistry;
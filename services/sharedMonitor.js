@@ -0,0 +1,5 @@
+const MonitorScheduler = require('./monitorScheduler');
+const scraper = require('./sharedScraper');
+
+// The scheduler started by server.js, also used by the watchlist routes for on-demand checks
+module.exports = new MonitorScheduler({ scraper });
@@ -0,0 +1,5 @@
+const AmazonScraper = require('./amazonScraper');
+
+// One scraper per process so every route shares the proxy pool, the per-host
+// rate limiter and the health counters reported by /api/admin/scraper/health
+module.exports = new AmazonScraper();
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRules, validateRules } = require('../services/alertRules');
+const { getMarketplace } = require('../services/marketplaces');
+const { parsePriceDetails, parseDecimalMoney, describePrice } = require('../services/moneyParser');
+
+// priceDetails as a scrape stores it, unless the overrides set their own
+const snapshot = (overrides = {}) => {
+    const listing = {
+        marketplace: 'us',
+        title: 'Echo Dot (4th Gen) | Smart speaker with Alexa | Charcoal',
+        bulletPoints: 'Meet the Echo Dot\n• Voice control your music',
+        price: '$49.99',
+        availability: 'In Stock',
+        rating: '4.70',
+        reviewCount: 1000,
+        ...overrides
+    };
+    return { priceDetails: parsePriceDetails(listing.price, null, getMarketplace(listing.marketplace)), ...listing };
+};
+
+const types = (alerts) => alerts.map(alert => alert.type).sort();
+
+test('an unchanged listing raises nothing', () => {
+    assert.deepEqual(evaluateRules(snapshot(), snapshot()), []);
+    assert.deepEqual(evaluateRules(null, snapshot()), []);
+});
+
+test('price moves past the thresholds raise price alerts', () => {
+    const drop = evaluateRules(snapshot(), snapshot({ price: '$39.99' }));
+    assert.deepEqual(types(drop), ['price_drop']);
+    assert.equal(drop[0].details.changePercent, -20.00);
+
+    assert.deepEqual(types(evaluateRules(snapshot(), snapshot({ price: '$59.99' }))), ['price_rise']);
+    assert.deepEqual(evaluateRules(snapshot(), snapshot({ price: '$48.99' })), []);
+});
+
+test('German prices are parsed with the marketplace locale', () => {
+    const alerts = evaluateRules(
+        snapshot({ marketplace: 'de', price: '1.299,00 €', availability: 'Auf Lager' }),
+        snapshot({ marketplace: 'de', price: '999,00 €', availability: 'Derzeit nicht verfügbar.' })
+    );
+    assert.deepEqual(types(alerts), ['out_of_stock', 'price_drop']);
+});
+
+test('an imported price and the next scrape of it are compared by amount, not by text', () => {
+    const de = getMarketplace('de');
+    const imported = snapshot({
+        marketplace: 'de',
+        price: '19.99',
+        priceDetails: describePrice({ currency: 'EUR', amount: parseDecimalMoney('19.99', de).amount })
+    });
+
+    assert.deepEqual(evaluateRules(imported, snapshot({ marketplace: 'de', price: '19,99 €' })), []);
+    assert.deepEqual(types(evaluateRules(imported, snapshot({ marketplace: 'de', price: '14,99 €' }))), ['price_drop']);
+});
+
+test('prices in different currencies or without amounts are not compared', () => {
+    assert.deepEqual(evaluateRules(snapshot({ price: '£29.99' }), snapshot({ price: '$49.99' })), []);
+    assert.deepEqual(evaluateRules(snapshot({ priceDetails: null }), snapshot({ price: '$19.99' })), []);
+});
+
+test('stock, rating and review count changes', () => {
+    const alerts = evaluateRules(
+        snapshot(),
+        snapshot({ availability: 'Currently unavailable.', rating: '4.50', reviewCount: 1080 })
+    );
+    assert.deepEqual(types(alerts), ['out_of_stock', 'rating_drop', 'review_count_jump']);
+});
+
+test('listing edits matching our own optimizations are not reported', () => {
+    const edited = snapshot({ title: 'Echo Dot Smart Speaker with Alexa - Compact, Charcoal', bulletPoints: 'New bullet' });
+
+    assert.deepEqual(types(evaluateRules(snapshot(), edited)), ['bullets_changed', 'title_changed']);
+    assert.deepEqual(
+        evaluateRules(snapshot(), edited, { ownListings: [{ title: edited.title, bulletPoints: edited.bulletPoints }] }),
+        []
+    );
+});
+
+test('our own listings match despite whitespace and bullet separator differences', () => {
+    const edited = snapshot({ title: 'Echo Dot  Smart Speaker ', bulletPoints: '• Compact design\n• Clear  sound' });
+    const ownListings = [{ title: 'Echo Dot Smart Speaker', bulletPoints: 'Compact design\nClear sound' }];
+
+    assert.deepEqual(evaluateRules(snapshot(), edited, { ownListings }), []);
+});
+
+test('per-watch rules override and disable defaults', () => {
+    const current = snapshot({ price: '$47.49', title: 'Echo Dot, renamed by a reseller' });
+
+    assert.deepEqual(types(evaluateRules(snapshot(), current)), ['price_drop', 'title_changed']);
+    assert.deepEqual(
+        evaluateRules(snapshot(), current, { rules: { priceDropPercent: 10, titleChanged: false } }),
+        []
+    );
+});
+
+test('losing the buy box to another seller or to suppression', () => {
+    const offer = (overrides = {}) => ({ hasBuyBox: true, soldBy: 'Our Store', sellerId: 'A1OURSTORE', fulfillment: 'amazon', ...overrides });
+    const ours = snapshot({ offer: offer() });
+    const reseller = snapshot({ offer: offer({ soldBy: 'Reseller', sellerId: 'A9RESELLER', fulfillment: 'merchant' }) });
+    const suppressed = snapshot({ offer: offer({ hasBuyBox: false, soldBy: null, sellerId: null }) });
+
+    assert.deepEqual(types(evaluateRules(ours, reseller, { ownSellerIds: ['A1OURSTORE'] })), ['buy_box_lost']);
+    assert.deepEqual(types(evaluateRules(ours, reseller)), ['buy_box_changed']);
+    assert.deepEqual(types(evaluateRules(ours, suppressed)), ['buy_box_lost']);
+    assert.deepEqual(evaluateRules(reseller, ours, { ownSellerIds: ['A1OURSTORE'] })[0].severity, 'info');
+});
+
+test('rule overrides must be numbers for thresholds and booleans for switches', () => {
+    assert.deepEqual(validateRules({ priceDropPercent: 10, ratingDrop: false, outOfStock: true, titleChanged: null }), []);
+    assert.deepEqual(validateRules({ priceDropPercent: '10%', buyBoxLost: 'yes', reviewCountJump: -5 }), [
+        'priceDropPercent must be a non-negative number, or false to disable it',
+        'buyBoxLost must be true or false',
+        'reviewCountJump must be a non-negative number, or false to disable it'
+    ]);
+});
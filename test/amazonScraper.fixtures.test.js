@@ -0,0 +1,79 @@
+/**
+ * Fixture-driven regression suite for AmazonScraper.
+ *
+ * Every page recorded under test/fixtures/pages/<marketplace>/<ASIN>.html is
+ * replayed through the scraper and compared with the product object stored in
+ * test/fixtures/expected/<marketplace>/<ASIN>.json. Review pages recorded as
+ * <marketplace>/reviews/<ASIN>-<page>.html and search pages recorded as
+ * <marketplace>/search/<keyword-slug>-<page>.html are compared the same way
+ * against expected/<marketplace>/reviews/<ASIN>.json and
+ * expected/<marketplace>/search/<keyword-slug>.json.
+ *
+ * Record new pages with SCRAPER_MODE=record, then regenerate the expected
+ * objects with UPDATE_FIXTURES=1 npm test and review the diff.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const AmazonScraper = require('../services/amazonScraper');
+
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'pages');
+const EXPECTED_DIR = path.join(__dirname, 'fixtures', 'expected');
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+const findFixtures = (subdirectory, pattern) => {
+    const fixtures = [];
+    for (const marketplace of fs.readdirSync(PAGES_DIR)) {
+        const directory = path.join(PAGES_DIR, marketplace, subdirectory);
+        if (!fs.existsSync(directory)) continue;
+
+        for (const file of fs.readdirSync(directory)) {
+            const match = file.match(pattern);
+            if (match) fixtures.push({ marketplace, asin: match[1] });
+        }
+    }
+    return fixtures;
+};
+
+const assertMatchesExpected = (actual, expectedPath) => {
+    if (UPDATE) {
+        fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+        fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+        return;
+    }
+
+    assert.ok(fs.existsSync(expectedPath), `Missing expected output ${expectedPath}; run with UPDATE_FIXTURES=1`);
+    const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+    assert.deepEqual(actual, expected);
+};
+
+const scraper = new AmazonScraper({ mode: 'replay', fixtureDir: PAGES_DIR });
+
+for (const { marketplace, asin } of findFixtures('', /^([A-Z0-9]{10})\.html$/)) {
+    test(`extracts ${marketplace}/${asin}`, async () => {
+        const product = await scraper.fetchProductDetails(asin, { marketplace });
+        assertMatchesExpected(product, path.join(EXPECTED_DIR, marketplace, `${asin}.json`));
+    });
+}
+
+for (const { marketplace, asin } of findFixtures('reviews', /^([A-Z0-9]{10})-1\.html$/)) {
+    test(`extracts reviews for ${marketplace}/${asin}`, async () => {
+        const reviews = await scraper.fetchReviews(asin, { marketplace, pages: 10 });
+        assertMatchesExpected(reviews, path.join(EXPECTED_DIR, marketplace, 'reviews', `${asin}.json`));
+    });
+}
+
+for (const { marketplace, asin: slug } of findFixtures('search', /^(.+)-1\.html$/)) {
+    test(`extracts search results for ${marketplace}/${slug}`, async () => {
+        const results = await scraper.searchKeyword(slug.replace(/-/g, ' '), { marketplace, pages: 10 });
+        assertMatchesExpected(results, path.join(EXPECTED_DIR, marketplace, 'search', `${slug}.json`));
+    });
+}
+
+test('replay mode refuses to hit the network for unrecorded pages', async () => {
+    await assert.rejects(
+        scraper.fetchProductDetails('B000000000', { marketplace: 'us' }),
+        /No fixture recorded for us\/B000000000/
+    );
+});
@@ -0,0 +1,47 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { formatEvent, openEventStream } = require('../services/eventStream');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const MockProvider = require('../services/llm/mockProvider');
+
+mock.method(console, 'log', () => {});
+
+test('events are written as text/event-stream messages', async () => {
+    const app = express();
+    app.get('/stream', (req, res) => {
+        const stream = openEventStream(res);
+        stream.send('field', { field: 'title', value: 'Ceramic Coffee Mug' });
+        stream.close();
+    });
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/stream`);
+
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+        assert.equal(await response.text(), 'event: field\ndata: {"field":"title","value":"Ceramic Coffee Mug"}\n\n');
+        assert.equal(formatEvent('waiting'), 'event: waiting\ndata: null\n\n');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('optimizations report each field, the score and, when asked, the text as it is generated', async () => {
+    const optimizer = new GeminiOptimizer({ provider: new MockProvider() });
+    const events = [];
+
+    const result = await optimizer.optimizeProduct(
+        { asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz', brand: 'Acme' },
+        { streamText: true, onProgress: (event, data) => events.push({ event, ...data }) }
+    );
+
+    const deltas = events.filter(entry => entry.event === 'delta');
+    assert.ok(deltas.length > 1);
+    assert.deepEqual(JSON.parse(deltas.map(entry => entry.text).join('')), result.content);
+
+    assert.deepEqual(events.filter(entry => entry.event !== 'delta').map(entry => entry.field || entry.event), [
+        'generation_started', 'title', 'bullets', 'description', 'keywords', 'rationale', 'scored'
+    ]);
+    assert.deepEqual(events.at(-1), { event: 'scored', angle: null, score: 100, compliance: result.compliance.summary });
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareListings } = require('../services/listingComparison');
+const { getMarketplace } = require('../services/marketplaces');
+const { parseMoney } = require('../services/moneyParser');
+
+// currency and priceAmount as a scrape stores them, unless the overrides set their own
+const listing = (overrides = {}) => {
+    const row = {
+        asin: 'B000000001',
+        marketplace: 'us',
+        title: 'Ceramic Coffee Mug, 12 oz',
+        bulletPoints: 'Holds 12 oz\n• Dishwasher safe',
+        description: 'A sturdy stoneware mug.',
+        price: '$14.99',
+        rating: '4.50',
+        reviewCount: 120,
+        ...overrides
+    };
+    const money = parseMoney(row.price, getMarketplace(row.marketplace));
+    return { currency: money && money.currency, priceAmount: money && money.amount, ...row };
+};
+
+test('our listing is ranked against the fetched competitors metric by metric', () => {
+    const { listings, summary } = compareListings(
+        listing(),
+        [
+            listing({ asin: 'B000000002', title: 'Large Ceramic Coffee Mug with Handle, 16 oz', price: '$19.99', rating: '4.80', reviewCount: 900 }),
+            listing({ asin: 'B000000003', bulletPoints: 'Holds 10 oz', price: '$9.99', rating: null, reviewCount: 40 }),
+            { asin: 'B000000004' }
+        ]
+    );
+
+    assert.equal(listings[0].role, 'own');
+    assert.equal(listings[0].bulletCount, 2);
+    assert.equal(listings[0].priceValue, 14.99);
+    assert.equal(summary.competitorsCompared, 2);
+    assert.deepEqual(summary.competitorsNotFetched, ['B000000004']);
+    assert.equal(summary.competitorAverage.priceValue, 14.99);
+    assert.equal(summary.competitorAverage.rating, 4.8);
+    assert.deepEqual(summary.ownRank, { titleLength: 2, bulletCount: 1, descriptionLength: 1, priceValue: 2, rating: 2, reviewCount: 2 });
+});
+
+test('keyword coverage and gaps only count tracked keywords a competitor uses', () => {
+    const { listings, summary } = compareListings(
+        listing(),
+        [listing({ asin: 'B000000002', description: 'Microwave safe stoneware, great for latte' })],
+        ['dishwasher safe', 'Microwave Safe', 'travel']
+    );
+
+    assert.deepEqual(listings[0].keywordsUsed, ['dishwasher safe']);
+    assert.equal(listings[0].keywordCoverage, 33);
+    assert.deepEqual(summary.keywordGaps, ['Microwave Safe']);
+    assert.equal(compareListings(listing(), []).listings[0].keywordCoverage, null);
+});
+
+test('prices come from the stored amount, not from the price text', () => {
+    const imported = listing({ marketplace: 'de', price: '19.99', currency: 'EUR', priceAmount: 1999 });
+    const { listings, summary } = compareListings(imported, [listing({ asin: 'B000000002', marketplace: 'de', price: '24,99 €' })]);
+
+    assert.deepEqual(listings.map(row => row.priceValue), [19.99, 24.99]);
+    assert.equal(summary.competitorAverage.priceValue, 24.99);
+    assert.equal(summary.ownRank.priceValue, 2);
+    assert.equal(compareListings(listing({ currency: null, priceAmount: null }), []).listings[0].priceValue, null);
+});
+
+test('competitor prices in another currency are left out of the price average and rank', () => {
+    const { summary } = compareListings(listing(), [
+        listing({ asin: 'B000000002', price: '$19.99' }),
+        listing({ asin: 'B000000003', price: '£99.99' })
+    ]);
+
+    assert.equal(summary.priceCurrency, 'USD');
+    assert.equal(summary.competitorAverage.priceValue, 19.99);
+    assert.equal(summary.ownRank.priceValue, 2);
+});
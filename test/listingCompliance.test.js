@@ -0,0 +1,72 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCompliance } = require('../services/listingCompliance');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const MockProvider = require('../services/llm/mockProvider');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const ruleSpans = (result) => result.violations.map(violation => [violation.rule, violation.field, violation.index, violation.text]);
+
+test('typical AI copy problems are reported with their spans', () => {
+    const result = checkCompliance({
+        title: 'NEW Best Coffee Mug 🔥 Free Shipping',
+        bulletPoints: 'PREMIUM QUALITY: Glazed ceramic\n• Only $9.99 while it lasts',
+        description: 'Buy now and save 20% off.'
+    });
+
+    assert.deepEqual(ruleSpans(result), [
+        ['promotional_phrases', 'title', null, 'NEW'],
+        ['subjective_superlatives', 'title', null, 'Best'],
+        ['emoji', 'title', null, '🔥'],
+        ['pricing_shipping_claims', 'title', null, 'Free Shipping'],
+        ['all_caps', 'bullets', 0, 'PREMIUM QUALITY'],
+        ['pricing_shipping_claims', 'bullets', 1, '$9.99'],
+        ['promotional_phrases', 'description', null, 'Buy now'],
+        ['pricing_shipping_claims', 'description', null, '20% off']
+    ]);
+    assert.deepEqual(result.violations[0].span, { start: 0, end: 3 });
+    assert.deepEqual(result.summary, { errors: 6, warnings: 2 });
+    assert.equal(result.compliant, false);
+});
+
+test('deals are only promotional as a phrase, and yen and rupee prices are pricing claims', () => {
+    const result = checkCompliance({
+        title: 'Laptop Backpack with a Great Deal of Storage',
+        bullets: ['Deal of the Day pick', 'Was ¥3,980, now ￥2,980', 'Only ₹499 or Rs. 499'],
+        description: ''
+    });
+
+    // The currency symbols are also reported as non-ASCII warnings
+    assert.deepEqual(ruleSpans(result).filter(([rule]) => rule !== 'non_ascii'), [
+        ['promotional_phrases', 'bullets', 0, 'Deal of the Day'],
+        ['pricing_shipping_claims', 'bullets', 1, '¥3,980'],
+        ['pricing_shipping_claims', 'bullets', 1, '￥2,980'],
+        ['pricing_shipping_claims', 'bullets', 2, '₹499'],
+        ['pricing_shipping_claims', 'bullets', 2, 'Rs. 499']
+    ]);
+});
+
+test('title rules follow the category and brand', () => {
+    const title = 'Yahoo! Running Shoes for Men, Lightweight Breathable Mesh Trainers, Non Slip Sole, Size 10';
+    const listing = { title, bullets: [], description: '' };
+
+    assert.deepEqual(ruleSpans(checkCompliance(listing, { brand: 'Yahoo!', category: 'Sports & Outdoors' })), []);
+    assert.deepEqual(ruleSpans(checkCompliance(listing, { category: 'Clothing, Shoes & Jewelry › Men › Shoes' })), [
+        ['prohibited_characters', 'title', null, '!'],
+        ['title_length', 'title', null, title.slice(80)]
+    ]);
+    assert.deepEqual(ruleSpans(checkCompliance({ title: 'Mug Mug Set of Mugs with Mug Rack' })), [
+        ['repeated_words', 'title', null, 'Mug']
+    ]);
+});
+
+test('the offline provider writes compliant copy', async () => {
+    const optimizer = new GeminiOptimizer({ provider: new MockProvider() });
+
+    const result = await optimizer.optimizeProduct({ asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz', brand: 'Acme' });
+
+    assert.deepEqual(result.compliance.violations, []);
+    assert.equal(result.compliance.compliant, true);
+});
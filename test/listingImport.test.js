@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDelimited, parseImportFile } = require('../services/listingImport');
+
+test('quoted cells keep their delimiters, newlines and escaped quotes', () => {
+    const rows = parseDelimited('asin,title\r\nB000000001,"Mug, 12 oz ""classic""\nwhite"\n', ',');
+    assert.deepEqual(rows, [['asin', 'title'], ['B000000001', 'Mug, 12 oz "classic"\nwhite']]);
+});
+
+test('CSV rows are mapped to listings with per-row errors', async () => {
+    const csv = [
+        'ASIN,SKU,Title,Bullet1,Bullet2,Description,Brand,Category,Price',
+        'b000000001,MUG-12,Ceramic Mug,Holds 12 oz,Dishwasher safe,A mug.,Acme,Kitchen,$14.99',
+        'B0000000,MUG-16,,,,,,,abc',
+        'B000000001,MUG-12B,Ceramic Mug 2,,,,,,'
+    ].join('\n');
+
+    const { format, rows } = await parseImportFile(Buffer.from(csv), { filename: 'listings.csv', marketplace: 'uk' });
+
+    assert.equal(format, 'csv');
+    assert.deepEqual(rows[0].listing, {
+        asin: 'B000000001',
+        marketplace: 'uk',
+        sku: 'MUG-12',
+        title: 'Ceramic Mug',
+        bulletPoints: 'Holds 12 oz\n• Dishwasher safe',
+        description: 'A mug.',
+        brand: 'Acme',
+        category: 'Kitchen',
+        price: '$14.99',
+        priceDetails: { currency: 'USD', amount: 1499, listAmount: null, minAmount: 1499, maxAmount: 1499, onSale: false, discountPercent: null }
+    });
+    assert.deepEqual(rows[0].errors, []);
+
+    assert.equal(rows[1].row, 3);
+    assert.deepEqual(rows[1].errors, [
+        'asin "B0000000" must be 10 alphanumeric characters',
+        'title is required',
+        'price "abc" is not a number'
+    ]);
+    assert.deepEqual(rows[2].errors, ['duplicate of row 2']);
+});
+
+test('flat files are read from the attribute-name row below the labels', async () => {
+    const flatFile = [
+        'TemplateType=fptcustom\tVersion=2026.1\tThe top 3 rows are for Amazon.com use only',
+        'Seller SKU\tProduct Name\tProduct ID\tProduct ID Type\tBrand Name\tKey Product Features\tKey Product Features',
+        'item_sku\titem_name\texternal_product_id\texternal_product_id_type\tbrand_name\tbullet_point1\tbullet_point2',
+        'LAMP-01\tDesk Lamp\tB000000002\tASIN\tAcme\tLED\tDimmable',
+        'LAMP-02\tFloor Lamp\t012345678905\tUPC\tAcme\t\t'
+    ].join('\n');
+
+    const { format, rows } = await parseImportFile(Buffer.from(flatFile), { filename: 'Flat.File.txt' });
+
+    assert.equal(format, 'flat_file');
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].row, 4);
+    assert.equal(rows[0].listing.asin, 'B000000002');
+    assert.equal(rows[0].listing.sku, 'LAMP-01');
+    assert.equal(rows[0].listing.bulletPoints, 'LED\n• Dimmable');
+    assert.deepEqual(rows[1].errors, ['asin is required']);
+    assert.deepEqual(rows[1].warnings, ['no bullet points']);
+});
+
+test('prices are dot-decimal on every marketplace', async () => {
+    const csv = [
+        'ASIN,Title,Price',
+        'B000000003,Kaffeebecher,19.99',
+        'B000000004,Teekanne,"1,299.00"'
+    ].join('\n');
+
+    const { rows } = await parseImportFile(Buffer.from(csv), { filename: 'listings.csv', marketplace: 'de' });
+
+    assert.deepEqual(rows.map(row => row.errors), [[], []]);
+    assert.equal(rows[0].listing.priceDetails.currency, 'EUR');
+    assert.equal(rows[0].listing.priceDetails.amount, 1999);
+    assert.equal(rows[1].listing.priceDetails.amount, 129900);
+});
@@ -0,0 +1,76 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const { parseListingResponse, toGeminiSchema, LISTING_SCHEMA } = require('../services/listingSchema');
+const { LLM_ERROR_CODES } = require('../services/llm/llmErrors');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const validListing = () => ({
+    title: 'Acme Ceramic Coffee Mug, 12 oz - Dishwasher Safe',
+    bullets: [
+        'DISHWASHER SAFE: Glazed ceramic that cleans up in seconds',
+        'RIGHT SIZE: Holds 12 oz, a full cup with room for milk',
+        'COMFORT GRIP: Wide handle fits two fingers',
+        'MICROWAVE READY: No metal trim, reheat without worry',
+        'GIFT READY: Ships in a padded gift box'
+    ],
+    description: 'A sturdy 12 oz ceramic mug for the daily cup, safe in the dishwasher and the microwave.',
+    keywords: ['coffee mug', 'ceramic mug', '12 oz mug'],
+    rationale: 'Moved capacity and care details into the title.'
+});
+
+test('answers wrapped in prose and code fences are parsed and tidied', () => {
+    const listing = validListing();
+    listing.bullets = listing.bullets.map(bullet => `• ${bullet}`);
+    listing.keywords.push(' Coffee Mug ');
+    listing.confidence = 0.9;
+
+    const { listing: parsed, errors } = parseListingResponse(`Here is the optimized listing:\n\`\`\`json\n${JSON.stringify(listing)}\n\`\`\``);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(parsed, validListing());
+});
+
+test('schema violations come back as readable errors', () => {
+    const listing = validListing();
+    listing.bullets = ['**Great mug**', ...listing.bullets.slice(0, 2)];
+    delete listing.rationale;
+
+    assert.deepEqual(parseListingResponse(JSON.stringify(listing)).errors, [
+        'rationale is required',
+        'bullets must NOT have fewer than 5 items',
+        'bullets[0] must be plain text on one line, without markdown'
+    ]);
+    assert.deepEqual(parseListingResponse('Sorry, I cannot help with that.').errors, ['response is not a JSON object']);
+    assert.equal(toGeminiSchema(LISTING_SCHEMA).properties.title.maxLength, undefined);
+});
+
+test('the optimizer retries once with a repair prompt, then gives up', async () => {
+    const prompts = [];
+    const answers = [JSON.stringify({ ...validListing(), bullets: ['Only one bullet here'] }), JSON.stringify(validListing())];
+    const provider = {
+        name: 'stub',
+        model: 'stub-1',
+        generate: async (prompt, options) => {
+            prompts.push({ prompt, options });
+            return { text: answers.shift() || '{}', model: 'stub-1' };
+        }
+    };
+    const optimizer = new GeminiOptimizer({ provider });
+    const product = { asin: 'B000000001', title: 'Coffee Mug', bulletPoints: null, description: null };
+
+    const result = await optimizer.optimizeProduct(product);
+
+    assert.equal(prompts.length, 2);
+    assert.equal(prompts[0].options.responseSchema, LISTING_SCHEMA);
+    assert.match(prompts[1].prompt, /It was rejected because:\n- bullets must NOT have fewer than 5 items/);
+    assert.deepEqual(result.optimized.bullets, validListing().bullets);
+    assert.equal(result.optimized.bulletPoints.split('\n• ').length, 5);
+    assert.equal(result.metadata.repairAttempts, 1);
+
+    await assert.rejects(optimizer.optimizeProduct(product), { code: LLM_ERROR_CODES.INVALID_RESPONSE, status: 502 });
+    assert.equal(prompts.length, 4);
+});
@@ -0,0 +1,40 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { rankVariants } = require('../services/listingVariants');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const MockProvider = require('../services/llm/mockProvider');
+
+mock.method(console, 'log', () => {});
+
+const variant = (angle, score, errors, warnings) => ({ angle, score, compliance: { summary: { errors, warnings } } });
+
+test('compliant variants outrank higher-scoring ones that break policy', () => {
+    const ranked = rankVariants([
+        variant('benefit', 100, 1, 0),
+        variant('spec', 70, 0, 2),
+        variant('use_case', 70, 0, 0)
+    ]);
+
+    assert.deepEqual(ranked.map(entry => [entry.rank, entry.angle]), [[1, 'use_case'], [2, 'spec'], [3, 'benefit']]);
+});
+
+test('a variant run asks for each angle once and scores every variant', async () => {
+    const provider = new MockProvider();
+    const optimizer = new GeminiOptimizer({ provider });
+
+    const result = await optimizer.optimizeProduct(
+        { asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz', brand: 'Acme' },
+        { variants: 3 }
+    );
+
+    assert.equal(provider.calls, 3);
+    assert.deepEqual(result.variants.map(entry => entry.angle), ['benefit', 'spec', 'use_case']);
+    assert.equal(new Set(result.variants.map(entry => entry.optimized.title)).size, 3);
+    assert.ok(result.variants.every(entry => typeof entry.score === 'number' && entry.compliance.compliant));
+    assert.equal(result.optimized, result.variants[0].optimized);
+    assert.equal(result.metadata.variantAngle, 'benefit');
+
+    const single = await optimizer.optimizeProduct({ asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz' });
+    assert.deepEqual(single.variants, []);
+    assert.equal(single.metadata.variantAngle, null);
+});
@@ -0,0 +1,73 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { findModelPrice, estimateCost, findExceededBudget, budgetPeriodStart } = require('../services/llmCost');
+const { LlmBudgetError } = require('../services/llm/llmErrors');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const MockProvider = require('../services/llm/mockProvider');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+test('model versions are priced by their longest matching prefix', () => {
+    assert.deepEqual(findModelPrice('gemini-2.0-flash-001'), { input: 0.10, output: 0.40 });
+    assert.deepEqual(findModelPrice('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.60 });
+    assert.equal(findModelPrice('qwen2.5-7b-instruct'), null);
+
+    assert.equal(estimateCost({ inputTokens: 1200, outputTokens: 500 }, 'gemini-2.0-flash-exp'), 0.00032);
+    assert.equal(estimateCost({ inputTokens: 1200, outputTokens: 500 }, 'qwen2.5-7b-instruct'), null);
+    assert.equal(estimateCost({ inputTokens: 1e6, outputTokens: 0 }, 'qwen2.5-7b-instruct', undefined, { input: 3, output: 12 }), 3);
+});
+
+test('calls to models without a price still count against the budget', async () => {
+    const recorded = [];
+    const optimizer = new GeminiOptimizer({
+        provider: new MockProvider({ model: 'local-llama' }),
+        onUsage: (usage) => { recorded.push(usage); }
+    });
+
+    await optimizer.generate('prompt');
+
+    assert.ok(recorded[0].costUsd > 0);
+    assert.equal(console.warn.mock.calls.filter(call => /local-llama/.test(call.arguments[0])).length, 1);
+});
+
+test('the monthly budget is reported before the daily one and resets on the 1st', () => {
+    const now = new Date(2026, 9, 19, 15, 30);
+    const budget = { dailyUsd: 2, monthlyUsd: 50 };
+
+    assert.equal(findExceededBudget({ dailyUsd: 1.99, monthlyUsd: 49 }, budget, now), null);
+    assert.equal(findExceededBudget({ dailyUsd: 5, monthlyUsd: 10 }, { dailyUsd: null, monthlyUsd: null }, now), null);
+
+    const exceeded = findExceededBudget({ dailyUsd: 2.5, monthlyUsd: 50.1 }, budget, now);
+    assert.equal(exceeded.period, 'monthly');
+    assert.deepEqual(exceeded.resetsAt, new Date(2026, 10, 1));
+    assert.deepEqual(budgetPeriodStart('monthly', now), new Date(2026, 9, 1));
+    assert.deepEqual(budgetPeriodStart('daily', now), new Date(2026, 9, 19));
+
+    const error = new LlmBudgetError(exceeded);
+    assert.equal(error.status, 402);
+    assert.equal(error.code, 'LLM_BUDGET_EXCEEDED');
+    assert.match(error.message, /monthly LLM budget of \$50\.00 is exhausted \(\$50\.10 spent\)/);
+});
+
+test('every request is recorded and the optimization carries its token totals and cost', async () => {
+    const recorded = [];
+    const optimizer = new GeminiOptimizer({
+        provider: new MockProvider(),
+        prices: { 'mock-': { input: 1, output: 2 } },
+        onUsage: (usage) => { recorded.push(usage); }
+    });
+
+    const result = await optimizer.optimizeProduct({ asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz' }, { variants: 2 });
+
+    assert.equal(recorded.length, 2);
+    assert.deepEqual(Object.keys(recorded[0]), ['provider', 'model', 'inputTokens', 'outputTokens', 'costUsd']);
+    const inputTokens = recorded[0].inputTokens + recorded[1].inputTokens;
+    const outputTokens = recorded[0].outputTokens + recorded[1].outputTokens;
+    assert.deepEqual(result.metadata.usage, {
+        inputTokens,
+        outputTokens,
+        costUsd: (inputTokens * 1 + outputTokens * 2) / 1e6
+    });
+    assert.equal(optimizer.getUsageStats().estimatedCostUsd, result.metadata.usage.costUsd);
+});
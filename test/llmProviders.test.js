@@ -0,0 +1,105 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const { createLlmProvider } = require('../services/llm');
+const { LLM_ERROR_CODES } = require('../services/llm/llmErrors');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const baseConfig = { model: null, temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 256, timeoutMs: 5000, gemini: {}, openai: {} };
+
+test('the mock provider answers the same prompts the same way and the optimizer records it', async () => {
+    const optimizer = new GeminiOptimizer({ provider: createLlmProvider({ ...baseConfig, provider: 'mock' }) });
+    const product = { asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz', bulletPoints: '• Holds 12 oz', description: 'A mug.', brand: 'Acme' };
+
+    const first = await optimizer.optimizeProduct(product);
+    const second = await optimizer.optimizeProduct(product);
+
+    assert.deepEqual(first.optimized, second.optimized);
+    assert.equal(first.optimized.title, 'Ceramic Coffee Mug - Premium Quality, Durable Everyday Design');
+    assert.equal(first.optimized.suggestedKeywords.length, 5);
+    assert.equal(first.metadata.provider, 'mock');
+    assert.equal(first.metadata.modelUsed, 'mock-listing-v1');
+});
+
+test('missing credentials and unknown providers fail with a configuration error', () => {
+    assert.throws(() => createLlmProvider({ ...baseConfig, provider: 'gemini' }), { code: LLM_ERROR_CODES.NOT_CONFIGURED, status: 503 });
+    assert.throws(() => createLlmProvider({ ...baseConfig, provider: 'claude-local' }), /Unknown LLM provider "claude-local"/);
+});
+
+test('the OpenAI-compatible provider reports the model the server actually ran', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                model: 'qwen2.5-7b-instruct-q4_k_m.gguf',
+                choices: [{ message: { role: 'assistant', content: 'Optimized!' } }],
+                usage: { prompt_tokens: 12, completion_tokens: 3 }
+            }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const provider = createLlmProvider({
+            ...baseConfig,
+            provider: 'openai',
+            model: 'local',
+            openai: { baseUrl: `http://127.0.0.1:${server.address().port}/v1/` }
+        });
+        const result = await provider.generate('Optimize this title');
+
+        assert.deepEqual(result, {
+            text: 'Optimized!',
+            model: 'qwen2.5-7b-instruct-q4_k_m.gguf',
+            usage: { inputTokens: 12, outputTokens: 3 },
+            failedAttempts: []
+        });
+        assert.equal(requests[0].url, '/v1/chat/completions');
+        assert.equal(requests[0].headers.authorization, undefined);
+        assert.deepEqual(requests[0].body.messages, [{ role: 'user', content: 'Optimize this title' }]);
+        assert.equal(requests[0].body.max_tokens, 256);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('streamed chat completions are passed on chunk by chunk and collected into the same result', async () => {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            // The second event is split across writes, as it can be on the wire
+            res.write('data: {"model":"local-7b","choices":[{"delta":{"content":"Opti"}}]}\n\ndata: {"choices":[{"del');
+            res.write('ta":{"content":"mized!"}}]}\n\n');
+            res.end('data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":3}}\n\ndata: [DONE]\n\n');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const provider = createLlmProvider({
+            ...baseConfig,
+            provider: 'openai',
+            openai: { baseUrl: `http://127.0.0.1:${server.address().port}/v1` }
+        });
+        const chunks = [];
+        const result = await provider.generate('Optimize this title', { onText: chunk => chunks.push(chunk) });
+
+        assert.deepEqual(chunks, ['Opti', 'mized!']);
+        assert.deepEqual(result, {
+            text: 'Optimized!',
+            model: 'local-7b',
+            usage: { inputTokens: 12, outputTokens: 3 },
+            failedAttempts: []
+        });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
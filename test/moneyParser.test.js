@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMarketplace } = require('../services/marketplaces');
+const { parseMoney, parsePriceDetails } = require('../services/moneyParser');
+
+const us = getMarketplace('us');
+
+test('prices are parsed into minor units with the marketplace locale', () => {
+    assert.deepEqual(parseMoney('$49.99', us), { currency: 'USD', amount: 4999, min: 4999, max: 4999, isRange: false });
+    assert.equal(parseMoney('49.', us).amount, 4900);
+    assert.equal(parseMoney('1.299,00 €', getMarketplace('de')).amount, 129900);
+    assert.equal(parseMoney('CDN$ 59.99', getMarketplace('ca')).currency, 'CAD');
+    assert.deepEqual(parseMoney('￥39,800', getMarketplace('jp')), { currency: 'JPY', amount: 39800, min: 39800, max: 39800, isRange: false });
+    assert.equal(parseMoney('Currently unavailable', us), null);
+});
+
+test('a thousands separator only groups digits when three follow it', () => {
+    const de = getMarketplace('de');
+    assert.equal(parseMoney('19.99', de).amount, 1999);
+    assert.equal(parseMoney('1.299', de).amount, 129900);
+    assert.equal(parseMoney('1.299,5', de).amount, 129950);
+    assert.equal(parseMoney('1.29.9', de), null);
+    assert.equal(parseMoney('$19,99', us).amount, 1999);
+    assert.equal(parseMoney('₹1,29,999.00', getMarketplace('in')).amount, 12999900);
+});
+
+test('ranges keep both bounds and use the lower one as the amount', () => {
+    assert.deepEqual(parseMoney('$12.99 - $24.99', us), { currency: 'USD', amount: 1299, min: 1299, max: 2499, isRange: true });
+    assert.deepEqual(parseMoney('$10-$20', us), { currency: 'USD', amount: 1000, min: 1000, max: 2000, isRange: true });
+    assert.deepEqual(parseMoney('$10 -$20.50', us), { currency: 'USD', amount: 1000, min: 1000, max: 2050, isRange: true });
+    assert.deepEqual(parseMoney('US$10-US$20', us), { currency: 'USD', amount: 1000, min: 1000, max: 2000, isRange: true });
+    assert.deepEqual(parseMoney('12,99€-24,99€', getMarketplace('de')), { currency: 'EUR', amount: 1299, min: 1299, max: 2499, isRange: true });
+});
+
+test('a higher list price marks the listing as on sale', () => {
+    const details = parsePriceDetails('$49.99', '$59.99', us);
+    assert.equal(details.listAmount, 5999);
+    assert.equal(details.onSale, true);
+    assert.equal(details.discountPercent, 17);
+
+    assert.equal(parsePriceDetails('$49.99', '$39.99', us).onSale, false);
+    assert.equal(parsePriceDetails('$49.99', '59,99 €', us).listAmount, null);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildProductInput } = require('../services/productInput');
+
+test('a product without an asin is created as a draft', () => {
+    const { productData, errors } = buildProductInput({
+        sku: 'LAMP-01',
+        title: 'Desk Lamp',
+        bulletPoints: ['Dimmable', ' ', 'USB-C powered'],
+        price: 29.99,
+        attributes: { material: 'aluminium', colors: ['black', 'white'] }
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(productData.status, 'draft');
+    assert.equal(productData.asin, null);
+    assert.equal(productData.marketplace, 'us');
+    assert.equal(productData.bulletPoints, 'Dimmable\n• USB-C powered');
+    assert.equal(productData.price, '29.99');
+    assert.equal(productData.priceDetails.amount, 2999);
+    assert.deepEqual(productData.attributes, { material: 'aluminium', colors: ['black', 'white'] });
+});
+
+test('invalid input is reported field by field', () => {
+    const { productData, errors } = buildProductInput({
+        asin: 'B00',
+        status: 'live',
+        price: 'call us',
+        attributes: { nested: { a: 1 } },
+        rating: 5
+    });
+
+    assert.equal(productData, null);
+    assert.deepEqual(errors, [
+        'Unknown fields: rating. Editable fields: asin, marketplace, status, bulletPoints, attributes, sku, title, description, imageUrl, price, listPrice, category, brand',
+        'asin must be a 10-character alphanumeric string',
+        'attributes must be strings, numbers, booleans or lists of them (invalid: nested)',
+        'title is required',
+        'A live product needs an asin; keep it as a draft until Amazon assigns one',
+        'price "call us" is not a price'
+    ]);
+});
+
+test('a patch keeps the fields it does not name', () => {
+    const current = { asin: null, marketplace: 'de', sku: 'LAMP-01', status: 'draft', title: 'Schreibtischlampe', price: '29,99 €', attributes: { watts: 5 } };
+
+    const { productData, errors } = buildProductInput({ asin: 'b0cxyz1234', status: 'live' }, current);
+
+    assert.deepEqual(errors, []);
+    assert.equal(productData.asin, 'B0CXYZ1234');
+    assert.equal(productData.status, 'live');
+    assert.equal(productData.marketplace, 'de');
+    assert.equal(productData.title, 'Schreibtischlampe');
+    assert.deepEqual(productData.attributes, { watts: 5 });
+});
+
+test('numeric prices are not read with the marketplace decimal separator', () => {
+    const { productData } = buildProductInput({ title: 'Kaffeebecher', marketplace: 'de', price: 19.99, listPrice: '24,99 €' });
+
+    assert.equal(productData.priceDetails.currency, 'EUR');
+    assert.equal(productData.priceDetails.amount, 1999);
+    assert.equal(productData.priceDetails.listAmount, 2499);
+
+    // A patch of other fields keeps the stored amounts rather than re-reading "19.99" as German
+    const current = { ...productData, price: '19.99' };
+    const patched = buildProductInput({ title: 'Kaffeetasse' }, current).productData;
+    assert.equal(patched.priceDetails.amount, 1999);
+});
@@ -0,0 +1,41 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, validateTemplateBody } = require('../services/promptTemplates');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const MockProvider = require('../services/llm/mockProvider');
+
+mock.method(console, 'log', () => {});
+
+test('templates render their variables and report the empty ones', () => {
+    const rendered = renderTemplate('keep "{{ brand }}" first; category: {{category}}', { brand: 'Acme', category: null });
+
+    assert.deepEqual(rendered, {
+        text: 'keep "Acme" first; category:',
+        variables: ['brand', 'category'],
+        missing: ['category']
+    });
+    assert.deepEqual(validateTemplateBody('mention {{color}} and {{brand}}'), [
+        'Unknown variables: color. Valid variables: asin, marketplace, title, brand, category, bulletPoints, description, attributes, competitors'
+    ]);
+    assert.deepEqual(validateTemplateBody('  '), ['body must be a non-empty string']);
+});
+
+test('optimizations use the given template versions and record them', async () => {
+    const provider = new MockProvider();
+    const prompts = [];
+    const generate = provider.generate.bind(provider);
+    provider.generate = (prompt, options) => {
+        prompts.push(prompt);
+        return generate(prompt, options);
+    };
+    const optimizer = new GeminiOptimizer({ provider });
+
+    const result = await optimizer.optimizeProduct(
+        { asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz', brand: 'Acme' },
+        { templates: { title: { body: 'start with {{brand}}, then the capacity', version: 3 } } }
+    );
+
+    assert.match(prompts[0], /^- title: start with Acme, then the capacity$/m);
+    assert.match(prompts[0], /^- bullets: exactly 5 concise/m);
+    assert.deepEqual(result.metadata.promptVersions, { title: 3, bullets: null, description: null, keywords: null });
+});
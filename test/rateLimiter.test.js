@@ -0,0 +1,99 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LlmRateLimiter } = require('../services/llm/rateLimiter');
+const ResilientProvider = require('../services/llm/resilientProvider');
+const { LLM_ERROR_CODES } = require('../services/llm/llmErrors');
+
+mock.method(console, 'warn', () => {});
+
+test('concurrent callers queue in order instead of all passing at once', async () => {
+    // 1200 rpm with a burst of one: a slot every 50ms
+    const limiter = new LlmRateLimiter({ requestsPerMinute: 1200, burst: 1 });
+    const order = [];
+
+    const started = Date.now();
+    const slots = await Promise.all([1, 2, 3, 4].map(id => limiter.acquire(10).then(slot => {
+        order.push(id);
+        return slot;
+    })));
+
+    assert.deepEqual(order, [1, 2, 3, 4]);
+    assert.ok(slots[0].waitedMs < 50);
+    assert.ok(slots[3].waitedMs >= 140, `last caller waited ${slots[3].waitedMs}ms`);
+    assert.ok(Date.now() - started >= 140);
+
+    const metrics = limiter.getMetrics();
+    assert.equal(metrics.acquired, 4);
+    assert.equal(metrics.maxQueueDepth, 3);
+    assert.equal(metrics.queueDepth, 0);
+    assert.ok(metrics.averageWaitMs > 0 && metrics.longestWaitMs === slots[3].waitedMs);
+});
+
+test('a full queue refuses new callers with LLM_RATE_LIMITED', async () => {
+    let now = 0;
+    const limiter = new LlmRateLimiter({ requestsPerMinute: 1, burst: 1, maxQueueSize: 1, now: () => now });
+
+    await limiter.acquire();
+    const waiting = limiter.acquire();
+    await assert.rejects(limiter.acquire(), { code: LLM_ERROR_CODES.RATE_LIMITED, status: 429, retryable: false });
+
+    const metrics = limiter.getMetrics();
+    assert.deepEqual([metrics.queueDepth, metrics.rejected], [1, 1]);
+
+    // Release the queued caller rather than leave its timer running
+    now = 60000;
+    limiter.drain();
+    assert.equal((await waiting).waitedMs, 60000);
+});
+
+test('callers are refused once they have waited maxWaitMs, not when a slot would come up', async () => {
+    // The next slot is a minute away
+    const limiter = new LlmRateLimiter({ requestsPerMinute: 1, burst: 1, maxWaitMs: 200 });
+    await limiter.acquire();
+
+    const started = Date.now();
+    const results = await Promise.allSettled([limiter.acquire(), limiter.acquire()]);
+
+    assert.ok(Date.now() - started < 1000, `refused after ${Date.now() - started}ms`);
+    for (const result of results) {
+        assert.equal(result.status, 'rejected');
+        assert.equal(result.reason.code, LLM_ERROR_CODES.RATE_LIMITED);
+    }
+    assert.deepEqual([limiter.getMetrics().timedOut, limiter.getMetrics().queueDepth], [2, 0]);
+});
+
+test('reported token usage replaces the estimate and holds back later requests', async () => {
+    let now = 0;
+    const limiter = new LlmRateLimiter({ requestsPerMinute: 600, tokensPerMinute: 6000, now: () => now });
+
+    const slot = await limiter.acquire(100);
+    assert.equal(limiter.getMetrics().available.tokens, 5900);
+
+    slot.settle(6000);
+    assert.equal(limiter.getMetrics().available.tokens, 0);
+    assert.equal(limiter.waitTime(600), 6000);
+
+    now = 6000;
+    assert.equal(limiter.getMetrics().available.tokens, 600);
+});
+
+test('every provider attempt, retries included, takes a slot and settles its usage', async () => {
+    const limiter = new LlmRateLimiter({ requestsPerMinute: 600, tokensPerMinute: 100000, now: () => 0 });
+    let calls = 0;
+    const provider = new ResilientProvider([{
+        name: 'gemini',
+        model: 'gemini-2.0-flash',
+        async generate() {
+            calls++;
+            if (calls === 1) throw Object.assign(new Error('503'), { code: LLM_ERROR_CODES.UPSTREAM_ERROR, retryable: true });
+            return { text: 'ok', model: 'gemini-2.0-flash', usage: { inputTokens: 400, outputTokens: 600 } };
+        }
+    }], { rateLimiter: limiter, sleep: async () => {} });
+
+    await provider.generate('x'.repeat(400));
+
+    const metrics = limiter.getMetrics();
+    assert.equal(metrics.acquired, 2);
+    // 100 estimated tokens for the failed attempt, 1000 reported for the answer
+    assert.equal(metrics.available.tokens, 100000 - 1100);
+});
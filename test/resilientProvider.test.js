@@ -0,0 +1,139 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ResilientProvider = require('../services/llm/resilientProvider');
+const GeminiProvider = require('../services/llm/geminiProvider');
+const MockProvider = require('../services/llm/mockProvider');
+const GeminiOptimizer = require('../services/geminiOptimizer');
+const { LlmError, LLM_ERROR_CODES } = require('../services/llm/llmErrors');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+/**
+ * Provider that throws the queued errors first, then answers
+ */
+const flakyProvider = (model, errors = []) => ({
+    name: 'gemini',
+    model,
+    calls: 0,
+    async generate() {
+        this.calls++;
+        if (errors.length > 0) throw errors.shift();
+        return { text: 'ok', model, usage: { inputTokens: 1, outputTokens: 1 } };
+    }
+});
+
+const upstreamError = () => new LlmError('503 Service Unavailable', { code: LLM_ERROR_CODES.UPSTREAM_ERROR });
+
+test('transient errors are retried with backoff before giving up on a model', async () => {
+    const delays = [];
+    const retries = [];
+    const primary = flakyProvider('gemini-2.0-flash', [upstreamError(), upstreamError()]);
+    const provider = new ResilientProvider([primary], { baseDelayMs: 100, sleep: async (ms) => { delays.push(ms); } });
+
+    const result = await provider.generate('prompt', { onRetry: (retry) => retries.push(retry.retry) });
+
+    assert.equal(result.text, 'ok');
+    assert.equal(primary.calls, 3);
+    assert.deepEqual(retries, [1, 2]);
+    assert.ok(delays[0] >= 50 && delays[0] <= 100 && delays[1] >= 100 && delays[1] <= 200);
+    assert.deepEqual(result.failedAttempts.map(attempt => attempt.code), [LLM_ERROR_CODES.UPSTREAM_ERROR, LLM_ERROR_CODES.UPSTREAM_ERROR]);
+});
+
+test('a quota error asking for a long wait falls back to the next model; safety blocks are not retried', async () => {
+    const quota = new LlmError('429 Resource exhausted', { code: LLM_ERROR_CODES.QUOTA_EXCEEDED, status: 429, retryAfter: 60 });
+    const primary = flakyProvider('gemini-2.5-flash', [quota]);
+    const fallback = flakyProvider('gemini-2.0-flash');
+    const provider = new ResilientProvider([primary, fallback], { sleep: async () => {} });
+
+    const result = await provider.generate('prompt');
+    assert.equal(result.model, 'gemini-2.0-flash');
+    assert.equal(primary.calls, 1);
+
+    const blocked = new LlmError('Candidate was blocked due to SAFETY', { code: LLM_ERROR_CODES.SAFETY_BLOCKED, status: 422 });
+    const strict = new ResilientProvider([flakyProvider('gemini-2.5-flash', [blocked]), fallback], { sleep: async () => {} });
+    await assert.rejects(strict.generate('prompt'), { code: LLM_ERROR_CODES.SAFETY_BLOCKED });
+    assert.equal(fallback.calls, 1);
+});
+
+test('the circuit opens after repeated failures, fails fast, and closes after a successful trial', async () => {
+    let now = 0;
+    const primary = flakyProvider('gemini-2.0-flash', [upstreamError(), upstreamError(), upstreamError()]);
+    const provider = new ResilientProvider([primary], {
+        maxRetries: 2,
+        circuitBreaker: { failureThreshold: 3, cooldownMs: 30000, now: () => now },
+        sleep: async () => {}
+    });
+
+    await assert.rejects(provider.generate('prompt'), { code: LLM_ERROR_CODES.UPSTREAM_ERROR });
+    await assert.rejects(provider.generate('prompt'), { code: LLM_ERROR_CODES.CIRCUIT_OPEN, status: 503, retryAfter: 30 });
+    assert.equal(primary.calls, 3);
+
+    now = 30000;
+    assert.equal((await provider.generate('prompt')).text, 'ok');
+    assert.equal(provider.getHealth()[0].state, 'closed');
+});
+
+test('a half-open circuit lets one trial request through and fails the others fast until it settles', async () => {
+    let now = 0;
+    let answer;
+    const primary = flakyProvider('gemini-2.0-flash', [upstreamError()]);
+    const generate = primary.generate;
+    const provider = new ResilientProvider([primary], {
+        maxRetries: 0,
+        circuitBreaker: { failureThreshold: 1, cooldownMs: 30000, now: () => now },
+        sleep: async () => {}
+    });
+
+    await assert.rejects(provider.generate('prompt'), { code: LLM_ERROR_CODES.UPSTREAM_ERROR });
+
+    now = 30000;
+    primary.generate = () => new Promise(resolve => { answer = resolve; });
+    const trial = provider.generate('prompt');
+    await assert.rejects(provider.generate('prompt'), { code: LLM_ERROR_CODES.CIRCUIT_OPEN, retryAfter: 1 });
+
+    answer({ text: 'ok', model: 'gemini-2.0-flash' });
+    assert.equal((await trial).text, 'ok');
+    primary.generate = generate;
+    assert.equal((await provider.generate('prompt')).text, 'ok');
+});
+
+test('a refused trial request frees the half-open circuit for the next caller', async () => {
+    let now = 0;
+    const rejected = new LlmError('400 Invalid argument', { code: LLM_ERROR_CODES.REQUEST_REJECTED, status: 502 });
+    const primary = flakyProvider('gemini-2.0-flash', [upstreamError(), rejected]);
+    const provider = new ResilientProvider([primary], {
+        maxRetries: 0,
+        circuitBreaker: { failureThreshold: 1, cooldownMs: 30000, now: () => now },
+        sleep: async () => {}
+    });
+
+    await assert.rejects(provider.generate('prompt'), { code: LLM_ERROR_CODES.UPSTREAM_ERROR });
+    now = 30000;
+    await assert.rejects(provider.generate('prompt'), { code: LLM_ERROR_CODES.REQUEST_REJECTED });
+    assert.equal(provider.getHealth()[0].probeInFlight, false);
+    assert.equal((await provider.generate('prompt')).text, 'ok');
+});
+
+test('Gemini errors are classified by status, retry delay and block reason', () => {
+    const gemini = new GeminiProvider({ apiKey: 'test-key', model: 'gemini-2.0-flash' });
+    const fetchError = (status, errorDetails) => Object.assign(new Error(`[${status}] failed`), { name: 'GoogleGenerativeAIFetchError', status, errorDetails });
+
+    const quota = gemini.classifyError(fetchError(429, [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '23s' }]));
+    assert.deepEqual([quota.code, quota.status, quota.retryAfter, quota.retryable], [LLM_ERROR_CODES.QUOTA_EXCEEDED, 429, 23, true]);
+
+    assert.equal(gemini.classifyError(fetchError(500)).code, LLM_ERROR_CODES.UPSTREAM_ERROR);
+    assert.equal(gemini.classifyError(fetchError(400)).retryable, false);
+    assert.equal(gemini.classifyError(new Error('Candidate was blocked due to SAFETY')).code, LLM_ERROR_CODES.SAFETY_BLOCKED);
+});
+
+test('optimizations record the fallback model that served the listing', async () => {
+    const primary = flakyProvider('gemini-2.5-flash', [new LlmError('404 model not found', { code: LLM_ERROR_CODES.REQUEST_REJECTED, status: 502 })]);
+    const fallback = new MockProvider({ model: 'mock-fallback' });
+    const optimizer = new GeminiOptimizer({ provider: new ResilientProvider([primary, fallback], { sleep: async () => {} }) });
+
+    const result = await optimizer.optimizeProduct({ asin: 'B000000001', title: 'Ceramic Coffee Mug, 12 oz' });
+
+    assert.equal(result.metadata.modelUsed, 'mock-fallback');
+    assert.deepEqual(result.metadata.failedAttempts.map(attempt => [attempt.model, attempt.code]), [['gemini-2.5-flash', LLM_ERROR_CODES.REQUEST_REJECTED]]);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AmazonScraper = require('../services/amazonScraper');
+const { SCRAPER_ERROR_CODES, sendScraperError, RobotCheckError } = require('../services/scraperErrors');
+
+// Serves one canned response for every request
+const stubFetcher = (response) => ({
+    fetch: async (url) => ({ url, finalUrl: url, status: 200, headers: {}, ...response })
+});
+
+const fetchWith = (response) => new AmazonScraper({ fetcher: stubFetcher(response), maxRetries: 0 })
+    .fetchProductDetails('B08N5WRWNW', { marketplace: 'us' });
+
+test('robot check pages raise ROBOT_CHECK with a retry hint', async () => {
+    const html = `<html><head><title>Robot Check</title></head><body>
+        <form method="get" action="/errors/validateCaptcha"><input id="captchacharacters" name="field-keywords"></form>
+    </body></html>`;
+
+    await assert.rejects(fetchWith({ status: 503, data: html, headers: { 'retry-after': '120' } }), (error) => {
+        assert.equal(error.code, SCRAPER_ERROR_CODES.ROBOT_CHECK);
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 120);
+        return true;
+    });
+});
+
+test('"Sorry, something went wrong" pages raise SOFT_BLOCK', async () => {
+    const html = `<html><head><title>Sorry! Something went wrong!</title></head><body>
+        <h2>Sorry! Something went wrong!</h2><img alt="Dogs of Amazon" src="dog.jpg">
+    </body></html>`;
+
+    await assert.rejects(fetchWith({ status: 500, data: html }), { code: SCRAPER_ERROR_CODES.SOFT_BLOCK, status: 429 });
+});
+
+test('the dog page raises PRODUCT_NOT_FOUND', async () => {
+    const html = `<html><head><title>Page Not Found</title></head><body>
+        <img alt="Sorry! We couldn't find that page. Try searching or go to Amazon's home page." src="title.png">
+        <img alt="Dogs of Amazon" src="dog.jpg">
+    </body></html>`;
+
+    await assert.rejects(fetchWith({ status: 404, data: html }), { code: SCRAPER_ERROR_CODES.PRODUCT_NOT_FOUND, status: 404 });
+});
+
+test('redirects to another marketplace raise REGION_REDIRECT', async () => {
+    await assert.rejects(
+        fetchWith({ finalUrl: 'https://www.amazon.co.uk/dp/B08N5WRWNW', data: '<html><body></body></html>' }),
+        { code: SCRAPER_ERROR_CODES.REGION_REDIRECT }
+    );
+});
+
+test('sign-in walls raise LOGIN_REQUIRED', async () => {
+    await assert.rejects(
+        fetchWith({
+            finalUrl: 'https://www.amazon.com/ap/signin?openid.return_to=%2Fdp%2FB08N5WRWNW',
+            data: '<html><body><form name="signIn"><input id="ap_email"></form></body></html>'
+        }),
+        { code: SCRAPER_ERROR_CODES.LOGIN_REQUIRED }
+    );
+});
+
+test('pages without a product title raise EXTRACTION_FAILED', async () => {
+    await assert.rejects(fetchWith({ data: '<html><body><p>Nothing here</p></body></html>' }), {
+        code: SCRAPER_ERROR_CODES.EXTRACTION_FAILED
+    });
+});
+
+test('sendScraperError maps blocks to 429 with Retry-After', () => {
+    const sent = { headers: {} };
+    const res = {
+        set(name, value) { sent.headers[name] = value; return this; },
+        status(code) { sent.status = code; return this; },
+        json(body) { sent.body = body; return this; }
+    };
+
+    sendScraperError(res, new RobotCheckError('https://www.amazon.com/dp/B08N5WRWNW', 60), 'Failed to fetch product data');
+
+    assert.equal(sent.status, 429);
+    assert.equal(sent.headers['Retry-After'], '60');
+    assert.equal(sent.body.code, 'ROBOT_CHECK');
+});
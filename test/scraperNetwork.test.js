@@ -0,0 +1,142 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const AmazonScraper = require('../services/amazonScraper');
+const { SCRAPER_ERROR_CODES } = require('../services/scraperErrors');
+
+const PRODUCT_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', 'us', 'B08N5WRWNW.html'), 'utf8');
+const CAPTCHA_HTML = '<html><head><title>Robot Check</title></head><body><form action="/errors/validateCaptcha"></form></body></html>';
+
+/**
+ * Local HTTP proxy that answers every request itself. `respond(requestNumber)`
+ * returns { status, body, headers } for each incoming request.
+ */
+const startStubProxy = async (respond) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers, at: Date.now() });
+        const { status, body, headers = {} } = respond(requests.length);
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+        res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+// Retry and quarantine logging is noise here
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const liveScraper = (proxies, options = {}) => new AmazonScraper({
+    mode: 'live',
+    proxies: proxies.map(proxy => proxy.url),
+    minIntervalMs: 0,
+    backoffBaseMs: 10,
+    backoffMaxMs: 50,
+    ...options
+});
+
+test('503 responses are retried with backoff until the page comes through', async () => {
+    const proxy = await startStubProxy(n => (n <= 2 ? { status: 503, body: '<html><body>Service Unavailable</body></html>' } : { status: 200, body: PRODUCT_HTML }));
+    try {
+        const scraper = liveScraper([proxy]);
+        const product = await scraper.fetchProductDetails('B08N5WRWNW', { marketplace: 'us' });
+
+        assert.ok(product.title);
+        assert.equal(proxy.requests.length, 3);
+        assert.equal(proxy.requests[0].url, 'https://www.amazon.com/dp/B08N5WRWNW');
+        assert.equal(scraper.getHealth().retries, 2);
+    } finally {
+        await proxy.close();
+    }
+});
+
+test('proxies that keep hitting robot checks are quarantined and skipped', async () => {
+    const blocked = await startStubProxy(() => ({ status: 503, body: CAPTCHA_HTML }));
+    const healthy = await startStubProxy(() => ({ status: 200, body: PRODUCT_HTML }));
+    try {
+        const scraper = liveScraper([blocked, healthy]);
+        scraper.fetcher.proxyPool.maxFailures = 1;
+        scraper.fetcher.proxyPool.index = 0;
+
+        await scraper.fetchProductDetails('B08N5WRWNW', { marketplace: 'us' });
+        await scraper.fetchProductDetails('B08N5WRWNW', { marketplace: 'us' });
+
+        assert.equal(blocked.requests.length, 1);
+        assert.equal(healthy.requests.length, 2);
+
+        const [blockedStats, healthyStats] = scraper.getHealth().proxies;
+        assert.equal(blockedStats.quarantined, true);
+        assert.equal(blockedStats.lastFailureReason, SCRAPER_ERROR_CODES.ROBOT_CHECK);
+        assert.equal(healthyStats.successes, 2);
+        assert.ok(!blockedStats.id.includes('@'));
+    } finally {
+        await Promise.all([blocked.close(), healthy.close()]);
+    }
+});
+
+test('retries give up after maxRetries with the block error', async () => {
+    const proxy = await startStubProxy(() => ({ status: 503, body: CAPTCHA_HTML }));
+    try {
+        const scraper = liveScraper([proxy], { maxRetries: 2 });
+
+        await assert.rejects(scraper.fetchProductDetails('B08N5WRWNW', { marketplace: 'us' }), {
+            code: SCRAPER_ERROR_CODES.ROBOT_CHECK
+        });
+        assert.equal(proxy.requests.length, 3);
+    } finally {
+        await proxy.close();
+    }
+});
+
+test('a block is retried no sooner than its Retry-After, and surfaced when that is too long', async () => {
+    const throttled = (n) => (n === 1
+        ? { status: 503, body: '<html><body>Service Unavailable</body></html>', headers: { 'Retry-After': '1' } }
+        : { status: 200, body: PRODUCT_HTML });
+
+    const proxy = await startStubProxy(throttled);
+    try {
+        await liveScraper([proxy], { backoffMaxMs: 5000 }).fetchProductDetails('B08N5WRWNW', { marketplace: 'us' });
+        assert.equal(proxy.requests.length, 2);
+        assert.ok(proxy.requests[1].at - proxy.requests[0].at >= 1000);
+    } finally {
+        await proxy.close();
+    }
+
+    const impatient = await startStubProxy(throttled);
+    try {
+        await assert.rejects(liveScraper([impatient]).fetchProductDetails('B08N5WRWNW', { marketplace: 'us' }), {
+            code: SCRAPER_ERROR_CODES.SOFT_BLOCK,
+            retryAfter: 1
+        });
+        assert.equal(impatient.requests.length, 1);
+    } finally {
+        await impatient.close();
+    }
+});
+
+test('requests rotate header profiles and are spaced per host', async () => {
+    const proxy = await startStubProxy(() => ({ status: 200, body: PRODUCT_HTML }));
+    try {
+        const scraper = liveScraper([proxy], { minIntervalMs: 100 });
+        await scraper.fetchMultipleProducts(['B08N5WRWNW', 'B08N5WRWNW', 'B08N5WRWNW'], { marketplace: 'us' });
+
+        const userAgents = new Set(proxy.requests.map(request => request.headers['user-agent']));
+        assert.equal(userAgents.size, 3);
+        assert.equal(proxy.requests[0].headers['accept-language'], 'en-US,en;q=0.9');
+
+        for (let i = 1; i < proxy.requests.length; i++) {
+            assert.ok(proxy.requests[i].at - proxy.requests[i - 1].at >= 90);
+        }
+    } finally {
+        await proxy.close();
+    }
+});
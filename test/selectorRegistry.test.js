@@ -0,0 +1,86 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const SelectorRegistry = require('../services/selectorRegistry');
+const AmazonScraper = require('../services/amazonScraper');
+const { getMarketplace } = require('../services/marketplaces');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const writeSelectors = (definitions) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'selectors-')), 'selectors.json');
+    fs.writeFileSync(file, JSON.stringify(definitions));
+    return file;
+};
+
+const definitions = {
+    version: '1',
+    fields: {
+        title: { selectors: ['#productTitle', '#btAsinTitle'] }
+    },
+    marketplaces: {
+        jp: { fields: { title: { selectors: ['#title-jp'] } } }
+    }
+};
+
+test('marketplace overrides replace the selector list', () => {
+    const registry = new SelectorRegistry({ file: writeSelectors(definitions) });
+
+    assert.deepEqual(registry.getField('title', 'us').selectors.map(entry => entry.selector), ['#productTitle', '#btAsinTitle']);
+    assert.deepEqual(registry.getField('title', 'jp').selectors.map(entry => entry.selector), ['#title-jp']);
+});
+
+test('fields that stop extracting are reported as failing', () => {
+    const registry = new SelectorRegistry({ file: writeSelectors(definitions), recentWindow: 4 });
+    const scraper = new AmazonScraper({ fetcher: {}, selectors: registry });
+    const us = getMarketplace('us');
+
+    for (let i = 0; i < 4; i++) {
+        scraper.selectValue(cheerio.load('<span id="productTitle">Echo Dot</span>'), 'title', us);
+    }
+    assert.equal(registry.getReport().fields[0].status, 'ok');
+
+    for (let i = 0; i < 3; i++) {
+        scraper.selectValue(cheerio.load('<span id="btAsinTitle">Echo Dot</span>'), 'title', us);
+        scraper.selectValue(cheerio.load('<h1>Echo Dot</h1>'), 'title', us);
+    }
+
+    const [title] = registry.getReport().fields;
+    assert.equal(title.pages, 10);
+    assert.equal(title.misses, 3);
+    assert.equal(title.status, 'degrading');
+    assert.deepEqual(title.selectors, [{ selector: '#productTitle', hits: 4 }, { selector: '#btAsinTitle', hits: 3 }]);
+
+    scraper.selectValue(cheerio.load('<h1>Echo Dot</h1>'), 'title', us);
+    assert.equal(registry.getReport().failing[0].status, 'failing');
+});
+
+test('a broken file is rejected and the loaded set kept', () => {
+    const file = writeSelectors(definitions);
+    const registry = new SelectorRegistry({ file });
+
+    fs.writeFileSync(file, JSON.stringify({ version: '2', fields: { title: { selectors: [] } } }));
+    assert.throws(() => registry.load(), /selectors must be a non-empty array/);
+    assert.equal(registry.version, '1');
+});
+
+test('only a reload that changes the selectors is logged, and the report leaves out the file path', () => {
+    const file = writeSelectors(definitions);
+    const registry = new SelectorRegistry({ file });
+    const logged = console.log.mock.callCount();
+
+    registry.load();
+    assert.equal(console.log.mock.callCount(), logged);
+
+    fs.writeFileSync(file, JSON.stringify({ ...definitions, version: '2' }));
+    assert.deepEqual(registry.load(), { version: '2', previousVersion: '1', fields: Object.keys(definitions.fields) });
+    assert.equal(console.log.mock.callCount(), logged + 1);
+
+    assert.equal('file' in registry.getReport(), false);
+    fs.unlinkSync(file);
+    assert.throws(() => registry.load(), (error) => !error.message.includes(path.dirname(file)));
+});